@@ -2,6 +2,7 @@ import express from 'express';
 import swaggerUi from 'swagger-ui-express';
 import config from './src/config/env.js';
 import apiRoutes, { applyGlobalMiddleware, applyErrorHandling } from './src/routes/index.js';
+import wellKnownRoutes from './src/routes/wellKnown.js';
 import swaggerSpec from './docs/swagger.js';
 
 /**
@@ -34,6 +35,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customfavIcon: '/favicon.ico'
 }));
 
+// Public discovery documents (JWKS, OpenID configuration) for services that verify our tokens
+app.use('/.well-known', wellKnownRoutes);
+
 // Mount API routes with /api/v1 prefix
 app.use('/api/v1', apiRoutes);
 
@@ -65,6 +65,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter your JWT token obtained from login or OTP verification'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'Authorization',
+          description: 'Service account API key, sent as `ApiKey <key>`. Only endpoints that list it accept it'
         }
       },
       schemas: {
@@ -113,7 +119,7 @@ const options = {
             },
             account_status: {
               type: 'string',
-              enum: ['active', 'inactive', 'locked'],
+              enum: ['active', 'inactive', 'locked', 'pending_verification', 'pending_approval', 'rejected'],
               description: 'Current status of the user account'
             },
             last_login_at: {
@@ -518,13 +524,49 @@ const options = {
         name: 'Profile',
         description: 'User profile management endpoints'
       },
+      {
+        name: 'Passkeys',
+        description: 'WebAuthn passkey registration, login and management'
+      },
       {
         name: 'Sessions',
         description: 'Session management and device tracking'
       },
+      {
+        name: 'Devices',
+        description: 'Recognised devices, device trust and revocation'
+      },
       {
         name: 'Audit Logs',
         description: 'Security audit logs (Super_Admin only)'
+      },
+      {
+        name: 'OpenID Connect',
+        description: 'Single sign-on for campus apps (authorization code flow with PKCE)'
+      },
+      {
+        name: 'Federated Login',
+        description: 'Sign in with upstream OIDC or SAML identity providers configured per campus'
+      },
+      {
+        name: 'Password Policies',
+        description: 'Password rules per campus and role'
+      },
+      {
+        name: 'Session Policies',
+        description: 'Concurrent session limits per role'
+      },
+      {
+        name: 'Impersonation',
+        description: 'Audited, read-only "view as user" access for support staff'
+      },
+      {
+        name: 'Service Accounts',
+        description: 'API keys for systems that call the API (ERP, LMS, fee payments)'
+      },
+      {
+        name: 'Keys',
+        description: 'Public token signing keys for other services'
       }
     ]
   },
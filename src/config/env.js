@@ -52,12 +52,79 @@ const config = {
     accessExpiry: process.env.JWT_ACCESS_EXPIRY || '1h',
     refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
     algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    // Key set used for RS256/ES256 signing (see npm run keys:rotate)
+    keysFile: process.env.JWT_KEYS_FILE || 'keys/jwt-keys.json',
+    // How long a retired signing key stays published for verification (default 8 days, longer than refresh tokens live)
+    keyRetention: parseInt(process.env.JWT_KEY_RETENTION || '691200', 10),
   },
 
   // Encryption Configuration
   encryption: {
     key: process.env.ENCRYPTION_KEY || 'change-this-32-byte-key-in-prod',
     algorithm: process.env.ENCRYPTION_ALGORITHM || 'aes-256-cbc',
+    blindIndexKey: process.env.BLIND_INDEX_KEY || 'change-this-blind-index-key-in-prod',
+  },
+
+  // MFA Configuration
+  mfa: {
+    totpIssuer: process.env.MFA_TOTP_ISSUER || 'MSSU Connect',
+    totpWindow: parseInt(process.env.MFA_TOTP_WINDOW || '1', 10), // Time steps of clock skew allowed
+  },
+
+  // WebAuthn (Passkey) Configuration
+  webauthn: {
+    rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+    rpName: process.env.WEBAUTHN_RP_NAME || 'MSSU Connect',
+    // Web origins and Android apk-key-hash origins allowed to use passkeys
+    origins: process.env.WEBAUTHN_ORIGINS ? process.env.WEBAUTHN_ORIGINS.split(',') : ['http://localhost:3000'],
+    challengeExpiry: parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRY || '300', 10), // 5 minutes
+  },
+
+  // OpenID Connect Provider Configuration
+  oidc: {
+    // Public base URL of this server; the "iss" claim and discovery endpoints are derived from it
+    issuer: process.env.OIDC_ISSUER || 'http://localhost:3000',
+    // Front-end page that shows the consent screen; defaults to the API authorize endpoint
+    authorizationEndpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT || null,
+    codeExpiry: parseInt(process.env.OIDC_CODE_EXPIRY || '60', 10), // Authorization code lifetime in seconds
+    idTokenExpiry: process.env.OIDC_ID_TOKEN_EXPIRY || '1h',
+  },
+
+  // Federated Login Configuration (upstream OIDC/SAML identity providers)
+  federation: {
+    // Front-end page that receives the one-time login code, or an error, after the provider callback
+    frontendCallbackUrl: process.env.FEDERATION_FRONTEND_CALLBACK_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/federated-login`,
+    stateExpiry: parseInt(process.env.FEDERATION_STATE_EXPIRY || '600', 10), // Seconds to finish signing in at the provider
+    loginCodeExpiry: parseInt(process.env.FEDERATION_LOGIN_CODE_EXPIRY || '60', 10), // One-time login code lifetime in seconds
+  },
+
+  // LDAP / Active Directory Configuration (password login for directory-managed campuses)
+  ldap: {
+    url: process.env.LDAP_URL || null, // ldap:// or ldaps://; directory login is off when unset
+    bindDN: process.env.LDAP_BIND_DN || '', // Service account used to look up user entries
+    bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+    baseDN: process.env.LDAP_BASE_DN || '',
+    // {{email}} is replaced with the escaped login email
+    userFilter: process.env.LDAP_USER_FILTER || '(mail={{email}})',
+    syncFilter: process.env.LDAP_SYNC_FILTER || '(&(objectClass=person)(mail=*))',
+    // Users whose campus code or email domain is listed here sign in against the directory
+    campusCodes: process.env.LDAP_CAMPUS_CODES ? process.env.LDAP_CAMPUS_CODES.split(',').map(code => code.trim()) : [],
+    emailDomains: process.env.LDAP_EMAIL_DOMAINS ? process.env.LDAP_EMAIL_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()) : [],
+    startTLS: process.env.LDAP_STARTTLS === 'true',
+    tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    timeout: parseInt(process.env.LDAP_TIMEOUT || '5000', 10), // Milliseconds per connection and operation
+    // Check the local password hash when the directory cannot be reached
+    fallbackOnError: process.env.LDAP_FALLBACK_ON_ERROR === 'true',
+    attributes: {
+      email: process.env.LDAP_ATTR_EMAIL || 'mail',
+      name: process.env.LDAP_ATTR_NAME || 'displayName',
+      phone: process.env.LDAP_ATTR_PHONE || 'mobile',
+      campus: process.env.LDAP_ATTR_CAMPUS || 'physicalDeliveryOfficeName', // Holds the campus code
+      groups: process.env.LDAP_ATTR_GROUPS || 'memberOf',
+    },
+    // JSON object of group DN (or group CN) to role, checked in order, e.g. {"cn=faculty,ou=groups,dc=mssu,dc=ac,dc=in":"Teacher"}
+    roleMapping: process.env.LDAP_ROLE_MAPPING || '{}',
+    defaultRole: process.env.LDAP_DEFAULT_ROLE || 'Student',
   },
 
   // SMS Gateway Configuration
@@ -95,11 +162,78 @@ const config = {
 
   // Security Configuration
   security: {
+    // New and upgraded password hashes use this algorithm; older hashes are upgraded at the next login
+    passwordHashAlgorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt', // bcrypt or argon2id
     bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10),
-    accountLockDuration: parseInt(process.env.ACCOUNT_LOCK_DURATION || '1800000', 10), // 30 minutes
+    argon2MemoryCost: parseInt(process.env.ARGON2_MEMORY_COST || '19456', 10), // KiB (19 MiB, OWASP minimum)
+    argon2TimeCost: parseInt(process.env.ARGON2_TIME_COST || '2', 10), // Iterations
+    argon2Parallelism: parseInt(process.env.ARGON2_PARALLELISM || '1', 10),
+    accountLockDuration: parseInt(process.env.ACCOUNT_LOCK_DURATION || '1800000', 10), // 30 minutes, doubled on each further failure
+    maxAccountLockDuration: parseInt(process.env.MAX_ACCOUNT_LOCK_DURATION || '86400000', 10), // 24 hours
     maxFailedAttempts: parseInt(process.env.MAX_FAILED_ATTEMPTS || '5', 10),
     passwordResetExpiry: parseInt(process.env.PASSWORD_RESET_EXPIRY || '3600000', 10), // 1 hour
     otpExpiry: parseInt(process.env.OTP_EXPIRY || '300000', 10), // 5 minutes
+    magicLinkExpiry: parseInt(process.env.MAGIC_LINK_EXPIRY || '600000', 10), // 10 minutes
+  },
+
+  // Password Policy Configuration
+  passwordPolicy: {
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10), // Recent passwords (including the current one) that cannot be reused
+    expiryDays: process.env.PASSWORD_EXPIRY_DAYS || '{}', // JSON object of role to days, e.g. {"Admin":90}; roles not listed never expire
+    minStrengthScore: parseInt(process.env.PASSWORD_MIN_STRENGTH_SCORE || '1', 10), // 0 (trivial) to 4 (very strong), zxcvbn-style estimate
+    breachFilterFile: process.env.PASSWORD_BREACH_FILTER_FILE || 'data/breached-passwords.bloom', // Built with npm run breach:build
+  },
+
+  // Login Risk Configuration (new-device and suspicious-login detection)
+  loginRisk: {
+    // Score at or above which the user is alerted, a second factor is required, or the login is refused
+    alertThreshold: parseInt(process.env.LOGIN_RISK_ALERT_THRESHOLD || '30', 10),
+    mfaThreshold: parseInt(process.env.LOGIN_RISK_MFA_THRESHOLD || '50', 10),
+    blockThreshold: parseInt(process.env.LOGIN_RISK_BLOCK_THRESHOLD || '90', 10),
+    historyDays: parseInt(process.env.LOGIN_RISK_HISTORY_DAYS || '180', 10), // How long devices and networks are remembered
+    rapidChangeWindow: parseInt(process.env.LOGIN_RISK_RAPID_CHANGE_WINDOW || '900', 10), // Seconds; a new network this soon after the last login is suspicious
+    timezone: process.env.LOGIN_RISK_TIMEZONE || 'Asia/Kolkata', // Used to bucket login hours
+  },
+
+  // Login Throttle Configuration (progressive backoff and credential-stuffing defence)
+  loginThrottle: {
+    accountFailureWindow: parseInt(process.env.LOGIN_ACCOUNT_FAILURE_WINDOW || '86400', 10), // Seconds without failures before an account's count resets
+    ipMaxFailedAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20', 10),
+    ipBackoffBase: parseInt(process.env.LOGIN_IP_BACKOFF_BASE || '60', 10), // Seconds, doubled on each further failure
+    ipBackoffMax: parseInt(process.env.LOGIN_IP_BACKOFF_MAX || '3600', 10),
+    ipFailureWindow: parseInt(process.env.LOGIN_IP_FAILURE_WINDOW || '900', 10),
+    // Failed logins across all accounts within the window that switch on defence mode
+    velocityThreshold: parseInt(process.env.LOGIN_VELOCITY_THRESHOLD || '200', 10),
+    velocityWindow: parseInt(process.env.LOGIN_VELOCITY_WINDOW || '300', 10),
+    defenceDuration: parseInt(process.env.LOGIN_DEFENCE_DURATION || '1800', 10), // Extended while failures stay above the threshold
+    // Stricter limits while defence mode is on
+    defenceMaxFailedAttempts: parseInt(process.env.LOGIN_DEFENCE_MAX_FAILED_ATTEMPTS || '3', 10),
+    defenceIpMaxFailedAttempts: parseInt(process.env.LOGIN_DEFENCE_IP_MAX_FAILED_ATTEMPTS || '5', 10),
+    defenceAuthMaxRequests: parseInt(process.env.LOGIN_DEFENCE_AUTH_RATE_LIMIT_MAX || '3', 10),
+  },
+
+  // Session Configuration (every access token is bound to a session)
+  session: {
+    idleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT || '259200', 10), // Seconds without a request before the session ends (3 days)
+    absoluteTimeout: parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT || '604800', 10), // Seconds after sign-in, whatever the activity (7 days)
+    activityUpdateInterval: parseInt(process.env.SESSION_ACTIVITY_UPDATE_INTERVAL || '60', 10), // Seconds between last_activity writes
+    deviceTrustDays: parseInt(process.env.DEVICE_TRUST_DAYS || '30', 10), // Days a device the user marks trusted skips their MFA
+  },
+
+  // Impersonation Configuration ("view as user" for support staff)
+  impersonation: {
+    tokenExpiry: parseInt(process.env.IMPERSONATION_TOKEN_EXPIRY || '900', 10), // Seconds; no refresh token is issued
+    targetRoles: (process.env.IMPERSONATION_TARGET_ROLES || 'Student,Parent').split(',').map(role => role.trim()).filter(Boolean),
+    // Campus codes whose Admins may impersonate users of their own campus (Super_Admins always can)
+    adminCampuses: (process.env.IMPERSONATION_ADMIN_CAMPUSES || '').split(',').map(code => code.trim().toUpperCase()).filter(Boolean),
+  },
+
+  // API Key Configuration (service accounts for machine-to-machine integrations)
+  apiKeys: {
+    prefix: process.env.API_KEY_PREFIX || 'mssu', // First part of every key, so leaked keys are easy to search for
+    defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT || '600', 10), // Requests per minute when a key sets none
+    maxLifetimeDays: parseInt(process.env.API_KEY_MAX_LIFETIME_DAYS || '365', 10),
+    lastUsedInterval: parseInt(process.env.API_KEY_LAST_USED_INTERVAL || '60', 10), // Seconds between last_used_at writes
   },
 
   // CORS Configuration
@@ -113,6 +247,30 @@ const config = {
 const validateConfig = () => {
   const errors = [];
 
+  if (!['HS256', 'RS256', 'ES256'].includes(config.jwt.algorithm)) {
+    errors.push('JWT_ALGORITHM must be one of: HS256, RS256, ES256');
+  }
+
+  try {
+    JSON.parse(config.ldap.roleMapping);
+  } catch {
+    errors.push('LDAP_ROLE_MAPPING must be a JSON object');
+  }
+
+  try {
+    JSON.parse(config.passwordPolicy.expiryDays);
+  } catch {
+    errors.push('PASSWORD_EXPIRY_DAYS must be a JSON object');
+  }
+
+  if (!['bcrypt', 'argon2id'].includes(config.security.passwordHashAlgorithm)) {
+    errors.push('PASSWORD_HASH_ALGORITHM must be one of: bcrypt, argon2id');
+  }
+
+  if (!(config.passwordPolicy.minStrengthScore >= 0 && config.passwordPolicy.minStrengthScore <= 4)) {
+    errors.push('PASSWORD_MIN_STRENGTH_SCORE must be between 0 and 4');
+  }
+
   if (config.nodeEnv === 'production') {
     if (config.jwt.secret === 'your-secret-key-change-in-production') {
       errors.push('JWT_SECRET must be set in production');
@@ -120,6 +278,9 @@ const validateConfig = () => {
     if (config.encryption.key === 'change-this-32-byte-key-in-prod') {
       errors.push('ENCRYPTION_KEY must be set in production');
     }
+    if (config.encryption.blindIndexKey === 'change-this-blind-index-key-in-prod') {
+      errors.push('BLIND_INDEX_KEY must be set in production');
+    }
     if (!config.database.password || config.database.password === 'postgres') {
       errors.push('DB_PASSWORD must be set in production');
     }
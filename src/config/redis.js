@@ -77,6 +77,42 @@ const gracefulShutdown = async () => {
   }
 };
 
+// Serialize a value the way redisHelpers.set stores it
+const serialize = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Parse a stored value the way redisHelpers.get returns it
+const deserialize = (value) => {
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// Queue one [command, key, ...args] entry of redisHelpers.multi on a transaction
+const queueCommand = (transaction, [command, key, ...args]) => {
+  switch (command) {
+    case 'set':
+      return args[1]
+        ? transaction.setEx(key, args[1], serialize(args[0]))
+        : transaction.set(key, serialize(args[0]));
+    case 'setIfExists':
+      return transaction.set(key, serialize(args[0]), args[1] ? { XX: true, EX: args[1] } : { XX: true });
+    case 'del':
+      return transaction.del(key);
+    case 'expire':
+      return transaction.expire(key, args[0]);
+    case 'zAdd':
+      return transaction.zAdd(key, { score: args[0], value: args[1] });
+    case 'zRem':
+      return transaction.zRem(key, args[0]);
+    default:
+      throw new Error(`Unsupported MULTI command: ${command}`);
+  }
+};
+
 // Helper functions for common Redis operations
 const redisHelpers = {
   // Set key with optional expiry (in seconds)
@@ -95,24 +131,57 @@ const redisHelpers = {
     }
   },
 
+  // Set key only if it does not already exist (atomic claim), with optional expiry.
+  // Returns false if the key exists and null if Redis failed, so a claim can tell the two apart
+  async setIfNotExists(key, value, expirySeconds = null) {
+    try {
+      const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      const options = expirySeconds ? { NX: true, EX: expirySeconds } : { NX: true };
+      const result = await redisClient.set(key, stringValue, options);
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Redis SET NX error for key ${key}:`, error.message);
+      return null;
+    }
+  },
+
+  // Set key only if it still exists (never recreates a deleted key), with optional expiry
+  async setIfExists(key, value, expirySeconds = null) {
+    try {
+      const options = expirySeconds ? { XX: true, EX: expirySeconds } : { XX: true };
+      const result = await redisClient.set(key, serialize(value), options);
+      return result === 'OK';
+    } catch (error) {
+      console.error(`Redis SET XX error for key ${key}:`, error.message);
+      return false;
+    }
+  },
+
   // Get key value
   async get(key) {
     try {
       const value = await redisClient.get(key);
-      if (!value) return null;
-      
-      // Try to parse as JSON, return as string if parsing fails
-      try {
-        return JSON.parse(value);
-      } catch {
-        return value;
-      }
+
+      // Parsed as JSON, or returned as a string if parsing fails
+      return deserialize(value);
     } catch (error) {
       console.error(`Redis GET error for key ${key}:`, error.message);
       return null;
     }
   },
 
+  // Get and delete key in one atomic step (GETDEL), so only one caller can claim a single-use value
+  async getDel(key) {
+    try {
+      const value = await redisClient.getDel(key);
+
+      return deserialize(value);
+    } catch (error) {
+      console.error(`Redis GETDEL error for key ${key}:`, error.message);
+      return null;
+    }
+  },
+
   // Delete key
   async del(key) {
     try {
@@ -166,7 +235,92 @@ const redisHelpers = {
     }
   },
 
-  // Get all keys matching pattern
+  // Get several keys in one round trip (null for missing keys)
+  async mGet(keys) {
+    try {
+      const values = await redisClient.mGet(keys);
+      return values.map(deserialize);
+    } catch (error) {
+      console.error(`Redis MGET error for ${keys.length} keys:`, error.message);
+      return keys.map(() => null);
+    }
+  },
+
+  // Add a sorted set member or update its score
+  async zAdd(key, score, member) {
+    try {
+      await redisClient.zAdd(key, { score, value: member });
+      return true;
+    } catch (error) {
+      console.error(`Redis ZADD error for key ${key}:`, error.message);
+      return false;
+    }
+  },
+
+  // Remove sorted set members
+  async zRem(key, members) {
+    try {
+      return await redisClient.zRem(key, members);
+    } catch (error) {
+      console.error(`Redis ZREM error for key ${key}:`, error.message);
+      return 0;
+    }
+  },
+
+  // Get sorted set members from the highest score to the lowest
+  async zRevRange(key, start = 0, stop = -1) {
+    try {
+      return await redisClient.zRange(key, start, stop, { REV: true });
+    } catch (error) {
+      console.error(`Redis ZRANGE error for key ${key}:`, error.message);
+      return [];
+    }
+  },
+
+  // Count sorted set members
+  async zCard(key) {
+    try {
+      return await redisClient.zCard(key);
+    } catch (error) {
+      console.error(`Redis ZCARD error for key ${key}:`, error.message);
+      return 0;
+    }
+  },
+
+  // Remove sorted set members scored between min and max ('-inf' and '+inf' allowed)
+  async zRemRangeByScore(key, min, max) {
+    try {
+      return await redisClient.zRemRangeByScore(key, min, max);
+    } catch (error) {
+      console.error(`Redis ZREMRANGEBYSCORE error for key ${key}:`, error.message);
+      return 0;
+    }
+  },
+
+  // Run commands atomically in a MULTI/EXEC transaction.
+  // Each command is [name, key, ...args] with the arguments of the helper of the same name:
+  // set, setIfExists, del, expire, zAdd, zRem. Returns the raw replies, or null if it failed.
+  async multi(commands) {
+    try {
+      const transaction = redisClient.multi();
+      commands.forEach((command) => queueCommand(transaction, command));
+      return await transaction.exec();
+    } catch (error) {
+      console.error(`Redis MULTI error for ${commands.length} commands:`, error.message);
+      return null;
+    }
+  },
+
+  // Iterate keys matching pattern in batches with SCAN, which (unlike KEYS) does not block Redis
+  async *scan(pattern, count = 1000) {
+    for await (const keys of redisClient.scanIterator({ MATCH: pattern, COUNT: count })) {
+      if (keys.length > 0) {
+        yield keys;
+      }
+    }
+  },
+
+  // Get all keys matching pattern (walks the whole keyspace and blocks Redis meanwhile; prefer scan)
   async keys(pattern) {
     try {
       return await redisClient.keys(pattern);
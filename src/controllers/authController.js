@@ -1,5 +1,47 @@
 import * as authService from '../services/authService.js';
 import * as userService from '../services/userService.js';
+import * as federationService from '../services/federationService.js';
+import * as loginRiskService from '../services/loginRiskService.js';
+import { SERVICE_ACCOUNT_CREATABLE_ROLES } from '../services/apiKeyService.js';
+import { getDeviceId, sendDeviceId } from '../utils/deviceId.js';
+
+/**
+ * Send the response for a completed first factor: session tokens, or an MFA challenge
+ * @param {Object} res - Express response
+ * @param {Object} result - Result from authService login functions
+ */
+const sendLoginResponse = (res, result) => {
+  if (result.mfaRequired) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        mfaRequired: true,
+        mfaToken: result.mfaToken,
+        methods: result.methods,
+        expiresIn: result.expiresIn
+      },
+      message: 'MFA verification required'
+    });
+  }
+
+  // Temporary or expired password: the tokens only reach the change-password route
+  const passwordChangeRequired = Boolean(result.user.must_change_password);
+
+  // Browsers keep the device identifier in a cookie; apps store it from the response
+  sendDeviceId(res, result.deviceId);
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      user: result.user,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      deviceId: result.deviceId,
+      ...(passwordChangeRequired && { passwordChangeRequired })
+    },
+    message: passwordChangeRequired ? 'Login successful. Change your password to continue' : 'Login successful'
+  });
+};
 
 /**
  * Register a new user (Admin/Super_Admin only)
@@ -7,7 +49,7 @@ import * as userService from '../services/userService.js';
  */
 export const register = async (req, res) => {
   try {
-    const { email, password, name, phone, role, campus_id, profile_picture_url, address } = req.body;
+    const { email, password, name, phone, role, campus_id, profile_picture_url, address, must_change_password } = req.body;
 
     // Validate required fields
     if (!email || !password || !name || !phone || !role || !campus_id) {
@@ -20,12 +62,22 @@ export const register = async (req, res) => {
       });
     }
 
-    // Get the admin ID from authenticated user
+    if (req.apiKey && !SERVICE_ACCOUNT_CREATABLE_ROLES.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `API keys can only create ${SERVICE_ACCOUNT_CREATABLE_ROLES.join(', ')} accounts`
+        }
+      });
+    }
+
+    // Get the admin ID from authenticated user (null for service accounts)
     const createdBy = req.user ? req.user.id : null;
 
     // Create user
     const user = await userService.createUser(
-      { email, password, name, phone, role, campus_id, profile_picture_url, address },
+      { email, password, name, phone, role, campus_id, profile_picture_url, address, must_change_password },
       createdBy
     );
 
@@ -72,9 +124,10 @@ export const login = async (req, res) => {
     const context = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
       deviceInfo: {
         device_type: req.body.device_type || 'web',
-        device_name: req.body.device_name || 'Unknown Device',
+        device_name: req.body.device_name,
         user_agent: req.get('user-agent')
       }
     };
@@ -82,28 +135,27 @@ export const login = async (req, res) => {
     // Authenticate user
     const result = await authService.authenticateWithPassword(email, password, context);
 
-    return res.status(200).json({
-      success: true,
-      data: {
-        user: result.user,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken
-      },
-      message: 'Login successful'
-    });
+    return sendLoginResponse(res, result);
   } catch (error) {
     console.error('Login error:', error);
 
     const statusCode = error.code === 'INVALID_CREDENTIALS' ? 401 :
-                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' ? 403 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'LOGIN_BLOCKED' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
+                       error.code === 'LOGIN_THROTTLED' ? 429 :
+                       error.code === 'DIRECTORY_UNAVAILABLE' ? 503 :
                        500;
 
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
     return res.status(statusCode).json({
       success: false,
       error: {
         code: error.code || 'INTERNAL_ERROR',
         message: error.message || 'An error occurred during login',
-        ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
+        ...(error.lockedUntil && { lockedUntil: error.lockedUntil }),
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
       }
     });
   }
@@ -149,7 +201,7 @@ export const requestOTP = async (req, res) => {
 
     const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
-                       error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_LOCKED' ? 403 :
+                       error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_PENDING' ? 403 :
                        error.code === 'OTP_RATE_LIMIT' ? 429 :
                        500;
 
@@ -187,9 +239,10 @@ export const loginWithOTP = async (req, res) => {
     const context = {
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
       deviceInfo: {
         device_type: req.body.device_type || 'mobile',
-        device_name: req.body.device_name || 'Unknown Device',
+        device_name: req.body.device_name,
         user_agent: req.get('user-agent')
       }
     };
@@ -197,36 +250,324 @@ export const loginWithOTP = async (req, res) => {
     // Verify OTP and authenticate
     const result = await authService.verifyOTP(phone, otp, context);
 
+    return sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('Login with OTP error:', error);
+
+    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+                       error.code === 'OTP_INVALID' ? 401 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'LOGIN_BLOCKED' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during OTP verification',
+        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining }),
+        ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
+      }
+    });
+  }
+};
+
+/**
+ * Request a passwordless login link by email
+ * @route POST /api/v1/auth/magic-link/request
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await authService.requestMagicLink(email, context);
+
     return res.status(200).json({
       success: true,
       data: {
-        user: result.user,
-        accessToken: result.accessToken,
-        refreshToken: result.refreshToken
+        deviceToken: result.deviceToken,
+        expiresAt: result.expiresAt
       },
-      message: 'Login successful'
+      message: result.message
     });
   } catch (error) {
-    console.error('Login with OTP error:', error);
+    console.error('Request magic link error:', error);
+
+    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 : 500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while sending the sign-in link'
+      }
+    });
+  }
+};
+
+/**
+ * Complete a passwordless login from the emailed link
+ * @route POST /api/v1/auth/magic-link/verify
+ */
+export const loginWithMagicLink = async (req, res) => {
+  try {
+    const { token, deviceToken } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
+      deviceInfo: {
+        device_type: req.body.device_type || 'web',
+        device_name: req.body.device_name,
+        user_agent: req.get('user-agent')
+      }
+    };
+
+    const result = await authService.verifyMagicLink(token, deviceToken, context);
+
+    return sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('Login with magic link error:', error);
 
     const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
-                       error.code === 'OTP_INVALID' ? 401 :
+                       error.code === 'MAGIC_LINK_INVALID' || error.code === 'MAGIC_LINK_DEVICE_MISMATCH' ? 401 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
-                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' ? 403 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'LOGIN_BLOCKED' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
                        500;
 
     return res.status(statusCode).json({
       success: false,
       error: {
         code: error.code || 'INTERNAL_ERROR',
-        message: error.message || 'An error occurred during OTP verification',
-        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining }),
+        message: error.message || 'An error occurred during sign-in',
         ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
       }
     });
   }
 };
 
+/**
+ * Exchange the one-time code from a federated login callback for a session
+ * @route POST /api/v1/federation/exchange
+ */
+export const loginWithFederation = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
+      deviceInfo: {
+        device_type: req.body.device_type || 'web',
+        device_name: req.body.device_name,
+        user_agent: req.get('user-agent')
+      }
+    };
+
+    const result = await federationService.exchangeLoginCode(code, context);
+
+    return sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('Login with federation error:', error);
+
+    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+                       error.code === 'FEDERATION_CODE_INVALID' ? 401 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'LOGIN_BLOCKED' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during sign-in',
+        ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
+      }
+    });
+  }
+};
+
+/**
+ * Send an emailed or SMS MFA code to complete login
+ * @route POST /api/v1/auth/mfa/challenge
+ */
+export const challengeMFA = async (req, res) => {
+  try {
+    const { mfaToken, method } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await authService.requestLoginMFAChallenge(mfaToken, method, context);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        method: result.method,
+        expiresAt: result.expiresAt
+      },
+      message: `MFA code sent via ${result.method}`
+    });
+  } catch (error) {
+    console.error('MFA challenge error:', error);
+
+    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+                       error.code === 'TOKEN_INVALID' || error.code === 'TOKEN_EXPIRED' ? 401 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' ? 403 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       error.code === 'MFA_DELIVERY_FAILED' ? 503 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while sending MFA code'
+      }
+    });
+  }
+};
+
+/**
+ * Verify the second factor and complete login
+ * @route POST /api/v1/auth/mfa/verify
+ */
+export const verifyMFA = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
+      ...(req.body.device_type && {
+        deviceInfo: {
+          device_type: req.body.device_type,
+          device_name: req.body.device_name,
+          user_agent: req.get('user-agent')
+        }
+      })
+    };
+
+    const result = await authService.verifyLoginMFA(mfaToken, code, context);
+
+    return sendLoginResponse(res, result);
+  } catch (error) {
+    console.error('MFA verify error:', error);
+
+    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+                       error.code === 'MFA_INVALID' || error.code === 'TOKEN_INVALID' || error.code === 'TOKEN_EXPIRED' ? 401 :
+                       error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during MFA verification',
+        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+      }
+    });
+  }
+};
+
+/**
+ * Send an emailed or SMS MFA code ahead of a sensitive operation
+ * @route POST /api/v1/auth/mfa/step-up
+ */
+export const requestStepUpMFA = async (req, res) => {
+  try {
+    const { method } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await authService.requestStepUpMFA(req.user.id, method, context);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        method: result.method,
+        expiresAt: result.expiresAt
+      },
+      message: `MFA code sent via ${result.method}`
+    });
+  } catch (error) {
+    console.error('Step-up MFA request error:', error);
+
+    const statusCode = error.code === 'USER_NOT_FOUND' ? 404 :
+                       error.code === 'MFA_DELIVERY_FAILED' ? 503 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while sending MFA code'
+      }
+    });
+  }
+};
+
+/**
+ * Verify a second factor ahead of a sensitive operation
+ * @route POST /api/v1/auth/mfa/step-up/verify
+ */
+export const verifyStepUpMFA = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionId
+    };
+
+    const result = await authService.verifyStepUpMFA(req.user.id, code, context);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        method: result.method,
+        verifiedUntil: result.verifiedUntil
+      },
+      message: 'MFA verified successfully'
+    });
+  } catch (error) {
+    console.error('Step-up MFA verify error:', error);
+
+    const statusCode = error.code === 'MFA_INVALID' ? 401 : 500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during MFA verification',
+        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+      }
+    });
+  }
+};
+
 /**
  * Refresh access token
  * @route POST /api/v1/auth/refresh
@@ -258,7 +599,8 @@ export const refreshToken = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        accessToken: result.accessToken
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
       },
       message: 'Token refreshed successfully'
     });
@@ -266,9 +608,10 @@ export const refreshToken = async (req, res) => {
     console.error('Refresh token error:', error);
 
     const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
-                       error.code === 'TOKEN_EXPIRED' || error.code === 'TOKEN_INVALID' ? 401 :
+                       error.code === 'TOKEN_EXPIRED' || error.code === 'TOKEN_INVALID' || error.code === 'REFRESH_TOKEN_REUSED' || error.code === 'SESSION_EVICTED' ? 401 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
-                       error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_LOCKED' ? 403 :
+                       error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_PENDING' ? 403 :
+                       error.code === 'SERVICE_UNAVAILABLE' ? 503 :
                        500;
 
     return res.status(statusCode).json({
@@ -301,8 +644,8 @@ export const logout = async (req, res) => {
       });
     }
 
-    // Extract session ID if available
-    const sessionId = req.body.sessionId || null;
+    // The access token names its session; older clients may still send it in the body
+    const sessionId = req.sessionId || req.body.sessionId || null;
 
     // Extract request context
     const context = {
@@ -378,6 +721,41 @@ export const logoutAll = async (req, res) => {
   }
 };
 
+/**
+ * Sign out every device after a new sign-in alert ("this wasn't me")
+ * @route POST /api/v1/auth/sign-in/revoke
+ */
+export const revokeSuspiciousLogin = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await loginRiskService.revokeSuspiciousLogin(req.body.token, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'All devices were signed out. Reset your password now'
+    });
+  } catch (error) {
+    console.error('Revoke sign-in error:', error);
+
+    const statusCode = error.code === 'SIGN_IN_REVOKE_TOKEN_INVALID' ? 400 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while signing out your devices'
+      }
+    });
+  }
+};
+
 /**
  * Request password reset
  * @route POST /api/v1/auth/password/forgot
@@ -458,7 +836,7 @@ export const resetPassword = async (req, res) => {
   } catch (error) {
     console.error('Reset password error:', error);
 
-    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+    const statusCode = error.code === 'VALIDATION_ERROR' || error.code === 'PASSWORD_REUSED' ? 400 :
                        error.code === 'RESET_TOKEN_INVALID' ? 400 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
                        500;
@@ -509,7 +887,8 @@ export const changePassword = async (req, res) => {
     // Extract request context
     const context = {
       ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent')
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionId
     };
 
     // Change password
@@ -522,7 +901,7 @@ export const changePassword = async (req, res) => {
   } catch (error) {
     console.error('Change password error:', error);
 
-    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+    const statusCode = error.code === 'VALIDATION_ERROR' || error.code === 'PASSWORD_REUSED' ? 400 :
                        error.code === 'INVALID_CREDENTIALS' ? 401 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
                        500;
@@ -543,9 +922,17 @@ export default {
   login,
   requestOTP,
   loginWithOTP,
+  requestMagicLink,
+  loginWithMagicLink,
+  loginWithFederation,
+  challengeMFA,
+  verifyMFA,
+  requestStepUpMFA,
+  verifyStepUpMFA,
   refreshToken,
   logout,
   logoutAll,
+  revokeSuspiciousLogin,
   forgotPassword,
   resetPassword,
   changePassword
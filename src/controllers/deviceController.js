@@ -0,0 +1,173 @@
+import * as deviceService from '../services/deviceService.js';
+
+/**
+ * Map device error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' ? 400 :
+         error.code === 'DEVICE_NOT_FOUND' ? 404 :
+         500;
+};
+
+/**
+ * List the current user's devices with their active sessions
+ * @route GET /api/v1/profile/devices
+ */
+export const listDevices = async (req, res) => {
+  try {
+    const devices = await deviceService.listDevices(req.user.id, req.sessionId);
+
+    return res.status(200).json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('List devices error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving devices'
+      }
+    });
+  }
+};
+
+/**
+ * Rename one of the current user's devices
+ * @route PATCH /api/v1/profile/devices/:id
+ */
+export const renameDevice = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const device = await deviceService.renameDevice(req.user.id, req.params.id, req.body.name, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { device },
+      message: 'Device renamed successfully'
+    });
+  } catch (error) {
+    console.error('Rename device error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while renaming device'
+      }
+    });
+  }
+};
+
+/**
+ * Mark one of the current user's devices as trusted
+ * @route POST /api/v1/profile/devices/:id/trust
+ */
+export const trustDevice = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const device = await deviceService.setDeviceTrust(req.user.id, req.params.id, true, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { device },
+      message: 'Device trusted successfully'
+    });
+  } catch (error) {
+    console.error('Trust device error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while trusting device'
+      }
+    });
+  }
+};
+
+/**
+ * Stop trusting one of the current user's devices
+ * @route DELETE /api/v1/profile/devices/:id/trust
+ */
+export const untrustDevice = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const device = await deviceService.setDeviceTrust(req.user.id, req.params.id, false, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { device },
+      message: 'Device is no longer trusted'
+    });
+  } catch (error) {
+    console.error('Untrust device error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while updating device trust'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's devices and sign out all of its sessions
+ * @route DELETE /api/v1/profile/devices/:id
+ */
+export const revokeDevice = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const { sessionsRevoked } = await deviceService.revokeDevice(req.user.id, req.params.id, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { sessionsRevoked },
+      message: 'Device revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while revoking device'
+      }
+    });
+  }
+};
+
+export default {
+  listDevices,
+  renameDevice,
+  trustDevice,
+  untrustDevice,
+  revokeDevice
+};
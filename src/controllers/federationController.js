@@ -0,0 +1,290 @@
+import * as federationService from '../services/federationService.js';
+
+/**
+ * Map federation error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' ? 400 :
+         error.code === 'PROVIDER_NOT_FOUND' || error.code === 'IDENTITY_NOT_FOUND' || error.code === 'CAMPUS_NOT_FOUND' ? 404 :
+         error.code === 'PROVIDER_EXISTS' ? 409 :
+         error.code === 'FEDERATION_PROVIDER_ERROR' ? 502 :
+         500;
+};
+
+/**
+ * List active identity providers for the login page
+ * @route GET /api/v1/federation/providers
+ */
+export const listProviders = async (req, res) => {
+  try {
+    const providers = await federationService.listProviders({ campus_id: req.query.campus_id });
+
+    return res.status(200).json({
+      success: true,
+      data: { providers }
+    });
+  } catch (error) {
+    console.error('List identity providers error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing identity providers'
+      }
+    });
+  }
+};
+
+/**
+ * Get an identity provider's settings (Super_Admin only)
+ * @route GET /api/v1/federation/providers/:id
+ */
+export const getProvider = async (req, res) => {
+  try {
+    const provider = await federationService.getProvider(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { provider }
+    });
+  } catch (error) {
+    console.error('Get identity provider error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving the identity provider'
+      }
+    });
+  }
+};
+
+/**
+ * Configure an identity provider for a campus (Super_Admin only)
+ * @route POST /api/v1/federation/providers
+ */
+export const createProvider = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const provider = await federationService.createProvider(req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: { provider },
+      message: 'Identity provider created. Register the callback URL (or entity ID) with the provider'
+    });
+  } catch (error) {
+    console.error('Create identity provider error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while creating the identity provider'
+      }
+    });
+  }
+};
+
+/**
+ * Update or disable an identity provider (Super_Admin only)
+ * @route PATCH /api/v1/federation/providers/:id
+ */
+export const updateProvider = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const provider = await federationService.updateProvider(req.params.id, req.body, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { provider },
+      message: 'Identity provider updated'
+    });
+  } catch (error) {
+    console.error('Update identity provider error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while updating the identity provider'
+      }
+    });
+  }
+};
+
+/**
+ * SAML service provider metadata
+ * @route GET /api/v1/federation/:slug/metadata
+ */
+export const getMetadata = async (req, res) => {
+  try {
+    const metadata = await federationService.getProviderMetadata(req.params.slug);
+
+    return res.status(200).type('application/samlmetadata+xml').send(metadata);
+  } catch (error) {
+    console.error('Get provider metadata error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while generating metadata'
+      }
+    });
+  }
+};
+
+/**
+ * Redirect the browser to the identity provider to sign in
+ * @route GET /api/v1/federation/:slug/login
+ */
+export const startLogin = async (req, res) => {
+  try {
+    const { url } = await federationService.startFederatedLogin(req.params.slug);
+
+    return res.redirect(302, url);
+  } catch (error) {
+    console.error('Start federated login error:', error);
+
+    return res.redirect(302, federationService.getFrontendRedirectUrl({ error: error.code || 'FEDERATION_ERROR' }));
+  }
+};
+
+/**
+ * Start linking an identity provider account to the signed-in user
+ * @route POST /api/v1/federation/:slug/link
+ */
+export const startLink = async (req, res) => {
+  try {
+    const result = await federationService.startFederatedLogin(req.params.slug, {
+      intent: 'link',
+      userId: req.user.id
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl: result.url,
+        expiresAt: result.expiresAt
+      },
+      message: 'Continue at the identity provider to link your account'
+    });
+  } catch (error) {
+    console.error('Start identity link error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while starting the link'
+      }
+    });
+  }
+};
+
+/**
+ * Identity provider callback (OIDC query string or SAML HTTP-POST form).
+ * Always redirects to the front-end with a one-time code, a linked flag or an error code.
+ * @route GET|POST /api/v1/federation/:slug/callback
+ */
+export const handleCallback = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const params = req.method === 'POST' ? req.body : req.query;
+    const result = await federationService.handleFederatedCallback(req.params.slug, params, context);
+
+    return res.redirect(302, result.redirectUrl);
+  } catch (error) {
+    console.error('Federated callback error:', error);
+
+    return res.redirect(302, federationService.getFrontendRedirectUrl({ error: error.code || 'FEDERATION_ERROR' }));
+  }
+};
+
+/**
+ * List the identity provider accounts linked to the signed-in user
+ * @route GET /api/v1/federation/identities
+ */
+export const listIdentities = async (req, res) => {
+  try {
+    const identities = await federationService.listLinkedIdentities(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { identities }
+    });
+  } catch (error) {
+    console.error('List linked identities error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing linked identities'
+      }
+    });
+  }
+};
+
+/**
+ * Unlink an identity provider account from the signed-in user
+ * @route DELETE /api/v1/federation/identities/:id
+ */
+export const unlinkIdentity = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+    await federationService.unlinkIdentity(req.user.id, req.params.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Identity unlinked'
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while unlinking the identity'
+      }
+    });
+  }
+};
+
+export default {
+  listProviders,
+  getProvider,
+  createProvider,
+  updateProvider,
+  getMetadata,
+  startLogin,
+  startLink,
+  handleCallback,
+  listIdentities,
+  unlinkIdentity
+};
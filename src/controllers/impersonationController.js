@@ -0,0 +1,91 @@
+import * as impersonationService from '../services/impersonationService.js';
+
+/**
+ * Map impersonation error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' ? 400 :
+         error.code === 'IMPERSONATION_NOT_ALLOWED' ? 403 :
+         error.code === 'USER_NOT_FOUND' ? 404 :
+         500;
+};
+
+/**
+ * Start impersonating a user (Super_Admin, or Admin on an allowed campus)
+ * @route POST /api/v1/impersonation
+ */
+export const startImpersonation = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await impersonationService.startImpersonation(
+      req.user,
+      req.body.user_id,
+      req.body.reason,
+      context
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Impersonation started. The token is read-only and expires automatically'
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while starting the impersonation'
+      }
+    });
+  }
+};
+
+/**
+ * End the impersonation the request's token belongs to
+ * @route POST /api/v1/impersonation/end
+ */
+export const endImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NOT_IMPERSONATING',
+          message: 'This token is not an impersonation token'
+        }
+      });
+    }
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await impersonationService.endImpersonation(req.impersonation, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while ending the impersonation'
+      }
+    });
+  }
+};
@@ -0,0 +1,30 @@
+import { getJWKS } from '../services/keyService.js';
+
+/**
+ * Publish the public signing keys as a JSON Web Key Set
+ * @route GET /.well-known/jwks.json
+ */
+export const getKeySet = async (req, res) => {
+  try {
+    const jwks = getJWKS();
+
+    // Let verifiers cache the key set; rotated keys are published well before they expire
+    res.set('Cache-Control', 'public, max-age=300');
+
+    return res.status(200).json(jwks);
+  } catch (error) {
+    console.error('Get JWKS error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An error occurred while retrieving signing keys'
+      }
+    });
+  }
+};
+
+export default {
+  getKeySet
+};
@@ -0,0 +1,398 @@
+import * as oidcService from '../services/oidcService.js';
+
+// Token endpoint errors are returned in RFC 6749 format (error, error_description)
+const TOKEN_ENDPOINT_ERRORS = ['INVALID_REQUEST', 'INVALID_CLIENT', 'INVALID_GRANT', 'UNSUPPORTED_GRANT_TYPE'];
+
+// Introspection (RFC 7662) and revocation (RFC 7009) errors use the same format
+const CLIENT_ENDPOINT_ERRORS = ['INVALID_REQUEST', 'INVALID_CLIENT', 'UNAUTHORIZED_CLIENT'];
+
+/**
+ * Map OpenID Connect error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' || error.code === 'INVALID_CLIENT' || error.code === 'INVALID_REDIRECT_URI' ||
+         error.code === 'INVALID_SCOPE' || error.code === 'INVALID_REQUEST' || error.code === 'UNSUPPORTED_RESPONSE_TYPE' ? 400 :
+         error.code === 'ACCESS_DENIED' ? 403 :
+         error.code === 'CLIENT_NOT_FOUND' || error.code === 'USER_NOT_FOUND' ? 404 :
+         500;
+};
+
+/**
+ * Extract client credentials from HTTP Basic auth (client_secret_basic) or the body (client_secret_post)
+ * @param {Object} req - Express request
+ * @returns {Object} { clientId, clientSecret }
+ * @throws {Error} INVALID_CLIENT when the Basic credentials are not correctly URL-encoded
+ */
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator > 0) {
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.substring(0, separator)),
+          clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+        };
+      } catch {
+        // A malformed percent-escape is a client authentication failure, not a server error
+        const error = new Error('Client credentials are not correctly URL-encoded');
+        error.code = 'INVALID_CLIENT';
+        throw error;
+      }
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
+
+/**
+ * Get consent screen data for an authorization request
+ * @route GET /api/v1/oauth/authorize
+ */
+export const getAuthorizationRequest = async (req, res) => {
+  try {
+    const request = await oidcService.getAuthorizationRequest(req.user.id, req.query);
+
+    return res.status(200).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Get authorization request error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while validating the authorization request',
+        ...(error.redirectUrl && { redirectUrl: error.redirectUrl })
+      }
+    });
+  }
+};
+
+/**
+ * Approve or deny an authorization request
+ * @route POST /api/v1/oauth/authorize
+ */
+export const authorize = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = req.body.approve === true
+      ? await oidcService.approveAuthorization(req.user.id, req.body, context)
+      : await oidcService.denyAuthorization(req.user.id, req.body, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { redirectUrl: result.redirectUrl },
+      message: req.body.approve === true ? 'Authorization granted' : 'Authorization denied'
+    });
+  } catch (error) {
+    console.error('Authorize error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during authorization',
+        ...(error.redirectUrl && { redirectUrl: error.redirectUrl })
+      }
+    });
+  }
+};
+
+/**
+ * Token endpoint (authorization_code and refresh_token grants)
+ * @route POST /api/v1/oauth/token
+ */
+export const token = async (req, res) => {
+  // Token responses must never be cached
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+  try {
+    const { clientId, clientSecret } = getClientCredentials(req);
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const params = { ...req.body, client_id: clientId, client_secret: clientSecret };
+    let result;
+
+    if (req.body.grant_type === 'authorization_code') {
+      result = await oidcService.exchangeAuthorizationCode(params, context);
+    } else if (req.body.grant_type === 'refresh_token') {
+      result = await oidcService.refreshClientToken(params, context);
+    } else {
+      const error = new Error('grant_type must be authorization_code or refresh_token');
+      error.code = 'UNSUPPORTED_GRANT_TYPE';
+      throw error;
+    }
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('OAuth token error:', error);
+
+    if (!TOKEN_ENDPOINT_ERRORS.includes(error.code)) {
+      return res.status(500).json({
+        error: 'server_error',
+        error_description: 'An error occurred while issuing tokens'
+      });
+    }
+
+    if (error.code === 'INVALID_CLIENT' && req.headers.authorization) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+
+    return res.status(error.code === 'INVALID_CLIENT' ? 401 : 400).json({
+      error: error.code.toLowerCase(),
+      error_description: error.message
+    });
+  }
+};
+
+/**
+ * Token introspection endpoint for resource servers (RFC 7662)
+ * @route POST /api/v1/auth/introspect
+ */
+export const introspect = async (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+  try {
+    const { clientId, clientSecret } = getClientCredentials(req);
+
+    const result = await oidcService.introspectToken({
+      token: req.body.token,
+      token_type_hint: req.body.token_type_hint,
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Token introspection error:', error);
+
+    if (!CLIENT_ENDPOINT_ERRORS.includes(error.code)) {
+      return res.status(500).json({
+        error: 'server_error',
+        error_description: 'An error occurred while introspecting the token'
+      });
+    }
+
+    if (error.code === 'INVALID_CLIENT' && req.headers.authorization) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+
+    return res.status(error.code === 'INVALID_CLIENT' ? 401 : 400).json({
+      error: error.code.toLowerCase(),
+      error_description: error.message
+    });
+  }
+};
+
+/**
+ * Token revocation endpoint (RFC 7009)
+ * @route POST /api/v1/auth/revoke
+ */
+export const revoke = async (req, res) => {
+  try {
+    const { clientId, clientSecret } = getClientCredentials(req);
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await oidcService.revokeToken({
+      token: req.body.token,
+      token_type_hint: req.body.token_type_hint,
+      client_id: clientId,
+      client_secret: clientSecret
+    }, context);
+
+    // The response is the same whether or not the token was valid
+    return res.status(200).end();
+  } catch (error) {
+    console.error('Token revocation error:', error);
+
+    if (!CLIENT_ENDPOINT_ERRORS.includes(error.code)) {
+      return res.status(500).json({
+        error: 'server_error',
+        error_description: 'An error occurred while revoking the token'
+      });
+    }
+
+    if (error.code === 'INVALID_CLIENT' && req.headers.authorization) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+
+    return res.status(error.code === 'INVALID_CLIENT' ? 401 : 400).json({
+      error: error.code.toLowerCase(),
+      error_description: error.message
+    });
+  }
+};
+
+/**
+ * OpenID Connect UserInfo endpoint
+ * @route GET /api/v1/oauth/userinfo
+ */
+export const userInfo = async (req, res) => {
+  try {
+    const claims = await oidcService.getUserInfo(req.user.id, req.tokenScope);
+
+    return res.status(200).json(claims);
+  } catch (error) {
+    console.error('UserInfo error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving user info'
+      }
+    });
+  }
+};
+
+/**
+ * Register an OAuth client
+ * @route POST /api/v1/oauth/clients
+ */
+export const registerClient = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await oidcService.registerClient(req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        client: result.client,
+        clientSecret: result.clientSecret
+      },
+      message: 'OAuth client registered. Store the client secret now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    console.error('Register OAuth client error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while registering the client'
+      }
+    });
+  }
+};
+
+/**
+ * List OAuth clients
+ * @route GET /api/v1/oauth/clients
+ */
+export const listClients = async (req, res) => {
+  try {
+    const clients = await oidcService.listClients();
+
+    return res.status(200).json({
+      success: true,
+      data: { clients }
+    });
+  } catch (error) {
+    console.error('List OAuth clients error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving clients'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke an OAuth client
+ * @route DELETE /api/v1/oauth/clients/:id
+ */
+export const revokeClient = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await oidcService.revokeClient(req.params.id, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'OAuth client revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke OAuth client error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while revoking the client'
+      }
+    });
+  }
+};
+
+/**
+ * OpenID Provider discovery document
+ * @route GET /.well-known/openid-configuration
+ */
+export const getDiscoveryDocument = async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=3600');
+
+    return res.status(200).json(oidcService.getDiscoveryDocument());
+  } catch (error) {
+    console.error('OpenID configuration error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An error occurred while building the discovery document'
+      }
+    });
+  }
+};
+
+export default {
+  getAuthorizationRequest,
+  authorize,
+  token,
+  introspect,
+  revoke,
+  userInfo,
+  registerClient,
+  listClients,
+  revokeClient,
+  getDiscoveryDocument
+};
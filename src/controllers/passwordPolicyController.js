@@ -0,0 +1,164 @@
+import * as passwordPolicyService from '../services/passwordPolicyService.js';
+
+/**
+ * Map password policy error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' ? 400 :
+         error.code === 'POLICY_NOT_FOUND' || error.code === 'CAMPUS_NOT_FOUND' ? 404 :
+         error.code === 'POLICY_EXISTS' ? 409 :
+         500;
+};
+
+/**
+ * Password rules for a campus and role, so forms can show them before the user types
+ * @route GET /api/v1/password-policies/active
+ */
+export const getActiveRules = async (req, res) => {
+  try {
+    const rules = await passwordPolicyService.getPasswordRules({
+      campus_id: req.query.campus_id,
+      role: req.query.role
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get password rules error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving password rules'
+      }
+    });
+  }
+};
+
+/**
+ * List password policies (Super_Admin only)
+ * @route GET /api/v1/password-policies
+ */
+export const listPolicies = async (req, res) => {
+  try {
+    const policies = await passwordPolicyService.listPasswordPolicies({
+      campus_id: req.query.campus_id,
+      role: req.query.role
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('List password policies error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing password policies'
+      }
+    });
+  }
+};
+
+/**
+ * Create a password policy (Super_Admin only)
+ * @route POST /api/v1/password-policies
+ */
+export const createPolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const policy = await passwordPolicyService.createPasswordPolicy(req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: { policy },
+      message: 'Password policy created'
+    });
+  } catch (error) {
+    console.error('Create password policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while creating the password policy'
+      }
+    });
+  }
+};
+
+/**
+ * Update a password policy's rules (Super_Admin only)
+ * @route PATCH /api/v1/password-policies/:id
+ */
+export const updatePolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const policy = await passwordPolicyService.updatePasswordPolicy(req.params.id, req.body, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { policy },
+      message: 'Password policy updated'
+    });
+  } catch (error) {
+    console.error('Update password policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while updating the password policy'
+      }
+    });
+  }
+};
+
+/**
+ * Delete a password policy (Super_Admin only)
+ * @route DELETE /api/v1/password-policies/:id
+ */
+export const deletePolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await passwordPolicyService.deletePasswordPolicy(req.params.id, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password policy deleted'
+    });
+  } catch (error) {
+    console.error('Delete password policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while deleting the password policy'
+      }
+    });
+  }
+};
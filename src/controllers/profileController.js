@@ -1,5 +1,7 @@
 import * as userService from '../services/userService.js';
 import * as authService from '../services/authService.js';
+import * as mfaService from '../services/mfaService.js';
+import * as contactChangeService from '../services/contactChangeService.js';
 
 /**
  * Get current user's profile
@@ -190,7 +192,8 @@ export const changePassword = async (req, res) => {
     // Extract request context
     const context = {
       ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent')
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionId
     };
 
     // Change password
@@ -203,7 +206,7 @@ export const changePassword = async (req, res) => {
   } catch (error) {
     console.error('Change password error:', error);
 
-    const statusCode = error.code === 'VALIDATION_ERROR' ? 400 :
+    const statusCode = error.code === 'VALIDATION_ERROR' || error.code === 'PASSWORD_REUSED' ? 400 :
                        error.code === 'INVALID_CREDENTIALS' ? 401 :
                        error.code === 'USER_NOT_FOUND' ? 404 :
                        500;
@@ -219,9 +222,302 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Get MFA enrollment status for current user
+ * @route GET /api/v1/profile/mfa
+ */
+export const getMFAStatus = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    const mfa = await mfaService.getMFAEnrollment(userId);
+
+    return res.status(200).json({
+      success: true,
+      data: { mfa }
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+
+    const statusCode = error.code === 'USER_NOT_FOUND' ? 404 : 500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving MFA status'
+      }
+    });
+  }
+};
+
+/**
+ * Start authenticator-app (TOTP) enrollment
+ * @route POST /api/v1/profile/mfa/totp
+ */
+export const startTOTPEnrollment = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    const enrollment = await mfaService.startTOTPEnrollment(userId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        secret: enrollment.secret,
+        otpauthUrl: enrollment.otpauthUrl,
+        qrCode: enrollment.qrCode,
+        expiresAt: enrollment.expiresAt
+      },
+      message: 'Scan the QR code with your authenticator app and confirm with the first code'
+    });
+  } catch (error) {
+    console.error('Start TOTP enrollment error:', error);
+
+    const statusCode = error.code === 'MFA_ALREADY_ENROLLED' ? 409 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while starting MFA enrollment'
+      }
+    });
+  }
+};
+
+/**
+ * Confirm authenticator-app (TOTP) enrollment with the first code
+ * @route POST /api/v1/profile/mfa/totp/confirm
+ */
+export const confirmTOTPEnrollment = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await mfaService.confirmTOTPEnrollment(userId, code, context);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enrolledAt: result.enrolledAt
+      },
+      message: 'Authenticator app enrolled successfully'
+    });
+  } catch (error) {
+    console.error('Confirm TOTP enrollment error:', error);
+
+    const statusCode = error.code === 'MFA_INVALID' || error.code === 'MFA_ENROLLMENT_EXPIRED' ? 400 :
+                       error.code === 'USER_NOT_FOUND' ? 404 :
+                       500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while confirming MFA enrollment'
+      }
+    });
+  }
+};
+
+/**
+ * Map contact change error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getContactChangeStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' || error.code === 'CONTACT_CHANGE_TOKEN_INVALID' ? 400 :
+         error.code === 'OTP_INVALID' ? 401 :
+         error.code === 'USER_NOT_FOUND' || error.code === 'CONTACT_CHANGE_NOT_FOUND' ? 404 :
+         error.code === 'EMAIL_EXISTS' || error.code === 'PHONE_EXISTS' ? 409 :
+         error.code === 'OTP_RATE_LIMIT' ? 429 :
+         error.code === 'CONTACT_CHANGE_DELIVERY_FAILED' ? 503 :
+         500;
+};
+
+/**
+ * Request an email address or phone number change
+ * @route POST /api/v1/profile/contact-change
+ */
+export const requestContactChange = async (req, res) => {
+  try {
+    const { type, value } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await contactChangeService.requestContactChange(req.user.id, type, value, context);
+
+    return res.status(202).json({
+      success: true,
+      data: result,
+      message: type === 'email'
+        ? 'Confirmation link sent to the new email address'
+        : 'Verification code sent to the new phone number'
+    });
+  } catch (error) {
+    console.error('Request contact change error:', error);
+
+    return res.status(getContactChangeStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while requesting the change',
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      }
+    });
+  }
+};
+
+/**
+ * Confirm a phone number change with the code sent to the new number
+ * @route POST /api/v1/profile/contact-change/verify
+ */
+export const confirmPhoneChange = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const user = await contactChangeService.confirmPhoneChange(req.user.id, req.body.code, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { user },
+      message: 'Phone number changed. Please sign in again'
+    });
+  } catch (error) {
+    console.error('Confirm phone change error:', error);
+
+    return res.status(getContactChangeStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while confirming the change',
+        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+      }
+    });
+  }
+};
+
+/**
+ * Confirm an email address change from the link sent to the new address
+ * @route POST /api/v1/profile/contact-change/confirm
+ */
+export const confirmEmailChange = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const user = await contactChangeService.confirmEmailChange(req.body.token, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { user },
+      message: 'Email address changed. Please sign in again'
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+
+    return res.status(getContactChangeStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while confirming the change'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke a contact change from the link sent to the old address ("this wasn't me")
+ * @route POST /api/v1/profile/contact-change/revoke
+ */
+export const revokeContactChange = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await contactChangeService.revokeContactChange(req.body.token, context);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      message: 'The change was cancelled and all devices were signed out. Reset your password now'
+    });
+  } catch (error) {
+    console.error('Revoke contact change error:', error);
+
+    return res.status(getContactChangeStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while revoking the change'
+      }
+    });
+  }
+};
+
 export default {
   getProfile,
   updateProfile,
   uploadProfilePicture,
-  changePassword
+  changePassword,
+  getMFAStatus,
+  startTOTPEnrollment,
+  confirmTOTPEnrollment,
+  requestContactChange,
+  confirmPhoneChange,
+  confirmEmailChange,
+  revokeContactChange
 };
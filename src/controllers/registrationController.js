@@ -0,0 +1,224 @@
+import * as registrationService from '../services/registrationService.js';
+
+/**
+ * Map registration error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' || error.code === 'WEAK_PASSWORD' ? 400 :
+         error.code === 'OTP_INVALID' ? 401 :
+         error.code === 'FORBIDDEN' ? 403 :
+         error.code === 'USER_NOT_FOUND' || error.code === 'CAMPUS_NOT_FOUND' || error.code === 'REGISTRATION_NOT_FOUND' ? 404 :
+         error.code === 'EMAIL_EXISTS' || error.code === 'PHONE_EXISTS' || error.code === 'ALREADY_VERIFIED' ||
+         error.code === 'INVALID_REGISTRATION_STATUS' ? 409 :
+         error.code === 'OTP_RATE_LIMIT' ? 429 :
+         error.code === 'VERIFICATION_DELIVERY_FAILED' ? 503 :
+         500;
+};
+
+/**
+ * Self-service signup for students and parents
+ * @route POST /api/v1/auth/signup
+ */
+export const signup = async (req, res) => {
+  try {
+    const { email, password, name, phone, role, campus_id } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await registrationService.registerUser(
+      { email, password, name, phone, role, campus_id },
+      context
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Registration received. Verify your email and phone number with the codes we sent'
+    });
+  } catch (error) {
+    console.error('Signup error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during registration',
+        ...(error.details && { details: error.details })
+      }
+    });
+  }
+};
+
+/**
+ * Verify a signup email or phone code
+ * @route POST /api/v1/auth/signup/verify
+ */
+export const verifySignup = async (req, res) => {
+  try {
+    const { email, channel, code } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await registrationService.verifyContact(email, channel, code, context);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      message: result.account_status === 'pending_approval'
+        ? 'Verification complete. Your registration is awaiting approval by your campus'
+        : `${channel === 'email' ? 'Email' : 'Phone number'} verified successfully`
+    });
+  } catch (error) {
+    console.error('Verify signup error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during verification',
+        ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+      }
+    });
+  }
+};
+
+/**
+ * Resend a signup verification code
+ * @route POST /api/v1/auth/signup/resend
+ */
+export const resendSignupCode = async (req, res) => {
+  try {
+    const { email, channel } = req.body;
+
+    const result = await registrationService.resendVerificationCode(email, channel);
+
+    return res.status(200).json({
+      success: true,
+      data: { expiresAt: result.expiresAt },
+      message: 'Verification code sent'
+    });
+  } catch (error) {
+    console.error('Resend signup code error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while sending the verification code',
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      }
+    });
+  }
+};
+
+/**
+ * List registrations awaiting approval
+ * @route GET /api/v1/users/pending
+ */
+export const listPendingRegistrations = async (req, res) => {
+  try {
+    const result = await registrationService.listPendingRegistrations(req.user, {
+      page: req.query.page,
+      limit: req.query.limit,
+      campus_id: req.query.campus_id
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('List pending registrations error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing pending registrations'
+      }
+    });
+  }
+};
+
+/**
+ * Approve a pending registration
+ * @route POST /api/v1/users/:id/approve
+ */
+export const approveRegistration = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const user = await registrationService.approveRegistration(req.params.id, req.user, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { user },
+      message: 'Registration approved'
+    });
+  } catch (error) {
+    console.error('Approve registration error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while approving the registration'
+      }
+    });
+  }
+};
+
+/**
+ * Reject a pending registration
+ * @route POST /api/v1/users/:id/reject
+ */
+export const rejectRegistration = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const user = await registrationService.rejectRegistration(req.params.id, req.user, req.body.reason, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { user },
+      message: 'Registration rejected'
+    });
+  } catch (error) {
+    console.error('Reject registration error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while rejecting the registration'
+      }
+    });
+  }
+};
+
+export default {
+  signup,
+  verifySignup,
+  resendSignupCode,
+  listPendingRegistrations,
+  approveRegistration,
+  rejectRegistration
+};
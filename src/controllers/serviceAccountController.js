@@ -0,0 +1,170 @@
+import * as apiKeyService from '../services/apiKeyService.js';
+
+/**
+ * Map service account error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' || error.code === 'SERVICE_ACCOUNT_INACTIVE' ? 400 :
+         error.code === 'SERVICE_ACCOUNT_NOT_FOUND' || error.code === 'API_KEY_NOT_FOUND' || error.code === 'CAMPUS_NOT_FOUND' ? 404 :
+         error.code === 'SERVICE_ACCOUNT_EXISTS' ? 409 :
+         500;
+};
+
+/**
+ * List service accounts with their keys (Super_Admin only)
+ * @route GET /api/v1/service-accounts
+ */
+export const listServiceAccounts = async (req, res) => {
+  try {
+    const serviceAccounts = await apiKeyService.listServiceAccounts();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        serviceAccounts,
+        availableScopes: {
+          allCampuses: apiKeyService.getAvailableScopes(false),
+          campus: apiKeyService.getAvailableScopes(true)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List service accounts error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing service accounts'
+      }
+    });
+  }
+};
+
+/**
+ * Create a service account (Super_Admin only)
+ * @route POST /api/v1/service-accounts
+ */
+export const createServiceAccount = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const serviceAccount = await apiKeyService.createServiceAccount(req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: { serviceAccount },
+      message: 'Service account created'
+    });
+  } catch (error) {
+    console.error('Create service account error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while creating the service account'
+      }
+    });
+  }
+};
+
+/**
+ * Deactivate a service account and revoke its keys (Super_Admin only)
+ * @route DELETE /api/v1/service-accounts/:id
+ */
+export const deactivateServiceAccount = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await apiKeyService.deactivateServiceAccount(req.params.id, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Service account deactivated and its API keys revoked'
+    });
+  } catch (error) {
+    console.error('Deactivate service account error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while deactivating the service account'
+      }
+    });
+  }
+};
+
+/**
+ * Issue an API key for a service account (Super_Admin only)
+ * @route POST /api/v1/service-accounts/:id/keys
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const result = await apiKeyService.createApiKey(req.params.id, req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: result,
+      message: 'API key created. Store it now; it cannot be shown again'
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while creating the API key'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke an API key (Super_Admin only)
+ * @route DELETE /api/v1/service-accounts/:id/keys/:keyId
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await apiKeyService.revokeApiKey(req.params.id, req.params.keyId, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while revoking the API key'
+      }
+    });
+  }
+};
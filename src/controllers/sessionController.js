@@ -1,4 +1,5 @@
 import * as sessionService from '../services/sessionService.js';
+import * as deviceService from '../services/deviceService.js';
 
 /**
  * Get all active sessions for current user
@@ -22,16 +23,26 @@ export const getActiveSessions = async (req, res) => {
     // Get active sessions
     const sessions = await sessionService.getActiveSessions(userId);
 
-    // Format sessions for response
-    const formattedSessions = sessions.map(session => ({
-      id: session.sessionId,
-      device_type: session.device_type,
-      device_name: session.device_name,
-      ip_address: session.ip_address,
-      last_activity: session.last_activity,
-      created_at: session.created_at,
-      is_current: false // This could be enhanced to detect current session
-    }));
+    // Format sessions for response; sessions created before user agents were parsed are parsed here
+    const formattedSessions = sessions.map(session => {
+      const parsed = session.browser || session.os ? session : deviceService.parseUserAgent(session.user_agent);
+      const deviceName = session.device_name && session.device_name !== 'Unknown Device'
+        ? session.device_name
+        : deviceService.getDeviceName(parsed) || 'Unknown Device';
+
+      return {
+        id: session.sessionId,
+        device_type: session.device_type,
+        device_name: deviceName,
+        browser: parsed.browser || null,
+        os: parsed.os || null,
+        device_id: session.device_id || null,
+        ip_address: session.ip_address,
+        last_activity: session.last_activity,
+        created_at: session.created_at,
+        is_current: session.sessionId === req.sessionId
+      };
+    });
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,133 @@
+import * as sessionPolicyService from '../services/sessionPolicyService.js';
+
+/**
+ * Map session policy error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' ? 400 :
+         error.code === 'POLICY_NOT_FOUND' ? 404 :
+         error.code === 'POLICY_EXISTS' ? 409 :
+         500;
+};
+
+/**
+ * List session policies (Super_Admin only)
+ * @route GET /api/v1/session-policies
+ */
+export const listPolicies = async (req, res) => {
+  try {
+    const policies = await sessionPolicyService.listSessionPolicies();
+
+    return res.status(200).json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('List session policies error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while listing session policies'
+      }
+    });
+  }
+};
+
+/**
+ * Create a session policy (Super_Admin only)
+ * @route POST /api/v1/session-policies
+ */
+export const createPolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const policy = await sessionPolicyService.createSessionPolicy(req.body, req.user.id, context);
+
+    return res.status(201).json({
+      success: true,
+      data: { policy },
+      message: 'Session policy created'
+    });
+  } catch (error) {
+    console.error('Create session policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while creating the session policy'
+      }
+    });
+  }
+};
+
+/**
+ * Update a session policy's limit (Super_Admin only)
+ * @route PATCH /api/v1/session-policies/:id
+ */
+export const updatePolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const policy = await sessionPolicyService.updateSessionPolicy(req.params.id, req.body, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { policy },
+      message: 'Session policy updated'
+    });
+  } catch (error) {
+    console.error('Update session policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while updating the session policy'
+      }
+    });
+  }
+};
+
+/**
+ * Delete a session policy (Super_Admin only)
+ * @route DELETE /api/v1/session-policies/:id
+ */
+export const deletePolicy = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await sessionPolicyService.deleteSessionPolicy(req.params.id, req.user.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session policy deleted'
+    });
+  } catch (error) {
+    console.error('Delete session policy error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while deleting the session policy'
+      }
+    });
+  }
+};
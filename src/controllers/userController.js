@@ -1,5 +1,6 @@
 import * as userService from '../services/userService.js';
 import * as mfaService from '../services/mfaService.js';
+import * as rbacService from '../services/rbacService.js';
 
 /**
  * List users with filtering and pagination
@@ -161,7 +162,7 @@ export const updateUser = async (req, res) => {
 export const deleteUser = async (req, res) => {
   try {
     const userId = req.params.id;
-    const { mfaCode, reason } = req.body;
+    const { reason } = req.body;
 
     if (!userId) {
       return res.status(400).json({
@@ -173,17 +174,6 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    // Validate MFA code
-    if (!mfaCode) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'MFA code is required for user deletion'
-        }
-      });
-    }
-
     // Get admin ID from authenticated user
     const adminId = req.user?.id;
 
@@ -197,20 +187,7 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    // Verify MFA code
-    const mfaVerification = await mfaService.verifyMFACode(adminId, mfaCode);
-
-    if (!mfaVerification.valid) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'MFA_INVALID',
-          message: `Invalid MFA code. ${mfaVerification.attemptsRemaining} attempts remaining`,
-          attemptsRemaining: mfaVerification.attemptsRemaining
-        }
-      });
-    }
-
+    // MFA has already been enforced by requireMFA() on the route
     // Delete user
     const user = await userService.deleteUser(userId, adminId, reason);
 
@@ -309,10 +286,70 @@ export const updateStatus = async (req, res) => {
   }
 };
 
+/**
+ * Reset a user's authenticator-app MFA enrollment
+ * @route DELETE /api/v1/users/:id/mfa
+ */
+export const resetMFA = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { reason } = req.body || {};
+
+    // Get admin ID from authenticated user
+    const adminId = req.user?.id;
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    // Enforces campus-based access for Admins
+    const user = await userService.getUserById(userId, req.user);
+
+    // Admins cannot reset MFA for other Admins or Super_Admins
+    if (!rbacService.canManageRole(req.user.role, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only reset MFA for users with a role below your own'
+        }
+      });
+    }
+
+    await mfaService.disableTOTP(userId, adminId, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: 'MFA enrollment reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset MFA error:', error);
+
+    const statusCode = error.statusCode ||
+                       (error.code === 'USER_NOT_FOUND' ? 404 :
+                        error.code === 'FORBIDDEN' ? 403 : 500);
+
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while resetting MFA'
+      }
+    });
+  }
+};
+
 export default {
   listUsers,
   getUserById,
   updateUser,
   deleteUser,
-  updateStatus
+  updateStatus,
+  resetMFA
 };
@@ -0,0 +1,267 @@
+import * as webauthnService from '../services/webauthnService.js';
+import { getDeviceId, sendDeviceId } from '../utils/deviceId.js';
+
+/**
+ * Map passkey error codes to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  return error.code === 'VALIDATION_ERROR' || error.code === 'WEBAUTHN_CHALLENGE_EXPIRED' || error.code === 'WEBAUTHN_VERIFICATION_FAILED' ? 400 :
+         error.code === 'INVALID_CREDENTIALS' ? 401 :
+         error.code === 'ACCOUNT_LOCKED' || error.code === 'ACCOUNT_INACTIVE' || error.code === 'ACCOUNT_PENDING' || error.code === 'LOGIN_BLOCKED' || error.code === 'SESSION_LIMIT_REACHED' ? 403 :
+         error.code === 'USER_NOT_FOUND' || error.code === 'PASSKEY_NOT_FOUND' ? 404 :
+         error.code === 'PASSKEY_EXISTS' || error.code === 'PASSKEY_LIMIT_REACHED' ? 409 :
+         500;
+};
+
+/**
+ * Get passkey registration options for the current user
+ * @route POST /api/v1/auth/webauthn/register/options
+ */
+export const registrationOptions = async (req, res) => {
+  try {
+    const options = await webauthnService.generatePasskeyRegistrationOptions(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { options }
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while generating passkey options'
+      }
+    });
+  }
+};
+
+/**
+ * Verify a passkey registration and save the passkey
+ * @route POST /api/v1/auth/webauthn/register/verify
+ */
+export const verifyRegistration = async (req, res) => {
+  try {
+    const { response, name } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const passkey = await webauthnService.verifyPasskeyRegistration(req.user.id, response, name, context);
+
+    return res.status(201).json({
+      success: true,
+      data: { passkey },
+      message: 'Passkey registered successfully'
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while registering passkey'
+      }
+    });
+  }
+};
+
+/**
+ * Get passkey login options
+ * @route POST /api/v1/auth/webauthn/login/options
+ */
+export const loginOptions = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await webauthnService.generatePasskeyLoginOptions(email || null);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        challengeId: result.challengeId,
+        options: result.options
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while generating passkey options'
+      }
+    });
+  }
+};
+
+/**
+ * Verify a passkey assertion and log in
+ * @route POST /api/v1/auth/webauthn/login/verify
+ */
+export const verifyLogin = async (req, res) => {
+  try {
+    const { challengeId, response } = req.body;
+
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      deviceId: getDeviceId(req),
+      deviceInfo: {
+        device_type: req.body.device_type || 'web',
+        device_name: req.body.device_name,
+        user_agent: req.get('user-agent')
+      }
+    };
+
+    const result = await webauthnService.verifyPasskeyLogin(challengeId, response, context);
+
+    if (result.mfaRequired) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          mfaToken: result.mfaToken,
+          methods: result.methods,
+          expiresIn: result.expiresIn
+        },
+        message: 'MFA verification required'
+      });
+    }
+
+    const passwordChangeRequired = Boolean(result.user.must_change_password);
+
+    sendDeviceId(res, result.deviceId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        deviceId: result.deviceId,
+        ...(passwordChangeRequired && { passwordChangeRequired })
+      },
+      message: passwordChangeRequired ? 'Login successful. Change your password to continue' : 'Login successful'
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred during passkey login',
+        ...(error.lockedUntil && { lockedUntil: error.lockedUntil })
+      }
+    });
+  }
+};
+
+/**
+ * List the current user's passkeys
+ * @route GET /api/v1/profile/passkeys
+ */
+export const listPasskeys = async (req, res) => {
+  try {
+    const passkeys = await webauthnService.listPasskeys(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { passkeys }
+    });
+  } catch (error) {
+    console.error('List passkeys error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while retrieving passkeys'
+      }
+    });
+  }
+};
+
+/**
+ * Rename one of the current user's passkeys
+ * @route PATCH /api/v1/profile/passkeys/:id
+ */
+export const renamePasskey = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    const passkey = await webauthnService.renamePasskey(req.user.id, req.params.id, req.body.name, context);
+
+    return res.status(200).json({
+      success: true,
+      data: { passkey },
+      message: 'Passkey renamed successfully'
+    });
+  } catch (error) {
+    console.error('Rename passkey error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while renaming passkey'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's passkeys
+ * @route DELETE /api/v1/profile/passkeys/:id
+ */
+export const revokePasskey = async (req, res) => {
+  try {
+    // Extract request context
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    };
+
+    await webauthnService.revokePasskey(req.user.id, req.params.id, context);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Passkey revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke passkey error:', error);
+
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred while revoking passkey'
+      }
+    });
+  }
+};
+
+export default {
+  registrationOptions,
+  verifyRegistration,
+  loginOptions,
+  verifyLogin,
+  listPasskeys,
+  renamePasskey,
+  revokePasskey
+};
@@ -1,14 +1,122 @@
 import { verifyToken } from '../services/tokenService.js';
 import { isTokenBlacklisted } from '../services/blacklistService.js';
-import { canAccessCampus } from '../services/rbacService.js';
+import { updateLastActivity, getSessionEviction } from '../services/sessionService.js';
+import { canAccessCampus, roleHasPermission } from '../services/rbacService.js';
+import { verifySecondFactor, markMFAVerified, hasRecentMFA } from '../services/mfaService.js';
+import { getImpersonation, recordImpersonatedRequest } from '../services/impersonationService.js';
+import { authenticateApiKey, getApiKeyRole, recordServiceAccountRequest } from '../services/apiKeyService.js';
 import User from '../models/User.js';
 
+// Request methods that only read; impersonation tokens are limited to these unless a route opts in
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check that a request made with an API key stays within the key's campus
+ * @param {Object} req - Express request with req.apiKey
+ * @param {string} campusId - Campus the request targets
+ * @returns {boolean} True if the key may access the campus
+ */
+const apiKeyCanAccessCampus = (req, campusId) => {
+  return !req.apiKey.campus_id || req.apiKey.campus_id === campusId;
+};
+
+/**
+ * Authenticate a service account request made with `Authorization: ApiKey <key>`.
+ * req.user becomes a stand-in without an id, scoped like an Admin of the key's campus
+ * (or a Super_Admin for keys without a campus) so campus filtering in services applies;
+ * the key's scopes are checked by requirePermission.
+ * @param {string} key - API key
+ * @param {Object} options - authenticate() options
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {Promise<void>}
+ */
+const authenticateApiKeyRequest = async (key, options, req, res, next) => {
+  if (!options.allowApiKeys) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: 'API keys cannot access this resource'
+      }
+    });
+  }
+
+  let result;
+  try {
+    result = await authenticateApiKey(key, { ipAddress: req.ip || req.connection.remoteAddress });
+  } catch (error) {
+    if (error.code === 'RATE_LIMIT_EXCEEDED') {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    } else if (['API_KEY_INVALID', 'API_KEY_REVOKED', 'API_KEY_EXPIRED'].includes(error.code)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    throw error;
+  }
+
+  const { apiKey, serviceAccount } = result;
+
+  req.serviceAccount = { id: serviceAccount.id, name: serviceAccount.name };
+  req.apiKey = {
+    id: apiKey.id,
+    prefix: apiKey.prefix,
+    service_account_id: serviceAccount.id,
+    scopes: apiKey.scopes,
+    campus_id: apiKey.campus_id
+  };
+  req.user = {
+    id: null,
+    name: serviceAccount.name,
+    role: getApiKeyRole(apiKey.campus_id),
+    campus_id: apiKey.campus_id,
+    service_account_id: serviceAccount.id
+  };
+  req.token = null;
+  req.tokenScope = null;
+  req.sessionId = null;
+
+  // Changes made with a key are audited under the key, since the change's own entry has no admin
+  if (!SAFE_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      recordServiceAccountRequest(req.apiKey, {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+    });
+  }
+
+  next();
+};
+
 /**
  * Authentication middleware - Verifies JWT token and attaches user to request
- * Extracts JWT from Authorization header, verifies it, checks blacklist, and validates user
+ * Extracts JWT from Authorization header, verifies it, checks blacklist, validates user,
+ * and checks the token's session (recording activity and enforcing its timeouts).
+ * Service accounts authenticate with `Authorization: ApiKey <key>` on routes that allow it.
+ * @param {Object} options - { allowOAuthClients: accept tokens issued to OAuth clients (default false),
+ *   allowPasswordChangeRequired: accept users who must change their password first (default false),
+ *   allowImpersonation: accept impersonation tokens for every method (true), none (false),
+ *   or by default only read-only requests,
+ *   allowApiKeys: accept service account API keys (default false); such routes must use requirePermission }
  * @returns {Function} Express middleware function
  */
-export const authenticate = () => {
+export const authenticate = (options = {}) => {
   return async (req, res, next) => {
     try {
       // Extract token from Authorization header
@@ -24,6 +132,10 @@ export const authenticate = () => {
         });
       }
 
+      if (authHeader.startsWith('ApiKey ')) {
+        return await authenticateApiKeyRequest(authHeader.substring(7), options, req, res, next);
+      }
+
       // Check if it's a Bearer token
       if (!authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
@@ -80,6 +192,28 @@ export const authenticate = () => {
         }
       }
 
+      // Only access tokens authenticate requests (refresh and MFA pending tokens do not)
+      if (decoded.type !== 'access') {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'TOKEN_INVALID',
+            message: 'Invalid token type'
+          }
+        });
+      }
+
+      // Tokens issued to campus apps through OpenID Connect only reach routes that opt in
+      if (decoded.client_id && !options.allowOAuthClients) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_SCOPE',
+            message: 'Token issued to an OAuth client cannot access this resource'
+          }
+        });
+      }
+
       // Check if token is blacklisted
       const isBlacklisted = await isTokenBlacklisted(token);
       if (isBlacklisted) {
@@ -92,6 +226,46 @@ export const authenticate = () => {
         });
       }
 
+      // Impersonation tokens stay valid only while their impersonation is in progress
+      if (decoded.act) {
+        const impersonation = await getImpersonation(decoded.jti);
+
+        if (!impersonation || impersonation.user_id !== decoded.user_id || impersonation.impersonator_id !== decoded.act.sub) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'IMPERSONATION_ENDED',
+              message: 'Impersonation has ended'
+            }
+          });
+        }
+
+        // Every request made while impersonating is audited under the impersonator, blocked ones included
+        req.impersonation = impersonation;
+        res.on('finish', () => {
+          recordImpersonatedRequest(impersonation, {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+          });
+        });
+
+        const allowed = options.allowImpersonation === true ||
+          (options.allowImpersonation !== false && SAFE_METHODS.includes(req.method));
+
+        if (!allowed) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'IMPERSONATION_RESTRICTED',
+              message: 'This action is not available while impersonating a user'
+            }
+          });
+        }
+      }
+
       // Find user and verify they exist
       const user = await User.findOne({
         where: {
@@ -139,9 +313,61 @@ export const authenticate = () => {
         });
       }
 
+      // Access tokens are bound to their session: logout, session revocation (including the other
+      // sessions on a password change) and a token_version bump (logout-all, password reset) end
+      // them at once, as do the session timeouts.
+      // Impersonation tokens are bound to their impersonation instead (checked above).
+      if (!decoded.act) {
+        if (!decoded.sid || decoded.token_version !== user.token_version) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'TOKEN_REVOKED',
+              message: 'Token has been revoked'
+            }
+          });
+        }
+
+        const sessionActive = await updateLastActivity(user.id, decoded.sid);
+        if (!sessionActive) {
+          const eviction = await getSessionEviction(user.id, decoded.sid);
+          if (eviction) {
+            return res.status(401).json({
+              success: false,
+              error: {
+                code: 'SESSION_EVICTED',
+                message: 'You were signed out because your account signed in on another device',
+                evictedAt: eviction.evicted_at
+              }
+            });
+          }
+
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'SESSION_EXPIRED',
+              message: 'Session has expired or was signed out. Please login again'
+            }
+          });
+        }
+      }
+
+      // Temporary or expired passwords only give access to the change-password and logout routes
+      if (user.must_change_password && !options.allowPasswordChangeRequired) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'PASSWORD_CHANGE_REQUIRED',
+            message: 'You must change your password before continuing'
+          }
+        });
+      }
+
       // Attach user object to request for downstream use
       req.user = user.toSafeObject();
       req.token = token;
+      req.tokenScope = decoded.scope || null;
+      req.sessionId = decoded.sid || null;
 
       next();
     } catch (error) {
@@ -176,6 +402,17 @@ export const requireRole = (...allowedRoles) => {
         });
       }
 
+      // Service accounts are authorized by their key's scopes, never by the role they are scoped as
+      if (req.apiKey) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_SCOPE',
+            message: 'API keys cannot access this resource'
+          }
+        });
+      }
+
       // Check if user's role is in the allowed roles
       if (!allowedRoles.includes(req.user.role)) {
         return res.status(403).json({
@@ -201,6 +438,77 @@ export const requireRole = (...allowedRoles) => {
   };
 };
 
+/**
+ * Permission middleware - Checks the RBAC matrix for users and the key's scopes for service accounts
+ * Requests made with an API key must also stay within the key's campus (campus_id in params, body or query)
+ * @param {string} resource - Resource type (user, profile, session, etc.)
+ * @param {string} action - Action to perform (read, create, update, delete, etc.)
+ * @returns {Function} Express middleware function
+ */
+export const requirePermission = (resource, action) => {
+  return (req, res, next) => {
+    try {
+      // Check if user is authenticated
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED',
+            message: 'Authentication required'
+          }
+        });
+      }
+
+      if (!req.apiKey) {
+        if (!roleHasPermission(req.user.role, resource, action)) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'FORBIDDEN',
+              message: 'Insufficient permissions to access this resource'
+            }
+          });
+        }
+
+        return next();
+      }
+
+      if (!req.apiKey.scopes.includes(`${resource}:${action}`)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_SCOPE',
+            message: `API key is missing the ${resource}:${action} scope`
+          }
+        });
+      }
+
+      const campusId = req.params.campus_id || req.body?.campus_id || req.query.campus_id;
+
+      if (campusId && !apiKeyCanAccessCampus(req, campusId)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Access denied: API key is restricted to another campus'
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Authorization check failed'
+        }
+      });
+    }
+  };
+};
+
 /**
  * Campus access middleware - Checks if user can access the requested campus
  * Extracts campus_id from request params or body and validates access
@@ -230,7 +538,9 @@ export const requireCampusAccess = () => {
       }
 
       // Check if user can access this campus
-      const hasAccess = await canAccessCampus(req.user.id, campusId);
+      const hasAccess = req.apiKey
+        ? apiKeyCanAccessCampus(req, campusId)
+        : await canAccessCampus(req.user.id, campusId);
 
       if (!hasAccess) {
         return res.status(403).json({
@@ -256,8 +566,80 @@ export const requireCampusAccess = () => {
   };
 };
 
+/**
+ * MFA step-up middleware - Requires a fresh second-factor verification for sensitive operations
+ * Accepts a recent verification in the same session (via /auth/mfa/step-up/verify or MFA login) or an `mfaCode` in the request body
+ * @param {Object} options - Middleware options
+ * @param {Function} options.when - Optional predicate (req) => boolean; MFA is only enforced when it returns true
+ * @returns {Function} Express middleware function
+ */
+export const requireMFA = ({ when } = {}) => {
+  return async (req, res, next) => {
+    try {
+      // Check if user is authenticated
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED',
+            message: 'Authentication required'
+          }
+        });
+      }
+
+      if (when && !when(req)) {
+        return next();
+      }
+
+      const mfaCode = req.body?.mfaCode;
+
+      if (!mfaCode) {
+        if (await hasRecentMFA(req.user.id, req.sessionId)) {
+          return next();
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'MFA_REQUIRED',
+            message: 'MFA verification is required for this operation'
+          }
+        });
+      }
+
+      const verification = await verifySecondFactor(req.user.id, String(mfaCode));
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'MFA_INVALID',
+            message: `Invalid MFA code. ${verification.attemptsRemaining} attempts remaining`,
+            attemptsRemaining: verification.attemptsRemaining
+          }
+        });
+      }
+
+      await markMFAVerified(req.user.id, req.sessionId);
+
+      next();
+    } catch (error) {
+      console.error('MFA middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'MFA verification failed'
+        }
+      });
+    }
+  };
+};
+
 export default {
   authenticate,
   requireRole,
-  requireCampusAccess
+  requirePermission,
+  requireCampusAccess,
+  requireMFA
 };
@@ -16,6 +16,7 @@ const ERROR_STATUS_MAP = {
   FORBIDDEN: 403,
   ACCOUNT_LOCKED: 403,
   ACCOUNT_INACTIVE: 403,
+  ACCOUNT_PENDING: 403,
   INSUFFICIENT_PERMISSIONS: 403,
   
   // Not found errors
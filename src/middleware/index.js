@@ -7,7 +7,9 @@
 export {
   authenticate,
   requireRole,
-  requireCampusAccess
+  requirePermission,
+  requireCampusAccess,
+  requireMFA
 } from './auth.js';
 
 // Request Validation
@@ -17,6 +19,8 @@ export {
   validateLogin,
   validateOTPRequest,
   validateOTPVerification,
+  validateMagicLinkRequest,
+  validateMagicLinkVerification,
   validateTokenRefresh,
   validatePasswordResetRequest,
   validatePasswordReset,
@@ -29,7 +33,35 @@ export {
   validateAuditLogQuery,
   validateUUIDParam,
   validateMFARequest,
-  validateMFAVerification
+  validateMFAVerification,
+  validateMFAReset,
+  validateMFAChallenge,
+  validateMFALogin,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validatePasskeyRename,
+  validateDeviceRename,
+  validateOAuthClientRegistration,
+  validateSignup,
+  validateSignupVerification,
+  validateSignupResend,
+  validateRegistrationRejection,
+  validateContactChangeRequest,
+  validatePhoneChangeConfirmation,
+  validateContactChangeToken,
+  validateSignInRevokeToken,
+  validateIdentityProvider,
+  validateIdentityProviderUpdate,
+  validateFederationCodeExchange,
+  validatePasswordPolicy,
+  validatePasswordPolicyUpdate,
+  validatePasswordPolicyQuery,
+  validateImpersonationStart,
+  validateServiceAccount,
+  validateApiKey,
+  validateSessionPolicy,
+  validateSessionPolicyUpdate
 } from './validation.js';
 
 // Rate Limiting
@@ -1,6 +1,7 @@
 import rateLimit from 'express-rate-limit';
 import { RedisStore } from 'rate-limit-redis';
 import { redisClient } from '../config/redis.js';
+import { getLimits } from '../services/loginThrottleService.js';
 
 /**
  * Standard error response for rate limit exceeded
@@ -53,11 +54,12 @@ const createRateLimiter = (options) => {
 
 /**
  * Rate limiter for authentication endpoints
- * Limit: 10 requests per minute per IP
+ * Limit: 10 requests per minute per IP (AUTH_RATE_LIMIT_MAX), lowered to
+ * LOGIN_DEFENCE_AUTH_RATE_LIMIT_MAX while login defence mode is on
  */
 export const authRateLimiter = createRateLimiter({
   windowMs: 60 * 1000, // 1 minute
-  max: 10,
+  max: async () => (await getLimits()).authMaxRequests,
   prefix: 'rl:auth:',
   message: 'Too many authentication attempts. Please try again in a minute.',
   skipSuccessfulRequests: false,
@@ -1,4 +1,32 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { getDefaultPasswordRules, getPasswordRuleErrors } from '../services/passwordService.js';
+import { getPasswordRules } from '../services/passwordPolicyService.js';
+
+const ROLES = ['Student', 'Teacher', 'Parent', 'Admin', 'Super_Admin'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Custom validator checking a password against the password policy for the campus
+ * and role it is being set for. Reports the first broken rule; the services repeat
+ * the full check, including breach screening and strength estimation.
+ * @param {Function} getScope - Returns { campus_id, role } for the request
+ * @returns {Function} express-validator custom validator
+ */
+const matchesPasswordPolicy = (getScope) => async (password, { req }) => {
+  const { campus_id, role } = getScope(req) || {};
+
+  // Unvalidated scope values fall back to the wider policies; their own validators report them
+  const rules = await getPasswordRules({
+    campus_id: UUID_PATTERN.test(campus_id) ? campus_id : null,
+    role: ROLES.includes(role) ? role : null
+  }).catch(() => getDefaultPasswordRules());
+
+  const [message] = getPasswordRuleErrors(password, rules);
+  if (message) {
+    throw new Error(message);
+  }
+  return true;
+};
 
 /**
  * Middleware to handle validation errors
@@ -38,10 +66,8 @@ export const validateRegistration = [
   
   body('password')
     .notEmpty().withMessage('Password is required')
-    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-    .matches(/[0-9]/).withMessage('Password must contain at least one number'),
+    .bail()
+    .custom(matchesPasswordPolicy(req => req.body)),
   
   body('name')
     .trim()
@@ -66,6 +92,11 @@ export const validateRegistration = [
     .trim()
     .isLength({ max: 500 }).withMessage('Address must not exceed 500 characters'),
   
+  body('must_change_password')
+    .optional()
+    .isBoolean().withMessage('must_change_password must be a boolean')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -114,6 +145,36 @@ export const validateOTPVerification = [
   handleValidationErrors
 ];
 
+/**
+ * Validation schema for requesting a magic link
+ */
+export const validateMagicLinkRequest = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for magic link login
+ */
+export const validateMagicLinkVerification = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Token is required')
+    .isHexadecimal().withMessage('Invalid token format'),
+  
+  body('deviceToken')
+    .trim()
+    .notEmpty().withMessage('Device token is required')
+    .isHexadecimal().withMessage('Invalid device token format'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation schema for token refresh
  */
@@ -144,12 +205,10 @@ export const validatePasswordReset = [
   body('token')
     .notEmpty().withMessage('Reset token is required'),
   
+  // The account (and so its password policy) is only known once the token is checked,
+  // so the password rules are enforced by authService.resetPassword
   body('newPassword')
-    .notEmpty().withMessage('New password is required')
-    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-    .matches(/[0-9]/).withMessage('Password must contain at least one number'),
+    .notEmpty().withMessage('New password is required'),
   
   handleValidationErrors
 ];
@@ -163,10 +222,8 @@ export const validatePasswordChange = [
   
   body('newPassword')
     .notEmpty().withMessage('New password is required')
-    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-    .matches(/[0-9]/).withMessage('Password must contain at least one number'),
+    .bail()
+    .custom(matchesPasswordPolicy(req => req.user)),
   
   handleValidationErrors
 ];
@@ -180,10 +237,11 @@ export const validateProfileUpdate = [
     .trim()
     .isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
   
+  body('email')
+    .not().exists().withMessage('Email changes must be confirmed. Use POST /api/v1/profile/contact-change'),
+  
   body('phone')
-    .optional()
-    .trim()
-    .matches(/^\+91[6-9]\d{9}$/).withMessage('Invalid Indian phone number format. Use: +91XXXXXXXXXX'),
+    .not().exists().withMessage('Phone number changes must be confirmed. Use POST /api/v1/profile/contact-change'),
   
   body('address')
     .optional()
@@ -220,6 +278,11 @@ export const validateUserUpdate = [
     .optional()
     .isUUID().withMessage('Invalid campus ID format'),
   
+  body('must_change_password')
+    .optional()
+    .isBoolean().withMessage('must_change_password must be a boolean')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -244,7 +307,7 @@ export const validateStatusChange = [
  */
 export const validateUserDeletion = [
   body('mfaCode')
-    .notEmpty().withMessage('MFA code is required')
+    .optional()
     .isLength({ min: 6, max: 6 }).withMessage('MFA code must be 6 digits')
     .isNumeric().withMessage('MFA code must contain only numbers'),
   
@@ -278,7 +341,7 @@ export const validateUserListQuery = [
   
   query('status')
     .optional()
-    .isIn(['active', 'inactive', 'locked']).withMessage('Invalid status'),
+    .isIn(['active', 'inactive', 'locked', 'pending_verification', 'pending_approval', 'rejected']).withMessage('Invalid status'),
   
   query('search')
     .optional()
@@ -364,12 +427,572 @@ export const validateMFAVerification = [
   handleValidationErrors
 ];
 
+/**
+ * Validation schema for requesting an MFA code during login
+ */
+export const validateMFAChallenge = [
+  body('mfaToken')
+    .notEmpty().withMessage('MFA token is required'),
+  
+  body('method')
+    .notEmpty().withMessage('MFA method is required')
+    .isIn(['email', 'sms']).withMessage('Invalid MFA method. Must be: email or sms'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for completing an MFA login
+ */
+export const validateMFALogin = [
+  body('mfaToken')
+    .notEmpty().withMessage('MFA token is required'),
+  
+  body('code')
+    .notEmpty().withMessage('MFA code is required')
+    .isLength({ min: 6, max: 6 }).withMessage('MFA code must be 6 digits')
+    .isNumeric().withMessage('MFA code must contain only numbers'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for admin MFA reset
+ */
+export const validateMFAReset = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for passkey registration
+ */
+export const validatePasskeyRegistration = [
+  body('response')
+    .notEmpty().withMessage('Registration response is required')
+    .isObject().withMessage('Registration response must be an object'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Passkey name must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for passkey login options
+ */
+export const validatePasskeyLoginOptions = [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for passkey login
+ */
+export const validatePasskeyLogin = [
+  body('challengeId')
+    .notEmpty().withMessage('Challenge ID is required')
+    .isUUID().withMessage('Invalid challenge ID format'),
+  
+  body('response')
+    .notEmpty().withMessage('Authentication response is required')
+    .isObject().withMessage('Authentication response must be an object'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for renaming a passkey
+ */
+export const validatePasskeyRename = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Passkey name is required')
+    .isLength({ max: 100 }).withMessage('Passkey name must not exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for renaming a device
+ */
+export const validateDeviceRename = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Device name is required')
+    .isLength({ max: 100 }).withMessage('Device name must not exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for registering an OAuth (OpenID Connect) client
+ */
+export const validateOAuthClientRegistration = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Client name is required')
+    .isLength({ max: 100 }).withMessage('Client name must not exceed 100 characters'),
+  
+  body('redirect_uris')
+    .isArray({ min: 1, max: 10 }).withMessage('redirect_uris must be an array of 1 to 10 URLs'),
+  
+  body('redirect_uris.*')
+    .isURL({ require_protocol: true, require_tld: false, protocols: ['http', 'https'] })
+    .withMessage('Each redirect URI must be an absolute URL'),
+  
+  body('allowed_scopes')
+    .optional()
+    .isArray({ min: 1 }).withMessage('allowed_scopes must be a non-empty array'),
+  
+  body('is_confidential')
+    .optional()
+    .isBoolean().withMessage('is_confidential must be a boolean'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for self-service signup (students and parents)
+ */
+export const validateSignup = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .bail()
+    .custom(matchesPasswordPolicy(req => req.body)),
+  
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  
+  body('phone')
+    .trim()
+    .notEmpty().withMessage('Phone number is required')
+    .matches(/^\+91[6-9]\d{9}$/).withMessage('Invalid Indian phone number format. Use: +91XXXXXXXXXX'),
+  
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['Student', 'Parent']).withMessage('Role must be Student or Parent'),
+  
+  body('campus_id')
+    .notEmpty().withMessage('Campus ID is required')
+    .isUUID().withMessage('Invalid campus ID format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for verifying a signup email or phone code
+ */
+export const validateSignupVerification = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  body('channel')
+    .notEmpty().withMessage('Channel is required')
+    .isIn(['email', 'phone']).withMessage('Channel must be email or phone'),
+  
+  body('code')
+    .notEmpty().withMessage('Verification code is required')
+    .isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits')
+    .isNumeric().withMessage('Verification code must contain only numbers'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for resending a signup verification code
+ */
+export const validateSignupResend = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  body('channel')
+    .notEmpty().withMessage('Channel is required')
+    .isIn(['email', 'phone']).withMessage('Channel must be email or phone'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for rejecting a pending registration
+ */
+export const validateRegistrationRejection = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for requesting an email or phone number change
+ */
+export const validateContactChangeRequest = [
+  body('type')
+    .notEmpty().withMessage('Type is required')
+    .isIn(['email', 'phone']).withMessage('Type must be email or phone'),
+  
+  body('value')
+    .trim()
+    .notEmpty().withMessage('New email address or phone number is required'),
+  
+  body('value')
+    .if(body('type').equals('email'))
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  
+  body('value')
+    .if(body('type').equals('phone'))
+    .matches(/^\+91[6-9]\d{9}$/).withMessage('Invalid Indian phone number format. Use: +91XXXXXXXXXX'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for confirming a phone number change
+ */
+export const validatePhoneChangeConfirmation = [
+  body('code')
+    .notEmpty().withMessage('Verification code is required')
+    .isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits')
+    .isNumeric().withMessage('Verification code must contain only numbers'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for contact change confirmation and revoke links
+ */
+export const validateContactChangeToken = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Token is required')
+    .isHexadecimal().withMessage('Invalid token format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for the "this wasn't me" link in a new sign-in alert
+ */
+export const validateSignInRevokeToken = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Token is required')
+    .isHexadecimal().withMessage('Invalid token format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for configuring an identity provider
+ */
+export const validateIdentityProvider = [
+  body('slug')
+    .trim()
+    .notEmpty().withMessage('Slug is required')
+    .isLength({ max: 50 }).withMessage('Slug must not exceed 50 characters')
+    .matches(/^[a-z0-9][a-z0-9-]*$/).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+  
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Provider name is required')
+    .isLength({ max: 100 }).withMessage('Provider name must not exceed 100 characters'),
+  
+  body('protocol')
+    .notEmpty().withMessage('Protocol is required')
+    .isIn(['oidc', 'saml']).withMessage('Protocol must be oidc or saml'),
+  
+  body('campus_id')
+    .notEmpty().withMessage('Campus ID is required')
+    .isUUID().withMessage('Invalid campus ID format'),
+  
+  body('config')
+    .isObject().withMessage('config must be an object'),
+  
+  body('claim_mapping')
+    .optional({ values: 'null' })
+    .isObject().withMessage('claim_mapping must be an object'),
+  
+  body('allowed_domains')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 }).withMessage('allowed_domains must be a non-empty array'),
+  
+  body('allowed_domains.*')
+    .isFQDN().withMessage('Each allowed domain must be a domain name'),
+  
+  body('jit_enabled')
+    .optional()
+    .isBoolean().withMessage('jit_enabled must be a boolean'),
+  
+  body('default_role')
+    .optional()
+    .isIn(['Student', 'Teacher', 'Parent']).withMessage('default_role must be Student, Teacher or Parent'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for updating an identity provider
+ */
+export const validateIdentityProviderUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Provider name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Provider name must not exceed 100 characters'),
+  
+  body('config')
+    .optional()
+    .isObject().withMessage('config must be an object'),
+  
+  body('claim_mapping')
+    .optional({ values: 'null' })
+    .isObject().withMessage('claim_mapping must be an object'),
+  
+  body('allowed_domains')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 }).withMessage('allowed_domains must be a non-empty array'),
+  
+  body('allowed_domains.*')
+    .isFQDN().withMessage('Each allowed domain must be a domain name'),
+  
+  body('jit_enabled')
+    .optional()
+    .isBoolean().withMessage('jit_enabled must be a boolean'),
+  
+  body('default_role')
+    .optional()
+    .isIn(['Student', 'Teacher', 'Parent']).withMessage('default_role must be Student, Teacher or Parent'),
+  
+  body('is_active')
+    .optional()
+    .isBoolean().withMessage('is_active must be a boolean'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for exchanging a federated login code
+ */
+export const validateFederationCodeExchange = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isHexadecimal().withMessage('Invalid code format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for creating a password policy
+ */
+export const validatePasswordPolicy = [
+  body('campus_id')
+    .optional({ values: 'null' })
+    .isUUID().withMessage('Invalid campus ID format'),
+  
+  body('role')
+    .optional({ values: 'null' })
+    .isIn(ROLES).withMessage('Invalid role'),
+  
+  body('min_length')
+    .optional()
+    .isInt({ min: 6, max: 128 }).withMessage('min_length must be between 6 and 128')
+    .toInt(),
+  
+  body(['require_uppercase', 'require_lowercase', 'require_number', 'require_symbol'])
+    .optional()
+    .isBoolean().withMessage('Character requirements must be booleans')
+    .toBoolean(),
+  
+  body('min_strength_score')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 4 }).withMessage('min_strength_score must be between 0 and 4')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for updating a password policy
+ */
+export const validatePasswordPolicyUpdate = [
+  body(['campus_id', 'role'])
+    .not().exists().withMessage('A policy\'s campus and role cannot be changed; create a new policy instead'),
+  
+  body('min_length')
+    .optional()
+    .isInt({ min: 6, max: 128 }).withMessage('min_length must be between 6 and 128')
+    .toInt(),
+  
+  body(['require_uppercase', 'require_lowercase', 'require_number', 'require_symbol'])
+    .optional()
+    .isBoolean().withMessage('Character requirements must be booleans')
+    .toBoolean(),
+  
+  body('min_strength_score')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 4 }).withMessage('min_strength_score must be between 0 and 4')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for password policy queries
+ */
+export const validatePasswordPolicyQuery = [
+  query('campus_id')
+    .optional()
+    .isUUID().withMessage('Invalid campus ID format'),
+  
+  query('role')
+    .optional()
+    .isIn(ROLES).withMessage('Invalid role'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for starting an impersonation
+ */
+export const validateImpersonationStart = [
+  body('user_id')
+    .notEmpty().withMessage('User ID is required')
+    .isUUID().withMessage('Invalid user ID format'),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A reason for the impersonation is required')
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for creating a service account
+ */
+export const validateServiceAccount = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Service account name is required')
+    .isLength({ max: 100 }).withMessage('Service account name must not exceed 100 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for creating an API key
+ */
+export const validateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Key name is required')
+    .isLength({ max: 100 }).withMessage('Key name must not exceed 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  
+  body('scopes.*')
+    .isString()
+    .matches(/^[a-z_]+:[a-z_]+$/).withMessage('Each scope must look like resource:action'),
+  
+  body('campus_id')
+    .optional({ values: 'null' })
+    .isUUID().withMessage('Invalid campus ID format'),
+  
+  body('expires_in_days')
+    .optional()
+    .isInt({ min: 1 }).withMessage('expires_in_days must be a positive integer')
+    .toInt(),
+  
+  body('rate_limit_per_minute')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100000 }).withMessage('rate_limit_per_minute must be between 1 and 100000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for creating a session policy
+ */
+export const validateSessionPolicy = [
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(ROLES).withMessage('Invalid role'),
+  
+  body('max_sessions')
+    .notEmpty().withMessage('max_sessions is required')
+    .isInt({ min: 1, max: 50 }).withMessage('max_sessions must be between 1 and 50')
+    .toInt(),
+  
+  body('on_limit')
+    .optional()
+    .isIn(['reject', 'evict_oldest']).withMessage('on_limit must be reject or evict_oldest'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation schema for updating a session policy
+ */
+export const validateSessionPolicyUpdate = [
+  body('role')
+    .not().exists().withMessage('A policy\'s role cannot be changed; create a new policy instead'),
+  
+  body('max_sessions')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('max_sessions must be between 1 and 50')
+    .toInt(),
+  
+  body('on_limit')
+    .optional()
+    .isIn(['reject', 'evict_oldest']).withMessage('on_limit must be reject or evict_oldest'),
+  
+  handleValidationErrors
+];
+
 export default {
   handleValidationErrors,
   validateRegistration,
   validateLogin,
   validateOTPRequest,
   validateOTPVerification,
+  validateMagicLinkRequest,
+  validateMagicLinkVerification,
   validateTokenRefresh,
   validatePasswordResetRequest,
   validatePasswordReset,
@@ -382,5 +1005,33 @@ export default {
   validateAuditLogQuery,
   validateUUIDParam,
   validateMFARequest,
-  validateMFAVerification
+  validateMFAVerification,
+  validateMFAReset,
+  validateMFAChallenge,
+  validateMFALogin,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validatePasskeyRename,
+  validateDeviceRename,
+  validateOAuthClientRegistration,
+  validateSignup,
+  validateSignupVerification,
+  validateSignupResend,
+  validateRegistrationRejection,
+  validateContactChangeRequest,
+  validatePhoneChangeConfirmation,
+  validateContactChangeToken,
+  validateSignInRevokeToken,
+  validateIdentityProvider,
+  validateIdentityProviderUpdate,
+  validateFederationCodeExchange,
+  validatePasswordPolicy,
+  validatePasswordPolicyUpdate,
+  validatePasswordPolicyQuery,
+  validateImpersonationStart,
+  validateServiceAccount,
+  validateApiKey,
+  validateSessionPolicy,
+  validateSessionPolicyUpdate
 };
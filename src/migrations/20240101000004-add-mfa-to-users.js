@@ -0,0 +1,24 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('users', 'mfa_enabled', {
+    type: Sequelize.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  });
+
+  // TOTP shared secret, encrypted at rest with utils/encryption.js
+  await queryInterface.addColumn('users', 'mfa_totp_secret', {
+    type: Sequelize.TEXT,
+    allowNull: true,
+  });
+
+  await queryInterface.addColumn('users', 'mfa_enrolled_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('users', 'mfa_enrolled_at');
+  await queryInterface.removeColumn('users', 'mfa_totp_secret');
+  await queryInterface.removeColumn('users', 'mfa_enabled');
+};
@@ -0,0 +1,72 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('webauthn_credentials', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    credential_id: {
+      type: Sequelize.STRING(512),
+      allowNull: false,
+      unique: true,
+    },
+    public_key: {
+      type: Sequelize.TEXT,
+      allowNull: false,
+    },
+    counter: {
+      type: Sequelize.BIGINT,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    transports: {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    },
+    device_type: {
+      type: Sequelize.STRING(32),
+      allowNull: true,
+    },
+    backed_up: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    last_used_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('webauthn_credentials', ['user_id'], {
+    name: 'idx_webauthn_credentials_user',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('webauthn_credentials');
+};
@@ -0,0 +1,64 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('oauth_clients', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    client_id: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    client_secret_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    redirect_uris: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    allowed_scopes: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    is_confidential: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('oauth_clients');
+};
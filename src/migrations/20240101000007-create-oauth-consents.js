@@ -0,0 +1,52 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('oauth_consents', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    client_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'oauth_clients',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    scopes: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('oauth_consents', ['user_id', 'client_id'], {
+    unique: true,
+    name: 'idx_oauth_consents_user_client',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('oauth_consents');
+};
@@ -0,0 +1,38 @@
+const NEW_STATUSES = ['pending_verification', 'pending_approval', 'rejected'];
+
+export const up = async (queryInterface, Sequelize) => {
+  // Self-service signups move through pending_verification -> pending_approval -> active (or rejected)
+  if (queryInterface.sequelize.getDialect() === 'postgres') {
+    for (const status of NEW_STATUSES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_users_account_status" ADD VALUE IF NOT EXISTS '${status}';`
+      );
+    }
+  } else {
+    await queryInterface.changeColumn('users', 'account_status', {
+      type: Sequelize.ENUM('active', 'inactive', 'locked', ...NEW_STATUSES),
+      defaultValue: 'active',
+      allowNull: false,
+    });
+  }
+
+  await queryInterface.addColumn('users', 'email_verified_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+
+  await queryInterface.addColumn('users', 'phone_verified_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeColumn('users', 'phone_verified_at');
+  await queryInterface.removeColumn('users', 'email_verified_at');
+
+  // Postgres cannot drop enum values; move pending/rejected accounts to inactive so the old code can read them
+  await queryInterface.sequelize.query(
+    `UPDATE users SET account_status = 'inactive' WHERE account_status IN ('${NEW_STATUSES.join("', '")}');`
+  );
+};
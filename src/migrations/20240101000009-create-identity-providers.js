@@ -0,0 +1,87 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('identity_providers', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    slug: {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    protocol: {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+    },
+    campus_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'campuses',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT',
+    },
+    config: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    claim_mapping: {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    },
+    allowed_domains: {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    },
+    jit_enabled: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    default_role: {
+      type: Sequelize.ENUM('Student', 'Teacher', 'Parent'),
+      defaultValue: 'Student',
+      allowNull: false,
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('identity_providers', ['campus_id'], {
+    name: 'idx_identity_providers_campus',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('identity_providers');
+};
@@ -0,0 +1,65 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('federated_identities', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    provider_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'identity_providers',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    subject: {
+      type: Sequelize.STRING(255),
+      allowNull: false,
+    },
+    email: {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+    },
+    last_login_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('federated_identities', ['provider_id', 'subject'], {
+    unique: true,
+    name: 'idx_federated_identities_provider_subject',
+  });
+
+  await queryInterface.addIndex('federated_identities', ['user_id', 'provider_id'], {
+    unique: true,
+    name: 'idx_federated_identities_user_provider',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('federated_identities');
+};
@@ -0,0 +1,53 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.addColumn('users', 'must_change_password', {
+    type: Sequelize.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  });
+
+  await queryInterface.addColumn('users', 'password_changed_at', {
+    type: Sequelize.DATE,
+    allowNull: true,
+  });
+
+  // Start the expiry clock at deployment so existing passwords do not all expire at once
+  await queryInterface.sequelize.query('UPDATE users SET password_changed_at = CURRENT_TIMESTAMP;');
+
+  // Previous password hashes, checked to stop users reusing recent passwords
+  await queryInterface.createTable('password_history', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    password_hash: {
+      type: Sequelize.STRING(255),
+      allowNull: false,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('password_history', ['user_id', 'created_at'], {
+    name: 'idx_password_history_user_created',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('password_history');
+  await queryInterface.removeColumn('users', 'password_changed_at');
+  await queryInterface.removeColumn('users', 'must_change_password');
+};
@@ -0,0 +1,108 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('password_policies', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    campus_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'campuses',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    role: {
+      type: Sequelize.ENUM('Student', 'Teacher', 'Parent', 'Admin', 'Super_Admin'),
+      allowNull: true,
+    },
+    min_length: {
+      type: Sequelize.INTEGER,
+      defaultValue: 8,
+      allowNull: false,
+    },
+    require_uppercase: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    require_lowercase: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    require_number: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    require_symbol: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    min_strength_score: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    updated_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  // One policy per scope; NULL campus or role means "all", so compare them as values
+  await queryInterface.sequelize.query(`
+    CREATE UNIQUE INDEX idx_password_policies_scope
+    ON password_policies (COALESCE(campus_id::text, '*'), COALESCE(role::text, '*'));
+  `);
+
+  // Super_Admin accounts can change every other account, so they get longer passwords everywhere
+  await queryInterface.bulkInsert('password_policies', [{
+    id: Sequelize.literal('gen_random_uuid()'),
+    campus_id: null,
+    role: 'Super_Admin',
+    min_length: 14,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_number: true,
+    require_symbol: false,
+    min_strength_score: 3,
+    created_at: new Date(),
+    updated_at: new Date(),
+  }]);
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('password_policies');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_password_policies_role";');
+};
@@ -0,0 +1,147 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('service_accounts', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+      unique: true,
+    },
+    description: {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.createTable('api_keys', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    service_account_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'service_accounts',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    prefix: {
+      type: Sequelize.STRING(32),
+      allowNull: false,
+      unique: true,
+    },
+    key_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+    },
+    scopes: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+    },
+    campus_id: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'campuses',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    rate_limit_per_minute: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    },
+    expires_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    last_used_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    last_used_ip: {
+      type: Sequelize.STRING(45),
+      allowNull: true,
+    },
+    revoked_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    revoked_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('api_keys', ['service_account_id'], {
+    name: 'idx_api_keys_service_account',
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('api_keys');
+  await queryInterface.dropTable('service_accounts');
+};
@@ -0,0 +1,79 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('session_policies', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    role: {
+      type: Sequelize.ENUM('Student', 'Teacher', 'Parent', 'Admin', 'Super_Admin'),
+      allowNull: false,
+      unique: true,
+    },
+    max_sessions: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    },
+    on_limit: {
+      type: Sequelize.ENUM('reject', 'evict_oldest'),
+      defaultValue: 'evict_oldest',
+      allowNull: false,
+    },
+    created_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    updated_by: {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  // Shared student accounts are the main way exam credentials get passed around
+  await queryInterface.bulkInsert('session_policies', [
+    {
+      id: Sequelize.literal('gen_random_uuid()'),
+      role: 'Student',
+      max_sessions: 2,
+      on_limit: 'evict_oldest',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+    {
+      id: Sequelize.literal('gen_random_uuid()'),
+      role: 'Teacher',
+      max_sessions: 5,
+      on_limit: 'evict_oldest',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  ]);
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('session_policies');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_session_policies_role";');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_session_policies_on_limit";');
+};
@@ -0,0 +1,86 @@
+export const up = async (queryInterface, Sequelize) => {
+  await queryInterface.createTable('user_devices', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true,
+    },
+    user_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    },
+    device_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+    },
+    name: {
+      type: Sequelize.STRING(100),
+      allowNull: false,
+    },
+    browser: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    },
+    browser_version: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    },
+    os: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    },
+    os_version: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    },
+    device_type: {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    },
+    device_vendor: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    },
+    device_model: {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    },
+    trusted_until: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    last_seen_at: {
+      type: Sequelize.DATE,
+      allowNull: true,
+    },
+    last_ip: {
+      type: Sequelize.STRING(45),
+      allowNull: true,
+    },
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+    },
+  });
+
+  await queryInterface.addIndex('user_devices', ['user_id', 'device_hash'], {
+    name: 'idx_user_devices_user_device',
+    unique: true,
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.dropTable('user_devices');
+};
@@ -0,0 +1,17 @@
+export const up = async (queryInterface, Sequelize) => {
+  // Blind index of the encrypted phone number; filled in by `npm run users:phone-index`
+  await queryInterface.addColumn('users', 'phone_bidx', {
+    type: Sequelize.STRING(64),
+    allowNull: true,
+  });
+
+  await queryInterface.addIndex('users', ['phone_bidx'], {
+    name: 'idx_users_phone_bidx',
+    unique: true,
+  });
+};
+
+export const down = async (queryInterface, Sequelize) => {
+  await queryInterface.removeIndex('users', 'idx_users_phone_bidx');
+  await queryInterface.removeColumn('users', 'phone_bidx');
+};
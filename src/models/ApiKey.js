@@ -0,0 +1,124 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import ServiceAccount from './ServiceAccount.js';
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  service_account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'service_accounts',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  prefix: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true,
+    comment: 'Public start of the key (<API_KEY_PREFIX>_<id>), used to find it and shown in listings',
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the full key',
+  },
+  scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Permissions from the RBAC matrix as "resource:action"',
+  },
+  campus_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'campuses',
+      key: 'id',
+    },
+    comment: 'Campus the key is restricted to; all campuses when null',
+  },
+  rate_limit_per_minute: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+    },
+    comment: 'API_KEY_RATE_LIMIT when null',
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revoked_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['prefix'],
+    },
+    {
+      fields: ['service_account_id'],
+    },
+  ],
+});
+
+// Instance method to get a representation without the key hash
+ApiKey.prototype.toSafeObject = function() {
+  const apiKey = this.toJSON();
+  delete apiKey.key_hash;
+  return apiKey;
+};
+
+// Define associations
+ApiKey.belongsTo(ServiceAccount, {
+  foreignKey: 'service_account_id',
+  as: 'serviceAccount',
+});
+
+ServiceAccount.hasMany(ApiKey, {
+  foreignKey: 'service_account_id',
+  as: 'apiKeys',
+});
+
+export default ApiKey;
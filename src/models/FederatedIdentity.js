@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+import IdentityProvider from './IdentityProvider.js';
+
+const FederatedIdentity = sequelize.define('FederatedIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  provider_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'identity_providers',
+      key: 'id',
+    },
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Stable user identifier at the provider (OIDC sub or SAML NameID)',
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Email the provider asserted at the last login',
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'federated_identities',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider_id', 'subject'],
+    },
+    {
+      unique: true,
+      fields: ['user_id', 'provider_id'],
+    },
+  ],
+});
+
+// Define associations
+FederatedIdentity.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+FederatedIdentity.belongsTo(IdentityProvider, {
+  foreignKey: 'provider_id',
+  as: 'provider',
+});
+
+User.hasMany(FederatedIdentity, {
+  foreignKey: 'user_id',
+  as: 'federatedIdentities',
+});
+
+export default FederatedIdentity;
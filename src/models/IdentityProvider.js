@@ -0,0 +1,114 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import Campus from './Campus.js';
+import User from './User.js';
+
+const IdentityProvider = sequelize.define('IdentityProvider', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  slug: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z0-9][a-z0-9-]*$/,
+    },
+    comment: 'URL-safe identifier used in the login and callback paths',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  protocol: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Adapter in services/federation (oidc, saml)',
+  },
+  campus_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'campuses',
+      key: 'id',
+    },
+  },
+  config: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Protocol settings (endpoints, client ID, certificates); secrets are encrypted',
+  },
+  claim_mapping: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Upstream claim or attribute name for email, name and phone; protocol defaults when null',
+  },
+  allowed_domains: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Email domains accepted from this provider; any domain when null',
+  },
+  jit_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  },
+  default_role: {
+    type: DataTypes.ENUM('Student', 'Teacher', 'Parent'),
+    defaultValue: 'Student',
+    allowNull: false,
+    comment: 'Role given to accounts created just in time',
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'identity_providers',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['slug'],
+    },
+    {
+      fields: ['campus_id'],
+    },
+  ],
+});
+
+// Instance method to get a representation without the encrypted client secret
+IdentityProvider.prototype.toSafeObject = function() {
+  const provider = this.toJSON();
+  provider.config = { ...provider.config };
+  delete provider.config.client_secret;
+  return provider;
+};
+
+// Define associations
+IdentityProvider.belongsTo(Campus, {
+  foreignKey: 'campus_id',
+  as: 'campus',
+});
+
+IdentityProvider.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator',
+});
+
+export default IdentityProvider;
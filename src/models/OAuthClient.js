@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+
+const OAuthClient = sequelize.define('OAuthClient', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  client_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  client_secret_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the client secret; null for public (PKCE-only) clients',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  redirect_uris: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Exact-match allow list of redirect URIs',
+  },
+  allowed_scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+  is_confidential: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'oauth_clients',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['client_id'],
+    },
+  ],
+});
+
+// Instance method to get a representation without the secret hash
+OAuthClient.prototype.toSafeObject = function() {
+  const client = this.toJSON();
+  delete client.client_secret_hash;
+  return client;
+};
+
+// Define associations
+OAuthClient.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator',
+});
+
+export default OAuthClient;
@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+import OAuthClient from './OAuthClient.js';
+
+const OAuthConsent = sequelize.define('OAuthConsent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'oauth_clients',
+      key: 'id',
+    },
+    comment: 'oauth_clients.id (not the public client_id string)',
+  },
+  scopes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+  },
+}, {
+  tableName: 'oauth_consents',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'client_id'],
+    },
+  ],
+});
+
+// Define associations
+OAuthConsent.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+OAuthConsent.belongsTo(OAuthClient, {
+  foreignKey: 'client_id',
+  as: 'client',
+});
+
+OAuthClient.hasMany(OAuthConsent, {
+  foreignKey: 'client_id',
+  as: 'consents',
+});
+
+export default OAuthConsent;
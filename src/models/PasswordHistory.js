@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Hash of a password the user has replaced',
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'password_history',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at'],
+    },
+  ],
+});
+
+// Define associations
+PasswordHistory.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+User.hasMany(PasswordHistory, {
+  foreignKey: 'user_id',
+  as: 'passwordHistory',
+});
+
+export default PasswordHistory;
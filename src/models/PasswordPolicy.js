@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import Campus from './Campus.js';
+
+const PasswordPolicy = sequelize.define('PasswordPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  campus_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'campuses',
+      key: 'id',
+    },
+    comment: 'Campus the policy applies to; all campuses when null',
+  },
+  role: {
+    type: DataTypes.ENUM('Student', 'Teacher', 'Parent', 'Admin', 'Super_Admin'),
+    allowNull: true,
+    comment: 'Role the policy applies to; all roles when null',
+  },
+  min_length: {
+    type: DataTypes.INTEGER,
+    defaultValue: 8,
+    allowNull: false,
+    validate: {
+      min: 6,
+      max: 128,
+    },
+  },
+  require_uppercase: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  require_lowercase: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  require_number: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+  },
+  require_symbol: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  },
+  min_strength_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 4,
+    },
+    comment: 'Minimum estimated strength (0-4); PASSWORD_MIN_STRENGTH_SCORE when null',
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'password_policies',
+  timestamps: true,
+  underscored: true,
+});
+
+// Define associations
+PasswordPolicy.belongsTo(Campus, {
+  foreignKey: 'campus_id',
+  as: 'campus',
+});
+
+export default PasswordPolicy;
@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const ServiceAccount = sequelize.define('ServiceAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [1, 100],
+    },
+    comment: 'System that uses the account, e.g. "ERP" or "Fee payments"',
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+    comment: 'Keys of an inactive account are rejected',
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'service_accounts',
+  timestamps: true,
+  underscored: true,
+});
+
+export default ServiceAccount;
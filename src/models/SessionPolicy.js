@@ -0,0 +1,53 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const SessionPolicy = sequelize.define('SessionPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  role: {
+    type: DataTypes.ENUM('Student', 'Teacher', 'Parent', 'Admin', 'Super_Admin'),
+    allowNull: false,
+    unique: true,
+    comment: 'Role the limit applies to; roles without a policy have no limit',
+  },
+  max_sessions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 50,
+    },
+    comment: 'Maximum number of active sessions per user',
+  },
+  on_limit: {
+    type: DataTypes.ENUM('reject', 'evict_oldest'),
+    defaultValue: 'evict_oldest',
+    allowNull: false,
+    comment: 'What a login beyond the limit does: fail, or sign out the least recently active session',
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+}, {
+  tableName: 'session_policies',
+  timestamps: true,
+  underscored: true,
+});
+
+export default SessionPolicy;
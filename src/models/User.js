@@ -1,8 +1,7 @@
 import { DataTypes } from 'sequelize';
-import bcrypt from 'bcrypt';
 import { sequelize } from '../config/database.js';
-import { encrypt, decrypt } from '../utils/encryption.js';
-import config from '../config/env.js';
+import { encrypt, decrypt, getPhoneIndex } from '../utils/encryption.js';
+import { hashPassword, verifyPassword, isPasswordHash } from '../services/passwordService.js';
 import Campus from './Campus.js';
 
 const User = sequelize.define('User', {
@@ -30,9 +29,15 @@ const User = sequelize.define('User', {
     set(value) {
       if (value) {
         this.setDataValue('phone', encrypt(value));
+        this.setDataValue('phone_bidx', getPhoneIndex(value));
       }
     },
   },
+  phone_bidx: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Blind index of the phone number (HMAC-SHA256 with BLIND_INDEX_KEY), for lookups by phone',
+  },
   password_hash: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -71,7 +76,7 @@ const User = sequelize.define('User', {
     },
   },
   account_status: {
-    type: DataTypes.ENUM('active', 'inactive', 'locked'),
+    type: DataTypes.ENUM('active', 'inactive', 'locked', 'pending_verification', 'pending_approval', 'rejected'),
     defaultValue: 'active',
     allowNull: false,
   },
@@ -93,6 +98,44 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  mfa_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  },
+  mfa_totp_secret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('mfa_totp_secret');
+      return rawValue ? decrypt(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('mfa_totp_secret', value ? encrypt(value) : null);
+    },
+  },
+  mfa_enrolled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  phone_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  must_change_password: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Only the change-password route is allowed until the password is changed',
+  },
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   deleted_at: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -107,6 +150,10 @@ const User = sequelize.define('User', {
       unique: true,
       fields: ['email'],
     },
+    {
+      unique: true,
+      fields: ['phone_bidx'],
+    },
     {
       fields: ['campus_id', 'role'],
     },
@@ -117,16 +164,14 @@ const User = sequelize.define('User', {
   hooks: {
     beforeCreate: async (user) => {
       // Hash password before creating user
-      if (user.password_hash && !user.password_hash.startsWith('$2')) {
-        const salt = await bcrypt.genSalt(config.security.bcryptSaltRounds);
-        user.password_hash = await bcrypt.hash(user.password_hash, salt);
+      if (user.password_hash && !isPasswordHash(user.password_hash)) {
+        user.password_hash = await hashPassword(user.password_hash);
       }
     },
     beforeUpdate: async (user) => {
       // Hash password if it was changed
-      if (user.changed('password_hash') && user.password_hash && !user.password_hash.startsWith('$2')) {
-        const salt = await bcrypt.genSalt(config.security.bcryptSaltRounds);
-        user.password_hash = await bcrypt.hash(user.password_hash, salt);
+      if (user.changed('password_hash') && user.password_hash && !isPasswordHash(user.password_hash)) {
+        user.password_hash = await hashPassword(user.password_hash);
       }
     },
   },
@@ -145,7 +190,7 @@ Campus.hasMany(User, {
 
 // Instance method to verify password
 User.prototype.verifyPassword = async function(password) {
-  return await bcrypt.compare(password, this.password_hash);
+  return await verifyPassword(password, this.password_hash);
 };
 
 // Instance method to check if account is locked
@@ -158,6 +203,8 @@ User.prototype.isLocked = function() {
 User.prototype.toSafeObject = function() {
   const user = this.toJSON();
   delete user.password_hash;
+  delete user.mfa_totp_secret;
+  delete user.phone_bidx;
   return user;
 };
 
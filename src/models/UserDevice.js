@@ -0,0 +1,114 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+
+const UserDevice = sequelize.define('UserDevice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  device_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the device identifier held by the device (cookie or X-Device-Id header)',
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Name chosen by the user, or derived from the user agent',
+  },
+  browser: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  browser_version: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  os: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  os_version: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  device_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'desktop, mobile, tablet, smarttv, wearable, console, ...',
+  },
+  device_vendor: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  device_model: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  trusted_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Logins from this device skip the user\'s MFA until then',
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  last_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+  },
+}, {
+  tableName: 'user_devices',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'device_hash'],
+    },
+  ],
+});
+
+// Instance method to get a client-safe representation (no device hash)
+UserDevice.prototype.toSafeObject = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    browser: this.browser,
+    browser_version: this.browser_version,
+    os: this.os,
+    os_version: this.os_version,
+    device_type: this.device_type,
+    device_vendor: this.device_vendor,
+    device_model: this.device_model,
+    trusted: Boolean(this.trusted_until && this.trusted_until > new Date()),
+    trusted_until: this.trusted_until,
+    last_seen_at: this.last_seen_at,
+    last_ip: this.last_ip,
+    created_at: this.createdAt,
+  };
+};
+
+// Define associations
+UserDevice.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+User.hasMany(UserDevice, {
+  foreignKey: 'user_id',
+  as: 'devices',
+});
+
+export default UserDevice;
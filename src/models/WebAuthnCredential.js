@@ -0,0 +1,103 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import User from './User.js';
+
+const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+  },
+  credential_id: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+    comment: 'Base64url-encoded credential ID from the authenticator',
+  },
+  public_key: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Base64url-encoded COSE public key',
+  },
+  counter: {
+    type: DataTypes.BIGINT,
+    defaultValue: 0,
+    allowNull: false,
+    get() {
+      // BIGINT is returned as a string by pg
+      return Number(this.getDataValue('counter'));
+    },
+  },
+  transports: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+  },
+  device_type: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    comment: 'singleDevice or multiDevice (synced passkey)',
+  },
+  backed_up: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'webauthn_credentials',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['credential_id'],
+    },
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+// Instance method to get a client-safe representation (no key material)
+WebAuthnCredential.prototype.toSafeObject = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    device_type: this.device_type,
+    backed_up: this.backed_up,
+    transports: this.transports || [],
+    last_used_at: this.last_used_at,
+    created_at: this.created_at,
+  };
+};
+
+// Define associations
+WebAuthnCredential.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+});
+
+User.hasMany(WebAuthnCredential, {
+  foreignKey: 'user_id',
+  as: 'passkeys',
+});
+
+export default WebAuthnCredential;
@@ -2,16 +2,38 @@ import { sequelize } from '../config/database.js';
 import Campus from './Campus.js';
 import User from './User.js';
 import AuditLog from './AuditLog.js';
+import WebAuthnCredential from './WebAuthnCredential.js';
+import OAuthClient from './OAuthClient.js';
+import OAuthConsent from './OAuthConsent.js';
+import IdentityProvider from './IdentityProvider.js';
+import FederatedIdentity from './FederatedIdentity.js';
+import PasswordHistory from './PasswordHistory.js';
+import PasswordPolicy from './PasswordPolicy.js';
+import ServiceAccount from './ServiceAccount.js';
+import ApiKey from './ApiKey.js';
+import SessionPolicy from './SessionPolicy.js';
+import UserDevice from './UserDevice.js';
 
 // Export all models
 const models = {
   Campus,
   User,
   AuditLog,
+  WebAuthnCredential,
+  OAuthClient,
+  OAuthConsent,
+  IdentityProvider,
+  FederatedIdentity,
+  PasswordHistory,
+  PasswordPolicy,
+  ServiceAccount,
+  ApiKey,
+  SessionPolicy,
+  UserDevice,
 };
 
 // Initialize associations (already defined in model files)
 // This ensures all associations are loaded
 
-export { sequelize, Campus, User, AuditLog };
+export { sequelize, Campus, User, AuditLog, WebAuthnCredential, OAuthClient, OAuthConsent, IdentityProvider, FederatedIdentity, PasswordHistory, PasswordPolicy, ServiceAccount, ApiKey, SessionPolicy, UserDevice };
 export default models;
@@ -1,18 +1,36 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
+import * as webauthnController from '../controllers/webauthnController.js';
+import * as registrationController from '../controllers/registrationController.js';
+import * as oidcController from '../controllers/oidcController.js';
 import {
   authenticate,
-  requireRole,
+  requirePermission,
   validateRegistration,
+  validateSignup,
+  validateSignupVerification,
+  validateSignupResend,
   validateLogin,
   validateOTPRequest,
   validateOTPVerification,
+  validateMagicLinkRequest,
+  validateMagicLinkVerification,
   validateTokenRefresh,
   validatePasswordResetRequest,
   validatePasswordReset,
+  validateMFARequest,
+  validateMFAVerification,
+  validateMFAChallenge,
+  validateMFALogin,
+  validatePasskeyRegistration,
+  validatePasskeyLoginOptions,
+  validatePasskeyLogin,
+  validateSignInRevokeToken,
   authRateLimiter,
   otpRateLimiter,
-  passwordResetRateLimiter
+  passwordResetRateLimiter,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
 } from '../middleware/index.js';
 
 const router = express.Router();
@@ -22,10 +40,11 @@ const router = express.Router();
  * /api/v1/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account. Only accessible by Admin and Super_Admin roles. Requires authentication.
+ *     description: Create a new user account. Only accessible by Admin and Super_Admin roles. Requires authentication. Students and parents can register themselves with `/auth/signup`. Service accounts need an API key with the `user:create` scope and can only create Student, Teacher and Parent accounts on the key's campus.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -47,9 +66,8 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
- *                 minLength: 8
  *                 example: SecurePass123
- *                 description: Must be at least 8 characters with uppercase, lowercase, and number
+ *                 description: Must meet the password policy for the user's campus and role (see GET /api/v1/password-policies/active)
  *               name:
  *                 type: string
  *                 example: John Doe
@@ -65,6 +83,10 @@ const router = express.Router();
  *                 type: string
  *                 format: uuid
  *                 example: 550e8400-e29b-41d4-a716-446655440000
+ *               must_change_password:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Treat the password as temporary; the user must change it after the first login
  *     responses:
  *       201:
  *         description: User created successfully
@@ -109,18 +131,204 @@ const router = express.Router();
 router.post(
   '/register',
   authRateLimiter,
-  authenticate(),
-  requireRole('Admin', 'Super_Admin'),
+  authenticate({ allowApiKeys: true }),
+  requirePermission('user', 'create'),
   validateRegistration,
   authController.register
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/signup:
+ *   post:
+ *     summary: Self-service signup
+ *     description: |
+ *       Register a Student or Parent account against a campus. Verification codes are sent to the
+ *       email address and phone number; both must be verified with `/auth/signup/verify`, after which
+ *       the registration waits for approval by a campus Admin. The account cannot sign in until approved.
+ *       `verification.<channel>.sent` is false if a code could not be delivered; use `/auth/signup/resend`.
+ *       Breached or easily guessed passwords are rejected with `WEAK_PASSWORD` and the reasons in `error.details`.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - name
+ *               - phone
+ *               - role
+ *               - campus_id
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: student@example.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: SecurePass123
+ *               name:
+ *                 type: string
+ *                 example: Asha Patil
+ *               phone:
+ *                 type: string
+ *                 pattern: '^\+91[0-9]{10}$'
+ *                 example: '+919876543210'
+ *               role:
+ *                 type: string
+ *                 enum: [Student, Parent]
+ *                 example: Student
+ *               campus_id:
+ *                 type: string
+ *                 format: uuid
+ *                 example: 550e8400-e29b-41d4-a716-446655440000
+ *     responses:
+ *       201:
+ *         description: Registration received, verification codes sent
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 user:
+ *                   email: student@example.com
+ *                   account_status: pending_verification
+ *                 verification:
+ *                   email:
+ *                     sent: true
+ *                     expiresAt: '2024-01-15T10:05:00.000Z'
+ *                   phone:
+ *                     sent: true
+ *                     expiresAt: '2024-01-15T10:05:00.000Z'
+ *               message: Registration received. Verify your email and phone number with the codes we sent
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Campus not found
+ *       409:
+ *         description: Email or phone already exists
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/signup',
+  authRateLimiter,
+  validateSignup,
+  registrationController.signup
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/signup/verify:
+ *   post:
+ *     summary: Verify signup email or phone
+ *     description: |
+ *       Submit the code sent to the email address or phone number. Once both are verified the
+ *       registration moves to `pending_approval`.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - channel
+ *               - code
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *               code:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Code verified
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 account_status: pending_approval
+ *                 email_verified: true
+ *                 phone_verified: true
+ *               message: Verification complete. Your registration is awaiting approval by your campus
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid or expired code
+ *       404:
+ *         description: No registration awaiting verification for this email
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/signup/verify',
+  authRateLimiter,
+  validateSignupVerification,
+  registrationController.verifySignup
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/signup/resend:
+ *   post:
+ *     summary: Resend a signup verification code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - channel
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               channel:
+ *                 type: string
+ *                 enum: [email, phone]
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       404:
+ *         description: No registration awaiting verification for this email
+ *       409:
+ *         description: Already verified
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       503:
+ *         description: The code could not be delivered
+ */
+router.post(
+  '/signup/resend',
+  otpRateLimiter,
+  validateSignupResend,
+  registrationController.resendSignupCode
+);
+
 /**
  * @swagger
  * /api/v1/auth/login:
  *   post:
  *     summary: Login with email and password
- *     description: Authenticate user with email and password credentials. Returns JWT access and refresh tokens.
+ *     description: |
+ *       Authenticate user with email and password credentials. Returns JWT access and refresh tokens.
+ *       If the user has MFA enabled, returns `mfaRequired: true` and a 5-minute `mfaToken` instead;
+ *       complete the login with /api/v1/auth/mfa/verify.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -199,10 +407,39 @@ router.post(
  *                   error:
  *                     code: ACCOUNT_INACTIVE
  *                     message: Account is inactive. Contact administrator
+ *               loginBlocked:
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     code: LOGIN_BLOCKED
+ *                     message: This sign-in looks unusual and was blocked. Check your email or SMS for details
  *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: |
+ *           Too many requests, or too many failed logins from this network (`LOGIN_THROTTLED`).
+ *           Throttled responses carry a `Retry-After` header and `error.retryAfter` in seconds.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               error:
+ *                 code: LOGIN_THROTTLED
+ *                 message: Too many failed login attempts from your network. Try again in 2 minutes
+ *                 retryAfter: 120
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       503:
+ *         description: The account signs in against the campus directory (LDAP), which is unreachable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               error:
+ *                 code: DIRECTORY_UNAVAILABLE
+ *                 message: Directory server is unavailable. Please try again later
  */
 router.post(
   '/login',
@@ -291,7 +528,9 @@ router.post(
  * /api/v1/auth/otp/verify:
  *   post:
  *     summary: Verify OTP and login
- *     description: Verify the OTP sent to mobile number and authenticate the user. Returns JWT tokens on successful verification.
+ *     description: |
+ *       Verify the OTP sent to mobile number and authenticate the user. Returns JWT tokens on successful verification.
+ *       If the user has MFA enabled, returns `mfaRequired: true` and an `mfaToken` instead (see /api/v1/auth/mfa/verify).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -369,10 +608,14 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/refresh:
+ * /api/v1/auth/magic-link/request:
  *   post:
- *     summary: Refresh access token
- *     description: Generate a new access token using a valid refresh token. Refresh tokens are valid for 7 days.
+ *     summary: Request a passwordless sign-in link
+ *     description: |
+ *       Email a single-use sign-in link. The response contains a `deviceToken` that the browser
+ *       must keep (e.g. in sessionStorage) and send with the token from the link; the link only
+ *       completes the login in the browser that requested it.
+ *       The response is the same whether or not the email belongs to an account.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -381,105 +624,113 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - email
  *             properties:
- *               refreshToken:
+ *               email:
  *                 type: string
- *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 format: email
+ *                 example: parent@example.com
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Request accepted
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     accessToken:
- *                       type: string
- *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
- *                 message:
- *                   type: string
- *                   example: Token refreshed successfully
+ *             example:
+ *               success: true
+ *               data:
+ *                 deviceToken: 9f2c4e7a1b3d5f6e8a0c2e4f6a8b0d2f4e6a8c0e2f4a6b8d0f2e4c6a8b0d2f4e
+ *                 expiresAt: '2024-01-15T10:10:00.000Z'
+ *               message: If an account exists with this email, a sign-in link has been sent
  *       400:
  *         $ref: '#/components/responses/ValidationError'
- *       401:
- *         description: Invalid or expired refresh token
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               error:
- *                 code: TOKEN_INVALID
- *                 message: Invalid or expired refresh token
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
- *       500:
- *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
-  '/refresh',
-  authRateLimiter,
-  validateTokenRefresh,
-  authController.refreshToken
+  '/magic-link/request',
+  otpRateLimiter,
+  validateMagicLinkRequest,
+  authController.requestMagicLink
 );
 
 /**
  * @swagger
- * /api/v1/auth/logout:
+ * /api/v1/auth/magic-link/verify:
  *   post:
- *     summary: Logout current session
- *     description: Logout from the current session by blacklisting the access and refresh tokens.
+ *     summary: Sign in with a magic link
+ *     description: |
+ *       Complete the login with the `token` from the emailed link and the `deviceToken` returned by
+ *       `/auth/magic-link/request`. Links are single-use. Returns session tokens, or an MFA challenge
+ *       (`mfaRequired: true`) for users with MFA enabled, like `/auth/login`.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - deviceToken
+ *             properties:
+ *               token:
+ *                 type: string
+ *               deviceToken:
+ *                 type: string
+ *               device_type:
+ *                 type: string
+ *                 example: web
+ *               device_name:
+ *                 type: string
+ *                 example: Chrome on Windows
  *     responses:
  *       200:
- *         description: Logged out successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Logged out successfully
+ *         description: Login successful or MFA required
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         description: Invalid, expired or used link, or opened in a different browser
+ *       403:
+ *         description: Account locked, inactive or pending
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
- *       500:
- *         $ref: '#/components/responses/InternalServerError'
  */
 router.post(
-  '/logout',
+  '/magic-link/verify',
   authRateLimiter,
-  authenticate(),
-  authController.logout
+  validateMagicLinkVerification,
+  authController.loginWithMagicLink
 );
 
 /**
  * @swagger
- * /api/v1/auth/logout-all:
+ * /api/v1/auth/mfa/challenge:
  *   post:
- *     summary: Logout from all devices
- *     description: Logout from all active sessions by invalidating all refresh tokens and revoking all sessions.
+ *     summary: Send an MFA code to complete login
+ *     description: |
+ *       Send a 6-digit code by email or SMS for a login that returned `mfaRequired`.
+ *       Not needed when using an authenticator app.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - method
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               method:
+ *                 type: string
+ *                 enum: [email, sms]
+ *                 example: email
  *     responses:
  *       200:
- *         description: Logged out from all devices successfully
+ *         description: MFA code sent
  *         content:
  *           application/json:
  *             schema:
@@ -488,11 +739,581 @@ router.post(
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: Logged out from all devices
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       example: email
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         description: MFA token invalid, expired or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/challenge',
+  otpRateLimiter,
+  validateMFAChallenge,
+  authController.challengeMFA
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: Exchange the `mfaToken` and a code from the authenticator app, email or SMS for access and refresh tokens.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid MFA code, or MFA token invalid, expired or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               error:
+ *                 code: MFA_INVALID
+ *                 message: Invalid MFA code. 2 attempts remaining
+ *                 attemptsRemaining: 2
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/verify',
+  authRateLimiter,
+  validateMFALogin,
+  authController.verifyMFA
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/step-up:
+ *   post:
+ *     summary: Send an MFA code for a sensitive operation
+ *     description: Send a 6-digit code by email or SMS to the authenticated user before a sensitive operation (user deletion, status or role changes).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [email, sms]
+ *                 example: email
+ *     responses:
+ *       200:
+ *         description: MFA code sent
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/step-up',
+  otpRateLimiter,
+  authenticate(),
+  validateMFARequest,
+  authController.requestStepUpMFA
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/step-up/verify:
+ *   post:
+ *     summary: Verify MFA for sensitive operations
+ *     description: |
+ *       Verify a code from the authenticator app, email or SMS. Sensitive operations
+ *       in the same session are then allowed without an `mfaCode` for the next 5 minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: MFA verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       example: totp
+ *                     verifiedUntil:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Not authenticated or invalid MFA code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/step-up/verify',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateMFAVerification,
+  authController.verifyStepUpMFA
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/register/options:
+ *   post:
+ *     summary: Get passkey registration options
+ *     description: Returns PublicKeyCredentialCreationOptions for navigator.credentials.create(). The challenge is valid for 5 minutes.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registration options generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     options:
+ *                       type: object
+ *                       description: PublicKeyCredentialCreationOptionsJSON
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Passkey limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/webauthn/register/options',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  webauthnController.registrationOptions
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/register/verify:
+ *   post:
+ *     summary: Register a passkey
+ *     description: Verify the attestation returned by navigator.credentials.create() and save the passkey.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: RegistrationResponseJSON from the browser or mobile SDK
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: My Pixel 8
+ *     responses:
+ *       201:
+ *         description: Passkey registered successfully
+ *       400:
+ *         description: Validation error, expired challenge or failed verification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Passkey already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/webauthn/register/verify',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validatePasskeyRegistration,
+  webauthnController.verifyRegistration
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/login/options:
+ *   post:
+ *     summary: Get passkey login options
+ *     description: |
+ *       Returns PublicKeyCredentialRequestOptions for navigator.credentials.get() and a `challengeId`.
+ *       Omit `email` to use discoverable passkeys (autofill).
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: student@example.com
+ *     responses:
+ *       200:
+ *         description: Login options generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     challengeId:
+ *                       type: string
+ *                       format: uuid
+ *                     options:
+ *                       type: object
+ *                       description: PublicKeyCredentialRequestOptionsJSON
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/webauthn/login/options',
+  authRateLimiter,
+  validatePasskeyLoginOptions,
+  webauthnController.loginOptions
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/login/verify:
+ *   post:
+ *     summary: Login with a passkey
+ *     description: |
+ *       Verify the assertion returned by navigator.credentials.get() and return JWT tokens.
+ *       A user-verified passkey satisfies MFA; otherwise users with MFA enabled receive an `mfaToken`.
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeId
+ *               - response
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *                 format: uuid
+ *               response:
+ *                 type: object
+ *                 description: AuthenticationResponseJSON from the browser or mobile SDK
+ *               device_type:
+ *                 type: string
+ *                 example: mobile
+ *               device_name:
+ *                 type: string
+ *                 example: Pixel 8
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Validation error or expired challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Passkey not recognised or verification failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account locked or inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/webauthn/login/verify',
+  authRateLimiter,
+  validatePasskeyLogin,
+  webauthnController.verifyLogin
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: |
+ *       Generate a new access token using a valid refresh token. Refresh tokens are valid for 7 days.
+ *       Refresh tokens are rotated: every call returns a new refresh token and the old one stops working.
+ *       Reusing an already-exchanged refresh token revokes the whole session (REFRESH_TOKEN_REUSED).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                       description: Replacement refresh token; store it in place of the one sent
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               success: false
+ *               error:
+ *                 code: TOKEN_INVALID
+ *                 message: Invalid or expired refresh token
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/refresh',
+  authRateLimiter,
+  validateTokenRefresh,
+  authController.refreshToken
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Logout current session
+ *     description: Logout from the current session by blacklisting the access and refresh tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged out successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/logout',
+  authRateLimiter,
+  authenticate({ allowPasswordChangeRequired: true }),
+  authController.logout
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Logout from all active sessions by invalidating all refresh tokens and revoking all sessions.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged out from all devices
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  *       500:
@@ -505,6 +1326,152 @@ router.post(
   authController.logoutAll
 );
 
+/**
+ * @swagger
+ * /api/v1/auth/sign-in/revoke:
+ *   post:
+ *     summary: Revoke a suspicious sign-in ("this wasn't me")
+ *     description: |
+ *       Called by the front-end page the link in a new sign-in alert opens (`/revoke-sign-in?token=...`).
+ *       Signs out every device and invalidates outstanding access tokens. The device and network of the
+ *       reported sign-in are forgotten, so they are flagged again next time. The link works for 7 days.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: All devices signed out
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: All devices were signed out. Reset your password now
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.post(
+  '/sign-in/revoke',
+  authRateLimiter,
+  validateSignInRevokeToken,
+  authController.revokeSuspiciousLogin
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/introspect:
+ *   post:
+ *     summary: Introspect a token (RFC 7662)
+ *     description: |
+ *       For resource servers that receive our access tokens. Checks the signature and expiry, the blacklist,
+ *       the user's account status and the token's session, so logouts, revoked sessions and deactivated
+ *       accounts show up immediately. Any token that fails a check is `{ "active": false }`.
+ *
+ *       The caller authenticates as a confidential OAuth client with HTTP Basic or `client_secret` in the body,
+ *       and can introspect first-party tokens as well as tokens issued to any client.
+ *       Errors use the OAuth 2.0 format (`error`, `error_description`).
+ *     tags: [OpenID Connect]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *                 description: Accepted but not needed; the type is read from the token
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token state
+ *         content:
+ *           application/json:
+ *             examples:
+ *               active:
+ *                 value:
+ *                   active: true
+ *                   token_type: access_token
+ *                   scope: openid email
+ *                   client_id: lms-client
+ *                   username: asha.patil@mssu.ac.in
+ *                   sub: 123e4567-e89b-12d3-a456-426614174000
+ *                   role: Student
+ *                   campus_id: 223e4567-e89b-12d3-a456-426614174000
+ *                   iat: 1704103200
+ *                   exp: 1704106800
+ *               inactive:
+ *                 value:
+ *                   active: false
+ *       400:
+ *         description: invalid_request, or unauthorized_client for public clients
+ *       401:
+ *         description: invalid_client
+ */
+router.post(
+  '/introspect',
+  generalRateLimiter,
+  oidcController.introspect
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/revoke:
+ *   post:
+ *     summary: Revoke a token (RFC 7009)
+ *     description: |
+ *       An OAuth client revokes an access or refresh token issued to it. Revoking a refresh token also ends
+ *       its session. Invalid and expired tokens get the same empty 200 response.
+ *       Confidential clients authenticate with HTTP Basic or `client_secret` in the body; public clients send `client_id`.
+ *     tags: [OpenID Connect]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked, or it was not valid
+ *       400:
+ *         description: invalid_request, or unauthorized_client if the token was issued to another client
+ *       401:
+ *         description: invalid_client
+ */
+router.post(
+  '/revoke',
+  authRateLimiter,
+  oidcController.revoke
+);
+
 /**
  * @swagger
  * /api/v1/auth/password/forgot:
@@ -569,7 +1536,9 @@ router.post(
  * /api/v1/auth/password/reset:
  *   post:
  *     summary: Reset password with token
- *     description: Reset password using the token received via email. Token is valid for 1 hour.
+ *     description: |
+ *       Reset password using the token received via email. Token is valid for 1 hour.
+ *       Breached or easily guessed passwords are rejected with the reasons in `error.details`.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -587,9 +1556,8 @@ router.post(
  *               newPassword:
  *                 type: string
  *                 format: password
- *                 minLength: 8
  *                 example: NewSecurePass123
- *                 description: Must be at least 8 characters with uppercase, lowercase, and number
+ *                 description: Must meet the password policy for the user's campus and role (see GET /api/v1/password-policies/active)
  *     responses:
  *       200:
  *         description: Password reset successfully
@@ -623,6 +1591,12 @@ router.post(
  *                   error:
  *                     code: VALIDATION_ERROR
  *                     message: Password does not meet strength requirements
+ *               reusedPassword:
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     code: PASSWORD_REUSED
+ *                     message: New password must be different from your last 5 passwords
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  *       500:
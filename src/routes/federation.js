@@ -0,0 +1,468 @@
+import express from 'express';
+import * as federationController from '../controllers/federationController.js';
+import * as authController from '../controllers/authController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validateIdentityProvider,
+  validateIdentityProviderUpdate,
+  validateFederationCodeExchange,
+  validateUUIDParam,
+  authRateLimiter,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/federation/providers:
+ *   get:
+ *     summary: List identity providers
+ *     description: Active upstream identity providers for the login page. Send the browser to `login_url` to sign in.
+ *     tags: [Federated Login]
+ *     parameters:
+ *       - in: query
+ *         name: campus_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Providers retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 providers:
+ *                   - id: 5f0c6a4e-1b8a-4d7e-9a53-2f1e8c7d6b10
+ *                     slug: nm-google
+ *                     name: Navi Mumbai Google Workspace
+ *                     protocol: oidc
+ *                     campus_id: 223e4567-e89b-12d3-a456-426614174000
+ *                     login_url: /api/v1/federation/nm-google/login
+ *   post:
+ *     summary: Configure an identity provider
+ *     description: |
+ *       Add an upstream OIDC or SAML identity provider for a campus (Super_Admin only, requires MFA).
+ *       OIDC providers only need `issuer`, `client_id` and `client_secret` when they publish a discovery document.
+ *       SAML providers need `entry_point` and `idp_cert`.
+ *       The response contains the `callbackUrl` (OIDC redirect URI / SAML ACS URL) and `entityId` to register with the provider.
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slug
+ *               - name
+ *               - protocol
+ *               - campus_id
+ *               - config
+ *             properties:
+ *               slug:
+ *                 type: string
+ *                 example: nm-google
+ *               name:
+ *                 type: string
+ *                 example: Navi Mumbai Google Workspace
+ *               protocol:
+ *                 type: string
+ *                 enum: [oidc, saml]
+ *               campus_id:
+ *                 type: string
+ *                 format: uuid
+ *               config:
+ *                 type: object
+ *                 example:
+ *                   issuer: https://accounts.google.com
+ *                   client_id: 1234.apps.googleusercontent.com
+ *                   client_secret: secret
+ *               claim_mapping:
+ *                 type: object
+ *                 description: Upstream claim or attribute for email, name and phone
+ *                 example:
+ *                   email: email
+ *                   name: name
+ *                   phone: phone_number
+ *               allowed_domains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [nm.mssu.ac.in]
+ *               jit_enabled:
+ *                 type: boolean
+ *                 default: false
+ *               default_role:
+ *                 type: string
+ *                 enum: [Student, Teacher, Parent]
+ *                 default: Student
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *     responses:
+ *       201:
+ *         description: Provider created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Slug already in use
+ */
+router.get(
+  '/providers',
+  generalRateLimiter,
+  federationController.listProviders
+);
+
+router.post(
+  '/providers',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateIdentityProvider,
+  requireMFA(),
+  federationController.createProvider
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/providers/{id}:
+ *   get:
+ *     summary: Get an identity provider
+ *     description: Provider settings (client secret omitted) with the callback URL and entity ID (Super_Admin only).
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Provider retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   patch:
+ *     summary: Update an identity provider
+ *     description: |
+ *       Change settings or set `is_active: false` to disable the provider (Super_Admin only, requires MFA).
+ *       `config` is merged with the stored settings; the client secret is kept unless a new one is sent.
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               config:
+ *                 type: object
+ *               claim_mapping:
+ *                 type: object
+ *               allowed_domains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               jit_enabled:
+ *                 type: boolean
+ *               default_role:
+ *                 type: string
+ *                 enum: [Student, Teacher, Parent]
+ *               is_active:
+ *                 type: boolean
+ *               mfaCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provider updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get(
+  '/providers/:id',
+  generalRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  federationController.getProvider
+);
+
+router.patch(
+  '/providers/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  validateIdentityProviderUpdate,
+  requireMFA(),
+  federationController.updateProvider
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/exchange:
+ *   post:
+ *     summary: Complete a federated login
+ *     description: |
+ *       Exchange the one-time `code` the provider callback put in the front-end URL
+ *       (`FEDERATION_FRONTEND_CALLBACK_URL?code=...`) for tokens. Codes are single use and short lived.
+ *       Users with MFA enabled receive an MFA challenge like any other login.
+ *     tags: [Federated Login]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               device_type:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful or MFA required
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid or expired code
+ *       403:
+ *         description: Account locked, inactive or pending
+ */
+router.post(
+  '/exchange',
+  authRateLimiter,
+  validateFederationCodeExchange,
+  authController.loginWithFederation
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/identities:
+ *   get:
+ *     summary: List linked identities
+ *     description: Identity provider accounts linked to the signed-in user.
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Identities retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get(
+  '/identities',
+  generalRateLimiter,
+  authenticate(),
+  federationController.listIdentities
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/identities/{id}:
+ *   delete:
+ *     summary: Unlink an identity
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/identities/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  federationController.unlinkIdentity
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/{slug}/login:
+ *   get:
+ *     summary: Sign in with an identity provider
+ *     description: |
+ *       Redirects the browser to the provider. After signing in there, the browser returns to
+ *       `FEDERATION_FRONTEND_CALLBACK_URL` with `code` (exchange it at `/api/v1/federation/exchange`)
+ *       or `error`.
+ *       An existing link is used first; otherwise the provider's email is matched to an account on
+ *       the provider's campus and linked, or an account is created when just-in-time creation is enabled.
+ *     tags: [Federated Login]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider (or to the front-end with an error)
+ */
+router.get(
+  '/:slug/login',
+  generalRateLimiter,
+  federationController.startLogin
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/{slug}/link:
+ *   post:
+ *     summary: Link an identity provider account
+ *     description: |
+ *       Returns the provider URL to send the browser to. After signing in there, the browser returns to
+ *       `FEDERATION_FRONTEND_CALLBACK_URL` with `linked=<slug>` or `error`.
+ *     tags: [Federated Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/:slug/link',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  federationController.startLink
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/{slug}/callback:
+ *   get:
+ *     summary: OIDC provider callback
+ *     description: Redirect URI registered with OIDC providers. Redirects to the front-end.
+ *     tags: [Federated Login]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the front-end with code, linked or error
+ *   post:
+ *     summary: SAML assertion consumer service
+ *     description: ACS URL (HTTP-POST binding) registered with SAML providers. Redirects to the front-end.
+ *     tags: [Federated Login]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               SAMLResponse:
+ *                 type: string
+ *               RelayState:
+ *                 type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the front-end with code, linked or error
+ */
+router.get(
+  '/:slug/callback',
+  authRateLimiter,
+  federationController.handleCallback
+);
+
+router.post(
+  '/:slug/callback',
+  authRateLimiter,
+  federationController.handleCallback
+);
+
+/**
+ * @swagger
+ * /api/v1/federation/{slug}/metadata:
+ *   get:
+ *     summary: SAML service provider metadata
+ *     description: Entity ID and ACS URL of this deployment, for registering it with a SAML provider.
+ *     tags: [Federated Login]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Metadata XML
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get(
+  '/:slug/metadata',
+  generalRateLimiter,
+  federationController.getMetadata
+);
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import * as impersonationController from '../controllers/impersonationController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validateImpersonationStart,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/impersonation:
+ *   post:
+ *     summary: Start impersonating a user
+ *     description: |
+ *       Issue a short-lived access token (IMPERSONATION_TOKEN_EXPIRY, default 15 minutes) that authenticates as the target user
+ *       and names the impersonator in its `act` claim. No refresh token is issued.
+ *
+ *       Super_Admins can impersonate users with an IMPERSONATION_TARGET_ROLES role (default Student and Parent).
+ *       Admins can only impersonate users of their own campus, and only on campuses listed in IMPERSONATION_ADMIN_CAMPUSES. Requires MFA.
+ *
+ *       The token is read-only: requests other than GET and HEAD are rejected with `IMPERSONATION_RESTRICTED`, so passwords,
+ *       accounts and sessions cannot be changed, and it cannot authorize OpenID Connect clients.
+ *       Every request made with it is audited as `impersonated_request` with the impersonator as `admin_id`.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - reason
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *           example:
+ *             user_id: 123e4567-e89b-12d3-a456-426614174000
+ *             reason: Support ticket 4821 - student cannot see timetable
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 accessToken: eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 expiresIn: 900
+ *                 impersonation:
+ *                   id: 5f0c2d4e-8a1b-4c3d-9e2f-6a7b8c9d0e1f
+ *                   user:
+ *                     id: 123e4567-e89b-12d3-a456-426614174000
+ *                     role: Student
+ *                   expires_at: 2024-01-01T10:15:00.000Z
+ *               message: Impersonation started. The token is read-only and expires automatically
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not allowed to impersonate this user
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/',
+  sensitiveOperationRateLimiter,
+  authenticate({ allowImpersonation: false }),
+  requireRole('Super_Admin', 'Admin'),
+  validateImpersonationStart,
+  requireMFA(),
+  impersonationController.startImpersonation
+);
+
+/**
+ * @swagger
+ * /api/v1/impersonation/end:
+ *   post:
+ *     summary: End an impersonation
+ *     description: Call with the impersonation token. The token stops working immediately and the end is audited.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post(
+  '/end',
+  sensitiveOperationRateLimiter,
+  authenticate({ allowImpersonation: true }),
+  impersonationController.endImpersonation
+);
+
+export default router;
@@ -10,6 +10,12 @@ import userRoutes from './users.js';
 import profileRoutes from './profile.js';
 import sessionRoutes from './sessions.js';
 import auditRoutes from './audit.js';
+import oauthRoutes from './oauth.js';
+import federationRoutes from './federation.js';
+import passwordPolicyRoutes from './passwordPolicies.js';
+import impersonationRoutes from './impersonation.js';
+import serviceAccountRoutes from './serviceAccounts.js';
+import sessionPolicyRoutes from './sessionPolicies.js';
 
 // Import error handling middleware
 import { errorHandler, notFoundHandler } from '../middleware/errorHandler.js';
@@ -34,6 +40,14 @@ import { applySanitization } from '../middleware/sanitization.js';
 
 const router = express.Router();
 
+/**
+ * Identity provider callbacks (SAML HTTP-POST binding) are top-level form posts from the
+ * provider's own origin carrying a signed base64 assertion. They are not cross-origin API calls
+ * and the assertion is verified by signature, so they skip the CORS origin whitelist and the
+ * input sanitization patterns (which can misread base64).
+ */
+const isFederationCallback = (req) => /^\/api\/v1\/federation\/[^/]+\/callback$/.test(req.path);
+
 /**
  * Configure CORS (Cross-Origin Resource Sharing)
  * 
@@ -191,7 +205,7 @@ export const applyGlobalMiddleware = (app) => {
   app.disable('x-powered-by');
   
   // CORS
-  app.use(cors(corsOptions));
+  app.use(cors((req, callback) => callback(null, isFederationCallback(req) ? { origin: false } : corsOptions)));
   
   // Body parsing
   app.use(express.json({ limit: '10mb' }));
@@ -199,7 +213,9 @@ export const applyGlobalMiddleware = (app) => {
   
   // Input sanitization (NoSQL injection, XSS, SQL injection protection)
   // Applied after body parsing to sanitize all incoming data
-  app.use(applySanitization);
+  app.use(applySanitization.map((middleware) => (req, res, next) => (
+    isFederationCallback(req) ? next() : middleware(req, res, next)
+  )));
   
   // Response compression
   app.use(compression());
@@ -229,6 +245,12 @@ router.use('/users', userRoutes);
 router.use('/profile', profileRoutes);
 router.use('/sessions', sessionRoutes);
 router.use('/audit-logs', auditRoutes);
+router.use('/oauth', oauthRoutes);
+router.use('/federation', federationRoutes);
+router.use('/password-policies', passwordPolicyRoutes);
+router.use('/impersonation', impersonationRoutes);
+router.use('/service-accounts', serviceAccountRoutes);
+router.use('/session-policies', sessionPolicyRoutes);
 
 /**
  * Health check endpoint
@@ -324,6 +346,12 @@ router.get('/', (req, res) => {
         profile: '/api/v1/profile',
         sessions: '/api/v1/sessions',
         auditLogs: '/api/v1/audit-logs',
+        oauth: '/api/v1/oauth',
+        federation: '/api/v1/federation',
+        passwordPolicies: '/api/v1/password-policies',
+        impersonation: '/api/v1/impersonation',
+        serviceAccounts: '/api/v1/service-accounts',
+        sessionPolicies: '/api/v1/session-policies',
       },
       documentation: '/api-docs', // Swagger documentation (to be implemented)
     }
@@ -0,0 +1,371 @@
+import express from 'express';
+import * as oidcController from '../controllers/oidcController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validateOAuthClientRegistration,
+  validateUUIDParam,
+  authRateLimiter,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/oauth/authorize:
+ *   get:
+ *     summary: Get consent screen data
+ *     description: |
+ *       Validate an OpenID Connect authorization request for the signed-in user and return
+ *       what the consent screen needs. The front-end consent page receives the app's
+ *       query string and forwards it here. PKCE (S256) is required.
+ *       If `consentRequired` is false the user already approved these scopes and the page
+ *       can approve immediately.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: openid profile email
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *     responses:
+ *       200:
+ *         description: Authorization request is valid
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 client:
+ *                   client_id: 3f9a6c1e0b7d4a2f8e5c1d9b7a3f6e2c
+ *                   name: MSSU LMS
+ *                 scopes:
+ *                   - name: openid
+ *                     description: Sign you in with your MSSU Connect account (user ID, role and campus)
+ *                   - name: email
+ *                     description: Your email address
+ *                 consentRequired: true
+ *       400:
+ *         description: Invalid request. Includes `redirectUrl` when the error should be returned to the app
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Approve or deny an authorization request
+ *     description: |
+ *       Send the same parameters as the GET request plus `approve`. Returns the URL to send
+ *       the browser to: the app's redirect URI with `code` and `state`, or `error=access_denied`.
+ *       Each approval is recorded in the audit log.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approve
+ *               - client_id
+ *               - redirect_uri
+ *             properties:
+ *               approve:
+ *                 type: boolean
+ *               response_type:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               code_challenge:
+ *                 type: string
+ *               code_challenge_method:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 redirectUrl: https://lms.mssu.ac.in/callback?code=abc123&state=xyz
+ *               message: Authorization granted
+ *       400:
+ *         description: Invalid request
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get(
+  '/authorize',
+  generalRateLimiter,
+  authenticate({ allowImpersonation: false }),
+  oidcController.getAuthorizationRequest
+);
+
+router.post(
+  '/authorize',
+  generalRateLimiter,
+  authenticate({ allowImpersonation: false }),
+  oidcController.authorize
+);
+
+/**
+ * @swagger
+ * /api/v1/oauth/token:
+ *   post:
+ *     summary: Token endpoint
+ *     description: |
+ *       Exchange an authorization code (with the PKCE `code_verifier`) or a refresh token.
+ *       Confidential clients authenticate with HTTP Basic or `client_secret` in the body.
+ *       Errors use the OAuth 2.0 format (`error`, `error_description`).
+ *     tags: [OpenID Connect]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, refresh_token]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               refresh_token:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               access_token: eyJhbGciOiJFUzI1NiIsImtpZCI6Ii4uLiJ9...
+ *               token_type: Bearer
+ *               expires_in: 3600
+ *               refresh_token: eyJhbGciOiJFUzI1NiIsImtpZCI6Ii4uLiJ9...
+ *               id_token: eyJhbGciOiJFUzI1NiIsImtpZCI6Ii4uLiJ9...
+ *               scope: openid profile email
+ *       400:
+ *         description: invalid_request, invalid_grant or unsupported_grant_type
+ *       401:
+ *         description: invalid_client
+ */
+router.post(
+  '/token',
+  authRateLimiter,
+  oidcController.token
+);
+
+/**
+ * @swagger
+ * /api/v1/oauth/userinfo:
+ *   get:
+ *     summary: UserInfo endpoint
+ *     description: |
+ *       Claims about the user for the scopes granted to the access token, built from the user
+ *       and campus records. `sub`, `role` and `campus_id` are always returned.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User claims
+ *         content:
+ *           application/json:
+ *             example:
+ *               sub: 123e4567-e89b-12d3-a456-426614174000
+ *               role: Student
+ *               campus_id: 223e4567-e89b-12d3-a456-426614174000
+ *               name: Asha Patil
+ *               email: asha.patil@mssu.ac.in
+ *               campus:
+ *                 id: 223e4567-e89b-12d3-a456-426614174000
+ *                 name: Navi Mumbai
+ *                 code: NM
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get(
+  '/userinfo',
+  generalRateLimiter,
+  authenticate({ allowOAuthClients: true }),
+  oidcController.userInfo
+);
+
+/**
+ * @swagger
+ * /api/v1/oauth/clients:
+ *   get:
+ *     summary: List OAuth clients
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Clients retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Register an OAuth client
+ *     description: |
+ *       Register a campus app as an OpenID Connect client (Super_Admin only, requires MFA).
+ *       Confidential clients receive a client secret once in the response.
+ *       Public clients (mobile or single-page apps) rely on PKCE only.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - redirect_uris
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: MSSU LMS
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [https://lms.mssu.ac.in/callback]
+ *               allowed_scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [openid, profile, email, phone, campus]
+ *                 example: [openid, profile, email, campus]
+ *               is_confidential:
+ *                 type: boolean
+ *                 default: true
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *     responses:
+ *       201:
+ *         description: Client registered
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get(
+  '/clients',
+  generalRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  oidcController.listClients
+);
+
+router.post(
+  '/clients',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateOAuthClientRegistration,
+  requireMFA(),
+  oidcController.registerClient
+);
+
+/**
+ * @swagger
+ * /api/v1/oauth/clients/{id}:
+ *   delete:
+ *     summary: Revoke an OAuth client
+ *     description: The client can no longer start authorizations or exchange tokens (Super_Admin only, requires MFA).
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Client revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/clients/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  requireMFA(),
+  oidcController.revokeClient
+);
+
+export default router;
@@ -0,0 +1,273 @@
+import express from 'express';
+import * as passwordPolicyController from '../controllers/passwordPolicyController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validatePasswordPolicy,
+  validatePasswordPolicyUpdate,
+  validatePasswordPolicyQuery,
+  validateUUIDParam,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/password-policies/active:
+ *   get:
+ *     summary: Get the password rules for a campus and role
+ *     description: |
+ *       The rules a new password must meet, so signup, reset and change-password forms can show them before the user types.
+ *       The most specific policy applies: campus and role, then role, then campus, then everyone; built-in rules apply when none matches (`policy_id` is null).
+ *       Passwords are also screened against known breaches and must reach `min_strength_score`.
+ *     tags: [Password Policies]
+ *     parameters:
+ *       - in: query
+ *         name: campus_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [Student, Teacher, Parent, Admin, Super_Admin]
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 rules:
+ *                   policy_id: 8d2f0c1e-6a4b-4f3e-9c7d-1b2a3c4d5e6f
+ *                   min_length: 14
+ *                   require_uppercase: true
+ *                   require_lowercase: true
+ *                   require_number: true
+ *                   require_symbol: false
+ *                   min_strength_score: 3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get(
+  '/active',
+  generalRateLimiter,
+  validatePasswordPolicyQuery,
+  passwordPolicyController.getActiveRules
+);
+
+/**
+ * @swagger
+ * /api/v1/password-policies:
+ *   get:
+ *     summary: List password policies
+ *     description: Password policies, optionally filtered by campus or role (Super_Admin only).
+ *     tags: [Password Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campus_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [Student, Teacher, Parent, Admin, Super_Admin]
+ *     responses:
+ *       200:
+ *         description: Policies retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Create a password policy
+ *     description: |
+ *       Set the password rules for a campus, a role, both, or (with neither) everyone (Super_Admin only, requires MFA).
+ *       Rules apply the next time a password is set; existing passwords are not affected.
+ *     tags: [Password Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               campus_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               role:
+ *                 type: string
+ *                 enum: [Student, Teacher, Parent, Admin, Super_Admin]
+ *                 nullable: true
+ *               min_length:
+ *                 type: integer
+ *                 minimum: 6
+ *                 maximum: 128
+ *                 default: 8
+ *               require_uppercase:
+ *                 type: boolean
+ *                 default: true
+ *               require_lowercase:
+ *                 type: boolean
+ *                 default: true
+ *               require_number:
+ *                 type: boolean
+ *                 default: true
+ *               require_symbol:
+ *                 type: boolean
+ *                 default: false
+ *               min_strength_score:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 4
+ *                 nullable: true
+ *                 description: Defaults to PASSWORD_MIN_STRENGTH_SCORE
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *           example:
+ *             campus_id: 223e4567-e89b-12d3-a456-426614174000
+ *             role: Parent
+ *             min_length: 8
+ *             require_uppercase: false
+ *             require_number: true
+ *             min_strength_score: 1
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Campus not found
+ *       409:
+ *         description: A policy for this campus and role already exists
+ */
+router.get(
+  '/',
+  generalRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validatePasswordPolicyQuery,
+  passwordPolicyController.listPolicies
+);
+
+router.post(
+  '/',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validatePasswordPolicy,
+  requireMFA(),
+  passwordPolicyController.createPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/password-policies/{id}:
+ *   patch:
+ *     summary: Update a password policy
+ *     description: Change a policy's rules (Super_Admin only, requires MFA). Its campus and role cannot change.
+ *     tags: [Password Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               min_length:
+ *                 type: integer
+ *               require_uppercase:
+ *                 type: boolean
+ *               require_lowercase:
+ *                 type: boolean
+ *               require_number:
+ *                 type: boolean
+ *               require_symbol:
+ *                 type: boolean
+ *               min_strength_score:
+ *                 type: integer
+ *                 nullable: true
+ *               mfaCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a password policy
+ *     description: Users it covered fall back to the next most specific policy (Super_Admin only, requires MFA).
+ *     tags: [Password Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch(
+  '/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  validatePasswordPolicyUpdate,
+  requireMFA(),
+  passwordPolicyController.updatePolicy
+);
+
+router.delete(
+  '/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  requireMFA(),
+  passwordPolicyController.deletePolicy
+);
+
+export default router;
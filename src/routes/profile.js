@@ -1,11 +1,23 @@
 import express from 'express';
 import multer from 'multer';
 import * as profileController from '../controllers/profileController.js';
+import * as webauthnController from '../controllers/webauthnController.js';
+import * as deviceController from '../controllers/deviceController.js';
 import {
   authenticate,
   validateProfileUpdate,
   validatePasswordChange,
+  validateMFAVerification,
+  validatePasskeyRename,
+  validateDeviceRename,
+  validateUUIDParam,
+  validateContactChangeRequest,
+  validatePhoneChangeConfirmation,
+  validateContactChangeToken,
+  requireMFA,
   generalRateLimiter,
+  authRateLimiter,
+  sensitiveOperationRateLimiter,
   uploadRateLimiter
 } from '../middleware/index.js';
 
@@ -78,8 +90,9 @@ router.get(
  *     summary: Update current user's profile
  *     description: |
  *       Update the authenticated user's profile information.
- *       Users can update their name, phone, and address.
- *       Email, role, and campus_id cannot be changed through this endpoint.
+ *       Users can update their name and address.
+ *       Email and phone changes must be confirmed through `/profile/contact-change`.
+ *       Role and campus_id cannot be changed by the user.
  *     tags: [Profile]
  *     security:
  *       - bearerAuth: []
@@ -93,10 +106,6 @@ router.get(
  *               name:
  *                 type: string
  *                 example: John Updated
- *               phone:
- *                 type: string
- *                 pattern: '^\+91[0-9]{10}$'
- *                 example: '+919876543211'
  *               address:
  *                 type: string
  *                 example: 456 New Street, City
@@ -123,17 +132,6 @@ router.get(
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
- *       409:
- *         description: Phone number already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               error:
- *                 code: PHONE_EXISTS
- *                 message: Phone number already registered
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  *       500:
@@ -235,7 +233,11 @@ router.post(
  *     description: |
  *       Change the password for the authenticated user.
  *       Requires the current password for verification.
- *       New password must meet strength requirements (min 8 characters, uppercase, lowercase, number).
+ *       New password must meet the password policy for the user's campus and role (GET /api/v1/password-policies/active)
+ *       and must not match one of the user's recent passwords (PASSWORD_HISTORY_COUNT).
+ *       Breached or easily guessed passwords are rejected with the reasons in `error.details`.
+ *       Every other session of the user is signed out; the session making the change stays signed in.
+ *       This is the only route available to users who must change a temporary or expired password.
  *     tags: [Profile]
  *     security:
  *       - bearerAuth: []
@@ -256,9 +258,8 @@ router.post(
  *               newPassword:
  *                 type: string
  *                 format: password
- *                 minLength: 8
  *                 example: NewPass123
- *                 description: Must be at least 8 characters with uppercase, lowercase, and number
+ *                 description: Must meet the password policy for the user's campus and role (see GET /api/v1/password-policies/active)
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -292,6 +293,12 @@ router.post(
  *                   error:
  *                     code: INVALID_CREDENTIALS
  *                     message: Current password is incorrect
+ *               reusedPassword:
+ *                 value:
+ *                   success: false
+ *                   error:
+ *                     code: PASSWORD_REUSED
+ *                     message: New password must be different from your last 5 passwords
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       429:
@@ -302,9 +309,740 @@ router.post(
 router.put(
   '/password',
   generalRateLimiter,
-  authenticate(),
+  authenticate({ allowPasswordChangeRequired: true }),
   validatePasswordChange,
   profileController.changePassword
 );
 
+/**
+ * @swagger
+ * /api/v1/profile/contact-change:
+ *   post:
+ *     summary: Request an email or phone number change
+ *     description: |
+ *       Start a verified change of the account's email address or phone number. Requires MFA
+ *       verification (an `mfaCode` in the body or a recent step-up verification).
+ *       - **email**: a confirmation link is sent to the new address (`/profile/contact-change/confirm`)
+ *       - **phone**: an SMS code is sent to the new number (`/profile/contact-change/verify`)
+ *
+ *       The current address receives a notice with a "this wasn't me" link
+ *       (`/profile/contact-change/revoke`). Nothing changes until the new address is confirmed.
+ *       A new request replaces any pending one.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone]
+ *               value:
+ *                 type: string
+ *                 example: new.address@example.com
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *     responses:
+ *       202:
+ *         description: Confirmation sent to the new address
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 type: email
+ *                 value: new.address@example.com
+ *                 expiresAt: '2024-01-15T11:00:00.000Z'
+ *               message: Confirmation link sent to the new email address
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Email or phone already exists
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       503:
+ *         description: The confirmation could not be delivered to the new address
+ */
+router.post(
+  '/contact-change',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateContactChangeRequest,
+  requireMFA(),
+  profileController.requestContactChange
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/contact-change/verify:
+ *   post:
+ *     summary: Confirm a phone number change
+ *     description: |
+ *       Submit the SMS code sent to the new phone number. The change is applied,
+ *       `token_version` is incremented and every session is signed out.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Phone number changed
+ *       401:
+ *         description: Invalid or expired code
+ *       404:
+ *         description: No pending phone number change
+ *       409:
+ *         description: Phone number already exists
+ */
+router.post(
+  '/contact-change/verify',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validatePhoneChangeConfirmation,
+  profileController.confirmPhoneChange
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/contact-change/confirm:
+ *   post:
+ *     summary: Confirm an email address change
+ *     description: |
+ *       Called by the front-end page the confirmation link opens, with the `token` from the link.
+ *       No authentication is required; the token proves access to the new address.
+ *       The change is applied, `token_version` is incremented and every session is signed out.
+ *     tags: [Profile]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address changed
+ *       400:
+ *         description: Invalid or expired confirmation link
+ *       409:
+ *         description: Email already exists
+ */
+router.post(
+  '/contact-change/confirm',
+  authRateLimiter,
+  validateContactChangeToken,
+  profileController.confirmEmailChange
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/contact-change/revoke:
+ *   post:
+ *     summary: Revoke a contact change ("this wasn't me")
+ *     description: |
+ *       Called by the front-end page the link in the notice to the old address opens.
+ *       Cancels the pending change, or puts the old address back if it was already confirmed,
+ *       and signs out every device. The link works for 7 days.
+ *     tags: [Profile]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Change revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 type: email
+ *                 reverted: true
+ *               message: The change was cancelled and all devices were signed out. Reset your password now
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.post(
+  '/contact-change/revoke',
+  authRateLimiter,
+  validateContactChangeToken,
+  profileController.revokeContactChange
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/mfa:
+ *   get:
+ *     summary: Get MFA enrollment status
+ *     description: Returns whether MFA is enabled for the authenticated user and which methods are available.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mfa:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                           example: true
+ *                         methods:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: [totp, email, sms]
+ *                         enrolledAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         enrollmentPending:
+ *                           type: boolean
+ *                           example: false
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/mfa',
+  generalRateLimiter,
+  authenticate(),
+  profileController.getMFAStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/mfa/totp:
+ *   post:
+ *     summary: Start authenticator-app enrollment
+ *     description: |
+ *       Generate a new TOTP secret and return it as an otpauth:// URI and QR code.
+ *       The secret is held for 10 minutes until confirmed with a code from the app.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/MSSU%20Connect%3Auser%40mssu.ac.in?secret=JBSWY3DPEHPK3PXP&issuer=MSSU+Connect
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL of the otpauth URI
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Authenticator app already enrolled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/totp',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  profileController.startTOTPEnrollment
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/mfa/totp/confirm:
+ *   post:
+ *     summary: Confirm authenticator-app enrollment
+ *     description: Verify the first code from the authenticator app and enable TOTP MFA for the account.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Authenticator app enrolled successfully
+ *       400:
+ *         description: Invalid code or enrollment expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/mfa/totp/confirm',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateMFAVerification,
+  profileController.confirmTOTPEnrollment
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/passkeys:
+ *   get:
+ *     summary: List passkeys
+ *     description: List the passkeys registered to the authenticated user.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     passkeys:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             format: uuid
+ *                           name:
+ *                             type: string
+ *                             example: My Pixel 8
+ *                           device_type:
+ *                             type: string
+ *                             example: multiDevice
+ *                           backed_up:
+ *                             type: boolean
+ *                           transports:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           last_used_at:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/passkeys',
+  generalRateLimiter,
+  authenticate(),
+  webauthnController.listPasskeys
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/passkeys/{id}:
+ *   patch:
+ *     summary: Rename a passkey
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Passkey ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Work laptop
+ *     responses:
+ *       200:
+ *         description: Passkey renamed successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Revoke a passkey
+ *     description: Permanently remove a passkey so it can no longer be used to sign in.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Passkey ID
+ *     responses:
+ *       200:
+ *         description: Passkey revoked successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch(
+  '/passkeys/:id',
+  generalRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  validatePasskeyRename,
+  webauthnController.renamePasskey
+);
+
+router.delete(
+  '/passkeys/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  webauthnController.revokePasskey
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/devices:
+ *   get:
+ *     summary: List devices
+ *     description: |
+ *       List the devices the authenticated user has signed in from, recognised by the device
+ *       identifier returned at login (`device_id` cookie or `X-Device-Id` header), with browser,
+ *       operating system and device model parsed from the user agent.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 devices:
+ *                   - id: 3f6c1e2a-8b4d-4c7e-9a1f-5d2b6e8c0a14
+ *                     name: Chrome on Windows
+ *                     browser: Chrome
+ *                     browser_version: '124'
+ *                     os: Windows
+ *                     os_version: '10'
+ *                     device_type: desktop
+ *                     device_vendor: null
+ *                     device_model: null
+ *                     trusted: true
+ *                     trusted_until: '2024-02-14T10:30:00.000Z'
+ *                     last_seen_at: '2024-01-15T10:30:00.000Z'
+ *                     last_ip: 203.0.113.10
+ *                     created_at: '2024-01-02T08:00:00.000Z'
+ *                     active_sessions: 1
+ *                     is_current: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/devices',
+  generalRateLimiter,
+  authenticate(),
+  deviceController.listDevices
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/devices/{id}:
+ *   patch:
+ *     summary: Rename a device
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Home laptop
+ *     responses:
+ *       200:
+ *         description: Device renamed successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Revoke a device
+ *     description: |
+ *       Sign out every session of the device and forget it, including its trust.
+ *       If it signs in again it is listed as a new, untrusted device.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Device revoked successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 sessionsRevoked: 2
+ *               message: Device revoked successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.patch(
+  '/devices/:id',
+  generalRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  validateDeviceRename,
+  deviceController.renameDevice
+);
+
+router.delete(
+  '/devices/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  deviceController.revokeDevice
+);
+
+/**
+ * @swagger
+ * /api/v1/profile/devices/{id}/trust:
+ *   post:
+ *     summary: Trust a device
+ *     description: |
+ *       Logins from a trusted device skip the user's MFA for `DEVICE_TRUST_DAYS` (30 by default).
+ *       Logins the risk check finds suspicious still need a second factor. Requires MFA verification
+ *       (an `mfaCode` in the body or a recent step-up verification). Trust is cleared on password reset.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *     responses:
+ *       200:
+ *         description: Device trusted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Stop trusting a device
+ *     description: Logins from the device need the user's MFA again. Its sessions stay signed in.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Device ID
+ *     responses:
+ *       200:
+ *         description: Device is no longer trusted
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/devices/:id/trust',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  requireMFA(),
+  deviceController.trustDevice
+);
+
+router.delete(
+  '/devices/:id/trust',
+  generalRateLimiter,
+  authenticate(),
+  validateUUIDParam('id'),
+  deviceController.untrustDevice
+);
+
 export default router;
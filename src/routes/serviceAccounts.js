@@ -0,0 +1,263 @@
+import express from 'express';
+import * as serviceAccountController from '../controllers/serviceAccountController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validateServiceAccount,
+  validateApiKey,
+  validateUUIDParam,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/service-accounts:
+ *   get:
+ *     summary: List service accounts
+ *     description: Service accounts with their API keys (never the keys themselves), plus the scopes keys can be given (Super_Admin only).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service accounts retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Create a service account
+ *     description: An identity for a system that calls the API, such as the ERP, LMS or fee-payment system (Super_Admin only, requires MFA).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *           example:
+ *             name: ERP
+ *             description: Student admissions sync
+ *     responses:
+ *       201:
+ *         description: Service account created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: A service account with this name already exists
+ */
+router.get(
+  '/',
+  generalRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  serviceAccountController.listServiceAccounts
+);
+
+router.post(
+  '/',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateServiceAccount,
+  requireMFA(),
+  serviceAccountController.createServiceAccount
+);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{id}:
+ *   delete:
+ *     summary: Deactivate a service account
+ *     description: Revokes all of the account's API keys; requests using them are rejected immediately (Super_Admin only, requires MFA).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Service account deactivated
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  requireMFA(),
+  serviceAccountController.deactivateServiceAccount
+);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{id}/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Issue a key for a service account (Super_Admin only, requires MFA). The key is returned once; only its SHA-256 hash is stored.
+ *       Send it as `Authorization: ApiKey <key>`.
+ *
+ *       Scopes are RBAC matrix permissions written as `resource:action`. Keys restricted to a campus can have the permissions of
+ *       an Admin and only see that campus; keys for all campuses can have the permissions of a Super_Admin.
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: user:read
+ *               campus_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Restrict the key to one campus
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Defaults to and cannot exceed API_KEY_MAX_LIFETIME_DAYS
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Defaults to API_KEY_RATE_LIMIT
+ *               mfaCode:
+ *                 type: string
+ *           example:
+ *             name: Admissions sync (production)
+ *             scopes: [user:read, user:create]
+ *             campus_id: 223e4567-e89b-12d3-a456-426614174000
+ *             expires_in_days: 180
+ *             rate_limit_per_minute: 300
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 apiKey:
+ *                   id: 7a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d
+ *                   prefix: mssu_3f9a1c0d5e7b
+ *                   scopes: [user:read, user:create]
+ *                   expires_at: 2024-06-29T00:00:00.000Z
+ *                 key: mssu_3f9a1c0d5e7b_Vb2xk0Qe8m1Zp4tYc7nR5wJ9hL3sD6fG0aK2uE8iO1q
+ *               message: API key created. Store it now; it cannot be shown again
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Service account or campus not found
+ */
+router.post(
+  '/:id/keys',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  validateApiKey,
+  requireMFA(),
+  serviceAccountController.createApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requests using the key are rejected immediately (Super_Admin only, requires MFA).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/:id/keys/:keyId',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  validateUUIDParam('keyId'),
+  requireMFA(),
+  serviceAccountController.revokeApiKey
+);
+
+export default router;
@@ -0,0 +1,198 @@
+import express from 'express';
+import * as sessionPolicyController from '../controllers/sessionPolicyController.js';
+import {
+  authenticate,
+  requireRole,
+  requireMFA,
+  validateSessionPolicy,
+  validateSessionPolicyUpdate,
+  validateUUIDParam,
+  generalRateLimiter,
+  sensitiveOperationRateLimiter
+} from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/session-policies:
+ *   get:
+ *     summary: List session policies
+ *     description: Concurrent session limits per role (Super_Admin only). Roles without a policy have no limit.
+ *     tags: [Session Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 policies:
+ *                   - id: 5b0e6c2a-9d1f-4e8b-a3c7-2f4d6e8a0b1c
+ *                     role: Student
+ *                     max_sessions: 2
+ *                     on_limit: evict_oldest
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Create a session policy
+ *     description: |
+ *       Limit how many sessions a user of a role can have at once (Super_Admin only, requires MFA).
+ *       A login beyond the limit either fails with `SESSION_LIMIT_REACHED` (`reject`), or signs out the
+ *       least recently active session (`evict_oldest`); the evicted device gets `SESSION_EVICTED` on its next request.
+ *     tags: [Session Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *               - max_sessions
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [Student, Teacher, Parent, Admin, Super_Admin]
+ *               max_sessions:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *               on_limit:
+ *                 type: string
+ *                 enum: [reject, evict_oldest]
+ *                 default: evict_oldest
+ *               mfaCode:
+ *                 type: string
+ *                 description: Second-factor code if no recent MFA verification
+ *           example:
+ *             role: Parent
+ *             max_sessions: 3
+ *             on_limit: reject
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: A policy for this role already exists
+ */
+router.get(
+  '/',
+  generalRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  sessionPolicyController.listPolicies
+);
+
+router.post(
+  '/',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateSessionPolicy,
+  requireMFA(),
+  sessionPolicyController.createPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/session-policies/{id}:
+ *   patch:
+ *     summary: Update a session policy
+ *     description: |
+ *       Change a policy's limit or what happens when it is reached (Super_Admin only, requires MFA). Its role cannot change.
+ *       A lower limit applies from the next login; sessions that are already active are not signed out.
+ *     tags: [Session Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               max_sessions:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *               on_limit:
+ *                 type: string
+ *                 enum: [reject, evict_oldest]
+ *               mfaCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a session policy
+ *     description: Users of its role can then sign in on any number of devices (Super_Admin only, requires MFA).
+ *     tags: [Session Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch(
+  '/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  validateSessionPolicyUpdate,
+  requireMFA(),
+  sessionPolicyController.updatePolicy
+);
+
+router.delete(
+  '/:id',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Super_Admin'),
+  validateUUIDParam('id'),
+  requireMFA(),
+  sessionPolicyController.deletePolicy
+);
+
+export default router;
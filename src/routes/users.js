@@ -1,14 +1,19 @@
 import express from 'express';
 import * as userController from '../controllers/userController.js';
+import * as registrationController from '../controllers/registrationController.js';
 import {
   authenticate,
   requireRole,
+  requirePermission,
   requireCampusAccess,
+  requireMFA,
   validateUserUpdate,
   validateStatusChange,
   validateUserDeletion,
   validateUserListQuery,
   validateUUIDParam,
+  validateMFAReset,
+  validateRegistrationRejection,
   generalRateLimiter,
   sensitiveOperationRateLimiter
 } from '../middleware/index.js';
@@ -24,9 +29,11 @@ const router = express.Router();
  *       Retrieve a paginated list of users with optional filtering. 
  *       Admin users can only see users from their campus. 
  *       Super_Admin users can see users from all campuses.
+ *       Service accounts need an API key with the `user:read` scope; campus keys only see their campus.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/PageParam'
  *       - $ref: '#/components/parameters/LimitParam'
@@ -48,13 +55,13 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, inactive, locked]
+ *           enum: [active, inactive, locked, pending_verification, pending_approval, rejected]
  *         description: Filter by account status
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by name or email
+ *         description: Search by name or email, or an exact phone number
  *     responses:
  *       200:
  *         description: Users retrieved successfully
@@ -89,10 +96,69 @@ const router = express.Router();
 router.get(
   '/',
   generalRateLimiter,
+  authenticate({ allowApiKeys: true }),
+  requirePermission('user', 'read'),
+  validateUserListQuery,
+  userController.listUsers
+);
+
+/**
+ * @swagger
+ * /api/v1/users/pending:
+ *   get:
+ *     summary: List registrations awaiting approval
+ *     description: |
+ *       Self-service signups that have verified their email and phone number, oldest first.
+ *       Admin users only see registrations for their campus.
+ *       Super_Admin users see every campus and can filter with `campus_id`.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: campus_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by campus ID (Super_Admin only)
+ *     responses:
+ *       200:
+ *         description: Pending registrations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     registrations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/pending',
+  generalRateLimiter,
   authenticate(),
   requireRole('Admin', 'Super_Admin'),
   validateUserListQuery,
-  userController.listUsers
+  registrationController.listPendingRegistrations
 );
 
 /**
@@ -104,9 +170,11 @@ router.get(
  *       Retrieve detailed information about a specific user.
  *       Admin users can only access users from their campus.
  *       Super_Admin users can access users from all campuses.
+ *       Service accounts need an API key with the `user:read` scope.
  *     tags: [User Management]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -147,8 +215,8 @@ router.get(
 router.get(
   '/:id',
   generalRateLimiter,
-  authenticate(),
-  requireRole('Admin', 'Super_Admin'),
+  authenticate({ allowApiKeys: true }),
+  requirePermission('user', 'read'),
   validateUUIDParam('id'),
   requireCampusAccess(),
   userController.getUserById
@@ -194,11 +262,19 @@ router.get(
  *               role:
  *                 type: string
  *                 enum: [Student, Teacher, Parent, Admin, Super_Admin]
- *                 description: Requires Super_Admin role
+ *                 description: Requires Super_Admin role. Role changes require MFA verification
+ *               mfaCode:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *                 description: 6-digit MFA code, required when changing role or account_status unless recently verified
  *               campus_id:
  *                 type: string
  *                 format: uuid
  *                 description: Requires Super_Admin role
+ *               must_change_password:
+ *                 type: boolean
+ *                 description: Require the user to change their password at the next login (e.g. after issuing a temporary password)
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -250,6 +326,7 @@ router.put(
   validateUUIDParam('id'),
   requireCampusAccess(),
   validateUserUpdate,
+  requireMFA({ when: (req) => req.body.role !== undefined || req.body.account_status !== undefined }),
   userController.updateUser
 );
 
@@ -259,7 +336,8 @@ router.put(
  *   delete:
  *     summary: Delete user (soft delete)
  *     description: |
- *       Soft delete a user account. Requires MFA verification.
+ *       Soft delete a user account. Requires MFA verification: either an `mfaCode` in the body
+ *       or a step-up verification via /api/v1/auth/mfa/step-up/verify within the last 5 minutes.
  *       Admin users can only delete users from their campus.
  *       Super_Admin users can delete users from all campuses.
  *       The user account is marked as deleted but data is retained for audit purposes.
@@ -281,14 +359,13 @@ router.put(
  *           schema:
  *             type: object
  *             required:
- *               - mfaCode
  *               - reason
  *             properties:
  *               mfaCode:
  *                 type: string
  *                 pattern: '^[0-9]{6}$'
  *                 example: '123456'
- *                 description: 6-digit MFA code sent to admin's email
+ *                 description: 6-digit code from the admin's authenticator app, email or SMS (required unless recently verified)
  *               reason:
  *                 type: string
  *                 example: Graduation
@@ -308,7 +385,9 @@ router.put(
  *                   type: string
  *                   example: User deleted successfully
  *       400:
- *         description: Invalid MFA code or validation error
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Not authenticated, MFA required (MFA_REQUIRED) or invalid MFA code (MFA_INVALID)
  *         content:
  *           application/json:
  *             schema:
@@ -317,9 +396,7 @@ router.put(
  *               success: false
  *               error:
  *                 code: MFA_INVALID
- *                 message: Invalid MFA code
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *                 message: Invalid MFA code. 2 attempts remaining
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
@@ -337,6 +414,7 @@ router.delete(
   validateUUIDParam('id'),
   requireCampusAccess(),
   validateUserDeletion,
+  requireMFA(),
   userController.deleteUser
 );
 
@@ -346,7 +424,8 @@ router.delete(
  *   patch:
  *     summary: Update user account status
  *     description: |
- *       Change user account status to active, inactive, or locked.
+ *       Change user account status to active, inactive, or locked. Requires MFA verification
+ *       (an `mfaCode` in the body or a recent step-up verification).
  *       Admin users can only update users from their campus.
  *       Super_Admin users can update users from all campuses.
  *     tags: [User Management]
@@ -377,6 +456,11 @@ router.delete(
  *                 type: string
  *                 example: Temporary suspension
  *                 description: Reason for status change (optional but recommended)
+ *               mfaCode:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *                 description: 6-digit MFA code (required unless recently verified)
  *     responses:
  *       200:
  *         description: User status updated successfully
@@ -417,7 +501,184 @@ router.patch(
   validateUUIDParam('id'),
   requireCampusAccess(),
   validateStatusChange,
+  requireMFA(),
   userController.updateStatus
 );
 
+/**
+ * @swagger
+ * /api/v1/users/{id}/mfa:
+ *   delete:
+ *     summary: Reset user's authenticator-app MFA
+ *     description: |
+ *       Remove the user's enrolled authenticator app (e.g. after a lost device) so they can enroll again.
+ *       Requires MFA verification from the admin (an `mfaCode` in the body or a recent step-up verification).
+ *       Admin users can only reset users from their campus whose role is below Admin.
+ *       Super_Admin users can reset users from all campuses.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Lost phone
+ *                 description: Reason for the reset (optional but recommended)
+ *               mfaCode:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *                 example: '123456'
+ *                 description: 6-digit MFA code (required unless recently verified)
+ *     responses:
+ *       200:
+ *         description: MFA enrollment reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: MFA enrollment reset successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete(
+  '/:id/mfa',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Admin', 'Super_Admin'),
+  validateUUIDParam('id'),
+  requireCampusAccess(),
+  validateMFAReset,
+  requireMFA(),
+  userController.resetMFA
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/approve:
+ *   post:
+ *     summary: Approve a pending registration
+ *     description: |
+ *       Activate a self-service registration from the approval queue and send the welcome email.
+ *       Admin users can only approve registrations for their campus.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Registration approved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Registration is not awaiting approval
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/:id/approve',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Admin', 'Super_Admin'),
+  validateUUIDParam('id'),
+  requireCampusAccess(),
+  registrationController.approveRegistration
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/reject:
+ *   post:
+ *     summary: Reject a pending registration
+ *     description: |
+ *       Reject a self-service registration from the approval queue. The account can never sign in.
+ *       Admin users can only reject registrations for their campus.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Not enrolled at this campus
+ *                 description: Reason recorded in the audit log
+ *     responses:
+ *       200:
+ *         description: Registration rejected
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Registration is not awaiting approval
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post(
+  '/:id/reject',
+  sensitiveOperationRateLimiter,
+  authenticate(),
+  requireRole('Admin', 'Super_Admin'),
+  validateUUIDParam('id'),
+  requireCampusAccess(),
+  validateRegistrationRejection,
+  registrationController.rejectRegistration
+);
+
 export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import * as jwksController from '../controllers/jwksController.js';
+import * as oidcController from '../controllers/oidcController.js';
+import { generalRateLimiter } from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get public signing keys
+ *     description: |
+ *       JSON Web Key Set with the public keys used to sign RS256/ES256 tokens.
+ *       Other services verify access tokens locally by matching the token's `kid`
+ *       header against this set. Retired keys stay listed until the tokens they
+ *       signed have expired. Empty when tokens are signed with HS256.
+ *     tags: [Keys]
+ *     responses:
+ *       200:
+ *         description: Key set retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               keys:
+ *                 - kty: EC
+ *                   crv: P-256
+ *                   x: f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU
+ *                   y: x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0
+ *                   kid: 6f1f3c2e-2f6a-4d55-9a43-3a8e5f0b7c21
+ *                   alg: ES256
+ *                   use: sig
+ */
+router.get('/jwks.json', generalRateLimiter, jwksController.getKeySet);
+
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Provider discovery document
+ *     description: Endpoints, supported scopes, claims and algorithms for campus apps using MSSU Connect sign-in.
+ *     tags: [OpenID Connect]
+ *     responses:
+ *       200:
+ *         description: Discovery document
+ */
+router.get('/openid-configuration', generalRateLimiter, oidcController.getDiscoveryDocument);
+
+export default router;
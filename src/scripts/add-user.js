@@ -1,6 +1,7 @@
 import { sequelize } from '../config/database.js';
 import User from '../models/User.js';
 import { hashPassword } from '../services/passwordService.js';
+import { getPhoneIndex } from '../utils/encryption.js';
 import readline from 'readline';
 
 const rl = readline.createInterface({
@@ -63,6 +64,8 @@ const addUser = async () => {
     }
 
     const address = await question('Enter address (optional, press Enter to skip): ');
+    const temporary = await question('Require a password change at first login? (Y/n): ');
+    const mustChangePassword = temporary.trim().toLowerCase() !== 'n';
 
     rl.close();
 
@@ -83,7 +86,7 @@ const addUser = async () => {
       process.exit(1);
     }
 
-    const existingPhone = await User.findOne({ where: { phone } });
+    const existingPhone = await User.findOne({ where: { phone_bidx: getPhoneIndex(phone) } });
     if (existingPhone) {
       console.error(`❌ User with phone ${phone} already exists`);
       process.exit(1);
@@ -106,7 +109,9 @@ const addUser = async () => {
       failed_login_attempts: 0,
       locked_until: null,
       token_version: 0,
-      last_login_at: null
+      last_login_at: null,
+      must_change_password: mustChangePassword,
+      password_changed_at: new Date()
     });
 
     console.log('\n✓ User created successfully!');
@@ -118,6 +123,7 @@ const addUser = async () => {
     console.log(`  Role: ${user.role}`);
     console.log(`  Campus: ${campus.name} (${campus.code})`);
     console.log(`  Status: ${user.account_status}`);
+    console.log(`  Password change required: ${user.must_change_password ? 'yes' : 'no'}`);
 
     await sequelize.close();
     process.exit(0);
@@ -0,0 +1,51 @@
+import config from '../config/env.js';
+import { buildBreachFilter } from '../services/breachedPasswordService.js';
+
+/**
+ * Build or update the breached-password Bloom filter from a downloaded corpus.
+ *
+ * Usage:
+ *   npm run breach:build -- <corpus file> [options]
+ *
+ * The corpus is either Have I Been Pwned style "SHA1:COUNT" lines (for example the
+ * output of the official PwnedPasswordsDownloader) or plain-text passwords, one per line.
+ *
+ * Options:
+ *   --format auto|sha1|plain   Corpus format (default: auto, detected from the first line)
+ *   --min-count <n>            Skip SHA-1 entries seen fewer than n times (default: 1)
+ *   --fp-rate <rate>           Bloom filter false-positive rate (default: 0.001)
+ *   --output <file>            Filter file (default: PASSWORD_BREACH_FILTER_FILE)
+ *
+ * Running servers pick up the new filter within a minute.
+ */
+const args = process.argv.slice(2);
+
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+
+const input = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--')));
+
+if (!input) {
+  console.error('❌ Pass the corpus file: npm run breach:build -- pwnedpasswords.txt');
+  process.exit(1);
+}
+
+try {
+  console.log(`\n=== Building breached-password filter from ${input} ===\n`);
+
+  const result = await buildBreachFilter({
+    input,
+    output: option('output', config.passwordPolicy.breachFilterFile),
+    format: option('format', 'auto'),
+    minCount: parseInt(option('min-count', '1'), 10),
+    falsePositiveRate: parseFloat(option('fp-rate', '0.001'))
+  });
+
+  console.log(`✅ ${result.items} passwords written to ${result.output}`);
+  console.log(`   ${(result.bytes / 1024 / 1024).toFixed(1)} MB, ${result.hashCount} hashes per entry`);
+} catch (error) {
+  console.error('❌ Building the filter failed:', error.message);
+  process.exit(1);
+}
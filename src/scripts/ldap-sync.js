@@ -0,0 +1,44 @@
+import { sequelize } from '../config/database.js';
+import '../models/index.js';
+import { syncDirectoryUsers } from '../services/directorySyncService.js';
+
+/**
+ * Import LDAP / Active Directory users into MSSU Connect.
+ *
+ * Usage:
+ *   npm run ldap:sync             # create and update users
+ *   npm run ldap:sync -- --dry-run  # only report what would change
+ */
+const syncDirectory = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`\n=== LDAP Directory Sync${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    await sequelize.authenticate();
+    console.log('✓ Database connection established');
+
+    const summary = await syncDirectoryUsers({ dryRun });
+
+    console.log(`✓ ${summary.total} directory entries read\n`);
+    console.log(`  Created:   ${summary.created}`);
+    console.log(`  Updated:   ${summary.updated}`);
+    console.log(`  Unchanged: ${summary.unchanged}`);
+    console.log(`  Skipped:   ${summary.skipped.length}`);
+
+    summary.skipped.forEach(({ dn, reason }) => {
+      console.log(`    - ${dn}: ${reason}`);
+    });
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Directory sync failed:', error.message);
+    if (error.cause) {
+      console.error(`  - ${error.cause.message}`);
+    }
+    process.exit(1);
+  }
+};
+
+syncDirectory();
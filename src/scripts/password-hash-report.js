@@ -0,0 +1,51 @@
+import { sequelize } from '../config/database.js';
+import '../models/index.js';
+import { getPasswordHashReport } from '../services/passwordPolicyService.js';
+
+/**
+ * Show how many accounts still have password hashes made with an older algorithm or
+ * weaker settings than PASSWORD_HASH_ALGORITHM. Those hashes are upgraded at each
+ * user's next password login.
+ *
+ * Usage:
+ *   npm run passwords:hash-report
+ */
+const describeParameters = (algorithm, parameters) => {
+  if (algorithm === 'bcrypt') {
+    return `cost ${parameters.cost}`;
+  }
+  if (algorithm.startsWith('argon2')) {
+    return `v=${parameters.version} m=${parameters.memoryCost} KiB t=${parameters.timeCost} p=${parameters.parallelism}`;
+  }
+  return 'unrecognised format';
+};
+
+const reportPasswordHashes = async () => {
+  try {
+    console.log('\n=== Password Hash Report ===\n');
+
+    await sequelize.authenticate();
+    console.log('✓ Database connection established');
+
+    const report = await getPasswordHashReport();
+
+    console.log(`✓ ${report.total} accounts with a local password\n`);
+    console.log(`  Target: ${report.target.algorithm} (${describeParameters(report.target.algorithm, report.target)})\n`);
+
+    report.groups.forEach(({ algorithm, parameters, count, outdated }) => {
+      const status = outdated ? 'outdated' : 'current';
+      console.log(`  ${String(count).padStart(8)}  ${algorithm} (${describeParameters(algorithm, parameters)}) - ${status}`);
+    });
+
+    const percent = report.total ? ((report.outdated / report.total) * 100).toFixed(1) : '0.0';
+    console.log(`\n  Outdated: ${report.outdated} (${percent}%), upgraded at each user's next password login`);
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Password hash report failed:', error.message);
+    process.exit(1);
+  }
+};
+
+reportPasswordHashes();
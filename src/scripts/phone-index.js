@@ -0,0 +1,48 @@
+import { sequelize } from '../config/database.js';
+import '../models/index.js';
+import { backfillPhoneIndex } from '../services/userService.js';
+
+/**
+ * Fill in the blind index of users' encrypted phone numbers (users.phone_bidx), which OTP login,
+ * phone search and the phone uniqueness checks look users up by.
+ *
+ * Usage:
+ *   npm run users:phone-index   # once after upgrading, and again after changing BLIND_INDEX_KEY
+ *
+ * Users whose index is already current are skipped, so it is safe to run repeatedly.
+ */
+const indexPhoneNumbers = async () => {
+  try {
+    console.log('\n=== Phone Index Backfill ===\n');
+
+    await sequelize.authenticate();
+    console.log('✓ Database connection established');
+
+    const result = await backfillPhoneIndex();
+
+    console.log(`✓ ${result.total} users checked`);
+    console.log(`  Indexed: ${result.updated}, already current: ${result.unchanged}`);
+
+    if (result.duplicates.length > 0) {
+      console.log(`\n⚠️  ${result.duplicates.length} users share a phone number with another account and were not indexed:`);
+      result.duplicates.forEach(({ userId, existingUserId }) => {
+        console.log(`  ${userId} (same number as ${existingUserId})`);
+      });
+    }
+
+    if (result.failed.length > 0) {
+      console.log(`\n⚠️  ${result.failed.length} phone numbers could not be decrypted:`);
+      result.failed.forEach(({ userId, reason }) => {
+        console.log(`  ${userId}: ${reason}`);
+      });
+    }
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Phone index backfill failed:', error.message);
+    process.exit(1);
+  }
+};
+
+indexPhoneNumbers();
@@ -0,0 +1,36 @@
+import config from '../config/env.js';
+import { rotateSigningKey, ASYMMETRIC_ALGORITHMS } from '../services/keyService.js';
+
+/**
+ * Rotate the JWT signing key
+ * Usage: npm run keys:rotate [-- RS256|ES256]
+ * Defaults to the configured JWT_ALGORITHM. Running servers pick up the new key within a minute.
+ * A key for another algorithm is staged for verification until JWT_ALGORITHM is switched to it.
+ */
+const algorithm = process.argv[2] || config.jwt.algorithm;
+
+if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+  console.error(`❌ Key rotation needs an asymmetric algorithm (${ASYMMETRIC_ALGORITHMS.join(', ')}), got ${algorithm}`);
+  console.error('   Pass one explicitly: npm run keys:rotate -- ES256');
+  process.exit(1);
+}
+
+try {
+  const result = rotateSigningKey(algorithm);
+
+  if (result.staged) {
+    console.log(`✅ Staged ${result.alg} signing key: ${result.kid}`);
+    console.log(`ℹ️  It is published for verification now; set JWT_ALGORITHM=${result.alg} to start signing with it`);
+  } else {
+    console.log(`✅ New ${result.alg} signing key: ${result.kid}`);
+  }
+  if (result.retiredKid) {
+    console.log(`ℹ️  Retired key ${result.retiredKid} remains valid for verification for ${config.jwt.keyRetention} seconds`);
+  }
+  if (result.prunedKids.length > 0) {
+    console.log(`🗑️  Removed expired keys: ${result.prunedKids.join(', ')}`);
+  }
+} catch (error) {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+import { connectRedis, disconnectRedis } from '../config/redis.js';
+import { migrateSessionIndex, cleanupSessionIndexes } from '../services/sessionService.js';
+
+/**
+ * Maintain the per-user session index (sessions:<userId> sorted sets).
+ *
+ * Usage:
+ *   npm run sessions:index -- migrate   # index sessions stored before the index existed (run once after upgrading)
+ *   npm run sessions:index -- cleanup   # remove index entries of expired sessions (e.g. nightly)
+ *
+ * Both walk the keyspace with SCAN and can run while the API is serving requests.
+ */
+const command = process.argv[2];
+
+const run = async () => {
+  if (!['migrate', 'cleanup'].includes(command)) {
+    console.error('❌ Usage: npm run sessions:index -- migrate|cleanup');
+    process.exit(1);
+  }
+
+  try {
+    // The client keeps retrying an unreachable server, so give up after a few seconds
+    const connected = await Promise.race([
+      connectRedis(),
+      new Promise((resolve) => setTimeout(() => resolve(false), 5000))
+    ]);
+    if (!connected) {
+      throw new Error('Redis is not reachable');
+    }
+
+    if (command === 'migrate') {
+      const result = await migrateSessionIndex();
+      console.log(`✅ Indexed ${result.sessions} sessions of ${result.users} users`);
+    } else {
+      const result = await cleanupSessionIndexes();
+      console.log(`✅ Removed ${result.removed} expired entries from ${result.indexes} session indexes`);
+    }
+
+    await disconnectRedis();
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Session index ${command} failed:`, error.message);
+    await disconnectRedis();
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,406 @@
+import crypto from 'crypto';
+import ServiceAccount from '../models/ServiceAccount.js';
+import ApiKey from '../models/ApiKey.js';
+import Campus from '../models/Campus.js';
+import config from '../config/env.js';
+import { redisHelpers } from '../config/redis.js';
+import { getPermissionsForRole } from './rbacService.js';
+import { createAuditLog } from './auditService.js';
+
+const RATE_LIMIT_KEY_PREFIX = 'api_key:rate:';
+const LAST_USED_KEY_PREFIX = 'api_key:last_used:';
+const KEY_ID_LENGTH = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles of the accounts a service account may create; staff accounts are created by people
+export const SERVICE_ACCOUNT_CREATABLE_ROLES = ['Student', 'Teacher', 'Parent'];
+
+/**
+ * Build a service account or API key error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+const createApiKeyError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Hash an API key for storage (keys are random, so a fast hash is sufficient)
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Role whose permissions and campus scoping apply to requests made with a key.
+ * A key restricted to a campus acts like an Admin of that campus; a key for all campuses like a Super_Admin.
+ * @param {string|null} campusId - Campus the key is restricted to
+ * @returns {string} Admin or Super_Admin
+ */
+export const getApiKeyRole = (campusId) => {
+  return campusId ? 'Admin' : 'Super_Admin';
+};
+
+/**
+ * Scopes (RBAC matrix permissions as "resource:action") a key can be given
+ * @param {boolean} campusRestricted - Whether the key is restricted to one campus
+ * @returns {string[]} Available scopes
+ */
+export const getAvailableScopes = (campusRestricted = false) => {
+  const permissions = getPermissionsForRole(campusRestricted ? 'Admin' : 'Super_Admin');
+
+  return Object.entries(permissions)
+    .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+};
+
+/**
+ * Format a service account with its keys (never their hashes)
+ * @param {Object} account - ServiceAccount instance
+ * @returns {Object} Service account
+ */
+const formatServiceAccount = (account) => ({
+  id: account.id,
+  name: account.name,
+  description: account.description,
+  is_active: account.is_active,
+  created_by: account.created_by,
+  created_at: account.createdAt,
+  api_keys: (account.apiKeys || []).map(apiKey => apiKey.toSafeObject())
+});
+
+/**
+ * Find a service account or throw
+ * @param {string} id - Service account ID
+ * @returns {Promise<Object>} ServiceAccount instance
+ */
+const findServiceAccount = async (id) => {
+  const account = await ServiceAccount.findByPk(id);
+
+  if (!account) {
+    throw createApiKeyError('SERVICE_ACCOUNT_NOT_FOUND', 'Service account not found');
+  }
+
+  return account;
+};
+
+/**
+ * Create a service account for a system that calls the API (ERP, LMS, fee payments)
+ * @param {Object} accountData - { name, description }
+ * @param {string} adminId - Super_Admin creating the account
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created service account
+ */
+export const createServiceAccount = async (accountData, adminId, context = {}) => {
+  try {
+    const { name, description = null } = accountData;
+
+    const existing = await ServiceAccount.findOne({ where: { name } });
+    if (existing) {
+      throw createApiKeyError('SERVICE_ACCOUNT_EXISTS', 'A service account with this name already exists');
+    }
+
+    const account = await ServiceAccount.create({ name, description, created_by: adminId });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'service_account_created',
+      resource_type: 'service_account',
+      resource_id: account.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { name }
+    });
+
+    return formatServiceAccount(account);
+  } catch (error) {
+    console.error('Create service account error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List service accounts with their keys
+ * @returns {Promise<Array>} Service accounts
+ */
+export const listServiceAccounts = async () => {
+  try {
+    const accounts = await ServiceAccount.findAll({
+      include: [{ model: ApiKey, as: 'apiKeys' }],
+      order: [['name', 'ASC'], [{ model: ApiKey, as: 'apiKeys' }, 'created_at', 'DESC']]
+    });
+
+    return accounts.map(formatServiceAccount);
+  } catch (error) {
+    console.error('List service accounts error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Deactivate a service account and revoke all its keys
+ * @param {string} id - Service account ID
+ * @param {string} adminId - Super_Admin deactivating the account
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} Success status
+ */
+export const deactivateServiceAccount = async (id, adminId, context = {}) => {
+  try {
+    const account = await findServiceAccount(id);
+
+    await account.update({ is_active: false });
+
+    const [revokedKeys] = await ApiKey.update(
+      { revoked_at: new Date(), revoked_by: adminId },
+      { where: { service_account_id: account.id, revoked_at: null } }
+    );
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'service_account_deactivated',
+      resource_type: 'service_account',
+      resource_id: account.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { name: account.name, revoked_keys: revokedKeys }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Deactivate service account error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Issue an API key for a service account. The key is only returned here; only its hash is stored.
+ * @param {string} serviceAccountId - Service account ID
+ * @param {Object} keyData - { name, scopes, campus_id, expires_in_days, rate_limit_per_minute }
+ * @param {string} adminId - Super_Admin creating the key
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+export const createApiKey = async (serviceAccountId, keyData, adminId, context = {}) => {
+  try {
+    const account = await findServiceAccount(serviceAccountId);
+
+    if (!account.is_active) {
+      throw createApiKeyError('SERVICE_ACCOUNT_INACTIVE', 'Service account is inactive');
+    }
+
+    const {
+      name,
+      scopes,
+      campus_id: campusId = null,
+      expires_in_days: expiresInDays = config.apiKeys.maxLifetimeDays,
+      rate_limit_per_minute: rateLimit = null
+    } = keyData;
+
+    if (campusId && !(await Campus.findByPk(campusId))) {
+      throw createApiKeyError('CAMPUS_NOT_FOUND', 'Campus not found');
+    }
+
+    const availableScopes = getAvailableScopes(Boolean(campusId));
+    const unavailable = scopes.filter(scope => !availableScopes.includes(scope));
+    if (unavailable.length > 0) {
+      throw createApiKeyError('VALIDATION_ERROR', `Scopes not available to ${campusId ? 'campus' : 'all-campus'} keys: ${unavailable.join(', ')}`);
+    }
+
+    if (expiresInDays > config.apiKeys.maxLifetimeDays) {
+      throw createApiKeyError('VALIDATION_ERROR', `Keys can be valid for at most ${config.apiKeys.maxLifetimeDays} days`);
+    }
+
+    const prefix = `${config.apiKeys.prefix}_${crypto.randomBytes(KEY_ID_LENGTH / 2).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      service_account_id: account.id,
+      name,
+      prefix,
+      key_hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      campus_id: campusId,
+      rate_limit_per_minute: rateLimit,
+      expires_at: new Date(Date.now() + expiresInDays * DAY_MS),
+      created_by: adminId
+    });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'api_key_created',
+      resource_type: 'api_key',
+      resource_id: apiKey.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: {
+        service_account_id: account.id,
+        prefix,
+        name,
+        scopes: apiKey.scopes,
+        campus_id: campusId,
+        expires_at: apiKey.expires_at
+      }
+    });
+
+    return {
+      apiKey: apiKey.toSafeObject(),
+      key
+    };
+  } catch (error) {
+    console.error('Create API key error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API key; requests using it are rejected immediately
+ * @param {string} serviceAccountId - Service account ID
+ * @param {string} keyId - API key ID
+ * @param {string} adminId - Super_Admin revoking the key
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} Success status
+ */
+export const revokeApiKey = async (serviceAccountId, keyId, adminId, context = {}) => {
+  try {
+    const apiKey = await ApiKey.findOne({ where: { id: keyId, service_account_id: serviceAccountId } });
+
+    if (!apiKey) {
+      throw createApiKeyError('API_KEY_NOT_FOUND', 'API key not found');
+    }
+
+    if (apiKey.revoked_at) {
+      return true;
+    }
+
+    await apiKey.update({ revoked_at: new Date(), revoked_by: adminId });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'api_key_revoked',
+      resource_type: 'api_key',
+      resource_id: apiKey.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { service_account_id: serviceAccountId, prefix: apiKey.prefix, name: apiKey.name }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Revoke API key error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Count a request against the key's per-minute limit
+ * @param {Object} apiKey - ApiKey instance
+ * @returns {Promise<void>}
+ * @throws {Error} RATE_LIMIT_EXCEEDED
+ */
+const consumeRateLimit = async (apiKey) => {
+  const limit = apiKey.rate_limit_per_minute || config.apiKeys.defaultRateLimit;
+  const bucketKey = `${RATE_LIMIT_KEY_PREFIX}${apiKey.id}:${Math.floor(Date.now() / 60000)}`;
+
+  const count = await redisHelpers.incr(bucketKey);
+  if (count === 1) {
+    await redisHelpers.expire(bucketKey, 60);
+  }
+
+  if (count > limit) {
+    throw createApiKeyError('RATE_LIMIT_EXCEEDED', `API key rate limit of ${limit} requests per minute exceeded`);
+  }
+};
+
+/**
+ * Record when and from where a key was last used, at most once per API_KEY_LAST_USED_INTERVAL
+ * @param {Object} apiKey - ApiKey instance
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (apiKey, ipAddress) => {
+  try {
+    const due = await redisHelpers.setIfNotExists(`${LAST_USED_KEY_PREFIX}${apiKey.id}`, 1, config.apiKeys.lastUsedInterval);
+
+    if (due) {
+      await apiKey.update({ last_used_at: new Date(), last_used_ip: ipAddress || null });
+    }
+  } catch (error) {
+    console.error('Update API key last use error:', error.message);
+  }
+};
+
+/**
+ * Authenticate a request made with an API key
+ * @param {string} key - Key from the `Authorization: ApiKey <key>` header
+ * @param {Object} context - Request context { ipAddress }
+ * @returns {Promise<Object>} { apiKey, serviceAccount } instances
+ * @throws {Error} API_KEY_INVALID, API_KEY_REVOKED, API_KEY_EXPIRED or RATE_LIMIT_EXCEEDED
+ */
+export const authenticateApiKey = async (key, context = {}) => {
+  const prefixLength = config.apiKeys.prefix.length + 1 + KEY_ID_LENGTH;
+  const apiKey = key && key.startsWith(`${config.apiKeys.prefix}_`)
+    ? await ApiKey.findOne({
+      where: { prefix: key.slice(0, prefixLength) },
+      include: [{ model: ServiceAccount, as: 'serviceAccount' }]
+    })
+    : null;
+
+  const presented = Buffer.from(hashApiKey(String(key || '')));
+  if (!apiKey || !crypto.timingSafeEqual(presented, Buffer.from(apiKey.key_hash))) {
+    throw createApiKeyError('API_KEY_INVALID', 'Invalid API key');
+  }
+
+  if (apiKey.revoked_at || !apiKey.serviceAccount.is_active) {
+    throw createApiKeyError('API_KEY_REVOKED', 'API key has been revoked');
+  }
+
+  if (new Date(apiKey.expires_at) <= new Date()) {
+    throw createApiKeyError('API_KEY_EXPIRED', 'API key has expired');
+  }
+
+  await consumeRateLimit(apiKey);
+  await touchApiKey(apiKey, context.ipAddress);
+
+  return { apiKey, serviceAccount: apiKey.serviceAccount };
+};
+
+/**
+ * Record a change made with an API key, once its response is known. Audit entries
+ * written by the change itself have no admin; this entry names the key that made it.
+ * @param {Object} apiKey - Key used (req.apiKey)
+ * @param {Object} request - { method, path, statusCode, ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const recordServiceAccountRequest = async (apiKey, request) => {
+  await createAuditLog({
+    action_type: 'service_account_request',
+    resource_type: 'service_account',
+    resource_id: apiKey.service_account_id,
+    ip_address: request.ipAddress,
+    user_agent: request.userAgent,
+    details: {
+      api_key_id: apiKey.id,
+      prefix: apiKey.prefix,
+      method: request.method,
+      path: request.path,
+      status_code: request.statusCode
+    }
+  });
+};
+
+export default {
+  SERVICE_ACCOUNT_CREATABLE_ROLES,
+  getApiKeyRole,
+  getAvailableScopes,
+  createServiceAccount,
+  listServiceAccounts,
+  deactivateServiceAccount,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  recordServiceAccountRequest
+};
@@ -0,0 +1,82 @@
+import localProvider from './localProvider.js';
+import ldapProvider from './ldapProvider.js';
+
+/**
+ * Password authentication providers, checked in order. The local bcrypt
+ * provider handles every user no other provider claims.
+ * A provider exposes:
+ * - name: recorded in the login audit details
+ * - appliesTo(user): match reason (e.g. 'campus', 'email_domain') or null
+ * - verifyPassword(user, password): { valid, reason }; throws with code
+ *   DIRECTORY_UNAVAILABLE when the backing server cannot be reached
+ * - fallbackOnError() (optional): whether to check the local hash instead when unavailable
+ */
+const providers = [ldapProvider];
+
+/**
+ * Register another provider ahead of the existing ones
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  providers.unshift(provider);
+};
+
+/**
+ * Pick the provider that checks a user's password
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { provider, reason }
+ */
+export const resolveProvider = async (user) => {
+  for (const provider of providers) {
+    const reason = await provider.appliesTo(user);
+    if (reason) {
+      return { provider, reason };
+    }
+  }
+
+  return { provider: localProvider, reason: 'default' };
+};
+
+/**
+ * Check a user's password with the provider that manages the account
+ * @param {Object} user - User instance
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} { valid, decision } - decision is recorded in the audit log
+ */
+export const verifyUserPassword = async (user, password) => {
+  const { provider, reason } = await resolveProvider(user);
+  const decision = { provider: provider.name, matched_by: reason };
+
+  try {
+    const result = await provider.verifyPassword(user, password);
+
+    if (result.reason) {
+      decision.result = result.reason;
+    }
+
+    return { valid: result.valid, decision };
+  } catch (error) {
+    if (error.code !== 'DIRECTORY_UNAVAILABLE' || !provider.fallbackOnError?.()) {
+      error.authProvider = decision;
+      throw error;
+    }
+
+    const result = await localProvider.verifyPassword(user, password);
+
+    return {
+      valid: result.valid,
+      decision: {
+        provider: localProvider.name,
+        matched_by: reason,
+        fallback_from: provider.name,
+        fallback_reason: 'directory_unavailable'
+      }
+    };
+  }
+};
+
+export default {
+  registerProvider,
+  resolveProvider,
+  verifyUserPassword
+};
@@ -0,0 +1,243 @@
+import { Client, Filter, InvalidCredentialsError } from 'ldapts';
+import config from '../../config/env.js';
+import Campus from '../../models/Campus.js';
+
+export const name = 'ldap';
+
+/**
+ * Whether a directory server is configured
+ * @returns {boolean}
+ */
+export const isConfigured = () => Boolean(config.ldap.url && config.ldap.baseDN);
+
+/**
+ * Whether to check the local password hash when the directory cannot be reached
+ * @returns {boolean}
+ */
+export const fallbackOnError = () => config.ldap.fallbackOnError;
+
+/**
+ * Decide whether an email address or campus is managed by the directory
+ * @param {string} email - User email
+ * @param {string|null} campusCode - Campus code
+ * @returns {string|null} 'email_domain', 'campus' or null
+ */
+export const matchDirectory = (email, campusCode) => {
+  if (!isConfigured()) {
+    return null;
+  }
+
+  const domain = (email || '').split('@').pop().toLowerCase();
+
+  if (config.ldap.emailDomains.includes(domain)) {
+    return 'email_domain';
+  }
+
+  if (campusCode && config.ldap.campusCodes.includes(campusCode)) {
+    return 'campus';
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether a user signs in against the directory
+ * @param {Object} user - User instance
+ * @returns {Promise<string|null>} Match reason, or null when the directory does not apply
+ */
+export const appliesTo = async (user) => {
+  if (!isConfigured()) {
+    return null;
+  }
+
+  // Only load the campus when campus codes are configured
+  let campusCode = null;
+  if (config.ldap.campusCodes.length > 0 && user.campus_id) {
+    const campus = await Campus.findByPk(user.campus_id, { attributes: ['code'] });
+    campusCode = campus ? campus.code : null;
+  }
+
+  return matchDirectory(user.email, campusCode);
+};
+
+/**
+ * Wrap a connection, TLS or service account failure
+ * @param {Error} cause - Original error
+ * @returns {Error} Error with DIRECTORY_UNAVAILABLE code
+ */
+const createDirectoryError = (cause) => {
+  const error = new Error('Directory server is unavailable. Please try again later');
+  error.code = 'DIRECTORY_UNAVAILABLE';
+  error.cause = cause;
+  return error;
+};
+
+/**
+ * Connect to the directory and bind as the service account
+ * @returns {Promise<Client>} Bound client
+ */
+const connect = async () => {
+  const tlsOptions = { rejectUnauthorized: config.ldap.tlsRejectUnauthorized };
+
+  // ldapts opens a TLS connection whenever tlsOptions is set, so only pass it for ldaps://
+  const client = new Client({
+    url: config.ldap.url,
+    timeout: config.ldap.timeout,
+    connectTimeout: config.ldap.timeout,
+    ...(config.ldap.url.startsWith('ldaps://') && { tlsOptions })
+  });
+
+  try {
+    if (config.ldap.startTLS) {
+      await client.startTLS(tlsOptions);
+    }
+
+    if (config.ldap.bindDN) {
+      await client.bind(config.ldap.bindDN, config.ldap.bindPassword);
+    }
+  } catch (error) {
+    await client.unbind().catch(() => {});
+    throw error;
+  }
+
+  return client;
+};
+
+/**
+ * Read an attribute from a search entry; directories differ in attribute name case
+ * @param {Object} entry - ldapts search entry
+ * @param {string} attribute - Attribute name
+ * @returns {string[]} Attribute values
+ */
+const getValues = (entry, attribute) => Object.keys(entry)
+  .filter(key => key.toLowerCase() === attribute.toLowerCase())
+  .flatMap(key => entry[key])
+  .map(item => (Buffer.isBuffer(item) ? item.toString('utf8') : String(item)));
+
+const getValue = (entry, attribute) => getValues(entry, attribute)[0] || null;
+
+/**
+ * Check a password by binding to the directory as the user's entry.
+ * The entry is found with LDAP_USER_FILTER using the service account.
+ * @param {Object} user - User instance
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} { valid, reason } - reason is set when valid is false
+ */
+export const verifyPassword = async (user, password) => {
+  // A simple bind with an empty password is an anonymous bind and always succeeds
+  if (!password) {
+    return { valid: false, reason: 'empty_password' };
+  }
+
+  let client;
+  try {
+    client = await connect();
+
+    const filter = config.ldap.userFilter.replaceAll('{{email}}', Filter.escape(user.email));
+    const { searchEntries } = await client.search(config.ldap.baseDN, {
+      scope: 'sub',
+      filter,
+      attributes: ['dn']
+    });
+
+    if (searchEntries.length !== 1) {
+      return { valid: false, reason: searchEntries.length === 0 ? 'entry_not_found' : 'entry_ambiguous' };
+    }
+
+    try {
+      await client.bind(searchEntries[0].dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) {
+        return { valid: false, reason: 'invalid_credentials' };
+      }
+      throw error;
+    }
+
+    return { valid: true };
+  } catch (error) {
+    console.error('LDAP authentication error:', error.message);
+    throw createDirectoryError(error);
+  } finally {
+    if (client) {
+      await client.unbind().catch(() => {});
+    }
+  }
+};
+
+/**
+ * Map directory group memberships to a role using LDAP_ROLE_MAPPING.
+ * Mapping keys are group DNs or group CNs, compared case-insensitively; the first match wins.
+ * @param {string[]} groups - Group DNs from the user's entry
+ * @returns {string} Role
+ */
+export const mapRole = (groups = []) => {
+  const mapping = typeof config.ldap.roleMapping === 'string'
+    ? JSON.parse(config.ldap.roleMapping)
+    : config.ldap.roleMapping;
+
+  const memberships = new Set();
+  groups.forEach(group => {
+    memberships.add(group.toLowerCase());
+    const cn = /^cn=([^,]+)/i.exec(group);
+    if (cn) {
+      memberships.add(cn[1].toLowerCase());
+    }
+  });
+
+  const match = Object.entries(mapping).find(([group]) => memberships.has(group.toLowerCase()));
+
+  return match ? match[1] : config.ldap.defaultRole;
+};
+
+/**
+ * List the user entries matched by LDAP_SYNC_FILTER
+ * @returns {Promise<Object[]>} [{ dn, email, name, phone, campusCode, groups }]
+ */
+export const listDirectoryUsers = async () => {
+  if (!isConfigured()) {
+    const error = new Error('LDAP_URL and LDAP_BASE_DN must be set');
+    error.code = 'DIRECTORY_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const { attributes } = config.ldap;
+
+  let client;
+  try {
+    client = await connect();
+
+    const { searchEntries } = await client.search(config.ldap.baseDN, {
+      scope: 'sub',
+      filter: config.ldap.syncFilter,
+      attributes: [attributes.email, attributes.name, attributes.phone, attributes.campus, attributes.groups],
+      paged: { pageSize: 500 }
+    });
+
+    return searchEntries.map(entry => ({
+      dn: entry.dn,
+      email: getValue(entry, attributes.email),
+      name: getValue(entry, attributes.name),
+      phone: getValue(entry, attributes.phone),
+      campusCode: getValue(entry, attributes.campus),
+      groups: getValues(entry, attributes.groups)
+    }));
+  } catch (error) {
+    console.error('LDAP directory listing error:', error.message);
+    throw createDirectoryError(error);
+  } finally {
+    if (client) {
+      await client.unbind().catch(() => {});
+    }
+  }
+};
+
+export default {
+  name,
+  isConfigured,
+  fallbackOnError,
+  matchDirectory,
+  appliesTo,
+  verifyPassword,
+  mapRole,
+  listDirectoryUsers
+};
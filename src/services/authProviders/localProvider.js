@@ -0,0 +1,27 @@
+import { verifyPassword as verifyPasswordHash } from '../passwordService.js';
+
+export const name = 'local';
+
+/**
+ * The local provider handles every user no other provider claims
+ * @returns {Promise<string>} Match reason
+ */
+export const appliesTo = async () => 'default';
+
+/**
+ * Check a password against the user's stored bcrypt hash
+ * @param {Object} user - User instance
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} { valid }
+ */
+export const verifyPassword = async (user, password) => {
+  const valid = await verifyPasswordHash(password, user.password_hash);
+
+  return { valid };
+};
+
+export default {
+  name,
+  appliesTo,
+  verifyPassword
+};
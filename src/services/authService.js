@@ -1,18 +1,265 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
-import { verifyPassword, hashPassword, validatePasswordStrength } from './passwordService.js';
-import { generateTokens, verifyToken, generateAccessToken } from './tokenService.js';
-import { createSession, revokeSession, revokeAllSessions } from './sessionService.js';
+import config from '../config/env.js';
+import { verifyPassword, hashPassword, validatePasswordStrength, getPasswordValidationDetails } from './passwordService.js';
+import { verifyUserPassword } from './authProviders/index.js';
+import { generateTokens, verifyToken, decodeToken, generateMFAPendingToken } from './tokenService.js';
+import { createSession, revokeSession, revokeAllSessions, revokeOtherSessions, isSessionValid, getSessionEviction } from './sessionService.js';
 import { blacklistToken, calculateTokenExpiry, isTokenBlacklisted } from './blacklistService.js';
 import { generateOTP, storeOTP, verifyOTP as verifyOTPCode, checkRateLimit } from './otpService.js';
 import { generateResetToken, verifyResetToken, invalidateResetToken } from './resetTokenService.js';
 import { createAuditLog } from './auditService.js';
+import { sendMFACode, verifySecondFactor, getAvailableMethods, markMFAVerified } from './mfaService.js';
+import { generateTokenId, createTokenFamily, rotateTokenFamily, revokeTokenFamily } from './refreshTokenService.js';
+import { generateMagicLinkToken, consumeMagicLinkToken, invalidateUserMagicLinks } from './magicLinkService.js';
+import { sendMagicLinkEmail } from './emailService.js';
+import { assessLoginRisk, recordLogin, sendSignInAlert } from './loginRiskService.js';
+import { enforceSessionLimit } from './sessionPolicyService.js';
+import { describeDevice, recognizeDevice, isTrustedDevice, revokeDeviceTrust } from './deviceService.js';
+import { getPhoneIndex } from '../utils/encryption.js';
+import {
+  checkIpThrottle,
+  checkAccountThrottle,
+  registerLoginFailure,
+  clearLoginFailures,
+  clearAccountThrottle
+} from './loginThrottleService.js';
+import {
+  getPasswordRules,
+  isRecentPassword,
+  createPasswordReusedError,
+  recordPasswordHistory,
+  enforcePasswordExpiry,
+  upgradePasswordHash
+} from './passwordPolicyService.js';
+
+const MFA_PENDING_TOKEN_EXPIRY_SECONDS = 300; // Matches tokenService MFA pending token lifetime
+
+const PENDING_STATUS_MESSAGES = {
+  pending_verification: 'Account registration is not complete. Verify your email and phone number first',
+  pending_approval: 'Account is awaiting approval by a campus administrator',
+  rejected: 'Account registration was rejected. Contact your campus administration office'
+};
+
+/**
+ * Build the error returned when a non-active account tries to sign in
+ * @param {string} status - User account_status
+ * @returns {Error} Error with ACCOUNT_PENDING, ACCOUNT_INACTIVE or ACCOUNT_LOCKED code
+ */
+const createAccountStatusError = (status) => {
+  if (PENDING_STATUS_MESSAGES[status]) {
+    const error = new Error(PENDING_STATUS_MESSAGES[status]);
+    error.code = 'ACCOUNT_PENDING';
+    error.accountStatus = status;
+    return error;
+  }
+
+  const error = new Error(`Account is ${status}. Contact administrator`);
+  error.code = status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
+  return error;
+};
+
+/**
+ * Create a session and token pair for a user who has completed every required factor
+ * @param {Object} user - User instance
+ * @param {string} method - Login method recorded in the audit log (password, otp, ...)
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo, deviceId }
+ * @param {Object} details - Extra audit details (e.g. mfa_method, login_risk)
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId, deviceId }
+ */
+const issueLoginSession = async (user, method, context = {}, details = {}) => {
+  // Name the device from its user agent where the client did not
+  const deviceInfo = describeDevice({
+    ...context,
+    deviceInfo: context.deviceInfo || { device_type: method === 'otp' ? 'mobile' : 'web' }
+  });
+
+  // Stay within the role's concurrent session limit (rejects the login or evicts old sessions)
+  await enforceSessionLimit(user, { ...context, deviceInfo });
+
+  await user.update({
+    last_login_at: new Date()
+  });
+
+  // Remember the device; one without an identifier gets a new one to keep
+  const { device, deviceId } = await recognizeDevice(user.id, { ...context, deviceInfo });
+
+  // Create session
+  const sessionId = await createSession(
+    user.id,
+    { ...deviceInfo, device_id: device.id },
+    context.ipAddress || 'unknown'
+  );
+
+  // Generate JWT tokens; the refresh token starts a new rotation family for this session
+  const refreshTokenId = generateTokenId();
+  const tokens = generateTokens({
+    user_id: user.id,
+    email: user.email,
+    role: user.role,
+    campus_id: user.campus_id,
+    token_version: user.token_version,
+    session_id: sessionId,
+    jti: refreshTokenId
+  });
+
+  await createTokenFamily(user.id, sessionId, refreshTokenId, calculateTokenExpiry(tokens.refreshToken));
+
+  // Log successful login
+  await createAuditLog({
+    user_id: user.id,
+    action_type: 'login',
+    resource_type: 'user',
+    resource_id: user.id,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: { method, session_id: sessionId, device_id: device.id, ...details }
+  });
+
+  // Remember the device and network, and tell the user about risky sign-ins
+  if (details.login_risk) {
+    await recordLogin(user.id, details.login_risk);
+
+    if (details.login_risk.action !== 'allow') {
+      await sendSignInAlert(user, details.login_risk, context);
+    }
+  }
+
+  // Return user without sensitive data
+  const safeUser = user.toSafeObject();
+
+  return {
+    user: safeUser,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    sessionId,
+    deviceId
+  };
+};
+
+/**
+ * Complete a login once the first factor has been verified.
+ * The login is scored against the user's device, network and time-of-day history first:
+ * high-risk logins are blocked, and medium-risk ones need a second factor even when MFA is off.
+ * Users with MFA enabled receive a short-lived MFA pending token instead of session tokens.
+ * @param {Object} user - User instance
+ * @param {string} method - First-factor login method (password, otp, ...)
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo, deviceId }
+ * @param {Object} options - { multiFactor: true when the login method already satisfies MFA (e.g. user-verified passkey),
+ *   details: extra login audit details, carried through the MFA step (e.g. auth_provider) }
+ * @returns {Promise<Object>} Session tokens, or { mfaRequired, mfaToken, methods, expiresIn }
+ */
+export const finalizeLogin = async (user, method, context = {}, options = {}) => {
+  const risk = await assessLoginRisk(user, context);
+  const details = { ...options.details, login_risk: risk };
+
+  if (risk.action === 'block') {
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'login_blocked',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { method, ...details }
+    });
+
+    await sendSignInAlert(user, risk, context, { blocked: true });
+
+    const error = new Error('This sign-in looks unusual and was blocked. Check your email or SMS for details');
+    error.code = 'LOGIN_BLOCKED';
+    throw error;
+  }
+
+  // A device the user marked as trusted skips their own MFA, but not a second factor the risk check asks for
+  const trustedDevice = user.mfa_enabled && risk.action !== 'mfa' && await isTrustedDevice(user.id, context.deviceId);
+  const mfaRequired = (user.mfa_enabled && !trustedDevice) || risk.action === 'mfa';
+
+  if (!mfaRequired || options.multiFactor) {
+    return await issueLoginSession(user, method, context, { ...details, ...(trustedDevice && { trusted_device: true }) });
+  }
+
+  const mfaToken = generateMFAPendingToken({
+    user_id: user.id,
+    login_method: method,
+    login_details: details
+  });
+
+  await createAuditLog({
+    user_id: user.id,
+    action_type: 'mfa_required',
+    resource_type: 'user',
+    resource_id: user.id,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: { method, ...details }
+  });
+
+  return {
+    mfaRequired: true,
+    mfaToken,
+    methods: getAvailableMethods(user),
+    expiresIn: MFA_PENDING_TOKEN_EXPIRY_SECONDS
+  };
+};
+
+/**
+ * Verify an MFA pending token and load the user it was issued for
+ * @param {string} mfaToken - MFA pending token from the login response
+ * @returns {Promise<Object>} { decoded, user }
+ */
+const resolveMFAPendingToken = async (mfaToken) => {
+  if (!mfaToken) {
+    const error = new Error('MFA token is required');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(mfaToken);
+  } catch (error) {
+    const tokenError = new Error(error.code === 'TOKEN_EXPIRED' ? 'MFA session has expired. Please login again' : error.message);
+    tokenError.code = error.code || 'TOKEN_INVALID';
+    throw tokenError;
+  }
+
+  if (decoded.type !== 'mfa_pending') {
+    const error = new Error('Invalid token type. Expected MFA token');
+    error.code = 'TOKEN_INVALID';
+    throw error;
+  }
+
+  // MFA pending tokens are single use
+  const isBlacklisted = await isTokenBlacklisted(mfaToken);
+  if (isBlacklisted) {
+    const error = new Error('MFA token has already been used. Please login again');
+    error.code = 'TOKEN_INVALID';
+    throw error;
+  }
+
+  const user = await User.findByPk(decoded.user_id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  if (user.account_status !== 'active' || user.isLocked()) {
+    throw createAccountStatusError(user.account_status);
+  }
+
+  return { decoded, user };
+};
 
 /**
  * Authenticate user with email and password
  * @param {string} email - User email
  * @param {string} password - Plain text password
  * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
- * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId } or
+ *   { mfaRequired, mfaToken, methods, expiresIn } when the user has MFA enabled
  */
 export const authenticateWithPassword = async (email, password, context = {}) => {
   try {
@@ -22,6 +269,15 @@ export const authenticateWithPassword = async (email, password, context = {}) =>
       throw error;
     }
 
+    // Back off networks with many recent failures, whichever accounts they target
+    const ipThrottle = await checkIpThrottle(context.ipAddress);
+    if (ipThrottle.limited) {
+      const error = new Error(`Too many failed login attempts from your network. Try again in ${Math.ceil(ipThrottle.retryAfter / 60)} minutes`);
+      error.code = 'LOGIN_THROTTLED';
+      error.retryAfter = ipThrottle.retryAfter;
+      throw error;
+    }
+
     // Find user by email
     const user = await User.findOne({ where: { email } });
 
@@ -35,6 +291,8 @@ export const authenticateWithPassword = async (email, password, context = {}) =>
         details: { email, reason: 'user_not_found' }
       });
 
+      await registerLoginFailure(context);
+
       const error = new Error('Invalid email or password');
       error.code = 'INVALID_CREDENTIALS';
       throw error;
@@ -63,6 +321,34 @@ export const authenticateWithPassword = async (email, password, context = {}) =>
       throw error;
     }
 
+    // Check the progressive lock for this device; unknown devices share one lock, known devices have their own
+    const accountThrottle = await checkAccountThrottle(user.id, context);
+    if (accountThrottle.locked) {
+      const lockedUntil = new Date(Date.now() + accountThrottle.retryAfter * 1000);
+      const minutesRemaining = Math.ceil(accountThrottle.retryAfter / 60);
+
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'failed_login',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          reason: 'account_locked',
+          locked_until: lockedUntil,
+          lock_scope: accountThrottle.knownDevice ? 'device' : 'unknown_devices'
+        }
+      });
+
+      const error = new Error(accountThrottle.knownDevice
+        ? `Account temporarily locked on this device due to multiple failed login attempts. Try again in ${minutesRemaining} minutes`
+        : `Account temporarily locked due to multiple failed login attempts. Try again in ${minutesRemaining} minutes, or sign in from a device you have used before`);
+      error.code = 'ACCOUNT_LOCKED';
+      error.lockedUntil = lockedUntil;
+      throw error;
+    }
+
     // Check if account is active
     if (user.account_status !== 'active') {
       // Log failed login attempt due to inactive account
@@ -76,72 +362,56 @@ export const authenticateWithPassword = async (email, password, context = {}) =>
         details: { reason: 'account_inactive', status: user.account_status }
       });
 
-      const error = new Error(`Account is ${user.account_status}. Contact administrator`);
-      error.code = user.account_status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
-      throw error;
+      throw createAccountStatusError(user.account_status);
     }
 
-    // Verify password
-    const isPasswordValid = await verifyPassword(password, user.password_hash);
+    // Verify password with the provider that manages the account (directory or local hash)
+    let verification;
+    try {
+      verification = await verifyUserPassword(user, password);
+    } catch (error) {
+      if (error.code === 'DIRECTORY_UNAVAILABLE') {
+        await createAuditLog({
+          user_id: user.id,
+          action_type: 'failed_login',
+          resource_type: 'user',
+          resource_id: user.id,
+          ip_address: context.ipAddress,
+          user_agent: context.userAgent,
+          details: { reason: 'directory_unavailable', auth_provider: error.authProvider }
+        });
+      }
+      throw error;
+    }
 
-    if (!isPasswordValid) {
+    if (!verification.valid) {
       // Record failed login attempt
-      await recordFailedLogin(user.id, context.ipAddress, context.userAgent);
+      await recordFailedLogin(user.id, context.ipAddress, context.userAgent, {
+        auth_provider: verification.decision
+      }, context.deviceId);
 
       const error = new Error('Invalid email or password');
       error.code = 'INVALID_CREDENTIALS';
       throw error;
     }
 
-    // Successful authentication - update user record
+    // First factor verified - reset failed attempts before any second factor
     await user.update({
-      last_login_at: new Date(),
       failed_login_attempts: 0,
       locked_until: null
     });
+    await clearLoginFailures(user.id, context);
 
-    // Create session
-    const deviceInfo = context.deviceInfo || {
-      device_type: 'web',
-      device_name: 'Unknown Device',
-      user_agent: context.userAgent || ''
-    };
-
-    const sessionId = await createSession(
-      user.id,
-      deviceInfo,
-      context.ipAddress || 'unknown'
-    );
+    // Directory passwords expire in the directory; only local passwords follow the role's expiry
+    // and are rehashed when PASSWORD_HASH_ALGORITHM or its settings have changed
+    if (verification.decision.provider === 'local') {
+      await upgradePasswordHash(user, password, context);
+      await enforcePasswordExpiry(user, context);
+    }
 
-    // Generate JWT tokens
-    const tokens = generateTokens({
-      user_id: user.id,
-      email: user.email,
-      role: user.role,
-      campus_id: user.campus_id,
-      token_version: user.token_version
+    return await finalizeLogin(user, 'password', context, {
+      details: { auth_provider: verification.decision }
     });
-
-    // Log successful login
-    await createAuditLog({
-      user_id: user.id,
-      action_type: 'login',
-      resource_type: 'user',
-      resource_id: user.id,
-      ip_address: context.ipAddress,
-      user_agent: context.userAgent,
-      details: { method: 'password', session_id: sessionId }
-    });
-
-    // Return user without sensitive data
-    const safeUser = user.toSafeObject();
-
-    return {
-      user: safeUser,
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken,
-      sessionId
-    };
   } catch (error) {
     console.error('Authentication error:', error.message);
     throw error;
@@ -149,13 +419,18 @@ export const authenticateWithPassword = async (email, password, context = {}) =>
 };
 
 /**
- * Record a failed login attempt and lock account if threshold exceeded
+ * Record a failed login attempt. Once the limit is reached the account is locked for
+ * the device class the attempts came from (unknown devices, or one known device), and
+ * each further failure doubles the lock. Known devices keep working while unknown
+ * devices are locked out, so guessing someone's password cannot lock them out.
  * @param {string} userId - User ID
  * @param {string} ipAddress - IP address of the request
  * @param {string} userAgent - User agent string
+ * @param {Object} details - Extra audit details (e.g. auth_provider)
+ * @param {string} deviceId - Device identifier sent with the login, used to recognise known devices
  * @returns {Promise<void>}
  */
-export const recordFailedLogin = async (userId, ipAddress, userAgent) => {
+export const recordFailedLogin = async (userId, ipAddress, userAgent, details = {}, deviceId = undefined) => {
   try {
     const user = await User.findByPk(userId);
 
@@ -165,17 +440,14 @@ export const recordFailedLogin = async (userId, ipAddress, userAgent) => {
 
     // Increment failed login attempts
     const newAttempts = user.failed_login_attempts + 1;
+    await user.update({
+      failed_login_attempts: newAttempts
+    });
 
-    // Check if we should lock the account (5 or more failed attempts)
-    if (newAttempts >= 5) {
-      // Lock account for 30 minutes
-      const lockedUntil = new Date(Date.now() + 30 * 60 * 1000);
+    const throttle = await registerLoginFailure({ ipAddress, userAgent, deviceId }, userId);
 
-      await user.update({
-        failed_login_attempts: newAttempts,
-        locked_until: lockedUntil,
-        account_status: 'locked'
-      });
+    if (throttle.account.lockedFor > 0) {
+      const lockedUntil = new Date(Date.now() + throttle.account.lockedFor * 1000);
 
       // Log account lockout
       await createAuditLog({
@@ -187,16 +459,14 @@ export const recordFailedLogin = async (userId, ipAddress, userAgent) => {
         user_agent: userAgent,
         details: {
           reason: 'max_failed_attempts',
-          failed_attempts: newAttempts,
-          locked_until: lockedUntil
+          failed_attempts: throttle.account.failures,
+          locked_until: lockedUntil,
+          lock_scope: throttle.account.knownDevice ? 'device' : 'unknown_devices',
+          defence_mode: throttle.defence,
+          ...details
         }
       });
     } else {
-      // Just increment the counter
-      await user.update({
-        failed_login_attempts: newAttempts
-      });
-
       // Log failed login
       await createAuditLog({
         user_id: userId,
@@ -207,7 +477,8 @@ export const recordFailedLogin = async (userId, ipAddress, userAgent) => {
         user_agent: userAgent,
         details: {
           reason: 'invalid_password',
-          failed_attempts: newAttempts
+          failed_attempts: newAttempts,
+          ...details
         }
       });
     }
@@ -313,6 +584,7 @@ export const unlockAccount = async (userId, adminId = null) => {
       locked_until: null,
       failed_login_attempts: 0
     });
+    await clearAccountThrottle(userId);
 
     // Log account unlock
     await createAuditLog({
@@ -362,8 +634,8 @@ export const requestOTP = async (phone, context = {}) => {
       throw error;
     }
 
-    // Check if user exists with this phone number
-    const user = await User.findOne({ where: { phone } });
+    // Check if user exists with this phone number (looked up by its blind index)
+    const user = await User.findOne({ where: { phone_bidx: getPhoneIndex(phone) } });
 
     if (!user) {
       // Log failed OTP request
@@ -392,9 +664,7 @@ export const requestOTP = async (phone, context = {}) => {
         details: { phone, reason: 'account_inactive', status: user.account_status }
       });
 
-      const error = new Error(`Account is ${user.account_status}. Contact administrator`);
-      error.code = user.account_status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
-      throw error;
+      throw createAccountStatusError(user.account_status);
     }
 
     // Generate OTP
@@ -433,7 +703,8 @@ export const requestOTP = async (phone, context = {}) => {
  * @param {string} phone - Phone number (with country code)
  * @param {string} otp - OTP code to verify
  * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
- * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId } or
+ *   { mfaRequired, mfaToken, methods, expiresIn } when the user has MFA enabled
  */
 export const verifyOTP = async (phone, otp, context = {}) => {
   try {
@@ -466,8 +737,8 @@ export const verifyOTP = async (phone, otp, context = {}) => {
       throw error;
     }
 
-    // Find user by phone
-    const user = await User.findOne({ where: { phone } });
+    // Find user by phone (looked up by its blind index)
+    const user = await User.findOne({ where: { phone_bidx: getPhoneIndex(phone) } });
 
     if (!user) {
       const error = new Error('User not found');
@@ -509,73 +780,432 @@ export const verifyOTP = async (phone, otp, context = {}) => {
         details: { reason: 'account_inactive', status: user.account_status }
       });
 
-      const error = new Error(`Account is ${user.account_status}. Contact administrator`);
-      error.code = user.account_status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
-      throw error;
+      throw createAccountStatusError(user.account_status);
     }
 
-    // Successful authentication - update user record
+    // First factor verified - reset failed attempts before any second factor
     await user.update({
-      last_login_at: new Date(),
       failed_login_attempts: 0,
       locked_until: null
     });
 
-    // Create session
-    const deviceInfo = context.deviceInfo || {
-      device_type: 'mobile',
-      device_name: 'Unknown Device',
-      user_agent: context.userAgent || ''
+    return await finalizeLogin(user, 'otp', context);
+  } catch (error) {
+    console.error('Verify OTP error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Email a passwordless login link bound to the requesting browser.
+ * The response is the same whether or not the email belongs to an account.
+ * @param {string} email - Email address
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { success, message, deviceToken, expiresAt }
+ */
+export const requestMagicLink = async (email, context = {}) => {
+  try {
+    if (!email) {
+      const error = new Error('Email is required');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const response = {
+      success: true,
+      message: 'If an account exists with this email, a sign-in link has been sent'
     };
 
-    const sessionId = await createSession(
-      user.id,
-      deviceInfo,
-      context.ipAddress || 'unknown'
-    );
+    const user = await User.findOne({ where: { email } });
 
-    // Generate JWT tokens
-    const tokens = generateTokens({
+    if (!user || user.account_status !== 'active') {
+      await createAuditLog({
+        user_id: user ? user.id : null,
+        action_type: 'magic_link_request_failed',
+        resource_type: 'user',
+        resource_id: user ? user.id : null,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: user
+          ? { email, reason: 'account_inactive', status: user.account_status }
+          : { email, reason: 'user_not_found' }
+      });
+
+      // Hand out an unusable device token so the response does not reveal whether the account exists
+      return {
+        ...response,
+        deviceToken: crypto.randomBytes(32).toString('hex'),
+        expiresAt: new Date(Date.now() + config.security.magicLinkExpiry)
+      };
+    }
+
+    const { token, deviceToken, expiresAt } = await generateMagicLinkToken(user.id);
+
+    try {
+      await sendMagicLinkEmail(user.email, token, user.name);
+    } catch (deliveryError) {
+      // Keep the generic response; the link was never delivered so it must not stay valid
+      console.error('Magic link delivery error:', deliveryError.message);
+      await invalidateUserMagicLinks(user.id);
+    }
+
+    await createAuditLog({
       user_id: user.id,
-      email: user.email,
-      role: user.role,
-      campus_id: user.campus_id,
-      token_version: user.token_version
+      action_type: 'magic_link_requested',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { email, expires_at: expiresAt }
     });
 
-    // Log successful OTP login
+    return {
+      ...response,
+      deviceToken,
+      expiresAt
+    };
+  } catch (error) {
+    console.error('Request magic link error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Complete a magic link login from the browser that requested the link
+ * @param {string} token - Magic link token from the email
+ * @param {string} deviceToken - Device token returned by requestMagicLink
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId } or
+ *   { mfaRequired, mfaToken, methods, expiresIn } when the user has MFA enabled
+ */
+export const verifyMagicLink = async (token, deviceToken, context = {}) => {
+  try {
+    if (!token || !deviceToken) {
+      const error = new Error('Token and device token are required');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    let userId;
+    try {
+      userId = await consumeMagicLinkToken(token, deviceToken);
+    } catch (error) {
+      await createAuditLog({
+        user_id: error.userId || null,
+        action_type: 'magic_link_login_failed',
+        resource_type: 'user',
+        resource_id: error.userId || null,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { reason: error.code === 'MAGIC_LINK_DEVICE_MISMATCH' ? 'device_mismatch' : 'invalid_token' }
+      });
+
+      throw error;
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    // Check if account is locked
+    if (user.isLocked()) {
+      const lockedUntil = user.locked_until;
+      const minutesRemaining = Math.ceil((lockedUntil - new Date()) / 60000);
+
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'magic_link_login_failed',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { reason: 'account_locked', locked_until: lockedUntil }
+      });
+
+      const error = new Error(`Account temporarily locked. Try again in ${minutesRemaining} minutes`);
+      error.code = 'ACCOUNT_LOCKED';
+      error.lockedUntil = lockedUntil;
+      throw error;
+    }
+
+    // Check if account is active
+    if (user.account_status !== 'active') {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'magic_link_login_failed',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { reason: 'account_inactive', status: user.account_status }
+      });
+
+      throw createAccountStatusError(user.account_status);
+    }
+
+    // First factor verified - reset failed attempts before any second factor
+    await user.update({
+      failed_login_attempts: 0,
+      locked_until: null
+    });
+
+    return await finalizeLogin(user, 'magic_link', context);
+  } catch (error) {
+    console.error('Verify magic link error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Complete a login for a user whose identity was asserted by an upstream identity provider
+ * @param {string} userId - User ID resolved from the federated identity
+ * @param {string} providerSlug - Identity provider slug (recorded in the audit log)
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId } or
+ *   { mfaRequired, mfaToken, methods, expiresIn } when the user has MFA enabled
+ */
+export const loginWithFederatedIdentity = async (userId, providerSlug, context = {}) => {
+  try {
+    const user = await User.findOne({ where: { id: userId, deleted_at: null } });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    if (user.isLocked() || user.account_status !== 'active') {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'federated_login_failed',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          provider: providerSlug,
+          reason: user.isLocked() ? 'account_locked' : 'account_inactive',
+          status: user.account_status
+        }
+      });
+
+      if (user.isLocked()) {
+        const minutesRemaining = Math.ceil((user.locked_until - new Date()) / 60000);
+        const error = new Error(`Account temporarily locked. Try again in ${minutesRemaining} minutes`);
+        error.code = 'ACCOUNT_LOCKED';
+        error.lockedUntil = user.locked_until;
+        throw error;
+      }
+
+      throw createAccountStatusError(user.account_status);
+    }
+
+    // First factor verified by the provider - reset failed attempts before any second factor
+    await user.update({
+      failed_login_attempts: 0,
+      locked_until: null
+    });
+
+    return await finalizeLogin(user, `federated:${providerSlug}`, context);
+  } catch (error) {
+    console.error('Federated login error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Send an emailed or SMS MFA code during login
+ * @param {string} mfaToken - MFA pending token from the login response
+ * @param {string} method - Delivery method ('email' or 'sms')
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { method, expiresAt }
+ */
+export const requestLoginMFAChallenge = async (mfaToken, method, context = {}) => {
+  try {
+    const { user } = await resolveMFAPendingToken(mfaToken);
+
+    if (!getAvailableMethods(user).includes(method)) {
+      const error = new Error(`MFA method "${method}" is not available for this account`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const result = await sendMFACode(user.id, method);
+
     await createAuditLog({
       user_id: user.id,
-      action_type: 'login',
+      action_type: 'mfa_challenge_sent',
       resource_type: 'user',
       resource_id: user.id,
       ip_address: context.ipAddress,
       user_agent: context.userAgent,
-      details: { method: 'otp', session_id: sessionId }
+      details: { method, purpose: 'login' }
+    });
+
+    return {
+      method,
+      expiresAt: result.expiresAt
+    };
+  } catch (error) {
+    console.error('Request login MFA challenge error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Complete an MFA login by verifying the second factor and issuing session tokens
+ * @param {string} mfaToken - MFA pending token from the login response
+ * @param {string} code - 6-digit code from the authenticator app, email or SMS
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId }
+ */
+export const verifyLoginMFA = async (mfaToken, code, context = {}) => {
+  try {
+    if (!code) {
+      const error = new Error('MFA code is required');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const { decoded, user } = await resolveMFAPendingToken(mfaToken);
+
+    const verification = await verifySecondFactor(user.id, code);
+
+    if (!verification.valid) {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'mfa_failed',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          purpose: 'login',
+          attempts_remaining: verification.attemptsRemaining
+        }
+      });
+
+      const error = new Error(`Invalid MFA code. ${verification.attemptsRemaining} attempts remaining`);
+      error.code = 'MFA_INVALID';
+      error.attemptsRemaining = verification.attemptsRemaining;
+      throw error;
+    }
+
+    // Prevent the pending token from being exchanged twice
+    await blacklistToken(mfaToken, calculateTokenExpiry(mfaToken), 'mfa_completed');
+
+    const result = await issueLoginSession(user, decoded.login_method || 'password', context, {
+      ...decoded.login_details,
+      mfa_method: verification.method
+    });
+
+    // The verification only counts as recent for the session it created
+    await markMFAVerified(user.id, result.sessionId);
+
+    return result;
+  } catch (error) {
+    console.error('Verify login MFA error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Send an emailed or SMS MFA code to an authenticated user for a sensitive operation
+ * @param {string} userId - User ID
+ * @param {string} method - Delivery method ('email' or 'sms')
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { method, expiresAt }
+ */
+export const requestStepUpMFA = async (userId, method, context = {}) => {
+  try {
+    const result = await sendMFACode(userId, method);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'mfa_challenge_sent',
+      resource_type: 'user',
+      resource_id: userId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { method, purpose: 'step_up' }
     });
 
-    // Return user without sensitive data
-    const safeUser = user.toSafeObject();
+    return {
+      method,
+      expiresAt: result.expiresAt
+    };
+  } catch (error) {
+    console.error('Request step-up MFA error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a second factor for an authenticated user ahead of a sensitive operation
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit code from the authenticator app, email or SMS
+ * @param {Object} context - Request context { ipAddress, userAgent, sessionId: session the verification applies to }
+ * @returns {Promise<Object>} { verifiedUntil, method }
+ */
+export const verifyStepUpMFA = async (userId, code, context = {}) => {
+  try {
+    const verification = await verifySecondFactor(userId, code);
+
+    if (!verification.valid) {
+      await createAuditLog({
+        user_id: userId,
+        action_type: 'mfa_failed',
+        resource_type: 'user',
+        resource_id: userId,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          purpose: 'step_up',
+          attempts_remaining: verification.attemptsRemaining
+        }
+      });
+
+      const error = new Error(`Invalid MFA code. ${verification.attemptsRemaining} attempts remaining`);
+      error.code = 'MFA_INVALID';
+      error.attemptsRemaining = verification.attemptsRemaining;
+      throw error;
+    }
+
+    const verifiedUntil = await markMFAVerified(userId, context.sessionId);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'mfa_verified',
+      resource_type: 'user',
+      resource_id: userId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { method: verification.method, purpose: 'step_up' }
+    });
 
     return {
-      user: safeUser,
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken,
-      sessionId
+      verifiedUntil,
+      method: verification.method
     };
   } catch (error) {
-    console.error('Verify OTP error:', error.message);
+    console.error('Verify step-up MFA error:', error.message);
     throw error;
   }
 };
 
 /**
- * Refresh access token using a valid refresh token
+ * Refresh access token using a valid refresh token.
+ * The refresh token is rotated: a new one is returned and the presented one can no longer be used.
  * @param {string} refreshToken - Refresh token
  * @param {Object} context - Request context { ipAddress, userAgent }
- * @returns {Promise<Object>} { accessToken }
+ * @param {Object} options - { clientId } when refreshing on behalf of an OAuth client
+ * @returns {Promise<Object>} { accessToken, refreshToken }
  */
-export const refreshAccessToken = async (refreshToken, context = {}) => {
+export const refreshAccessToken = async (refreshToken, context = {}, options = {}) => {
   try {
     if (!refreshToken) {
       const error = new Error('Refresh token is required');
@@ -617,6 +1247,13 @@ export const refreshAccessToken = async (refreshToken, context = {}) => {
       throw error;
     }
 
+    // Tokens issued to an OAuth client can only be refreshed by that client (at the OAuth token endpoint)
+    if ((decoded.client_id || null) !== (options.clientId || null)) {
+      const error = new Error('Refresh token was not issued to this client');
+      error.code = 'TOKEN_INVALID';
+      throw error;
+    }
+
     // Extract userId from token payload
     const userId = decoded.user_id;
 
@@ -639,9 +1276,7 @@ export const refreshAccessToken = async (refreshToken, context = {}) => {
         details: { reason: 'account_inactive', status: user.account_status }
       });
 
-      const error = new Error(`Account is ${user.account_status}. Contact administrator`);
-      error.code = user.account_status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
-      throw error;
+      throw createAccountStatusError(user.account_status);
     }
 
     // Check token_version matches (for logout-all functionality)
@@ -664,14 +1299,83 @@ export const refreshAccessToken = async (refreshToken, context = {}) => {
       throw error;
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken({
+    // Refresh tokens issued before rotation was introduced carry no session/family
+    if (!decoded.sid || !decoded.jti) {
+      const error = new Error('Refresh token is no longer valid. Please login again');
+      error.code = 'TOKEN_INVALID';
+      throw error;
+    }
+
+    const sessionId = decoded.sid;
+
+    // The session may have been revoked from another device
+    const sessionActive = await isSessionValid(userId, sessionId);
+    if (!sessionActive) {
+      await revokeTokenFamily(sessionId);
+
+      // Tell a device signed out by the concurrent session limit why
+      if (await getSessionEviction(userId, sessionId)) {
+        const error = new Error('You were signed out because your account signed in on another device');
+        error.code = 'SESSION_EVICTED';
+        throw error;
+      }
+
+      const error = new Error('Session has ended. Please login again');
+      error.code = 'TOKEN_INVALID';
+      throw error;
+    }
+
+    // Issue the replacement pair (keeping any OAuth client binding), then rotate the family to it
+    const nextTokenId = generateTokenId();
+    const tokens = generateTokens({
       user_id: user.id,
       email: user.email,
       role: user.role,
-      campus_id: user.campus_id
+      campus_id: user.campus_id,
+      token_version: user.token_version,
+      session_id: sessionId,
+      jti: nextTokenId,
+      client_id: decoded.client_id,
+      scope: decoded.scope
     });
 
+    const rotation = await rotateTokenFamily(
+      userId,
+      sessionId,
+      decoded.jti,
+      nextTokenId,
+      calculateTokenExpiry(tokens.refreshToken)
+    );
+
+    if (rotation.status === 'reused') {
+      // An already-exchanged refresh token was replayed: assume it was stolen
+      await revokeTokenFamily(sessionId);
+      await revokeSession(sessionId, userId);
+
+      await createAuditLog({
+        user_id: userId,
+        action_type: 'refresh_token_reuse',
+        resource_type: 'token',
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          session_id: sessionId,
+          token_id: decoded.jti,
+          action: 'family_and_session_revoked'
+        }
+      });
+
+      const error = new Error('Refresh token has already been used. Session revoked, please login again');
+      error.code = 'REFRESH_TOKEN_REUSED';
+      throw error;
+    }
+
+    if (rotation.status !== 'rotated') {
+      const error = new Error('Session has ended. Please login again');
+      error.code = 'TOKEN_INVALID';
+      throw error;
+    }
+
     // Log token refresh
     await createAuditLog({
       user_id: userId,
@@ -679,11 +1383,12 @@ export const refreshAccessToken = async (refreshToken, context = {}) => {
       resource_type: 'token',
       ip_address: context.ipAddress,
       user_agent: context.userAgent,
-      details: { method: 'refresh_token' }
+      details: { method: 'refresh_token', session_id: sessionId }
     });
 
     return {
-      accessToken
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     };
   } catch (error) {
     console.error('Refresh access token error:', error.message);
@@ -728,6 +1433,16 @@ export const logout = async (accessToken, refreshToken, sessionId = null, contex
 
     await Promise.all(blacklistPromises);
 
+    // The refresh token identifies the session even if the client did not send it
+    const decodedRefresh = decodeToken(refreshToken);
+    if (!sessionId && decodedRefresh?.sid) {
+      sessionId = decodedRefresh.sid;
+    }
+
+    if (sessionId) {
+      await revokeTokenFamily(sessionId);
+    }
+
     // Extract user ID from token for logging
     let userId = null;
     try {
@@ -740,7 +1455,6 @@ export const logout = async (accessToken, refreshToken, sessionId = null, contex
       }
     } catch (error) {
       // Token might be expired, try to decode without verification
-      const { decodeToken } = await import('./tokenService.js');
       const decoded = decodeToken(accessToken);
       if (decoded) {
         userId = decoded.user_id;
@@ -937,15 +1651,6 @@ export const resetPassword = async (token, newPassword, context = {}) => {
       throw resetError;
     }
 
-    // Validate new password strength
-    const passwordValidation = validatePasswordStrength(newPassword);
-    if (!passwordValidation.valid) {
-      const error = new Error('Password does not meet strength requirements');
-      error.code = 'VALIDATION_ERROR';
-      error.details = passwordValidation.errors;
-      throw error;
-    }
-
     // Find user
     const user = await User.findByPk(userId);
 
@@ -955,16 +1660,37 @@ export const resetPassword = async (token, newPassword, context = {}) => {
       throw error;
     }
 
+    // Validate new password against the user's campus and role policy
+    // (passwords based on the user's name or email are weaker)
+    const passwordRules = await getPasswordRules({ campus_id: user.campus_id, role: user.role });
+    const passwordValidation = validatePasswordStrength(newPassword, [user.email, user.name], passwordRules);
+    if (!passwordValidation.valid) {
+      const error = new Error('Password does not meet strength requirements');
+      error.code = 'VALIDATION_ERROR';
+      error.details = getPasswordValidationDetails(passwordValidation);
+      throw error;
+    }
+
+    // Reject the current password and recent ones from the history
+    if (await isRecentPassword(user, newPassword)) {
+      throw createPasswordReusedError();
+    }
+
+    const previousHash = user.password_hash;
+
     // Hash new password
     const hashedPassword = await hashPassword(newPassword);
 
     // Update user record with new password and increment token_version to logout all sessions
     await user.update({
       password_hash: hashedPassword,
+      password_changed_at: new Date(),
+      must_change_password: false,
       token_version: user.token_version + 1,
       failed_login_attempts: 0,
       locked_until: null
     });
+    await recordPasswordHistory(userId, previousHash);
 
     // Invalidate the reset token
     await invalidateResetToken(token);
@@ -972,6 +1698,9 @@ export const resetPassword = async (token, newPassword, context = {}) => {
     // Revoke all sessions (user will need to login again)
     await revokeAllSessions(userId);
 
+    // A reset may follow a compromise, so every device needs MFA again
+    await revokeDeviceTrust(userId);
+
     // Create audit log entry
     await createAuditLog({
       user_id: userId,
@@ -998,7 +1727,7 @@ export const resetPassword = async (token, newPassword, context = {}) => {
  * @param {string} userId - User ID
  * @param {string} oldPassword - Current password
  * @param {string} newPassword - New password
- * @param {Object} context - Request context { ipAddress, userAgent }
+ * @param {Object} context - Request context { ipAddress, userAgent, sessionId: session to keep signed in }
  * @returns {Promise<Object>} { success: boolean, message: string }
  */
 export const changePassword = async (userId, oldPassword, newPassword, context = {}) => {
@@ -1038,30 +1767,41 @@ export const changePassword = async (userId, oldPassword, newPassword, context =
       throw error;
     }
 
-    // Validate new password strength
-    const passwordValidation = validatePasswordStrength(newPassword);
+    // Validate new password against the user's campus and role policy
+    const passwordRules = await getPasswordRules({ campus_id: user.campus_id, role: user.role });
+    const passwordValidation = validatePasswordStrength(newPassword, [user.email, user.name], passwordRules);
     if (!passwordValidation.valid) {
       const error = new Error('Password does not meet strength requirements');
       error.code = 'VALIDATION_ERROR';
-      error.details = passwordValidation.errors;
+      error.details = getPasswordValidationDetails(passwordValidation);
       throw error;
     }
 
-    // Check if new password is same as old password
-    const isSamePassword = await verifyPassword(newPassword, user.password_hash);
-    if (isSamePassword) {
-      const error = new Error('New password must be different from current password');
-      error.code = 'VALIDATION_ERROR';
-      throw error;
+    // Reject the current password and recent ones from the history
+    if (await isRecentPassword(user, newPassword)) {
+      throw createPasswordReusedError();
     }
 
+    const previousHash = user.password_hash;
+    const wasRequired = Boolean(user.must_change_password);
+
     // Hash new password
     const hashedPassword = await hashPassword(newPassword);
 
-    // Update user record with new password
+    // Update user record with new password and restart the expiry period
     await user.update({
-      password_hash: hashedPassword
+      password_hash: hashedPassword,
+      password_changed_at: new Date(),
+      must_change_password: false
     });
+    await recordPasswordHistory(userId, previousHash);
+
+    // Sign out every other session (their access and refresh tokens stop working with them);
+    // the session that changed the password stays signed in
+    const revokedSessionIds = await revokeOtherSessions(userId, context.sessionId);
+    for (const sessionId of revokedSessionIds) {
+      await revokeTokenFamily(sessionId);
+    }
 
     // Create audit log entry
     await createAuditLog({
@@ -1071,7 +1811,7 @@ export const changePassword = async (userId, oldPassword, newPassword, context =
       resource_id: userId,
       ip_address: context.ipAddress,
       user_agent: context.userAgent,
-      details: { method: 'authenticated_change' }
+      details: { method: 'authenticated_change', required: wasRequired, sessions_revoked: revokedSessionIds.length }
     });
 
     return {
@@ -1086,8 +1826,16 @@ export const changePassword = async (userId, oldPassword, newPassword, context =
 
 export default {
   authenticateWithPassword,
+  finalizeLogin,
   requestOTP,
   verifyOTP,
+  requestMagicLink,
+  verifyMagicLink,
+  loginWithFederatedIdentity,
+  requestLoginMFAChallenge,
+  verifyLoginMFA,
+  requestStepUpMFA,
+  verifyStepUpMFA,
   refreshAccessToken,
   logout,
   logoutAll,
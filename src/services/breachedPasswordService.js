@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import config from '../config/env.js';
+import {
+  sha1Hex,
+  createBloomFilter,
+  addToBloomFilter,
+  bloomFilterHas,
+  serializeBloomFilter,
+  parseBloomFilter
+} from '../utils/bloomFilter.js';
+
+const FILTER_CHECK_MS = 60 * 1000; // Pick up a rebuilt filter within a minute
+
+let cachedFilter = null;
+let cachedMtime = 0;
+let checkedAt = 0;
+let warnedMissing = false;
+
+const getFilterFile = () => path.resolve(config.passwordPolicy.breachFilterFile);
+
+/**
+ * Load the breached-password Bloom filter, re-reading it when the file changes.
+ * Returns null when no filter has been built, so password checks still work without one.
+ * @param {boolean} forceReload - Bypass the in-memory copy
+ * @returns {Object|null} Bloom filter
+ */
+export const loadBreachFilter = (forceReload = false) => {
+  if (!forceReload && Date.now() - checkedAt < FILTER_CHECK_MS) {
+    return cachedFilter;
+  }
+  checkedAt = Date.now();
+
+  const file = getFilterFile();
+  if (!fs.existsSync(file)) {
+    if (!warnedMissing) {
+      console.warn(`[BREACHED PASSWORDS] No filter at ${file}; run npm run breach:build to enable breached-password screening`);
+      warnedMissing = true;
+    }
+    cachedFilter = null;
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(file);
+  if (forceReload || !cachedFilter || mtimeMs !== cachedMtime) {
+    try {
+      cachedFilter = parseBloomFilter(fs.readFileSync(file));
+      cachedMtime = mtimeMs;
+      warnedMissing = false;
+    } catch (error) {
+      console.error('Load breached password filter error:', error.message);
+      cachedFilter = null;
+    }
+  }
+
+  return cachedFilter;
+};
+
+/**
+ * Check a password against the local breach corpus
+ * @param {string} password - Plain text password
+ * @returns {boolean|null} True when the password appears in a breach (or is a rare
+ *   false positive), false when it does not, null when no filter is available
+ */
+export const isBreachedPassword = (password) => {
+  const filter = loadBreachFilter();
+
+  if (!filter || !password) {
+    return filter ? false : null;
+  }
+
+  return bloomFilterHas(filter, sha1Hex(password));
+};
+
+/**
+ * Read the usable entries of a breach corpus as SHA-1 digests. Accepts Have I Been Pwned
+ * style "SHA1:COUNT" lines (the count is optional) or plain-text passwords, one per line.
+ * @param {string} input - Corpus file path
+ * @param {Object} options - { format: 'auto'|'sha1'|'plain', minCount }
+ * @returns {AsyncGenerator<string>} Upper-case SHA-1 hex digests
+ */
+async function* readCorpus(input, { format, minCount }) {
+  const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+  let lineFormat = format === 'auto' ? null : format;
+
+  for await (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    lineFormat ||= /^[0-9A-F]{40}(:\d+)?$/i.test(line) ? 'sha1' : 'plain';
+
+    if (lineFormat === 'plain') {
+      yield sha1Hex(rawLine);
+      continue;
+    }
+
+    const [hash, count] = line.split(':');
+    if (count === undefined || parseInt(count, 10) >= minCount) {
+      yield hash.toUpperCase();
+    }
+  }
+}
+
+/**
+ * Build the breached-password Bloom filter from a downloaded corpus. The corpus is read
+ * twice (once to size the filter, once to fill it) and the file is replaced atomically,
+ * so running servers never load a partial filter.
+ * @param {Object} options - { input, output, format, minCount, falsePositiveRate }
+ * @returns {Promise<Object>} { output, items, bitCount, hashCount, bytes }
+ */
+export const buildBreachFilter = async ({
+  input,
+  output = config.passwordPolicy.breachFilterFile,
+  format = 'auto',
+  minCount = 1,
+  falsePositiveRate = 0.001
+}) => {
+  try {
+    if (!input || !fs.existsSync(input)) {
+      throw new Error(`Corpus file not found: ${input}`);
+    }
+    if (!['auto', 'sha1', 'plain'].includes(format)) {
+      throw new Error(`Unknown corpus format: ${format}`);
+    }
+    if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+      throw new Error('False positive rate must be between 0 and 1');
+    }
+
+    let itemCount = 0;
+    for await (const hash of readCorpus(input, { format, minCount })) {
+      if (hash) itemCount++;
+    }
+
+    const filter = createBloomFilter({ itemCount, falsePositiveRate });
+    for await (const hash of readCorpus(input, { format, minCount })) {
+      addToBloomFilter(filter, hash);
+    }
+
+    const file = path.resolve(output);
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    const data = serializeBloomFilter(filter);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporaryFile, data);
+    fs.renameSync(temporaryFile, file);
+
+    return {
+      output: file,
+      items: filter.itemCount,
+      bitCount: filter.bitCount,
+      hashCount: filter.hashCount,
+      bytes: data.length
+    };
+  } catch (error) {
+    console.error('Build breached password filter error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  loadBreachFilter,
+  isBreachedPassword,
+  buildBreachFilter
+};
@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import { generateOTP, storeOTP, verifyOTP, deleteOTP } from './otpService.js';
+import { sendContactChangeConfirmationEmail, sendContactChangeNoticeEmail } from './emailService.js';
+import { sendOTP as sendOTPSMS, sendContactChangeNoticeSMS } from './smsService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { createAuditLog } from './auditService.js';
+import { getPhoneIndex } from '../utils/encryption.js';
+
+const CONTACT_CHANGE_EXPIRY_SECONDS = 3600; // Pending change and email link stay valid for 1 hour
+const CONTACT_CHANGE_REVOKE_SECONDS = 7 * 24 * 60 * 60; // "This wasn't me" link works for 7 days
+
+export const CONTACT_TYPES = ['email', 'phone'];
+
+/**
+ * Build the otpService identifier for a phone change code
+ * @param {string} phone - New phone number
+ * @returns {string} OTP identifier
+ */
+const getOTPIdentifier = (phone) => `contact_change:${phone}`;
+
+/**
+ * Throw if another account already uses the email address or phone number
+ * @param {string} userId - User making the change
+ * @param {string} type - 'email' or 'phone'
+ * @param {string} value - New email address or phone number
+ */
+const assertContactAvailable = async (userId, type, value) => {
+  const existingUser = await User.findOne({
+    where: {
+      // Phone numbers are encrypted, so they are compared by blind index
+      ...(type === 'email' ? { email: value } : { phone_bidx: getPhoneIndex(value) }),
+      id: { [Op.ne]: userId }
+    }
+  });
+
+  if (existingUser) {
+    const error = new Error(type === 'email' ? 'Email already exists' : 'Phone number already exists');
+    error.code = type === 'email' ? 'EMAIL_EXISTS' : 'PHONE_EXISTS';
+    throw error;
+  }
+};
+
+/**
+ * Delete a pending change and its confirmation code or link
+ * @param {string} userId - User ID
+ * @param {Object} pending - Pending change record
+ */
+const clearPendingChange = async (userId, pending) => {
+  await redisHelpers.del(`contact_change:${userId}`);
+
+  if (pending.type === 'email') {
+    await redisHelpers.del(`contact_change:confirm:${pending.confirmToken}`);
+  } else {
+    await deleteOTP(getOTPIdentifier(pending.newValue));
+  }
+};
+
+/**
+ * Get the pending contact change for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Pending change record or null
+ */
+export const getPendingChange = async (userId) => {
+  try {
+    return await redisHelpers.get(`contact_change:${userId}`);
+  } catch (error) {
+    console.error('Get pending contact change error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Request an email address or phone number change.
+ * A confirmation link (email) or code (phone) goes to the new address, and the current
+ * address gets a notice with a link to revoke the change. Nothing changes until confirmed.
+ * @param {string} userId - User ID
+ * @param {string} type - 'email' or 'phone'
+ * @param {string} value - New email address or phone number
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { type, value, expiresAt }
+ */
+export const requestContactChange = async (userId, type, value, context = {}) => {
+  try {
+    if (!CONTACT_TYPES.includes(type)) {
+      const error = new Error('Type must be "email" or "phone"');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const user = await User.findOne({ where: { id: userId, deleted_at: null } });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    if (user[type] === value) {
+      const error = new Error(`New ${type === 'email' ? 'email address' : 'phone number'} must be different from the current one`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    await assertContactAvailable(userId, type, value);
+
+    // Only one change can be pending at a time; a new request replaces the previous one
+    const previous = await redisHelpers.get(`contact_change:${userId}`);
+    if (previous) {
+      await clearPendingChange(userId, previous);
+    }
+
+    const pending = {
+      id: crypto.randomUUID(),
+      type,
+      newValue: value,
+      oldValue: user[type],
+      revokeToken: crypto.randomBytes(32).toString('hex'),
+      requestedAt: new Date().toISOString()
+    };
+
+    // Deliver the confirmation to the new address
+    try {
+      if (type === 'email') {
+        pending.confirmToken = crypto.randomBytes(32).toString('hex');
+        await redisHelpers.set(`contact_change:confirm:${pending.confirmToken}`, { userId, changeId: pending.id }, CONTACT_CHANGE_EXPIRY_SECONDS);
+        await sendContactChangeConfirmationEmail(value, pending.confirmToken, user.name);
+      } else {
+        const code = generateOTP();
+        await storeOTP(getOTPIdentifier(value), code);
+
+        if (config.nodeEnv === 'development') {
+          console.log(`[DEV] Phone change code for user ${userId}: ${code}`);
+        }
+
+        await sendOTPSMS(value, code);
+      }
+    } catch (deliveryError) {
+      if (deliveryError.code === 'OTP_RATE_LIMIT') {
+        throw deliveryError;
+      }
+
+      await clearPendingChange(userId, pending);
+      const error = new Error(`Failed to deliver confirmation to the new ${type === 'email' ? 'email address' : 'phone number'}`);
+      error.code = 'CONTACT_CHANGE_DELIVERY_FAILED';
+      throw error;
+    }
+
+    await redisHelpers.set(`contact_change:${userId}`, pending, CONTACT_CHANGE_EXPIRY_SECONDS);
+    await redisHelpers.set(`contact_change:revoke:${pending.revokeToken}`, {
+      userId,
+      changeId: pending.id,
+      type,
+      oldValue: pending.oldValue,
+      newValue: value
+    }, CONTACT_CHANGE_REVOKE_SECONDS);
+
+    // Tell the current address; an unreachable old address must not block the change
+    try {
+      if (type === 'email') {
+        await sendContactChangeNoticeEmail(user.email, { type, newValue: value, revokeToken: pending.revokeToken }, user.name);
+      } else {
+        await sendContactChangeNoticeSMS(user.phone, pending.revokeToken);
+      }
+    } catch (noticeError) {
+      console.error('Contact change notice error:', noticeError.message);
+    }
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'contact_change_requested',
+      resource_type: 'user',
+      resource_id: userId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { type, new_value: value }
+    });
+
+    return {
+      type,
+      value,
+      expiresAt: new Date(Date.now() + (CONTACT_CHANGE_EXPIRY_SECONDS * 1000))
+    };
+  } catch (error) {
+    console.error('Request contact change error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Apply a confirmed change, mark the new address verified and sign out every device
+ * @param {string} userId - User ID
+ * @param {Object} pending - Pending change record
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated user (excluding password_hash)
+ */
+const applyContactChange = async (userId, pending, context) => {
+  const user = await User.findOne({ where: { id: userId, deleted_at: null } });
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  // Another account may have taken the address while the change was pending
+  await assertContactAvailable(userId, pending.type, pending.newValue);
+
+  await user.update({
+    [pending.type]: pending.newValue,
+    [`${pending.type}_verified_at`]: new Date(),
+    token_version: user.token_version + 1
+  });
+
+  await clearPendingChange(userId, pending);
+  await revokeAllSessions(userId);
+
+  await createAuditLog({
+    user_id: userId,
+    action_type: 'contact_change_confirmed',
+    resource_type: 'user',
+    resource_id: userId,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: { type: pending.type, new_value: pending.newValue }
+  });
+
+  return user.toSafeObject();
+};
+
+/**
+ * Confirm an email address change with the link sent to the new address
+ * @param {string} token - Confirmation token from the email link
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated user (excluding password_hash)
+ */
+export const confirmEmailChange = async (token, context = {}) => {
+  try {
+    const confirmation = await redisHelpers.get(`contact_change:confirm:${token}`);
+    const pending = confirmation && await redisHelpers.get(`contact_change:${confirmation.userId}`);
+
+    if (!pending || pending.id !== confirmation.changeId) {
+      const error = new Error('Invalid or expired confirmation link');
+      error.code = 'CONTACT_CHANGE_TOKEN_INVALID';
+      throw error;
+    }
+
+    return await applyContactChange(confirmation.userId, pending, context);
+  } catch (error) {
+    console.error('Confirm email change error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a phone number change with the code sent to the new number
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the SMS
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated user (excluding password_hash)
+ */
+export const confirmPhoneChange = async (userId, code, context = {}) => {
+  try {
+    const pending = await redisHelpers.get(`contact_change:${userId}`);
+
+    if (!pending || pending.type !== 'phone') {
+      const error = new Error('No pending phone number change');
+      error.code = 'CONTACT_CHANGE_NOT_FOUND';
+      throw error;
+    }
+
+    const result = await verifyOTP(getOTPIdentifier(pending.newValue), code);
+
+    if (!result.valid) {
+      const error = new Error('Invalid or expired verification code');
+      error.code = 'OTP_INVALID';
+      error.attemptsRemaining = result.attemptsRemaining;
+      throw error;
+    }
+
+    return await applyContactChange(userId, pending, context);
+  } catch (error) {
+    console.error('Confirm phone change error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * "This wasn't me": cancel a pending change, or revert it if it was already confirmed,
+ * and sign out every device
+ * @param {string} token - Revoke token from the notice sent to the old address
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { type, reverted }
+ */
+export const revokeContactChange = async (token, context = {}) => {
+  try {
+    const revocation = await redisHelpers.get(`contact_change:revoke:${token}`);
+
+    if (!revocation) {
+      const error = new Error('Invalid or expired link');
+      error.code = 'CONTACT_CHANGE_TOKEN_INVALID';
+      throw error;
+    }
+
+    const { userId, changeId, type, oldValue, newValue } = revocation;
+    const user = await User.findOne({ where: { id: userId, deleted_at: null } });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const pending = await redisHelpers.get(`contact_change:${userId}`);
+    if (pending && pending.id === changeId) {
+      await clearPendingChange(userId, pending);
+    }
+
+    // Put the old address back if the change already went through
+    const reverted = user[type] === newValue;
+    if (reverted) {
+      await assertContactAvailable(userId, type, oldValue);
+    }
+
+    await user.update({
+      ...(reverted && { [type]: oldValue }),
+      token_version: user.token_version + 1
+    });
+
+    await redisHelpers.del(`contact_change:revoke:${token}`);
+    await revokeAllSessions(userId);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'contact_change_revoked',
+      resource_type: 'user',
+      resource_id: userId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { type, reverted }
+    });
+
+    return { type, reverted };
+  } catch (error) {
+    console.error('Revoke contact change error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  CONTACT_TYPES,
+  getPendingChange,
+  requestContactChange,
+  confirmEmailChange,
+  confirmPhoneChange,
+  revokeContactChange
+};
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { UAParser } from 'ua-parser-js';
+import UserDevice from '../models/UserDevice.js';
+import config from '../config/env.js';
+import { getActiveSessions, revokeSession } from './sessionService.js';
+import { revokeTokenFamily } from './refreshTokenService.js';
+import { createAuditLog } from './auditService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEVICE_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Hash a device identifier; only the hash is stored
+ * @param {string} deviceId - Device identifier held by the device
+ * @returns {string} SHA-256 hex digest
+ */
+const hashDeviceId = (deviceId) => crypto.createHash('sha256').update(deviceId).digest('hex');
+
+/**
+ * Whether a value has the shape of a device identifier issued by generateDeviceId
+ * @param {string} deviceId - Value sent by the client
+ * @returns {boolean}
+ */
+export const isValidDeviceId = (deviceId) => typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+
+/**
+ * Generate a new device identifier. The device keeps it (cookie or app storage) and sends it
+ * with every login, so its sessions can be grouped and it can be trusted.
+ * @returns {string} 64 hex characters
+ */
+export const generateDeviceId = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Split a user agent into browser, operating system and device model
+ * @param {string} userAgent - User-Agent header
+ * @returns {Object} { browser, browser_version, os, os_version, device_type, device_vendor, device_model }
+ */
+export const parseUserAgent = (userAgent) => {
+  const { browser, os, device } = new UAParser(userAgent || '').getResult();
+
+  return {
+    browser: browser.name || null,
+    browser_version: browser.major || null,
+    os: os.name || null,
+    os_version: os.version || null,
+    // The parser only reports a type for non-desktop devices
+    device_type: device.type || (os.name ? 'desktop' : null),
+    device_vendor: device.vendor || null,
+    device_model: device.model || null
+  };
+};
+
+/**
+ * Human-readable name for a parsed user agent, e.g. "Chrome on Windows" or "Mobile Safari on Apple iPhone"
+ * @param {Object} parsed - Result of parseUserAgent
+ * @returns {string|null} Name, or null when the user agent says nothing useful
+ */
+export const getDeviceName = (parsed) => {
+  const hardware = parsed.device_model
+    ? [parsed.device_vendor, parsed.device_model].filter(Boolean).join(' ')
+    : parsed.os;
+
+  if (parsed.browser && hardware) {
+    return `${parsed.browser} on ${hardware}`;
+  }
+
+  return parsed.browser || hardware || null;
+};
+
+/**
+ * Describe the device a login comes from: the client's own device type and name, filled in
+ * from the user agent where the client did not send them
+ * @param {Object} context - Request context { userAgent, deviceInfo }
+ * @returns {Object} Device info for the session { device_type, device_name, user_agent, browser, os }
+ */
+export const describeDevice = (context = {}) => {
+  const deviceInfo = context.deviceInfo || {};
+  const userAgent = deviceInfo.user_agent || context.userAgent || '';
+  const parsed = parseUserAgent(userAgent);
+
+  return {
+    ...deviceInfo,
+    device_name: deviceInfo.device_name || getDeviceName(parsed) || 'Unknown Device',
+    user_agent: userAgent,
+    browser: parsed.browser,
+    os: parsed.os
+  };
+};
+
+/**
+ * Record the device a login comes from. A device without a valid identifier gets a new one,
+ * which the caller hands back to the client.
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo, deviceId }
+ * @returns {Promise<Object>} { device: UserDevice instance, deviceId }
+ */
+export const recognizeDevice = async (userId, context = {}) => {
+  try {
+    const deviceId = isValidDeviceId(context.deviceId) ? context.deviceId : generateDeviceId();
+    const parsed = parseUserAgent(context.deviceInfo?.user_agent || context.userAgent);
+    const seen = { ...parsed, last_seen_at: new Date(), last_ip: context.ipAddress || null };
+
+    const [device, created] = await UserDevice.findOrCreate({
+      where: { user_id: userId, device_hash: hashDeviceId(deviceId) },
+      defaults: {
+        ...seen,
+        name: (context.deviceInfo?.device_name || getDeviceName(parsed) || 'Unknown Device').slice(0, 100)
+      }
+    });
+
+    if (!created) {
+      await device.update(seen);
+    }
+
+    return { device, deviceId };
+  } catch (error) {
+    console.error('Recognize device error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find the user's device a request comes from by the identifier issued to it at login
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device identifier sent with the request
+ * @returns {Promise<Object|null>} UserDevice instance, or null if the identifier was never issued to this user
+ */
+export const findDevice = async (userId, deviceId) => {
+  if (!userId || !isValidDeviceId(deviceId)) {
+    return null;
+  }
+
+  return await UserDevice.findOne({
+    where: { user_id: userId, device_hash: hashDeviceId(deviceId) }
+  });
+};
+
+/**
+ * Whether a login comes from a device the user has marked as trusted
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device identifier sent with the login
+ * @returns {Promise<boolean>}
+ */
+export const isTrustedDevice = async (userId, deviceId) => {
+  try {
+    const device = await findDevice(userId, deviceId);
+
+    return Boolean(device && device.trusted_until && device.trusted_until > new Date());
+  } catch (error) {
+    console.error('Check trusted device error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * List a user's devices with their active sessions
+ * @param {string} userId - User ID
+ * @param {string|null} currentSessionId - Session of the request, to flag the current device
+ * @returns {Promise<Array>} Devices, most recently seen first
+ */
+export const listDevices = async (userId, currentSessionId = null) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const [devices, sessions] = await Promise.all([
+      UserDevice.findAll({
+        where: { user_id: userId },
+        order: [['last_seen_at', 'DESC NULLS LAST']]
+      }),
+      getActiveSessions(userId)
+    ]);
+
+    return devices.map((device) => {
+      const deviceSessions = sessions.filter((session) => session.device_id === device.id);
+
+      return {
+        ...device.toSafeObject(),
+        active_sessions: deviceSessions.length,
+        is_current: deviceSessions.some((session) => session.sessionId === currentSessionId)
+      };
+    });
+  } catch (error) {
+    console.error('List devices error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find a device owned by the user
+ * @param {string} userId - User ID
+ * @param {string} userDeviceId - UserDevice ID
+ * @returns {Promise<Object>} UserDevice instance
+ */
+const findOwnedDevice = async (userId, userDeviceId) => {
+  const device = await UserDevice.findOne({
+    where: { id: userDeviceId, user_id: userId }
+  });
+
+  if (!device) {
+    const error = new Error('Device not found');
+    error.code = 'DEVICE_NOT_FOUND';
+    throw error;
+  }
+
+  return device;
+};
+
+/**
+ * Rename a device
+ * @param {string} userId - User ID
+ * @param {string} userDeviceId - UserDevice ID
+ * @param {string} name - New name
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated device (safe representation)
+ */
+export const renameDevice = async (userId, userDeviceId, name, context = {}) => {
+  try {
+    const device = await findOwnedDevice(userId, userDeviceId);
+    const previousName = device.name;
+
+    await device.update({ name });
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'device_renamed',
+      resource_type: 'device',
+      resource_id: device.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { old_name: previousName, new_name: name }
+    });
+
+    return device.toSafeObject();
+  } catch (error) {
+    console.error('Rename device error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Trust a device, or stop trusting it. Logins from a trusted device skip the user's MFA
+ * for DEVICE_TRUST_DAYS; logins that look risky still need a second factor.
+ * @param {string} userId - User ID
+ * @param {string} userDeviceId - UserDevice ID
+ * @param {boolean} trusted - Trust (true) or stop trusting (false)
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated device (safe representation)
+ */
+export const setDeviceTrust = async (userId, userDeviceId, trusted, context = {}) => {
+  try {
+    const device = await findOwnedDevice(userId, userDeviceId);
+    const trustedUntil = trusted ? new Date(Date.now() + config.session.deviceTrustDays * DAY_MS) : null;
+
+    await device.update({ trusted_until: trustedUntil });
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: trusted ? 'device_trusted' : 'device_untrusted',
+      resource_type: 'device',
+      resource_id: device.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { name: device.name, trusted_until: trustedUntil }
+    });
+
+    return device.toSafeObject();
+  } catch (error) {
+    console.error('Set device trust error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Stop trusting all of a user's devices (e.g. after a password reset)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of devices that were trusted
+ */
+export const revokeDeviceTrust = async (userId) => {
+  try {
+    const [count] = await UserDevice.update(
+      { trusted_until: null },
+      { where: { user_id: userId, trusted_until: { [Op.ne]: null } } }
+    );
+
+    return count;
+  } catch (error) {
+    console.error('Revoke device trust error:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Revoke a device: sign out all of its sessions and forget it, including its trust.
+ * If it signs in again it is recorded as a new, untrusted device.
+ * @param {string} userId - User ID
+ * @param {string} userDeviceId - UserDevice ID
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { sessionsRevoked }
+ */
+export const revokeDevice = async (userId, userDeviceId, context = {}) => {
+  try {
+    const device = await findOwnedDevice(userId, userDeviceId);
+    const sessions = (await getActiveSessions(userId)).filter((session) => session.device_id === device.id);
+
+    let sessionsRevoked = 0;
+    for (const session of sessions) {
+      await revokeTokenFamily(session.sessionId);
+      if (await revokeSession(session.sessionId, userId)) {
+        sessionsRevoked++;
+      }
+    }
+
+    await device.destroy();
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'device_revoked',
+      resource_type: 'device',
+      resource_id: userDeviceId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { name: device.name, sessions_revoked: sessionsRevoked }
+    });
+
+    return { sessionsRevoked };
+  } catch (error) {
+    console.error('Revoke device error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  findDevice,
+  isValidDeviceId,
+  generateDeviceId,
+  parseUserAgent,
+  getDeviceName,
+  describeDevice,
+  recognizeDevice,
+  isTrustedDevice,
+  listDevices,
+  renameDevice,
+  setDeviceTrust,
+  revokeDeviceTrust,
+  revokeDevice
+};
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Campus from '../models/Campus.js';
+import { createUser, updateUser } from './userService.js';
+import { listDirectoryUsers, matchDirectory, mapRole } from './authProviders/ldapProvider.js';
+
+// Roles the directory may assign; Super_Admin accounts are only managed locally
+const SYNC_ROLES = ['Student', 'Teacher', 'Parent', 'Admin'];
+
+/**
+ * Normalise a directory phone number ("+91 98765-43210" -> "+919876543210")
+ * @param {string|null} phone - Directory phone value
+ * @returns {string|null}
+ */
+const normalizePhone = (phone) => (phone ? phone.replace(/[\s\-().]/g, '') : null);
+
+/**
+ * Import directory users into User, assigning campus and role.
+ * New users are created active with an unusable local password (they sign in against the directory).
+ * Existing users get their name, role and campus updated; phone numbers are left to the contact
+ * change flow. Only entries on a directory-managed campus or email domain are imported.
+ * @param {Object} options - { dryRun: report changes without writing them }
+ * @returns {Promise<Object>} { total, created, updated, unchanged, skipped: [{ dn, email, reason }], dryRun }
+ */
+export const syncDirectoryUsers = async ({ dryRun = false } = {}) => {
+  try {
+    const entries = await listDirectoryUsers();
+
+    const campuses = await Campus.findAll({ attributes: ['id', 'code'] });
+    const campusesByCode = new Map(campuses.map(campus => [campus.code.toLowerCase(), campus]));
+
+    const summary = { total: entries.length, created: 0, updated: 0, unchanged: 0, skipped: [], dryRun };
+    const skip = (entry, reason) => summary.skipped.push({ dn: entry.dn, email: entry.email, reason });
+
+    for (const entry of entries) {
+      if (!entry.email) {
+        skip(entry, 'missing_email');
+        continue;
+      }
+
+      const email = entry.email.toLowerCase();
+      const campus = entry.campusCode ? campusesByCode.get(entry.campusCode.toLowerCase()) : null;
+
+      if (!campus) {
+        skip(entry, 'unknown_campus');
+        continue;
+      }
+
+      if (!matchDirectory(email, campus.code)) {
+        skip(entry, 'not_directory_managed');
+        continue;
+      }
+
+      const role = mapRole(entry.groups);
+      if (!SYNC_ROLES.includes(role)) {
+        skip(entry, 'invalid_role');
+        continue;
+      }
+
+      const existing = await User.findOne({ where: { email } });
+
+      if (existing) {
+        if (existing.deleted_at) {
+          skip(entry, 'deleted_account');
+          continue;
+        }
+
+        if (existing.role === 'Super_Admin') {
+          skip(entry, 'protected_account');
+          continue;
+        }
+
+        const changes = {};
+        if (entry.name && entry.name !== existing.name) changes.name = entry.name;
+        if (role !== existing.role) changes.role = role;
+        if (campus.id !== existing.campus_id) changes.campus_id = campus.id;
+
+        if (Object.keys(changes).length === 0) {
+          summary.unchanged++;
+          continue;
+        }
+
+        if (!dryRun) {
+          await updateUser(existing.id, changes, null);
+        }
+
+        summary.updated++;
+        continue;
+      }
+
+      const phone = normalizePhone(entry.phone);
+      if (!entry.name || !phone) {
+        skip(entry, entry.name ? 'missing_phone' : 'missing_name');
+        continue;
+      }
+
+      if (!dryRun) {
+        try {
+          await createUser({
+            email,
+            phone,
+            // Never used while the directory applies; see LDAP_FALLBACK_ON_ERROR
+            password: crypto.randomBytes(32).toString('base64url'),
+            name: entry.name,
+            role,
+            campus_id: campus.id,
+            account_status: 'active'
+          }, null);
+        } catch (error) {
+          if (error.code === 'EMAIL_EXISTS' || error.code === 'PHONE_EXISTS') {
+            skip(entry, error.code.toLowerCase());
+            continue;
+          }
+          throw error;
+        }
+      }
+
+      summary.created++;
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('Directory sync error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  syncDirectoryUsers
+};
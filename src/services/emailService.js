@@ -372,6 +372,76 @@ This is an automated email. Please do not reply to this message.
   return { subject, htmlBody, textBody };
 };
 
+/**
+ * Generate email address verification template (self-service signup)
+ * @param {string} code - Verification code
+ * @param {string} userName - User's name
+ * @returns {Object} { subject, htmlBody, textBody }
+ */
+const generateEmailVerificationTemplate = (code, userName) => {
+  const subject = 'Verify Your Email - MSSU Connect';
+  
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #0066cc; color: white; padding: 20px; text-align: center; }
+    .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+    .code-box { background-color: #fff; border: 2px solid #0066cc; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 8px; margin: 20px 0; border-radius: 5px; }
+    .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>MSSU Connect</h1>
+    </div>
+    <div class="content">
+      <h2>Verify Your Email</h2>
+      <p>Hello ${userName},</p>
+      <p>Thank you for registering with MSSU Connect. Enter this code to verify your email address:</p>
+      <div class="code-box">${code}</div>
+      <p>This code will expire in 5 minutes. After you verify your email and phone number, your campus administrator will review your registration.</p>
+      <p>If you didn't register, you can ignore this email.</p>
+      <p>Best regards,<br>MSSU Connect Team</p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} MSSU Connect. All rights reserved.</p>
+      <p>This is an automated email. Please do not reply to this message.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textBody = `
+Verify Your Email - MSSU Connect
+
+Hello ${userName},
+
+Thank you for registering with MSSU Connect. Enter this code to verify your email address:
+
+${code}
+
+This code will expire in 5 minutes. After you verify your email and phone number, your campus administrator will review your registration.
+
+If you didn't register, you can ignore this email.
+
+Best regards,
+MSSU Connect Team
+
+© ${new Date().getFullYear()} MSSU Connect. All rights reserved.
+This is an automated email. Please do not reply to this message.
+  `;
+
+  return { subject, htmlBody, textBody };
+};
+
 /**
  * Send password reset email
  * @param {string} email - Recipient email address
@@ -396,6 +466,317 @@ export const sendMFAEmail = async (email, code, userName = 'User') => {
   return await sendEmail(email, subject, htmlBody, textBody);
 };
 
+/**
+ * Send email address verification code for self-service signup
+ * @param {string} email - Recipient email address
+ * @param {string} code - Verification code
+ * @param {string} userName - User's name (optional)
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendEmailVerificationEmail = async (email, code, userName = 'User') => {
+  const { subject, htmlBody, textBody } = generateEmailVerificationTemplate(code, userName);
+  return await sendEmail(email, subject, htmlBody, textBody);
+};
+
+/**
+ * Send the confirmation link for a new email address
+ * @param {string} email - New email address
+ * @param {string} confirmToken - Contact change confirmation token
+ * @param {string} userName - User's name (optional)
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendContactChangeConfirmationEmail = async (email, confirmToken, userName = 'User') => {
+  const confirmLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/confirm-contact-change?token=${confirmToken}`;
+  const subject = 'Confirm Your New Email Address - MSSU Connect';
+
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #0066cc; color: white; padding: 20px; text-align: center; }
+    .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+    .button { display: inline-block; padding: 12px 30px; background-color: #0066cc; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>MSSU Connect</h1>
+    </div>
+    <div class="content">
+      <h2>Confirm Your New Email Address</h2>
+      <p>Hello ${userName},</p>
+      <p>You asked to use this address for your MSSU Connect account. The change is applied once you confirm it:</p>
+      <p style="text-align: center;">
+        <a href="${confirmLink}" class="button">Confirm Email Address</a>
+      </p>
+      <p>This link will expire in 1 hour. If you didn't request this change, ignore this email.</p>
+      <p>Best regards,<br>MSSU Connect Team</p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} MSSU Connect. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textBody = `
+Confirm Your New Email Address - MSSU Connect
+
+Hello ${userName},
+
+You asked to use this address for your MSSU Connect account. The change is applied once you confirm it:
+${confirmLink}
+
+This link will expire in 1 hour. If you didn't request this change, ignore this email.
+
+Best regards,
+MSSU Connect Team
+  `;
+
+  return await sendEmail(email, subject, htmlBody, textBody);
+};
+
+/**
+ * Notify the current email address that a contact change was requested
+ * @param {string} email - Current email address
+ * @param {Object} change - { type: 'email'|'phone', newValue, revokeToken }
+ * @param {string} userName - User's name (optional)
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendContactChangeNoticeEmail = async (email, change, userName = 'User') => {
+  const revokeLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/revoke-contact-change?token=${change.revokeToken}`;
+  const label = change.type === 'email' ? 'email address' : 'phone number';
+  const subject = `Your ${label} is being changed - MSSU Connect`;
+
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #0066cc; color: white; padding: 20px; text-align: center; }
+    .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+    .button { display: inline-block; padding: 12px 30px; background-color: #cc3300; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>MSSU Connect</h1>
+    </div>
+    <div class="content">
+      <h2>Contact Details Change Requested</h2>
+      <p>Hello ${userName},</p>
+      <p>Someone signed in to your MSSU Connect account asked to change its ${label} to <strong>${change.newValue}</strong>.</p>
+      <p>If this was you, no action is needed. If it wasn't, cancel the change and sign out every device:</p>
+      <p style="text-align: center;">
+        <a href="${revokeLink}" class="button">This wasn't me</a>
+      </p>
+      <p>Then reset your password. This link works for 7 days, even after the change has been confirmed.</p>
+      <p>Best regards,<br>MSSU Connect Team</p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} MSSU Connect. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textBody = `
+Contact Details Change Requested - MSSU Connect
+
+Hello ${userName},
+
+Someone signed in to your MSSU Connect account asked to change its ${label} to ${change.newValue}.
+
+If this was you, no action is needed. If it wasn't, cancel the change and sign out every device:
+${revokeLink}
+
+Then reset your password. This link works for 7 days, even after the change has been confirmed.
+
+Best regards,
+MSSU Connect Team
+  `;
+
+  return await sendEmail(email, subject, htmlBody, textBody);
+};
+
+/**
+ * Alert a user about a sign-in from a new device, network or time of day
+ * @param {string} email - Recipient email address
+ * @param {Object} alert - { blocked, time, ipAddress, device, revokeToken }
+ * @param {string} userName - User's name (optional)
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendSignInAlertEmail = async (email, alert, userName = 'User') => {
+  const revokeLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/revoke-sign-in?token=${alert.revokeToken}`;
+  const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+  const subject = alert.blocked ? 'Sign-in blocked - MSSU Connect' : 'New sign-in to your account - MSSU Connect';
+  const heading = alert.blocked ? 'We Blocked a Sign-in' : 'New Sign-in Detected';
+  const summary = alert.blocked
+    ? 'Someone entered the correct credentials for your MSSU Connect account, but the sign-in looked unusual so we blocked it.'
+    : 'Your MSSU Connect account was just signed in to from a device, network or time we don\'t usually see.';
+  const when = alert.time.toUTCString();
+
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #0066cc; color: white; padding: 20px; text-align: center; }
+    .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+    .button { display: inline-block; padding: 12px 30px; background-color: #cc3300; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>MSSU Connect</h1>
+    </div>
+    <div class="content">
+      <h2>${heading}</h2>
+      <p>Hello ${userName},</p>
+      <p>${summary}</p>
+      <ul>
+        <li><strong>Time:</strong> ${when}</li>
+        <li><strong>IP address:</strong> ${alert.ipAddress}</li>
+        <li><strong>Device:</strong> ${alert.device}</li>
+      </ul>
+      ${alert.blocked ? `
+      <p>If this was you, sign in again from a device you have used before. If it wasn't, reset your password now:</p>
+      <p style="text-align: center;">
+        <a href="${resetLink}" class="button">Reset Password</a>
+      </p>` : `
+      <p>If this was you, no action is needed. If it wasn't, sign out every device:</p>
+      <p style="text-align: center;">
+        <a href="${revokeLink}" class="button">This wasn't me</a>
+      </p>
+      <p>Then reset your password. This link works for 7 days.</p>`}
+      <p>Best regards,<br>MSSU Connect Team</p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} MSSU Connect. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textBody = `
+${heading} - MSSU Connect
+
+Hello ${userName},
+
+${summary}
+
+Time: ${when}
+IP address: ${alert.ipAddress}
+Device: ${alert.device}
+
+${alert.blocked
+    ? `If this was you, sign in again from a device you have used before. If it wasn't, reset your password now:
+${resetLink}`
+    : `If this was you, no action is needed. If it wasn't, sign out every device:
+${revokeLink}
+
+Then reset your password. This link works for 7 days.`}
+
+Best regards,
+MSSU Connect Team
+  `;
+
+  return await sendEmail(email, subject, htmlBody, textBody);
+};
+
+/**
+ * Send a passwordless login link
+ * @param {string} email - Recipient email address
+ * @param {string} token - Magic link token
+ * @param {string} userName - User's name (optional)
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendMagicLinkEmail = async (email, token, userName = 'User') => {
+  const loginLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link?token=${token}`;
+  const subject = 'Your Sign-in Link - MSSU Connect';
+
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #0066cc; color: white; padding: 20px; text-align: center; }
+    .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+    .button { display: inline-block; padding: 12px 30px; background-color: #0066cc; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+    .warning { background-color: #fff3cd; border: 1px solid #ffc107; padding: 15px; margin: 20px 0; border-radius: 5px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>MSSU Connect</h1>
+    </div>
+    <div class="content">
+      <h2>Sign in to MSSU Connect</h2>
+      <p>Hello ${userName},</p>
+      <p>Click the button below to sign in. Open it on the same device and browser where you asked for the link.</p>
+      <p style="text-align: center;">
+        <a href="${loginLink}" class="button">Sign In</a>
+      </p>
+      <div class="warning">
+        <strong>⚠️ Important:</strong>
+        <ul>
+          <li>This link expires in ${Math.round(config.security.magicLinkExpiry / 60000)} minutes and works only once</li>
+          <li>If you didn't ask to sign in, ignore this email</li>
+          <li>Never share this link with anyone</li>
+        </ul>
+      </div>
+      <p>Best regards,<br>MSSU Connect Team</p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} MSSU Connect. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textBody = `
+Sign in to MSSU Connect
+
+Hello ${userName},
+
+Open this link to sign in, on the same device and browser where you asked for it:
+${loginLink}
+
+This link expires in ${Math.round(config.security.magicLinkExpiry / 60000)} minutes and works only once.
+If you didn't ask to sign in, ignore this email. Never share this link with anyone.
+
+Best regards,
+MSSU Connect Team
+  `;
+
+  return await sendEmail(email, subject, htmlBody, textBody);
+};
+
 /**
  * Send welcome email to new users
  * @param {string} email - Recipient email address
@@ -446,5 +827,10 @@ export default {
   sendEmail,
   sendPasswordResetEmail,
   sendMFAEmail,
+  sendEmailVerificationEmail,
+  sendContactChangeConfirmationEmail,
+  sendContactChangeNoticeEmail,
+  sendSignInAlertEmail,
+  sendMagicLinkEmail,
   sendWelcomeEmail,
 };
@@ -0,0 +1,50 @@
+import oidcAdapter from './oidcAdapter.js';
+import samlAdapter from './samlAdapter.js';
+
+/**
+ * Protocol adapters for upstream identity providers.
+ * An adapter exposes:
+ * - DEFAULT_CLAIM_MAPPING: upstream claim/attribute for email, name and phone
+ * - prepareConfig(input, current): validate settings and return the config to store
+ * - createAuthorizationRequest(provider, { state, callbackUrl, entityId }): { url, stateData }
+ * - handleCallback(provider, { params, stateData, callbackUrl, entityId }): { subject, attributes }
+ * - getMetadata(provider, { callbackUrl, entityId }) (optional): service provider metadata XML
+ */
+const adapters = {
+  oidc: oidcAdapter,
+  saml: samlAdapter
+};
+
+/**
+ * Get the adapter for a protocol
+ * @param {string} protocol - Provider protocol
+ * @returns {Object} Adapter
+ */
+export const getAdapter = (protocol) => {
+  const adapter = adapters[protocol];
+
+  if (!adapter) {
+    const error = new Error(`Unsupported identity provider protocol: ${protocol}`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return adapter;
+};
+
+/**
+ * Register an adapter for another protocol
+ * @param {string} protocol - Protocol name stored on IdentityProvider.protocol
+ * @param {Object} adapter - Adapter implementing the interface above
+ */
+export const registerAdapter = (protocol, adapter) => {
+  adapters[protocol] = adapter;
+};
+
+export const getProtocols = () => Object.keys(adapters);
+
+export default {
+  getAdapter,
+  registerAdapter,
+  getProtocols
+};
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+
+const PROVIDER_REQUEST_TIMEOUT_MS = 10000;
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000; // Refetch provider keys every 10 minutes or on an unknown kid
+const ID_TOKEN_ALGORITHMS = ['RS256', 'PS256', 'ES256'];
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+// Upstream claim used for each user field when the provider has no claim_mapping
+export const DEFAULT_CLAIM_MAPPING = {
+  email: 'email',
+  name: 'name',
+  phone: 'phone_number'
+};
+
+// jwks_uri -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * Call a provider endpoint and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+const fetchJSON = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_REQUEST_TIMEOUT_MS) });
+  } catch (fetchError) {
+    const error = new Error(`Identity provider is unreachable: ${fetchError.message}`);
+    error.code = 'FEDERATION_PROVIDER_ERROR';
+    throw error;
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const error = new Error(`Identity provider returned ${response.status}${body && body.error ? ` (${body.error})` : ''}`);
+    error.code = 'FEDERATION_PROVIDER_ERROR';
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Find the provider key that signed an ID token, refetching the key set once for rotated keys
+ * @param {string} jwksUri - Provider JWKS URL
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_TTL_MS ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJSON(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    const error = new Error('ID token is signed with an unknown key');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify the provider's ID token signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} providerConfig - Provider config
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+const verifyIdToken = async (idToken, providerConfig, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    const error = new Error('Identity provider returned a malformed ID token');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  const key = await getSigningKey(providerConfig.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: providerConfig.issuer,
+      audience: providerConfig.client_id,
+      clockTolerance: 60
+    });
+  } catch (verifyError) {
+    const error = new Error(`ID token rejected: ${verifyError.message}`);
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  if (!claims.sub || claims.nonce !== nonce) {
+    const error = new Error('ID token does not belong to this login');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  return claims;
+};
+
+/**
+ * Validate OIDC settings for storage. Endpoints missing from the input are read from the
+ * issuer's discovery document and the client secret is encrypted.
+ * @param {Object} input - { issuer, client_id, client_secret, scopes, authorization_endpoint, token_endpoint, jwks_uri, userinfo_endpoint }
+ * @param {Object|null} current - Stored config when updating (keeps the secret unless a new one is given)
+ * @returns {Promise<Object>} Config to store
+ */
+export const prepareConfig = async (input, current = null) => {
+  if (!input.issuer || !input.client_id) {
+    const error = new Error('OIDC providers require issuer and client_id');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  let endpoints = {
+    authorization_endpoint: input.authorization_endpoint,
+    token_endpoint: input.token_endpoint,
+    jwks_uri: input.jwks_uri,
+    userinfo_endpoint: input.userinfo_endpoint || null
+  };
+
+  if (!endpoints.authorization_endpoint || !endpoints.token_endpoint || !endpoints.jwks_uri) {
+    const metadata = await fetchJSON(`${input.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== input.issuer) {
+      const error = new Error('Discovery document issuer does not match the configured issuer');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    endpoints = {
+      authorization_endpoint: metadata.authorization_endpoint,
+      token_endpoint: metadata.token_endpoint,
+      jwks_uri: metadata.jwks_uri,
+      userinfo_endpoint: metadata.userinfo_endpoint || null
+    };
+  }
+
+  return {
+    issuer: input.issuer,
+    client_id: input.client_id,
+    // Public clients (PKCE only) have no secret
+    client_secret: input.client_secret ? encrypt(input.client_secret) : (current && current.client_secret) || null,
+    scopes: input.scopes || DEFAULT_SCOPES,
+    ...endpoints
+  };
+};
+
+/**
+ * Build the provider authorization URL (authorization code flow with PKCE)
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} request - { state, callbackUrl }
+ * @returns {Promise<Object>} { url, stateData } where stateData is kept until the callback
+ */
+export const createAuthorizationRequest = async (provider, { state, callbackUrl }) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(provider.config.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.config.client_id);
+  url.searchParams.set('redirect_uri', callbackUrl);
+  url.searchParams.set('scope', provider.config.scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return {
+    url: url.toString(),
+    stateData: { nonce, codeVerifier }
+  };
+};
+
+/**
+ * Exchange the authorization code and return the verified upstream identity
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} callback - { params: callback query, stateData, callbackUrl }
+ * @returns {Promise<Object>} { subject, attributes }
+ */
+export const handleCallback = async (provider, { params, stateData, callbackUrl }) => {
+  const providerConfig = provider.config;
+
+  if (params.error) {
+    const error = new Error(params.error_description || `Identity provider returned ${params.error}`);
+    error.code = 'FEDERATION_DENIED';
+    throw error;
+  }
+
+  if (!params.code) {
+    const error = new Error('Authorization code is missing');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  if (providerConfig.client_secret) {
+    const credentials = `${encodeURIComponent(providerConfig.client_id)}:${encodeURIComponent(decrypt(providerConfig.client_secret))}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJSON(providerConfig.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: params.code,
+      redirect_uri: callbackUrl,
+      client_id: providerConfig.client_id,
+      code_verifier: stateData.codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    const error = new Error('Identity provider did not return an ID token');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, providerConfig, stateData.nonce);
+  let attributes = claims;
+
+  // Many providers keep email and phone out of the ID token; ID token claims win on conflict
+  if (providerConfig.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJSON(providerConfig.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+
+    if (userinfo.sub === claims.sub) {
+      attributes = { ...userinfo, ...claims };
+    }
+  }
+
+  return {
+    subject: claims.sub,
+    attributes
+  };
+};
+
+export default {
+  DEFAULT_CLAIM_MAPPING,
+  prepareConfig,
+  createAuthorizationRequest,
+  handleCallback
+};
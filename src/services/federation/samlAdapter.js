@@ -0,0 +1,158 @@
+import { SAML, ValidateInResponseTo } from '@node-saml/node-saml';
+import { redisHelpers } from '../../config/redis.js';
+import config from '../../config/env.js';
+
+const EMAIL_NAME_ID_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+// Attribute used for each user field when the provider has no claim_mapping
+export const DEFAULT_CLAIM_MAPPING = {
+  email: 'email',
+  name: 'displayName',
+  phone: 'mobile'
+};
+
+/**
+ * node-saml cache provider that keeps outstanding AuthnRequest IDs in Redis, so a response is
+ * only accepted once and only for a request this deployment sent (on any instance)
+ * @param {string} providerId - IdentityProvider ID
+ * @returns {Object} { saveAsync, getAsync, removeAsync }
+ */
+const createRequestIdCache = (providerId) => {
+  const getKey = (requestId) => `federation:saml:${providerId}:${requestId}`;
+
+  return {
+    saveAsync: async (requestId, value) => {
+      const item = { value, createdAt: Date.now() };
+      await redisHelpers.set(getKey(requestId), item, config.federation.stateExpiry);
+      return item;
+    },
+    getAsync: async (requestId) => {
+      const item = await redisHelpers.get(getKey(requestId));
+      return item ? item.value : null;
+    },
+    removeAsync: async (requestId) => {
+      if (!requestId) {
+        return null;
+      }
+
+      const item = await redisHelpers.get(getKey(requestId));
+      await redisHelpers.del(getKey(requestId));
+      return item ? item.value : null;
+    }
+  };
+};
+
+/**
+ * Build a node-saml client for a provider
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} urls - { callbackUrl, entityId }
+ * @returns {SAML} Client
+ */
+const createClient = (provider, { callbackUrl, entityId }) => new SAML({
+  entryPoint: provider.config.entry_point,
+  idpCert: provider.config.idp_cert,
+  idpIssuer: provider.config.idp_issuer || undefined,
+  issuer: entityId,
+  audience: entityId,
+  callbackUrl,
+  identifierFormat: provider.config.identifier_format || null,
+  wantAssertionsSigned: provider.config.want_assertions_signed !== false,
+  wantAuthnResponseSigned: provider.config.want_response_signed !== false,
+  validateInResponseTo: ValidateInResponseTo.always,
+  requestIdExpirationPeriodMs: config.federation.stateExpiry * 1000,
+  cacheProvider: createRequestIdCache(provider.id),
+  acceptedClockSkewMs: 60000
+});
+
+/**
+ * Validate SAML settings for storage
+ * @param {Object} input - { entry_point, idp_cert, idp_issuer, identifier_format, want_assertions_signed, want_response_signed }
+ * @returns {Promise<Object>} Config to store
+ */
+export const prepareConfig = async (input) => {
+  const certs = [].concat(input.idp_cert || []);
+
+  if (!input.entry_point || certs.length === 0 || !certs.every((cert) => typeof cert === 'string' && cert.trim())) {
+    const error = new Error('SAML providers require entry_point and idp_cert');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return {
+    entry_point: input.entry_point,
+    idp_cert: input.idp_cert,
+    idp_issuer: input.idp_issuer || null,
+    identifier_format: input.identifier_format || null,
+    want_assertions_signed: input.want_assertions_signed !== false,
+    want_response_signed: input.want_response_signed !== false
+  };
+};
+
+/**
+ * Build the HTTP-Redirect binding URL carrying the AuthnRequest; the state travels as RelayState
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} request - { state, callbackUrl, entityId }
+ * @returns {Promise<Object>} { url, stateData }
+ */
+export const createAuthorizationRequest = async (provider, { state, callbackUrl, entityId }) => {
+  const client = createClient(provider, { callbackUrl, entityId });
+  const url = await client.getAuthorizeUrlAsync(state, undefined, {});
+
+  return { url, stateData: {} };
+};
+
+/**
+ * Validate the HTTP-POST binding response and return the asserted identity
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} callback - { params: form body, callbackUrl, entityId }
+ * @returns {Promise<Object>} { subject, attributes }
+ */
+export const handleCallback = async (provider, { params, callbackUrl, entityId }) => {
+  if (!params.SAMLResponse) {
+    const error = new Error('SAML response is missing');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  const client = createClient(provider, { callbackUrl, entityId });
+
+  let profile;
+  try {
+    ({ profile } = await client.validatePostResponseAsync({ SAMLResponse: params.SAMLResponse }));
+  } catch (validationError) {
+    const error = new Error(`SAML response rejected: ${validationError.message}`);
+    error.code = validationError.name === 'SamlStatusError' ? 'FEDERATION_DENIED' : 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  if (!profile || !profile.nameID) {
+    const error = new Error('SAML response does not identify a user');
+    error.code = 'FEDERATION_RESPONSE_INVALID';
+    throw error;
+  }
+
+  return {
+    subject: profile.nameID,
+    attributes: {
+      email: profile.email || profile.mail || (profile.nameIDFormat === EMAIL_NAME_ID_FORMAT ? profile.nameID : undefined),
+      ...profile.attributes,
+      nameID: profile.nameID
+    }
+  };
+};
+
+/**
+ * Service provider metadata for registering this deployment with the IdP
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} urls - { callbackUrl, entityId }
+ * @returns {string} Metadata XML
+ */
+export const getMetadata = (provider, urls) => createClient(provider, urls).generateServiceProviderMetadata(null);
+
+export default {
+  DEFAULT_CLAIM_MAPPING,
+  prepareConfig,
+  createAuthorizationRequest,
+  handleCallback,
+  getMetadata
+};
@@ -0,0 +1,622 @@
+import crypto from 'crypto';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import Campus from '../models/Campus.js';
+import IdentityProvider from '../models/IdentityProvider.js';
+import FederatedIdentity from '../models/FederatedIdentity.js';
+import { getAdapter, getProtocols } from './federation/index.js';
+import { createUser } from './userService.js';
+import { loginWithFederatedIdentity } from './authService.js';
+import { createAuditLog } from './auditService.js';
+
+export const JIT_ROLES = ['Student', 'Teacher', 'Parent'];
+
+// Path segments used by other /federation routes
+const RESERVED_SLUGS = ['providers', 'identities', 'exchange'];
+
+const UPDATABLE_FIELDS = ['name', 'config', 'claim_mapping', 'allowed_domains', 'jit_enabled', 'default_role', 'is_active'];
+
+/**
+ * Callback URL and SAML entity ID of this deployment for a provider
+ * @param {Object} provider - IdentityProvider instance
+ * @returns {Object} { callbackUrl, entityId }
+ */
+const getProviderUrls = (provider) => {
+  const base = `${config.oidc.issuer}/api/v1/federation/${provider.slug}`;
+  return {
+    callbackUrl: `${base}/callback`,
+    entityId: `${base}/metadata`
+  };
+};
+
+/**
+ * Front-end URL the browser is sent to after a provider callback
+ * @param {Object} params - Query parameters (code, linked or error)
+ * @returns {string} Redirect URL
+ */
+export const getFrontendRedirectUrl = (params) => {
+  const url = new URL(config.federation.frontendCallbackUrl);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+/**
+ * Load an active provider by slug
+ * @param {string} slug - Provider slug
+ * @returns {Promise<Object>} IdentityProvider instance
+ */
+const findActiveProvider = async (slug) => {
+  const provider = await IdentityProvider.findOne({ where: { slug, is_active: true } });
+
+  if (!provider) {
+    const error = new Error('Identity provider not found');
+    error.code = 'PROVIDER_NOT_FOUND';
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Read the user fields from upstream claims using the provider's claim mapping
+ * @param {Object} provider - IdentityProvider instance
+ * @param {Object} attributes - Upstream claims or attributes
+ * @returns {Object} { email, name, phone, emailVerified }
+ */
+const mapClaims = (provider, attributes) => {
+  const mapping = { ...getAdapter(provider.protocol).DEFAULT_CLAIM_MAPPING, ...provider.claim_mapping };
+  const pick = (field) => {
+    const value = attributes[mapping[field]];
+    const first = Array.isArray(value) ? value[0] : value;
+    return typeof first === 'string' && first.trim() ? first.trim() : null;
+  };
+
+  const email = pick('email');
+
+  return {
+    email: email ? email.toLowerCase() : null,
+    name: pick('name'),
+    phone: pick('phone'),
+    // OIDC providers say when they have not verified an address; SAML assertions carry no such flag
+    emailVerified: attributes.email_verified !== false && attributes.email_verified !== 'false'
+  };
+};
+
+/**
+ * List active providers for the login page
+ * @param {Object} filters - { campus_id }
+ * @returns {Promise<Array>} Providers with their login URL
+ */
+export const listProviders = async (filters = {}) => {
+  try {
+    const where = { is_active: true };
+    if (filters.campus_id) {
+      where.campus_id = filters.campus_id;
+    }
+
+    const providers = await IdentityProvider.findAll({
+      where,
+      attributes: ['id', 'slug', 'name', 'protocol', 'campus_id'],
+      order: [['name', 'ASC']]
+    });
+
+    return providers.map((provider) => ({
+      ...provider.toJSON(),
+      login_url: `/api/v1/federation/${provider.slug}/login`
+    }));
+  } catch (error) {
+    console.error('List identity providers error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get a provider with its settings (client secret omitted)
+ * @param {string} providerId - IdentityProvider ID
+ * @returns {Promise<Object>} Provider
+ */
+export const getProvider = async (providerId) => {
+  try {
+    const provider = await IdentityProvider.findByPk(providerId);
+
+    if (!provider) {
+      const error = new Error('Identity provider not found');
+      error.code = 'PROVIDER_NOT_FOUND';
+      throw error;
+    }
+
+    return {
+      ...provider.toSafeObject(),
+      ...getProviderUrls(provider)
+    };
+  } catch (error) {
+    console.error('Get identity provider error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Configure an upstream identity provider for a campus
+ * @param {Object} data - { slug, name, protocol, campus_id, config, claim_mapping, allowed_domains, jit_enabled, default_role }
+ * @param {string} adminId - Super_Admin creating the provider
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created provider with its callback URL and entity ID
+ */
+export const createProvider = async (data, adminId, context = {}) => {
+  try {
+    if (!getProtocols().includes(data.protocol)) {
+      const error = new Error(`Protocol must be one of: ${getProtocols().join(', ')}`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (RESERVED_SLUGS.includes(data.slug)) {
+      const error = new Error(`Slug "${data.slug}" is reserved`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const existing = await IdentityProvider.findOne({ where: { slug: data.slug } });
+    if (existing) {
+      const error = new Error('An identity provider with this slug already exists');
+      error.code = 'PROVIDER_EXISTS';
+      throw error;
+    }
+
+    const campus = await Campus.findByPk(data.campus_id);
+    if (!campus) {
+      const error = new Error('Campus not found');
+      error.code = 'CAMPUS_NOT_FOUND';
+      throw error;
+    }
+
+    const providerConfig = await getAdapter(data.protocol).prepareConfig(data.config || {}, null);
+
+    const provider = await IdentityProvider.create({
+      slug: data.slug,
+      name: data.name,
+      protocol: data.protocol,
+      campus_id: data.campus_id,
+      config: providerConfig,
+      claim_mapping: data.claim_mapping || null,
+      allowed_domains: data.allowed_domains ? data.allowed_domains.map((domain) => domain.toLowerCase()) : null,
+      jit_enabled: data.jit_enabled === true,
+      default_role: data.default_role || 'Student',
+      created_by: adminId
+    });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'identity_provider_created',
+      resource_type: 'identity_provider',
+      resource_id: provider.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: {
+        slug: provider.slug,
+        protocol: provider.protocol,
+        campus_id: provider.campus_id,
+        jit_enabled: provider.jit_enabled
+      }
+    });
+
+    return {
+      ...provider.toSafeObject(),
+      ...getProviderUrls(provider)
+    };
+  } catch (error) {
+    console.error('Create identity provider error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update a provider's settings; set is_active to false to disable it
+ * @param {string} providerId - IdentityProvider ID
+ * @param {Object} updates - Fields to change (slug, protocol and campus cannot change)
+ * @param {string} adminId - Super_Admin making the change
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated provider
+ */
+export const updateProvider = async (providerId, updates, adminId, context = {}) => {
+  try {
+    const provider = await IdentityProvider.findByPk(providerId);
+
+    if (!provider) {
+      const error = new Error('Identity provider not found');
+      error.code = 'PROVIDER_NOT_FOUND';
+      throw error;
+    }
+
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+
+    if (changes.config) {
+      // Partial config updates keep the stored values, including the encrypted secret
+      changes.config = await getAdapter(provider.protocol).prepareConfig(
+        { ...provider.config, client_secret: undefined, ...changes.config },
+        provider.config
+      );
+    }
+
+    if (changes.allowed_domains) {
+      changes.allowed_domains = changes.allowed_domains.map((domain) => domain.toLowerCase());
+    }
+
+    await provider.update(changes);
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'identity_provider_updated',
+      resource_type: 'identity_provider',
+      resource_id: provider.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { slug: provider.slug, fields: Object.keys(changes) }
+    });
+
+    return {
+      ...provider.toSafeObject(),
+      ...getProviderUrls(provider)
+    };
+  } catch (error) {
+    console.error('Update identity provider error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Service provider metadata to register this deployment with a SAML identity provider
+ * @param {string} slug - Provider slug
+ * @returns {Promise<string>} Metadata XML
+ */
+export const getProviderMetadata = async (slug) => {
+  try {
+    const provider = await findActiveProvider(slug);
+    const adapter = getAdapter(provider.protocol);
+
+    if (!adapter.getMetadata) {
+      const error = new Error('This identity provider does not publish service provider metadata');
+      error.code = 'PROVIDER_NOT_FOUND';
+      throw error;
+    }
+
+    return adapter.getMetadata(provider, getProviderUrls(provider));
+  } catch (error) {
+    console.error('Get provider metadata error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Start signing in (or linking an account) at an upstream provider
+ * @param {string} slug - Provider slug
+ * @param {Object} options - { intent: 'login' | 'link', userId (required to link) }
+ * @returns {Promise<Object>} { url, expiresAt }
+ */
+export const startFederatedLogin = async (slug, options = {}) => {
+  try {
+    const provider = await findActiveProvider(slug);
+    const intent = options.intent || 'login';
+
+    if (intent === 'link' && !options.userId) {
+      throw new Error('User ID is required to link an identity');
+    }
+
+    const state = crypto.randomBytes(32).toString('hex');
+    const { url, stateData } = await getAdapter(provider.protocol).createAuthorizationRequest(provider, {
+      state,
+      ...getProviderUrls(provider)
+    });
+
+    await redisHelpers.set(`federation:state:${state}`, {
+      providerId: provider.id,
+      intent,
+      userId: options.userId || null,
+      ...stateData
+    }, config.federation.stateExpiry);
+
+    return {
+      url,
+      expiresAt: new Date(Date.now() + (config.federation.stateExpiry * 1000))
+    };
+  } catch (error) {
+    console.error('Start federated login error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Store a link between a user and an upstream identity and audit it
+ * @param {string} userId - User ID
+ * @param {Object} provider - IdentityProvider instance
+ * @param {string} subject - Upstream subject
+ * @param {string|null} email - Upstream email
+ * @param {string} method - How the link was made (user, email_match, jit)
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} FederatedIdentity instance
+ */
+const linkIdentity = async (userId, provider, subject, email, method, context) => {
+  const existing = await FederatedIdentity.findOne({ where: { user_id: userId, provider_id: provider.id } });
+
+  if (existing) {
+    const error = new Error(`Your account is already linked to a ${provider.name} identity`);
+    error.code = 'FEDERATION_ALREADY_LINKED';
+    throw error;
+  }
+
+  const identity = await FederatedIdentity.create({
+    user_id: userId,
+    provider_id: provider.id,
+    subject,
+    email,
+    last_login_at: method === 'user' ? null : new Date()
+  });
+
+  await createAuditLog({
+    user_id: userId,
+    action_type: 'federated_identity_linked',
+    resource_type: 'federated_identity',
+    resource_id: identity.id,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: { provider: provider.slug, subject, email, method }
+  });
+
+  return identity;
+};
+
+/**
+ * Find or create the local account for an upstream identity.
+ * A linked identity wins; otherwise the asserted email is matched to an account on the
+ * provider's campus and linked, or a new account is created when JIT is enabled.
+ * @param {Object} provider - IdentityProvider instance
+ * @param {string} subject - Upstream subject
+ * @param {Object} claims - Mapped claims { email, name, phone, emailVerified }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<string>} User ID
+ */
+const resolveFederatedUser = async (provider, subject, claims, context) => {
+  const identity = await FederatedIdentity.findOne({ where: { provider_id: provider.id, subject } });
+
+  if (identity) {
+    await identity.update({ email: claims.email || identity.email, last_login_at: new Date() });
+    return identity.user_id;
+  }
+
+  if (!claims.email || !claims.emailVerified) {
+    const error = new Error('The identity provider did not share a verified email address');
+    error.code = 'FEDERATION_EMAIL_MISSING';
+    throw error;
+  }
+
+  const domain = claims.email.split('@')[1];
+  if (provider.allowed_domains && !provider.allowed_domains.includes(domain)) {
+    const error = new Error(`Email addresses at ${domain} cannot sign in with ${provider.name}`);
+    error.code = 'FEDERATION_DOMAIN_NOT_ALLOWED';
+    throw error;
+  }
+
+  const user = await User.findOne({ where: { email: claims.email, deleted_at: null } });
+
+  if (user) {
+    // A provider only vouches for accounts on its own campus
+    if (user.campus_id !== provider.campus_id) {
+      const error = new Error(`${provider.name} cannot sign in accounts from another campus`);
+      error.code = 'FEDERATION_CAMPUS_MISMATCH';
+      throw error;
+    }
+
+    await linkIdentity(user.id, provider, subject, claims.email, 'email_match', context);
+    return user.id;
+  }
+
+  if (!provider.jit_enabled) {
+    const error = new Error('No account matches this identity. Contact your campus administration office');
+    error.code = 'FEDERATION_NO_ACCOUNT';
+    throw error;
+  }
+
+  if (!claims.name || !claims.phone) {
+    const error = new Error('The identity provider did not share the name and phone number needed to create an account');
+    error.code = 'FEDERATION_CLAIMS_MISSING';
+    throw error;
+  }
+
+  // The account can only be reached through the provider, OTP or a password reset
+  const created = await createUser({
+    email: claims.email,
+    phone: claims.phone,
+    password: crypto.randomBytes(32).toString('base64url'),
+    name: claims.name,
+    role: provider.default_role,
+    campus_id: provider.campus_id
+  }, null);
+
+  await User.update({ email_verified_at: new Date() }, { where: { id: created.id } });
+  await linkIdentity(created.id, provider, subject, claims.email, 'jit', context);
+
+  return created.id;
+};
+
+/**
+ * Handle the provider callback. Logins get a one-time code for the front-end to exchange;
+ * link requests attach the identity to the signed-in user.
+ * @param {string} slug - Provider slug
+ * @param {Object} params - Callback query (OIDC) or form body (SAML)
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { redirectUrl }
+ */
+export const handleFederatedCallback = async (slug, params, context = {}) => {
+  let provider = null;
+  let pending = null;
+
+  try {
+    provider = await findActiveProvider(slug);
+
+    // OIDC returns the state as-is; SAML carries it in RelayState.
+    // State is single use: claim it atomically so a replayed callback cannot complete twice
+    const state = params.state || params.RelayState;
+    pending = state ? await redisHelpers.getDel(`federation:state:${state}`) : null;
+
+    if (!pending || pending.providerId !== provider.id) {
+      const error = new Error('Sign-in request expired or was not started here. Try again');
+      error.code = 'FEDERATION_STATE_INVALID';
+      throw error;
+    }
+
+    const { subject, attributes } = await getAdapter(provider.protocol).handleCallback(provider, {
+      params,
+      stateData: pending,
+      ...getProviderUrls(provider)
+    });
+    const claims = mapClaims(provider, attributes);
+
+    if (pending.intent === 'link') {
+      const linkedTo = await FederatedIdentity.findOne({ where: { provider_id: provider.id, subject } });
+      if (linkedTo) {
+        const error = new Error(`This ${provider.name} identity is already linked to an account`);
+        error.code = 'FEDERATION_IDENTITY_IN_USE';
+        throw error;
+      }
+
+      await linkIdentity(pending.userId, provider, subject, claims.email, 'user', context);
+      return { redirectUrl: getFrontendRedirectUrl({ linked: provider.slug }) };
+    }
+
+    const userId = await resolveFederatedUser(provider, subject, claims, context);
+
+    const code = crypto.randomBytes(32).toString('hex');
+    await redisHelpers.set(`federation:login:${code}`, {
+      userId,
+      provider: provider.slug
+    }, config.federation.loginCodeExpiry);
+
+    return { redirectUrl: getFrontendRedirectUrl({ code }) };
+  } catch (error) {
+    console.error('Federated callback error:', error.message);
+
+    if (provider) {
+      await createAuditLog({
+        user_id: pending && pending.userId ? pending.userId : null,
+        action_type: 'federated_login_failed',
+        resource_type: 'identity_provider',
+        resource_id: provider.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { provider: provider.slug, reason: error.code || 'FEDERATION_ERROR', message: error.message }
+      });
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Exchange the one-time code from the callback redirect for a login session
+ * @param {string} code - Code from the front-end callback URL
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Object>} Session tokens, or an MFA challenge when the user has MFA enabled
+ */
+export const exchangeLoginCode = async (code, context = {}) => {
+  try {
+    // Single use: claim the code atomically so two concurrent exchanges cannot both log in
+    const pending = code ? await redisHelpers.getDel(`federation:login:${code}`) : null;
+
+    if (!pending) {
+      const error = new Error('Invalid or expired login code');
+      error.code = 'FEDERATION_CODE_INVALID';
+      throw error;
+    }
+
+    return await loginWithFederatedIdentity(pending.userId, pending.provider, context);
+  } catch (error) {
+    console.error('Exchange federated login code error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List the upstream identities linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Linked identities with their provider
+ */
+export const listLinkedIdentities = async (userId) => {
+  try {
+    const identities = await FederatedIdentity.findAll({
+      where: { user_id: userId },
+      include: [{
+        model: IdentityProvider,
+        as: 'provider',
+        attributes: ['id', 'slug', 'name', 'protocol']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return identities.map((identity) => identity.toJSON());
+  } catch (error) {
+    console.error('List linked identities error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Remove a linked upstream identity from a user's account
+ * @param {string} userId - User ID
+ * @param {string} identityId - FederatedIdentity ID
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} Success status
+ */
+export const unlinkIdentity = async (userId, identityId, context = {}) => {
+  try {
+    const identity = await FederatedIdentity.findOne({
+      where: { id: identityId, user_id: userId },
+      include: [{ model: IdentityProvider, as: 'provider', attributes: ['slug'] }]
+    });
+
+    if (!identity) {
+      const error = new Error('Linked identity not found');
+      error.code = 'IDENTITY_NOT_FOUND';
+      throw error;
+    }
+
+    await identity.destroy();
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'federated_identity_unlinked',
+      resource_type: 'federated_identity',
+      resource_id: identity.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { provider: identity.provider ? identity.provider.slug : null, subject: identity.subject }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Unlink identity error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  JIT_ROLES,
+  getFrontendRedirectUrl,
+  listProviders,
+  getProvider,
+  createProvider,
+  updateProvider,
+  getProviderMetadata,
+  startFederatedLogin,
+  handleFederatedCallback,
+  exchangeLoginCode,
+  listLinkedIdentities,
+  unlinkIdentity
+};
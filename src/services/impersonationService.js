@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Campus from '../models/Campus.js';
+import config from '../config/env.js';
+import { redisHelpers } from '../config/redis.js';
+import { generateImpersonationToken } from './tokenService.js';
+import { createAuditLog } from './auditService.js';
+
+const IMPERSONATION_KEY_PREFIX = 'impersonation:';
+
+/**
+ * Build the error returned when an impersonation is not permitted
+ * @param {string} message - Reason shown to the impersonator
+ * @returns {Error} Error with IMPERSONATION_NOT_ALLOWED code
+ */
+const createNotAllowedError = (message) => {
+  const error = new Error(message);
+  error.code = 'IMPERSONATION_NOT_ALLOWED';
+  return error;
+};
+
+/**
+ * Check that an impersonator may view the application as a target user.
+ * Super_Admins may impersonate any user with an IMPERSONATION_TARGET_ROLES role; Admins
+ * only users of their own campus, and only on campuses listed in IMPERSONATION_ADMIN_CAMPUSES.
+ * @param {Object} impersonator - Signed-in staff user
+ * @param {Object} target - User to impersonate
+ * @returns {Promise<void>}
+ * @throws {Error} IMPERSONATION_NOT_ALLOWED
+ */
+export const assertCanImpersonate = async (impersonator, target) => {
+  if (impersonator.id === target.id) {
+    throw createNotAllowedError('You cannot impersonate yourself');
+  }
+
+  if (!config.impersonation.targetRoles.includes(target.role)) {
+    throw createNotAllowedError(`Only users with these roles can be impersonated: ${config.impersonation.targetRoles.join(', ')}`);
+  }
+
+  if (target.account_status !== 'active') {
+    throw createNotAllowedError('Only active accounts can be impersonated');
+  }
+
+  if (impersonator.role === 'Super_Admin') {
+    return;
+  }
+
+  if (impersonator.role !== 'Admin' || impersonator.campus_id !== target.campus_id) {
+    throw createNotAllowedError('Admins can only impersonate users of their own campus');
+  }
+
+  const campus = await Campus.findByPk(impersonator.campus_id);
+  if (!campus || !config.impersonation.adminCampuses.includes(campus.code.toUpperCase())) {
+    throw createNotAllowedError('Impersonation by Admins is not enabled for this campus');
+  }
+};
+
+/**
+ * Start viewing the application as another user. Issues a short-lived access token for
+ * the target user that names the impersonator; no refresh token or session is created.
+ * @param {Object} impersonator - Signed-in Super_Admin or Admin (req.user)
+ * @param {string} targetUserId - User to impersonate
+ * @param {string} reason - Why the impersonation is needed (e.g. support ticket), kept in the audit log
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { accessToken, expiresIn, impersonation: { id, user, expires_at } }
+ */
+export const startImpersonation = async (impersonator, targetUserId, reason, context = {}) => {
+  try {
+    const target = await User.findOne({ where: { id: targetUserId, deleted_at: null } });
+
+    if (!target) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    await assertCanImpersonate(impersonator, target);
+
+    const id = crypto.randomUUID();
+    const expiresIn = config.impersonation.tokenExpiry;
+    const startedAt = new Date();
+    const expiresAt = new Date(startedAt.getTime() + expiresIn * 1000);
+
+    // The token only works while this record exists, so ending the impersonation revokes it
+    await redisHelpers.set(`${IMPERSONATION_KEY_PREFIX}${id}`, {
+      id,
+      impersonator_id: impersonator.id,
+      impersonator_role: impersonator.role,
+      user_id: target.id,
+      reason,
+      started_at: startedAt.toISOString(),
+      expires_at: expiresAt.toISOString()
+    }, expiresIn);
+
+    const accessToken = generateImpersonationToken({
+      user_id: target.id,
+      email: target.email,
+      role: target.role,
+      campus_id: target.campus_id,
+      impersonator_id: impersonator.id,
+      impersonation_id: id,
+      expiresIn
+    });
+
+    await createAuditLog({
+      user_id: target.id,
+      admin_id: impersonator.id,
+      action_type: 'impersonation_started',
+      resource_type: 'user',
+      resource_id: target.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { impersonation_id: id, reason, expires_at: expiresAt }
+    });
+
+    return {
+      accessToken,
+      expiresIn,
+      impersonation: {
+        id,
+        user: target.toSafeObject(),
+        expires_at: expiresAt
+      }
+    };
+  } catch (error) {
+    console.error('Start impersonation error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Look up an impersonation that is still in progress
+ * @param {string} impersonationId - Impersonation ID (the token's jti)
+ * @returns {Promise<Object|null>} Impersonation record, or null once ended or expired
+ */
+export const getImpersonation = async (impersonationId) => {
+  if (!impersonationId) {
+    return null;
+  }
+
+  return await redisHelpers.get(`${IMPERSONATION_KEY_PREFIX}${impersonationId}`);
+};
+
+/**
+ * End an impersonation; its token stops working immediately
+ * @param {Object} impersonation - Impersonation record (req.impersonation)
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const endImpersonation = async (impersonation, context = {}) => {
+  try {
+    await redisHelpers.del(`${IMPERSONATION_KEY_PREFIX}${impersonation.id}`);
+
+    await createAuditLog({
+      user_id: impersonation.user_id,
+      admin_id: impersonation.impersonator_id,
+      action_type: 'impersonation_ended',
+      resource_type: 'user',
+      resource_id: impersonation.user_id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: {
+        impersonation_id: impersonation.id,
+        duration_seconds: Math.round((Date.now() - new Date(impersonation.started_at).getTime()) / 1000)
+      }
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Record a request made with an impersonation token, once its response is known
+ * @param {Object} impersonation - Impersonation record
+ * @param {Object} request - { method, path, statusCode, ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const recordImpersonatedRequest = async (impersonation, request) => {
+  await createAuditLog({
+    user_id: impersonation.user_id,
+    admin_id: impersonation.impersonator_id,
+    action_type: 'impersonated_request',
+    resource_type: 'user',
+    resource_id: impersonation.user_id,
+    ip_address: request.ipAddress,
+    user_agent: request.userAgent,
+    details: {
+      impersonation_id: impersonation.id,
+      method: request.method,
+      path: request.path,
+      status_code: request.statusCode
+    }
+  });
+};
+
+export default {
+  assertCanImpersonate,
+  startImpersonation,
+  getImpersonation,
+  endImpersonation,
+  recordImpersonatedRequest
+};
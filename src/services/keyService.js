@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../config/env.js';
+
+export const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+const KEY_SET_FILE = path.resolve(config.jwt.keysFile);
+const KEY_RETENTION_MS = config.jwt.keyRetention * 1000;
+const KEY_SET_CACHE_MS = 60 * 1000; // Pick up rotations made by other instances within a minute
+const KEY_SET_RELOAD_INTERVAL_MS = 5 * 1000; // Unknown kids re-read the file at most this often
+
+let cachedKeySet = null;
+let cachedAt = 0;
+let lastReloadForKidAt = 0;
+
+/**
+ * Check whether an algorithm signs with a private key and verifies with a public key
+ * @param {string} algorithm - JWT algorithm (e.g., HS256, RS256, ES256)
+ * @returns {boolean} True for RS256/ES256
+ */
+export const isAsymmetricAlgorithm = (algorithm) => {
+  return ASYMMETRIC_ALGORITHMS.includes(algorithm);
+};
+
+/**
+ * Read the key set from disk, using the in-memory copy while it is fresh
+ * @param {boolean} forceReload - Bypass the in-memory copy
+ * @returns {Object} { activeKid, keys: [{ kid, alg, publicKey, privateKey, createdAt, retiredAt }] }
+ */
+export const loadKeySet = (forceReload = false) => {
+  if (!forceReload && cachedKeySet && Date.now() - cachedAt < KEY_SET_CACHE_MS) {
+    return cachedKeySet;
+  }
+
+  cachedKeySet = fs.existsSync(KEY_SET_FILE)
+    ? JSON.parse(fs.readFileSync(KEY_SET_FILE, 'utf8'))
+    : { activeKid: null, keys: [] };
+  cachedAt = Date.now();
+
+  return cachedKeySet;
+};
+
+/**
+ * Write the key set to disk (private keys included, so the file is owner-readable only)
+ * @param {Object} keySet - Key set to persist
+ */
+const saveKeySet = (keySet) => {
+  fs.mkdirSync(path.dirname(KEY_SET_FILE), { recursive: true });
+  fs.writeFileSync(KEY_SET_FILE, JSON.stringify(keySet, null, 2), { mode: 0o600 });
+
+  cachedKeySet = keySet;
+  cachedAt = Date.now();
+};
+
+/**
+ * Generate a new signing key pair
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {Object} { kid, alg, publicKey, privateKey, createdAt, retiredAt }
+ */
+export const generateSigningKey = (algorithm) => {
+  if (!isAsymmetricAlgorithm(algorithm)) {
+    throw new Error(`Unsupported key algorithm: ${algorithm}. Use one of: ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+  }
+
+  const { publicKey, privateKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    kid: crypto.randomUUID(),
+    alg: algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    createdAt: new Date().toISOString(),
+    retiredAt: null
+  };
+};
+
+/**
+ * Find the key that signs tokens for the configured algorithm: the active key, or after
+ * JWT_ALGORITHM was switched, the newest key staged for the new algorithm
+ * @param {Object} keySet - Key set
+ * @returns {Object|undefined} Signing key
+ */
+const findSigningKey = (keySet) => {
+  const algorithm = config.jwt.algorithm;
+
+  return keySet.keys.find(key => key.kid === keySet.activeKid && key.alg === algorithm)
+    || keySet.keys.find(key => !key.retiredAt && key.alg === algorithm);
+};
+
+/**
+ * Rotate the signing key.
+ * The new key signs all tokens from now on; the previous key is retired but kept
+ * for verification until tokens it signed have expired, then pruned.
+ * A key for another algorithm than JWT_ALGORITHM is only staged: it is published for
+ * verification but signs nothing until JWT_ALGORITHM is switched to its algorithm.
+ * @param {string} algorithm - RS256 or ES256 (default: configured JWT algorithm)
+ * @returns {Object} { kid, alg, staged, retiredKid, prunedKids }
+ */
+export const rotateSigningKey = (algorithm = config.jwt.algorithm) => {
+  const keySet = loadKeySet(true);
+  const newKey = generateSigningKey(algorithm);
+  const staged = algorithm !== config.jwt.algorithm;
+  const previousKey = staged ? null : findSigningKey(keySet);
+  const now = Date.now();
+
+  // Retire the key in use along with any key staged for the same algorithm
+  const keys = keySet.keys.map(key => (
+    !staged && !key.retiredAt && (key.kid === keySet.activeKid || key.alg === algorithm)
+      ? { ...key, retiredAt: new Date(now).toISOString() }
+      : key
+  ));
+
+  const retained = keys.filter(key => !key.retiredAt || now - new Date(key.retiredAt).getTime() < KEY_RETENTION_MS);
+  const prunedKids = keys.filter(key => !retained.includes(key)).map(key => key.kid);
+
+  saveKeySet({
+    activeKid: staged ? keySet.activeKid : newKey.kid,
+    keys: [newKey, ...retained]
+  });
+
+  return {
+    kid: newKey.kid,
+    alg: newKey.alg,
+    staged,
+    retiredKid: previousKey ? previousKey.kid : null,
+    prunedKids
+  };
+};
+
+/**
+ * Get the key used to sign new tokens
+ * @returns {Object} { key, kid, alg } - kid is undefined for HMAC algorithms
+ * @throws {Error} If an asymmetric algorithm is configured but no signing key exists
+ */
+export const getSigningKey = () => {
+  if (!isAsymmetricAlgorithm(config.jwt.algorithm)) {
+    return { key: config.jwt.secret, kid: undefined, alg: config.jwt.algorithm };
+  }
+
+  const signingKey = findSigningKey(loadKeySet());
+
+  if (!signingKey) {
+    throw new Error(`No active ${config.jwt.algorithm} signing key. Run "npm run keys:rotate" to create one`);
+  }
+
+  return { key: signingKey.privateKey, kid: signingKey.kid, alg: signingKey.alg };
+};
+
+/**
+ * Get the key used to verify a token, together with the algorithm it verifies.
+ * A token with a kid is verified with the algorithm recorded on that key, so tokens signed
+ * before JWT_ALGORITHM changed stay valid; a token without one needs the HMAC secret.
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} { key: secret or public key PEM, alg }, or null if the key is unknown
+ */
+export const getVerificationKey = (kid) => {
+  if (!kid) {
+    return isAsymmetricAlgorithm(config.jwt.algorithm)
+      ? null
+      : { key: config.jwt.secret, alg: config.jwt.algorithm };
+  }
+
+  let key = loadKeySet().keys.find(candidate => candidate.kid === kid);
+
+  // The key may have been added by a rotation on another instance. Re-reading the file blocks
+  // the event loop, so tokens with made-up kids must not trigger it on every request.
+  if (!key && Date.now() - lastReloadForKidAt >= KEY_SET_RELOAD_INTERVAL_MS) {
+    lastReloadForKidAt = Date.now();
+    key = loadKeySet(true).keys.find(candidate => candidate.kid === kid);
+  }
+
+  return key ? { key: key.publicKey, alg: key.alg } : null;
+};
+
+/**
+ * Build the public JSON Web Key Set for /.well-known/jwks.json
+ * @returns {Object} { keys: [JWK] }
+ */
+export const getJWKS = () => {
+  const keySet = loadKeySet();
+
+  return {
+    keys: keySet.keys.map(key => ({
+      ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+};
+
+export default {
+  ASYMMETRIC_ALGORITHMS,
+  isAsymmetricAlgorithm,
+  loadKeySet,
+  generateSigningKey,
+  rotateSigningKey,
+  getSigningKey,
+  getVerificationKey,
+  getJWKS
+};
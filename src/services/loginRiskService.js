@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import net from 'net';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import { sendSignInAlertEmail } from './emailService.js';
+import { sendSignInAlertSMS } from './smsService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { createAuditLog } from './auditService.js';
+
+const REVOKE_LINK_EXPIRY_SECONDS = 7 * 24 * 60 * 60; // "This wasn't me" link works for 7 days
+const MAX_REMEMBERED = 20; // Devices and networks kept per user
+const MIN_LOGINS_FOR_HOURS = 10; // Logins needed before the usual hours are trusted
+
+// Points each signal adds to the risk score
+export const RISK_WEIGHTS = {
+  new_device: 30,
+  new_network: 20,
+  unusual_hour: 15,
+  rapid_ip_change: 40
+};
+
+const historyKey = (userId) => `login_risk:history:${userId}`;
+
+/**
+ * Identify a device from its user agent. Version numbers are dropped so browser
+ * and OS updates do not look like a new device.
+ * @param {Object} context - Request context { userAgent, deviceInfo }
+ * @returns {string} Device fingerprint
+ */
+export const getDeviceFingerprint = (context = {}) => {
+  const deviceInfo = context.deviceInfo || {};
+  const userAgent = (deviceInfo.user_agent || context.userAgent || '')
+    .toLowerCase()
+    .replace(/\d+([._]\d+)*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return crypto
+    .createHash('sha256')
+    .update(`${deviceInfo.device_type || 'web'}|${userAgent}`)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+/**
+ * Reduce an IP address to its network: /24 for IPv4, /48 for IPv6
+ * @param {string} ipAddress - Client IP address
+ * @returns {string} Network prefix, or 'unknown'
+ */
+export const getNetwork = (ipAddress) => {
+  const ip = (ipAddress || '').replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(ip)) {
+    return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(ip)) {
+    // Expand "::" so the first three groups are always present
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = ip.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+
+  return 'unknown';
+};
+
+/**
+ * Hour of day (0-23) in the configured timezone
+ * @param {Date} date - Date
+ * @returns {number} Hour
+ */
+const getLocalHour = (date) => parseInt(new Intl.DateTimeFormat('en-GB', {
+  hour: 'numeric',
+  hourCycle: 'h23',
+  timeZone: config.loginRisk.timezone
+}).format(date), 10);
+
+/**
+ * Load a user's login history
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { logins, devices, networks, hours, last }
+ */
+const getHistory = async (userId) => {
+  const history = await redisHelpers.get(historyKey(userId));
+
+  return history || { logins: 0, devices: {}, networks: {}, hours: Array(24).fill(0), last: null };
+};
+
+/**
+ * Whether the user has completed a login from this device before
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context { userAgent, deviceInfo }
+ * @returns {Promise<boolean>}
+ */
+export const isKnownDevice = async (userId, context = {}) => {
+  const history = await redisHelpers.get(historyKey(userId));
+
+  return Boolean(history && history.devices[getDeviceFingerprint(context)]);
+};
+
+/**
+ * Map a score to the action taken
+ * @param {number} score - Risk score
+ * @returns {string} 'allow', 'alert', 'mfa' or 'block'
+ */
+const getAction = (score) => {
+  const { alertThreshold, mfaThreshold, blockThreshold } = config.loginRisk;
+
+  return score >= blockThreshold ? 'block' :
+         score >= mfaThreshold ? 'mfa' :
+         score >= alertThreshold ? 'alert' :
+         'allow';
+};
+
+/**
+ * Score a login against the user's device, network and time-of-day history.
+ * The first login has no history to compare with and is always allowed.
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @param {Date} now - Login time
+ * @returns {Promise<Object>} { score, action, signals, device, network }
+ */
+export const assessLoginRisk = async (user, context = {}, now = new Date()) => {
+  try {
+    const history = await getHistory(user.id);
+    const device = getDeviceFingerprint(context);
+    const network = getNetwork(context.ipAddress);
+
+    if (history.logins === 0) {
+      return { score: 0, action: 'allow', signals: ['first_login'], device, network };
+    }
+
+    const signals = [];
+
+    if (!history.devices[device]) {
+      signals.push('new_device');
+    }
+
+    if (!history.networks[network]) {
+      signals.push('new_network');
+    }
+
+    if (history.logins >= MIN_LOGINS_FOR_HOURS) {
+      const hour = getLocalHour(now);
+      const nearby = [hour + 23, hour, hour + 1].map(h => history.hours[h % 24]);
+      if (nearby.every(count => count === 0)) {
+        signals.push('unusual_hour');
+      }
+    }
+
+    if (history.last && history.last.network !== network &&
+        now - new Date(history.last.at) < config.loginRisk.rapidChangeWindow * 1000) {
+      signals.push('rapid_ip_change');
+    }
+
+    const score = signals.reduce((total, signal) => total + RISK_WEIGHTS[signal], 0);
+
+    return { score, action: getAction(score), signals, device, network };
+  } catch (error) {
+    console.error('Assess login risk error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Keep only the most recently seen entries
+ * @param {Object} entries - { key: { first_seen, last_seen, count } }
+ * @returns {Object}
+ */
+const trimEntries = (entries) => Object.fromEntries(
+  Object.entries(entries)
+    .sort(([, a], [, b]) => new Date(b.last_seen) - new Date(a.last_seen))
+    .slice(0, MAX_REMEMBERED)
+);
+
+const touchEntry = (entries, key, at) => {
+  const entry = entries[key] || { first_seen: at, count: 0 };
+  entries[key] = { ...entry, last_seen: at, count: entry.count + 1 };
+};
+
+/**
+ * Add a completed login to the user's history
+ * @param {string} userId - User ID
+ * @param {Object} assessment - Result of assessLoginRisk ({ device, network })
+ * @param {Date} now - Login time
+ * @returns {Promise<void>}
+ */
+export const recordLogin = async (userId, assessment, now = new Date()) => {
+  try {
+    const history = await getHistory(userId);
+    const at = now.toISOString();
+
+    touchEntry(history.devices, assessment.device, at);
+    touchEntry(history.networks, assessment.network, at);
+    history.devices = trimEntries(history.devices);
+    history.networks = trimEntries(history.networks);
+    history.hours[getLocalHour(now)]++;
+    history.logins++;
+    history.last = { network: assessment.network, at };
+
+    await redisHelpers.set(historyKey(userId), history, config.loginRisk.historyDays * 24 * 60 * 60);
+  } catch (error) {
+    console.error('Record login history error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Tell the user about a risky sign-in by email and SMS. Allowed sign-ins get a
+ * one-click "this wasn't me" link; blocked ones are only reported.
+ * Delivery failures are logged and do not affect the login.
+ * @param {Object} user - User instance
+ * @param {Object} assessment - Result of assessLoginRisk
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @param {Object} options - { blocked: true when the sign-in was refused }
+ * @returns {Promise<Object>} { revokeToken } (null when blocked)
+ */
+export const sendSignInAlert = async (user, assessment, context = {}, options = {}) => {
+  let revokeToken = null;
+
+  if (!options.blocked) {
+    revokeToken = crypto.randomBytes(32).toString('hex');
+    await redisHelpers.set(`login_risk:revoke:${revokeToken}`, {
+      userId: user.id,
+      signals: assessment.signals,
+      device: assessment.device,
+      network: assessment.network
+    }, REVOKE_LINK_EXPIRY_SECONDS);
+  }
+
+  const alert = {
+    blocked: Boolean(options.blocked),
+    time: new Date(),
+    ipAddress: context.ipAddress || 'unknown',
+    device: context.userAgent || 'Unknown device',
+    revokeToken
+  };
+
+  const deliveries = [];
+  if (user.email) {
+    deliveries.push(sendSignInAlertEmail(user.email, alert, user.name));
+  }
+  if (user.phone) {
+    deliveries.push(sendSignInAlertSMS(user.phone, alert));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Sign-in alert delivery error:', result.reason.message));
+
+  return { revokeToken };
+};
+
+/**
+ * Drop a device and network from the history so they count as new again
+ * @param {string} userId - User ID
+ * @param {Object} revocation - { signals, device, network }
+ * @returns {Promise<void>}
+ */
+const forgetLogin = async (userId, revocation) => {
+  const history = await redisHelpers.get(historyKey(userId));
+
+  if (!history) {
+    return;
+  }
+
+  // Only forget what this sign-in introduced
+  if (revocation.signals.includes('new_device')) {
+    delete history.devices[revocation.device];
+  }
+  if (revocation.signals.includes('new_network')) {
+    delete history.networks[revocation.network];
+  }
+
+  await redisHelpers.set(historyKey(userId), history, config.loginRisk.historyDays * 24 * 60 * 60);
+};
+
+/**
+ * "This wasn't me": sign out every device after a new sign-in alert.
+ * The device and network of that sign-in are forgotten so they are flagged again.
+ * @param {string} token - Revoke token from the alert
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { success }
+ */
+export const revokeSuspiciousLogin = async (token, context = {}) => {
+  try {
+    const revocation = await redisHelpers.get(`login_risk:revoke:${token}`);
+
+    if (!revocation) {
+      const error = new Error('Invalid or expired link');
+      error.code = 'SIGN_IN_REVOKE_TOKEN_INVALID';
+      throw error;
+    }
+
+    const user = await User.findOne({ where: { id: revocation.userId, deleted_at: null } });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    // Invalidate outstanding access tokens as well as sessions
+    await user.update({ token_version: user.token_version + 1 });
+    await redisHelpers.del(`login_risk:revoke:${token}`);
+    await revokeAllSessions(user.id);
+    await forgetLogin(user.id, revocation);
+
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'suspicious_login_revoked',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { signals: revocation.signals }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Revoke suspicious login error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  RISK_WEIGHTS,
+  getDeviceFingerprint,
+  getNetwork,
+  isKnownDevice,
+  assessLoginRisk,
+  recordLogin,
+  sendSignInAlert,
+  revokeSuspiciousLogin
+};
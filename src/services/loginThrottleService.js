@@ -0,0 +1,256 @@
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import { createAuditLog } from './auditService.js';
+import { findDevice } from './deviceService.js';
+
+const DEFENCE_KEY = 'login_throttle:defence';
+const VELOCITY_BUCKET_SECONDS = 60;
+
+const failuresKey = (subject) => `login_throttle:failures:${subject}`;
+const blockKey = (subject) => `login_throttle:block:${subject}`;
+const velocityKey = (bucket) => `login_throttle:velocity:${bucket}`;
+
+/**
+ * Whether defence mode is on because failed logins across the system are unusually frequent
+ * @returns {Promise<boolean>}
+ */
+export const isDefenceActive = async () => Boolean(await redisHelpers.get(DEFENCE_KEY));
+
+/**
+ * Current limits; stricter while defence mode is on
+ * @returns {Promise<Object>} { defence, accountMaxFailedAttempts, ipMaxFailedAttempts, authMaxRequests }
+ */
+export const getLimits = async () => {
+  const defence = await isDefenceActive();
+  const { loginThrottle, security } = config;
+
+  return {
+    defence,
+    accountMaxFailedAttempts: defence ? loginThrottle.defenceMaxFailedAttempts : security.maxFailedAttempts,
+    ipMaxFailedAttempts: defence ? loginThrottle.defenceIpMaxFailedAttempts : loginThrottle.ipMaxFailedAttempts,
+    authMaxRequests: defence ? loginThrottle.defenceAuthMaxRequests : config.rateLimit.authMaxRequests
+  };
+};
+
+/**
+ * Work out which failure count a login attempt belongs to. Each device the user has
+ * signed in with before has its own count; all other devices share one, so a lock
+ * caused by someone guessing the password never stops the user's own devices.
+ * Devices are recognised by the identifier the server issued to them at login, not by
+ * their user agent, which anyone can copy.
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context { deviceId }
+ * @returns {Promise<Object>} { subject, knownDevice }
+ */
+const getAccountScope = async (userId, context) => {
+  const device = await findDevice(userId, context.deviceId);
+
+  return {
+    subject: device ? `account:${userId}:device:${device.id}` : `account:${userId}:unknown`,
+    knownDevice: Boolean(device)
+  };
+};
+
+/**
+ * Seconds left on a backoff, or 0
+ * @param {string} subject - Throttle subject
+ * @returns {Promise<number>}
+ */
+const getRetryAfter = async (subject) => {
+  const ttl = await redisHelpers.ttl(blockKey(subject));
+  return ttl > 0 ? ttl : 0;
+};
+
+/**
+ * Check whether an IP address is backing off after repeated failed logins
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} { limited, retryAfter }
+ */
+export const checkIpThrottle = async (ipAddress) => {
+  try {
+    const retryAfter = await getRetryAfter(`ip:${ipAddress}`);
+    return { limited: retryAfter > 0, retryAfter };
+  } catch (error) {
+    console.error('Check IP throttle error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Check whether an account is locked for the device a login comes from
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context { deviceId }
+ * @returns {Promise<Object>} { locked, retryAfter, knownDevice }
+ */
+export const checkAccountThrottle = async (userId, context = {}) => {
+  try {
+    const { subject, knownDevice } = await getAccountScope(userId, context);
+    const retryAfter = await getRetryAfter(subject);
+
+    return { locked: retryAfter > 0, retryAfter, knownDevice };
+  } catch (error) {
+    console.error('Check account throttle error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Count a failure and start a backoff once the limit is reached. The backoff doubles
+ * with every further failure until the count expires.
+ * @param {string} subject - Throttle subject
+ * @param {Object} limits - { maxAttempts, baseSeconds, maxSeconds, windowSeconds }
+ * @returns {Promise<Object>} { failures, blockedFor } (blockedFor in seconds, 0 when not blocked)
+ */
+const registerFailure = async (subject, { maxAttempts, baseSeconds, maxSeconds, windowSeconds }) => {
+  const failures = await redisHelpers.incr(failuresKey(subject)) || 0;
+  const blockedFor = failures >= maxAttempts
+    ? Math.min(baseSeconds * 2 ** (failures - maxAttempts), maxSeconds)
+    : 0;
+
+  // Keep the count at least until the backoff is over
+  await redisHelpers.expire(failuresKey(subject), windowSeconds + blockedFor);
+
+  if (blockedFor > 0) {
+    await redisHelpers.set(blockKey(subject), { failures }, blockedFor);
+  }
+
+  return { failures, blockedFor };
+};
+
+/**
+ * Add a failed login to the system-wide velocity count and switch on defence mode
+ * when it crosses the threshold
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+const recordVelocity = async (context) => {
+  const { velocityThreshold, velocityWindow, defenceDuration } = config.loginThrottle;
+  const bucket = Math.floor(Date.now() / 1000 / VELOCITY_BUCKET_SECONDS);
+
+  const count = await redisHelpers.incr(velocityKey(bucket));
+  if (count === 1) {
+    await redisHelpers.expire(velocityKey(bucket), velocityWindow + VELOCITY_BUCKET_SECONDS);
+  }
+
+  let total = 0;
+  for (let i = 0; i < Math.ceil(velocityWindow / VELOCITY_BUCKET_SECONDS); i++) {
+    total += parseInt(await redisHelpers.get(velocityKey(bucket - i)) || '0', 10);
+  }
+
+  if (total < velocityThreshold) {
+    return;
+  }
+
+  const activated = await redisHelpers.setIfNotExists(DEFENCE_KEY, {
+    activated_at: new Date().toISOString(),
+    failed_logins: total
+  }, defenceDuration);
+
+  if (!activated) {
+    // Stay in defence mode while the attack goes on
+    await redisHelpers.expire(DEFENCE_KEY, defenceDuration);
+    return;
+  }
+
+  console.warn(`[LOGIN THROTTLE] ${total} failed logins in ${velocityWindow}s, defence mode on for ${defenceDuration}s`);
+
+  await createAuditLog({
+    action_type: 'login_defence_activated',
+    resource_type: 'system',
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: {
+      failed_logins: total,
+      window_seconds: velocityWindow,
+      duration_seconds: defenceDuration
+    }
+  });
+};
+
+/**
+ * Record a failed login against the IP address, the account (when known) and the
+ * system-wide velocity count
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceId }
+ * @param {string|null} userId - User ID, or null when no account matched
+ * @returns {Promise<Object>} { account: { failures, lockedFor, knownDevice } | null, ip: { failures, blockedFor }, defence }
+ */
+export const registerLoginFailure = async (context = {}, userId = null) => {
+  try {
+    const limits = await getLimits();
+    const { loginThrottle, security } = config;
+
+    const ip = await registerFailure(`ip:${context.ipAddress}`, {
+      maxAttempts: limits.ipMaxFailedAttempts,
+      baseSeconds: loginThrottle.ipBackoffBase,
+      maxSeconds: loginThrottle.ipBackoffMax,
+      windowSeconds: loginThrottle.ipFailureWindow
+    });
+
+    let account = null;
+    if (userId) {
+      const { subject, knownDevice } = await getAccountScope(userId, context);
+      const { failures, blockedFor } = await registerFailure(subject, {
+        maxAttempts: limits.accountMaxFailedAttempts,
+        baseSeconds: Math.ceil(security.accountLockDuration / 1000),
+        maxSeconds: Math.ceil(security.maxAccountLockDuration / 1000),
+        windowSeconds: loginThrottle.accountFailureWindow
+      });
+      account = { failures, lockedFor: blockedFor, knownDevice };
+    }
+
+    await recordVelocity(context);
+
+    return { account, ip, defence: limits.defence };
+  } catch (error) {
+    console.error('Register login failure error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Reset the account failure count for the device a successful login came from.
+ * Failures from unknown devices are only reset by a login from an unknown device,
+ * so signing in on a trusted laptop does not lift a lock an attacker caused.
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context { deviceId }
+ * @returns {Promise<void>}
+ */
+export const clearLoginFailures = async (userId, context = {}) => {
+  try {
+    const { subject } = await getAccountScope(userId, context);
+
+    await redisHelpers.del(failuresKey(subject));
+    await redisHelpers.del(blockKey(subject));
+  } catch (error) {
+    console.error('Clear login failures error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Remove every failure count and lock for an account (administrator unlock)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const clearAccountThrottle = async (userId) => {
+  try {
+    const keys = await redisHelpers.keys(`login_throttle:*:account:${userId}:*`);
+
+    for (const key of keys) {
+      await redisHelpers.del(key);
+    }
+  } catch (error) {
+    console.error('Clear account throttle error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  isDefenceActive,
+  getLimits,
+  checkIpThrottle,
+  checkAccountThrottle,
+  registerLoginFailure,
+  clearLoginFailures,
+  clearAccountThrottle
+};
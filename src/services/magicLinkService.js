@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+
+const MAGIC_LINK_EXPIRY_SECONDS = Math.floor(config.security.magicLinkExpiry / 1000); // Convert ms to seconds (600s = 10 minutes)
+
+/**
+ * Hash a device binding secret for storage and comparison
+ * @param {string} deviceToken - Device binding secret held by the requesting browser
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashDeviceToken = (deviceToken) => crypto.createHash('sha256').update(String(deviceToken)).digest('hex');
+
+/**
+ * Generate a single-use magic link token bound to the requesting browser.
+ * The token goes in the emailed link; the device token stays with the browser that asked for it,
+ * so the link only completes the login there.
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Object>} { token: string, deviceToken: string, expiresAt: Date }
+ */
+export const generateMagicLinkToken = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    // Only the latest link for a user is valid
+    await invalidateUserMagicLinks(userId);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const deviceToken = crypto.randomBytes(32).toString('hex');
+
+    const tokenKey = `magic:${token}`;
+    const tokenData = {
+      userId,
+      deviceHash: hashDeviceToken(deviceToken),
+      createdAt: new Date().toISOString()
+    };
+
+    const stored = await redisHelpers.set(tokenKey, tokenData, MAGIC_LINK_EXPIRY_SECONDS);
+
+    if (!stored) {
+      throw new Error('Failed to store magic link token in Redis');
+    }
+
+    // Store a reverse mapping (userId -> token) to enable invalidation of previous links
+    const userTokenKey = `magic:user:${userId}`;
+    await redisHelpers.set(userTokenKey, token, MAGIC_LINK_EXPIRY_SECONDS);
+
+    const expiresAt = new Date(Date.now() + (MAGIC_LINK_EXPIRY_SECONDS * 1000));
+
+    return {
+      token,
+      deviceToken,
+      expiresAt
+    };
+  } catch (error) {
+    console.error('Generate magic link token error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Put back a claimed token for the rest of its lifetime, unless it expired or a newer link
+ * replaced it in the meantime
+ * @param {string} token - Magic link token
+ * @param {Object} tokenData - Stored token data
+ * @returns {Promise<void>}
+ */
+const restoreMagicLinkToken = async (token, tokenData) => {
+  const elapsedSeconds = Math.floor((Date.now() - new Date(tokenData.createdAt).getTime()) / 1000);
+  const remainingSeconds = MAGIC_LINK_EXPIRY_SECONDS - elapsedSeconds;
+
+  if (remainingSeconds > 0 && await redisHelpers.get(`magic:user:${tokenData.userId}`) === token) {
+    await redisHelpers.set(`magic:${token}`, tokenData, remainingSeconds);
+  }
+};
+
+/**
+ * Verify a magic link token from the browser that requested it and consume it
+ * @param {string} token - Magic link token from the email
+ * @param {string} deviceToken - Device binding secret returned when the link was requested
+ * @returns {Promise<string>} User ID associated with the token
+ * @throws {Error} MAGIC_LINK_INVALID if the token is unknown, expired or used;
+ *   MAGIC_LINK_DEVICE_MISMATCH if it is opened on another browser
+ */
+export const consumeMagicLinkToken = async (token, deviceToken) => {
+  try {
+    if (!token) {
+      throw new Error('Magic link token is required');
+    }
+
+    // Claim the token atomically so two concurrent requests cannot both log in with it
+    const tokenKey = `magic:${token}`;
+    const tokenData = await redisHelpers.getDel(tokenKey);
+
+    if (!tokenData) {
+      const error = new Error('Invalid or expired login link');
+      error.code = 'MAGIC_LINK_INVALID';
+      throw error;
+    }
+
+    const expected = Buffer.from(tokenData.deviceHash, 'hex');
+    const actual = Buffer.from(hashDeviceToken(deviceToken || ''), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      // A mismatch does not consume the token, so the requesting browser can still use it
+      await restoreMagicLinkToken(token, tokenData);
+
+      const error = new Error('This login link must be opened in the browser where it was requested');
+      error.code = 'MAGIC_LINK_DEVICE_MISMATCH';
+      error.userId = tokenData.userId;
+      throw error;
+    }
+
+    await redisHelpers.del(`magic:user:${tokenData.userId}`);
+
+    return tokenData.userId;
+  } catch (error) {
+    console.error('Consume magic link token error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Invalidate the outstanding magic link for a user
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<boolean>} Success status
+ */
+export const invalidateUserMagicLinks = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const userTokenKey = `magic:user:${userId}`;
+    const currentToken = await redisHelpers.get(userTokenKey);
+
+    if (currentToken) {
+      await redisHelpers.del(`magic:${currentToken}`);
+      await redisHelpers.del(userTokenKey);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Invalidate magic links error:', error.message);
+    return false;
+  }
+};
+
+export default {
+  generateMagicLinkToken,
+  consumeMagicLinkToken,
+  invalidateUserMagicLinks
+};
@@ -1,9 +1,20 @@
 import crypto from 'crypto';
+import QRCode from 'qrcode';
 import { redisHelpers } from '../config/redis.js';
 import config from '../config/env.js';
+import User from '../models/User.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { generateTOTPSecret, verifyTOTP, buildOtpauthURI } from '../utils/totp.js';
+import { sendMFAEmail } from './emailService.js';
+import { sendOTP as sendOTPSMS } from './smsService.js';
+import { createAuditLog } from './auditService.js';
 
 const MFA_EXPIRY_SECONDS = 300; // 5 minutes
 const MAX_MFA_ATTEMPTS = 3;
+const TOTP_ENROLLMENT_EXPIRY_SECONDS = 600; // 10 minutes to scan and confirm
+const TOTP_LOCKOUT_SECONDS = 300; // 5 minutes
+const MAX_TOTP_ATTEMPTS = 5;
+const MFA_FRESHNESS_SECONDS = 300; // Step-up verification stays valid for 5 minutes
 
 /**
  * Generate a random 6-digit MFA code
@@ -36,6 +47,14 @@ export const sendMFACode = async (userId, method) => {
       throw new Error('Invalid method. Must be "email" or "sms"');
     }
 
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
     // Generate MFA code
     const code = generateMFACode();
 
@@ -54,18 +73,24 @@ export const sendMFACode = async (userId, method) => {
       throw new Error('Failed to store MFA code in Redis');
     }
 
-    // TODO: Integrate with email/SMS service to send the code
-    // For now, we'll log it (in production, this should be removed)
     if (config.nodeEnv === 'development') {
       console.log(`[DEV] MFA Code for user ${userId}: ${code} (via ${method})`);
     }
 
-    // In production, call the appropriate service:
-    // if (method === 'email') {
-    //   await emailService.sendMFAEmail(userEmail, code);
-    // } else if (method === 'sms') {
-    //   await smsService.sendSMS(userPhone, `Your MFA code is: ${code}`);
-    // }
+    // Deliver the code through the requested channel
+    try {
+      if (method === 'email') {
+        await sendMFAEmail(user.email, code, user.name);
+      } else {
+        await sendOTPSMS(user.phone, code);
+      }
+    } catch (deliveryError) {
+      // A code the user never received must not stay valid
+      await redisHelpers.del(mfaKey);
+      const error = new Error(`Failed to deliver MFA code via ${method}`);
+      error.code = 'MFA_DELIVERY_FAILED';
+      throw error;
+    }
 
     const expiresAt = new Date(Date.now() + (MFA_EXPIRY_SECONDS * 1000));
 
@@ -232,11 +257,429 @@ export const checkMFAStatus = async (userId) => {
   }
 };
 
+/**
+ * Start authenticator-app (TOTP) enrollment for a user
+ * The secret is held in Redis until the user confirms it with a first code
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (PNG data URL), expiresAt }
+ */
+export const startTOTPEnrollment = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    if (user.mfa_enabled) {
+      const error = new Error('Authenticator app is already enrolled. Ask an administrator to reset it first');
+      error.code = 'MFA_ALREADY_ENROLLED';
+      throw error;
+    }
+
+    const secret = generateTOTPSecret();
+    const otpauthUrl = buildOtpauthURI({
+      secret,
+      accountName: user.email,
+      issuer: config.mfa.totpIssuer
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { type: 'image/png', errorCorrectionLevel: 'M' });
+
+    // Keep the pending secret encrypted, even in Redis
+    const pendingKey = `mfa:totp:pending:${userId}`;
+    const stored = await redisHelpers.set(
+      pendingKey,
+      { secret: encrypt(secret), createdAt: new Date().toISOString() },
+      TOTP_ENROLLMENT_EXPIRY_SECONDS
+    );
+
+    if (!stored) {
+      throw new Error('Failed to store TOTP enrollment in Redis');
+    }
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode,
+      expiresAt: new Date(Date.now() + (TOTP_ENROLLMENT_EXPIRY_SECONDS * 1000))
+    };
+  } catch (error) {
+    console.error('Start TOTP enrollment error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a pending TOTP enrollment with the first code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { success: boolean, enrolledAt: Date }
+ */
+export const confirmTOTPEnrollment = async (userId, code, context = {}) => {
+  try {
+    if (!userId || !code) {
+      throw new Error('User ID and code are required');
+    }
+
+    const pendingKey = `mfa:totp:pending:${userId}`;
+    const pending = await redisHelpers.get(pendingKey);
+
+    if (!pending) {
+      const error = new Error('No pending authenticator enrollment found or it has expired');
+      error.code = 'MFA_ENROLLMENT_EXPIRED';
+      throw error;
+    }
+
+    const secret = decrypt(pending.secret);
+    const verification = verifyTOTP(secret, code, { window: config.mfa.totpWindow });
+
+    if (!verification.valid) {
+      const error = new Error('Invalid authenticator code');
+      error.code = 'MFA_INVALID';
+      throw error;
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const enrolledAt = new Date();
+
+    await user.update({
+      mfa_enabled: true,
+      mfa_totp_secret: secret, // Encrypted by model setter
+      mfa_enrolled_at: enrolledAt
+    });
+
+    await redisHelpers.del(pendingKey);
+
+    // The enrollment code counts as used
+    await redisHelpers.set(`mfa:totp:last:${userId}`, verification.timeStep, TOTP_LOCKOUT_SECONDS);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'mfa_enabled',
+      resource_type: 'user',
+      resource_id: userId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { method: 'totp' }
+    });
+
+    return {
+      success: true,
+      enrolledAt
+    };
+  } catch (error) {
+    console.error('Confirm TOTP enrollment error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Count a failed TOTP verification towards the temporary lockout
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Failed attempts in the current lockout window
+ */
+const recordTOTPFailure = async (userId) => {
+  const attemptsKey = `mfa:totp:attempts:${userId}`;
+  const attempts = await redisHelpers.incr(attemptsKey);
+
+  if (attempts === 1) {
+    await redisHelpers.expire(attemptsKey, TOTP_LOCKOUT_SECONDS);
+  }
+
+  return attempts;
+};
+
+/**
+ * Verify a TOTP code for an enrolled user
+ * Codes are single-use and repeated failures lock TOTP verification temporarily
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @param {Object} options - { countFailure: false when the caller decides whether a mismatch counts }
+ * @returns {Promise<Object>} { valid: boolean, attemptsRemaining: number, method: 'totp' }
+ */
+export const verifyTOTPCode = async (userId, code, { countFailure = true } = {}) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (!code) {
+      throw new Error('MFA code is required');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.mfa_enabled || !user.mfa_totp_secret) {
+      return { valid: false, attemptsRemaining: 0, method: 'totp' };
+    }
+
+    const attemptsKey = `mfa:totp:attempts:${userId}`;
+    const attempts = parseInt(await redisHelpers.get(attemptsKey) || '0', 10);
+
+    if (attempts >= MAX_TOTP_ATTEMPTS) {
+      return { valid: false, attemptsRemaining: 0, method: 'totp' };
+    }
+
+    const verification = verifyTOTP(user.mfa_totp_secret, code, { window: config.mfa.totpWindow });
+
+    // Reject a code whose time step was already accepted (replay)
+    const lastStepKey = `mfa:totp:last:${userId}`;
+    const lastStep = await redisHelpers.get(lastStepKey);
+    const isReplay = verification.valid && lastStep !== null && verification.timeStep <= Number(lastStep);
+
+    if (!verification.valid || isReplay) {
+      const newAttempts = countFailure ? (await recordTOTPFailure(userId) || attempts + 1) : attempts;
+
+      return {
+        valid: false,
+        attemptsRemaining: Math.max(0, MAX_TOTP_ATTEMPTS - newAttempts),
+        method: 'totp'
+      };
+    }
+
+    await redisHelpers.set(lastStepKey, verification.timeStep, TOTP_LOCKOUT_SECONDS);
+    await redisHelpers.del(attemptsKey);
+
+    return {
+      valid: true,
+      attemptsRemaining: MAX_TOTP_ATTEMPTS - attempts,
+      method: 'totp'
+    };
+  } catch (error) {
+    console.error('Verify TOTP code error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a second-factor code against the authenticator app and any emailed/SMS code.
+ * While a delivered code is pending, an enrolled user may enter either one, so asking for
+ * a fallback code does not stop the app from working; a failure counts against both only
+ * when neither matches.
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object>} { valid: boolean, attemptsRemaining: number, method: string }
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const status = await checkMFAStatus(userId);
+  const user = await User.findByPk(userId);
+  const totpEnrolled = Boolean(user && user.mfa_enabled && user.mfa_totp_secret);
+
+  if (!totpEnrolled) {
+    return await verifyMFACode(userId, code);
+  }
+
+  if (!status.exists) {
+    return await verifyTOTPCode(userId, code);
+  }
+
+  const totp = await verifyTOTPCode(userId, code, { countFailure: false });
+
+  if (totp.valid) {
+    // The fallback code is no longer needed
+    await deleteMFACode(userId);
+    return totp;
+  }
+
+  const delivered = await verifyMFACode(userId, code);
+
+  if (delivered.valid) {
+    return delivered;
+  }
+
+  const totpAttempts = await recordTOTPFailure(userId);
+
+  // The user can keep trying while either the delivered code or the app has attempts left
+  return {
+    valid: false,
+    attemptsRemaining: Math.max(delivered.attemptsRemaining, MAX_TOTP_ATTEMPTS - totpAttempts, 0)
+  };
+};
+
+/**
+ * Disable or reset a user's authenticator enrollment (Admin/Super_Admin operation)
+ * @param {string} userId - User whose enrollment is removed
+ * @param {string} adminId - Admin performing the reset
+ * @param {string} reason - Reason for the reset
+ * @returns {Promise<Object>} { success: boolean }
+ */
+export const disableTOTP = async (userId, adminId, reason = null) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const wasEnabled = user.mfa_enabled;
+
+    await user.update({
+      mfa_enabled: false,
+      mfa_totp_secret: null,
+      mfa_enrolled_at: null
+    });
+
+    await redisHelpers.del(`mfa:totp:pending:${userId}`);
+    await redisHelpers.del(`mfa:totp:attempts:${userId}`);
+    await redisHelpers.del(`mfa:totp:last:${userId}`);
+
+    await createAuditLog({
+      user_id: userId,
+      admin_id: adminId,
+      action_type: 'mfa_reset',
+      resource_type: 'user',
+      resource_id: userId,
+      details: {
+        method: 'totp',
+        was_enabled: wasEnabled,
+        reason: reason || 'No reason provided'
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Disable TOTP error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's MFA enrollment status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, methods, enrolledAt, enrollmentPending }
+ */
+export const getMFAEnrollment = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const enrollmentPending = await redisHelpers.exists(`mfa:totp:pending:${userId}`);
+
+    return {
+      enabled: user.mfa_enabled,
+      methods: getAvailableMethods(user),
+      enrolledAt: user.mfa_enrolled_at,
+      enrollmentPending
+    };
+  } catch (error) {
+    console.error('Get MFA enrollment error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List the second-factor methods a user can complete
+ * @param {Object} user - User instance
+ * @returns {string[]} Available methods (totp, email, sms)
+ */
+export const getAvailableMethods = (user) => {
+  const methods = [];
+
+  if (user.mfa_enabled) {
+    methods.push('totp');
+  }
+
+  if (user.email) {
+    methods.push('email');
+  }
+
+  if (user.phone) {
+    methods.push('sms');
+  }
+
+  return methods;
+};
+
+/**
+ * Record a successful MFA verification so sensitive operations in the same session can
+ * proceed without prompting again for a short period. Other sessions of the user are not covered.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the verification was made in
+ * @returns {Promise<Date|null>} When the verification stops being fresh, or null without a session
+ */
+export const markMFAVerified = async (userId, sessionId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    // Without a session (e.g. API keys) the verification only counts for the current request
+    if (!sessionId) {
+      return null;
+    }
+
+    const verifiedAt = new Date();
+    await redisHelpers.set(`mfa:fresh:${userId}:${sessionId}`, { verifiedAt: verifiedAt.toISOString() }, MFA_FRESHNESS_SECONDS);
+
+    return new Date(verifiedAt.getTime() + (MFA_FRESHNESS_SECONDS * 1000));
+  } catch (error) {
+    console.error('Mark MFA verified error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Check whether the user completed MFA in this session within the freshness window
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session making the request
+ * @returns {Promise<boolean>} True if a fresh verification exists
+ */
+export const hasRecentMFA = async (userId, sessionId) => {
+  try {
+    if (!userId || !sessionId) {
+      return false;
+    }
+
+    return await redisHelpers.exists(`mfa:fresh:${userId}:${sessionId}`);
+  } catch (error) {
+    console.error('Check recent MFA error:', error.message);
+    return false;
+  }
+};
+
 export default {
   generateMFACode,
   sendMFACode,
   verifyMFACode,
   incrementMFAAttempts,
   deleteMFACode,
-  checkMFAStatus
+  checkMFAStatus,
+  startTOTPEnrollment,
+  confirmTOTPEnrollment,
+  verifyTOTPCode,
+  verifySecondFactor,
+  disableTOTP,
+  getMFAEnrollment,
+  getAvailableMethods,
+  markMFAVerified,
+  hasRecentMFA
 };
@@ -0,0 +1,813 @@
+import crypto from 'crypto';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import Campus from '../models/Campus.js';
+import OAuthClient from '../models/OAuthClient.js';
+import OAuthConsent from '../models/OAuthConsent.js';
+import { generateTokens, generateIDToken, decodeToken, verifyToken } from './tokenService.js';
+import { createSession, isSessionValid, revokeSession } from './sessionService.js';
+import { calculateTokenExpiry, blacklistToken, isTokenBlacklisted } from './blacklistService.js';
+import { generateTokenId, createTokenFamily, isCurrentToken, revokeTokenFamily } from './refreshTokenService.js';
+import { refreshAccessToken } from './authService.js';
+import { enforceSessionLimit } from './sessionPolicyService.js';
+import { getImpersonation } from './impersonationService.js';
+import { createAuditLog } from './auditService.js';
+
+const CODE_EXPIRY_SECONDS = config.oidc.codeExpiry || 60;
+
+export const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'phone', 'campus'];
+
+// Shown on the consent screen
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Sign you in with your MSSU Connect account (user ID, role and campus)',
+  profile: 'Your name and profile picture',
+  email: 'Your email address',
+  phone: 'Your phone number',
+  campus: 'Your campus name and code'
+};
+
+const DEFAULT_CLIENT_SCOPES = ['openid', 'profile', 'email'];
+
+/**
+ * Create an error carrying an OAuth-style code (and optionally where to send the user back)
+ * @param {string} code - Error code (e.g. INVALID_GRANT)
+ * @param {string} message - Error message
+ * @param {string} redirectUrl - Client redirect carrying the error, once the redirect URI is trusted
+ * @returns {Error} Error with code
+ */
+const createOAuthError = (code, message, redirectUrl = null) => {
+  const error = new Error(message);
+  error.code = code;
+  if (redirectUrl) {
+    error.redirectUrl = redirectUrl;
+  }
+  return error;
+};
+
+/**
+ * Append query parameters to a client redirect URI
+ * @param {string} redirectUri - Registered redirect URI
+ * @param {Object} params - Parameters to add (undefined values are skipped)
+ * @returns {string} Redirect URL
+ */
+const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  return url.toString();
+};
+
+/**
+ * Hash a client secret for storage (secrets are random, so a fast hash is sufficient)
+ * @param {string} secret - Client secret
+ * @returns {string} SHA-256 hex digest
+ */
+const hashClientSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Check that a redirect URI is absolute, has no fragment, and uses HTTPS (HTTP only for localhost)
+ * @param {string} uri - Redirect URI
+ * @returns {boolean} True if acceptable
+ */
+const isValidRedirectUri = (uri) => {
+  try {
+    const url = new URL(uri);
+    const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+
+    return !url.hash && (url.protocol === 'https:' || (url.protocol === 'http:' && isLoopback));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Build the identity claims released for a set of scopes
+ * role and campus_id are always included so campus apps can authorize without extra calls
+ * @param {Object} user - User instance (with campus association when the campus scope is granted)
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Object} Claims
+ */
+const buildClaims = (user, scopes) => {
+  const claims = {
+    sub: user.id,
+    role: user.role,
+    campus_id: user.campus_id
+  };
+
+  if (scopes.includes('profile')) {
+    claims.name = user.name;
+    claims.picture = user.profile_picture_url || undefined;
+    claims.updated_at = user.updated_at ? Math.floor(new Date(user.updated_at).getTime() / 1000) : undefined;
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+  }
+
+  if (scopes.includes('phone') && user.phone) {
+    claims.phone_number = user.phone;
+  }
+
+  if (scopes.includes('campus') && user.campus) {
+    claims.campus = {
+      id: user.campus.id,
+      name: user.campus.name,
+      code: user.campus.code
+    };
+  }
+
+  return claims;
+};
+
+/**
+ * Load an active user with their campus
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User instance or null
+ */
+const findActiveUser = async (userId) => {
+  const user = await User.findOne({
+    where: { id: userId, deleted_at: null },
+    include: [{
+      model: Campus,
+      as: 'campus',
+      attributes: ['id', 'name', 'code']
+    }]
+  });
+
+  return user && user.account_status === 'active' ? user : null;
+};
+
+/**
+ * Register a campus app as an OpenID Connect client
+ * @param {Object} clientData - { name, redirect_uris, allowed_scopes, is_confidential }
+ * @param {string} adminId - Admin registering the client
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { client, clientSecret } - the secret is only returned once
+ */
+export const registerClient = async (clientData, adminId, context = {}) => {
+  try {
+    const { name, redirect_uris: redirectUris, allowed_scopes: allowedScopes = DEFAULT_CLIENT_SCOPES } = clientData;
+    const isConfidential = clientData.is_confidential !== false;
+
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isValidRedirectUri)) {
+      throw createOAuthError('VALIDATION_ERROR', 'Redirect URIs must be absolute HTTPS URLs without fragments (HTTP allowed for localhost)');
+    }
+
+    if (!allowedScopes.includes('openid') || !allowedScopes.every(scope => SUPPORTED_SCOPES.includes(scope))) {
+      throw createOAuthError('VALIDATION_ERROR', `Scopes must include openid and be one of: ${SUPPORTED_SCOPES.join(', ')}`);
+    }
+
+    const clientSecret = isConfidential ? crypto.randomBytes(32).toString('base64url') : null;
+
+    const client = await OAuthClient.create({
+      client_id: crypto.randomBytes(16).toString('hex'),
+      client_secret_hash: clientSecret ? hashClientSecret(clientSecret) : null,
+      name,
+      redirect_uris: [...new Set(redirectUris)],
+      allowed_scopes: [...new Set(allowedScopes)],
+      is_confidential: isConfidential,
+      created_by: adminId
+    });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'oauth_client_registered',
+      resource_type: 'oauth_client',
+      resource_id: client.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { client_id: client.client_id, name, is_confidential: isConfidential }
+    });
+
+    return {
+      client: client.toSafeObject(),
+      clientSecret
+    };
+  } catch (error) {
+    console.error('Register OAuth client error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List registered OAuth clients
+ * @returns {Promise<Array>} Clients without secret hashes
+ */
+export const listClients = async () => {
+  try {
+    const clients = await OAuthClient.findAll({ order: [['created_at', 'DESC']] });
+
+    return clients.map(client => client.toSafeObject());
+  } catch (error) {
+    console.error('List OAuth clients error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an OAuth client so it can no longer start grants or exchange tokens
+ * @param {string} id - OAuthClient primary key
+ * @param {string} adminId - Admin revoking the client
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} Success status
+ */
+export const revokeClient = async (id, adminId, context = {}) => {
+  try {
+    const client = await OAuthClient.findByPk(id);
+
+    if (!client) {
+      throw createOAuthError('CLIENT_NOT_FOUND', 'OAuth client not found');
+    }
+
+    await client.update({ is_active: false });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'oauth_client_revoked',
+      resource_type: 'oauth_client',
+      resource_id: client.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { client_id: client.client_id, name: client.name }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Revoke OAuth client error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Validate an authorization request (RFC 6749 §4.1.1 with mandatory PKCE)
+ * Client and redirect URI errors are never redirected; later errors carry a redirectUrl for the client
+ * @param {Object} params - { response_type, client_id, redirect_uri, scope, state, nonce, code_challenge, code_challenge_method }
+ * @returns {Promise<Object>} { client, redirectUri, scopes, state, nonce, codeChallenge }
+ */
+const validateAuthorizationRequest = async (params) => {
+  const client = params.client_id
+    ? await OAuthClient.findOne({ where: { client_id: params.client_id, is_active: true } })
+    : null;
+
+  if (!client) {
+    throw createOAuthError('INVALID_CLIENT', 'Unknown or inactive client');
+  }
+
+  if (!params.redirect_uri || !client.redirect_uris.includes(params.redirect_uri)) {
+    throw createOAuthError('INVALID_REDIRECT_URI', 'Redirect URI is not registered for this client');
+  }
+
+  const errorRedirect = (error) => buildRedirectUrl(params.redirect_uri, { error, state: params.state });
+
+  if (params.response_type !== 'code') {
+    throw createOAuthError('UNSUPPORTED_RESPONSE_TYPE', 'Only the authorization code flow is supported', errorRedirect('unsupported_response_type'));
+  }
+
+  const scopes = [...new Set(String(params.scope || '').split(' ').filter(Boolean))];
+
+  if (!scopes.includes('openid') || !scopes.every(scope => client.allowed_scopes.includes(scope))) {
+    throw createOAuthError('INVALID_SCOPE', 'Requested scopes must include openid and be allowed for this client', errorRedirect('invalid_scope'));
+  }
+
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    throw createOAuthError('INVALID_REQUEST', 'PKCE is required: send code_challenge with code_challenge_method=S256', errorRedirect('invalid_request'));
+  }
+
+  return {
+    client,
+    redirectUri: params.redirect_uri,
+    scopes,
+    state: params.state,
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge
+  };
+};
+
+/**
+ * Get the data needed to render the consent screen for an authorization request
+ * @param {string} userId - Signed-in user
+ * @param {Object} params - Authorization request parameters
+ * @returns {Promise<Object>} { client, scopes: [{ name, description }], consentRequired }
+ */
+export const getAuthorizationRequest = async (userId, params) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+
+    const consent = await OAuthConsent.findOne({
+      where: { user_id: userId, client_id: request.client.id }
+    });
+
+    const consentRequired = !consent || !request.scopes.every(scope => consent.scopes.includes(scope));
+
+    return {
+      client: {
+        client_id: request.client.client_id,
+        name: request.client.name
+      },
+      scopes: request.scopes.map(scope => ({ name: scope, description: SCOPE_DESCRIPTIONS[scope] })),
+      consentRequired
+    };
+  } catch (error) {
+    console.error('Get authorization request error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Approve an authorization request and issue a single-use authorization code
+ * @param {string} userId - Signed-in user granting access
+ * @param {Object} params - Authorization request parameters
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { redirectUrl } - client redirect carrying code and state
+ */
+export const approveAuthorization = async (userId, params, context = {}) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+    const user = await findActiveUser(userId);
+
+    if (!user) {
+      throw createOAuthError('ACCESS_DENIED', 'Account is not active', buildRedirectUrl(request.redirectUri, {
+        error: 'access_denied',
+        state: request.state
+      }));
+    }
+
+    // Remember the approval so the consent screen is skipped next time for the same scopes
+    const consent = await OAuthConsent.findOne({
+      where: { user_id: userId, client_id: request.client.id }
+    });
+
+    if (consent) {
+      await consent.update({ scopes: [...new Set([...consent.scopes, ...request.scopes])] });
+    } else {
+      await OAuthConsent.create({ user_id: userId, client_id: request.client.id, scopes: request.scopes });
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await redisHelpers.set(`oidc:code:${code}`, {
+      clientId: request.client.client_id,
+      userId,
+      redirectUri: request.redirectUri,
+      scope: request.scopes.join(' '),
+      nonce: request.nonce || null,
+      codeChallenge: request.codeChallenge,
+      authTime: Math.floor(new Date(user.last_login_at || Date.now()).getTime() / 1000)
+    }, CODE_EXPIRY_SECONDS);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'oauth_authorization_granted',
+      resource_type: 'oauth_client',
+      resource_id: request.client.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { client_id: request.client.client_id, scopes: request.scopes }
+    });
+
+    return {
+      redirectUrl: buildRedirectUrl(request.redirectUri, { code, state: request.state })
+    };
+  } catch (error) {
+    console.error('Approve authorization error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Deny an authorization request
+ * @param {string} userId - Signed-in user
+ * @param {Object} params - Authorization request parameters
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { redirectUrl } - client redirect carrying error=access_denied
+ */
+export const denyAuthorization = async (userId, params, context = {}) => {
+  try {
+    const request = await validateAuthorizationRequest(params);
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'oauth_authorization_denied',
+      resource_type: 'oauth_client',
+      resource_id: request.client.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { client_id: request.client.client_id, scopes: request.scopes }
+    });
+
+    return {
+      redirectUrl: buildRedirectUrl(request.redirectUri, { error: 'access_denied', state: request.state })
+    };
+  } catch (error) {
+    console.error('Deny authorization error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Authenticate a client at the token endpoint
+ * @param {string} clientId - client_id
+ * @param {string} clientSecret - client_secret (required for confidential clients)
+ * @returns {Promise<Object>} OAuthClient instance
+ */
+const authenticateClient = async (clientId, clientSecret) => {
+  const client = clientId
+    ? await OAuthClient.findOne({ where: { client_id: clientId, is_active: true } })
+    : null;
+
+  if (!client) {
+    throw createOAuthError('INVALID_CLIENT', 'Client authentication failed');
+  }
+
+  if (client.is_confidential) {
+    const presented = Buffer.from(hashClientSecret(String(clientSecret || '')));
+    const expected = Buffer.from(client.client_secret_hash);
+
+    if (!clientSecret || !crypto.timingSafeEqual(presented, expected)) {
+      throw createOAuthError('INVALID_CLIENT', 'Client authentication failed');
+    }
+  }
+
+  return client;
+};
+
+/**
+ * Exchange an authorization code for tokens (authorization_code grant)
+ * Each grant gets its own session, so it appears in (and can be revoked from) the user's session list
+ * @param {Object} params - { code, redirect_uri, client_id, client_secret, code_verifier }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} OAuth token response
+ */
+export const exchangeAuthorizationCode = async (params, context = {}) => {
+  try {
+    const client = await authenticateClient(params.client_id, params.client_secret);
+
+    if (!params.code) {
+      throw createOAuthError('INVALID_REQUEST', 'code is required');
+    }
+
+    // Codes are single use: claim the code atomically so concurrent requests cannot both redeem it
+    const grant = await redisHelpers.getDel(`oidc:code:${params.code}`);
+
+    if (!grant || grant.clientId !== client.client_id || grant.redirectUri !== params.redirect_uri) {
+      throw createOAuthError('INVALID_GRANT', 'Authorization code is invalid or expired');
+    }
+
+    const verifierHash = crypto.createHash('sha256').update(String(params.code_verifier || '')).digest('base64url');
+
+    if (!params.code_verifier || verifierHash.length !== grant.codeChallenge.length ||
+        !crypto.timingSafeEqual(Buffer.from(verifierHash), Buffer.from(grant.codeChallenge))) {
+      throw createOAuthError('INVALID_GRANT', 'PKCE verification failed');
+    }
+
+    const user = await findActiveUser(grant.userId);
+
+    if (!user) {
+      throw createOAuthError('INVALID_GRANT', 'Authorization code is invalid or expired');
+    }
+
+    const scopes = grant.scope.split(' ');
+    const deviceInfo = {
+      device_type: 'oauth',
+      device_name: client.name,
+      user_agent: context.userAgent || ''
+    };
+
+    // Client sessions count towards the role's concurrent session limit like any other
+    try {
+      await enforceSessionLimit(user, { ...context, deviceInfo });
+    } catch (error) {
+      if (error.code === 'SESSION_LIMIT_REACHED') {
+        throw createOAuthError('INVALID_GRANT', error.message);
+      }
+      throw error;
+    }
+
+    const sessionId = await createSession(user.id, deviceInfo, context.ipAddress || 'unknown');
+
+    const refreshTokenId = generateTokenId();
+    const tokens = generateTokens({
+      user_id: user.id,
+      email: user.email,
+      role: user.role,
+      campus_id: user.campus_id,
+      token_version: user.token_version,
+      session_id: sessionId,
+      jti: refreshTokenId,
+      client_id: client.client_id,
+      scope: grant.scope
+    });
+
+    await createTokenFamily(user.id, sessionId, refreshTokenId, calculateTokenExpiry(tokens.refreshToken));
+
+    const idToken = generateIDToken(buildClaims(user, scopes), {
+      audience: client.client_id,
+      nonce: grant.nonce,
+      authTime: grant.authTime,
+      sessionId
+    });
+
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'oauth_token_issued',
+      resource_type: 'oauth_client',
+      resource_id: client.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { client_id: client.client_id, grant_type: 'authorization_code', scope: grant.scope, session_id: sessionId }
+    });
+
+    return {
+      access_token: tokens.accessToken,
+      token_type: 'Bearer',
+      expires_in: calculateTokenExpiry(tokens.accessToken),
+      refresh_token: tokens.refreshToken,
+      id_token: idToken,
+      scope: grant.scope
+    };
+  } catch (error) {
+    console.error('Exchange authorization code error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Exchange a client's refresh token for a new token pair (refresh_token grant)
+ * @param {Object} params - { refresh_token, client_id, client_secret }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} OAuth token response
+ */
+export const refreshClientToken = async (params, context = {}) => {
+  try {
+    const client = await authenticateClient(params.client_id, params.client_secret);
+
+    if (!params.refresh_token) {
+      throw createOAuthError('INVALID_REQUEST', 'refresh_token is required');
+    }
+
+    let tokens;
+    try {
+      tokens = await refreshAccessToken(params.refresh_token, context, { clientId: client.client_id });
+    } catch (error) {
+      if (error.code === 'INTERNAL_ERROR' || !error.code) {
+        throw error;
+      }
+      throw createOAuthError('INVALID_GRANT', error.message);
+    }
+
+    return {
+      access_token: tokens.accessToken,
+      token_type: 'Bearer',
+      expires_in: calculateTokenExpiry(tokens.accessToken),
+      refresh_token: tokens.refreshToken,
+      scope: decodeToken(tokens.accessToken).scope
+    };
+  } catch (error) {
+    console.error('Refresh client token error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build the UserInfo response for an access token
+ * @param {string} userId - Token subject
+ * @param {string} scope - Space-separated scopes from the access token (first-party tokens have none)
+ * @returns {Promise<Object>} Claims
+ */
+export const getUserInfo = async (userId, scope) => {
+  try {
+    const user = await findActiveUser(userId);
+
+    if (!user) {
+      throw createOAuthError('USER_NOT_FOUND', 'User not found');
+    }
+
+    const scopes = scope ? scope.split(' ') : DEFAULT_CLIENT_SCOPES;
+
+    return buildClaims(user, scopes);
+  } catch (error) {
+    console.error('Get user info error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a token and check that it is still usable, as authenticate() and the refresh grant would:
+ * not blacklisted, its user active and not locked, its token_version current, its session (or
+ * impersonation) not ended, and its client still registered.
+ * Refresh tokens must also be their family's current token.
+ * @param {string} token - Access or refresh token
+ * @returns {Promise<Object|null>} Decoded token, or null if the token is not active
+ */
+const getActiveToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  // MFA pending tokens only complete a login
+  if (decoded.type !== 'access' && decoded.type !== 'refresh') {
+    return null;
+  }
+
+  if (await isTokenBlacklisted(token)) {
+    return null;
+  }
+
+  const user = await User.findOne({ where: { id: decoded.user_id, deleted_at: null } });
+
+  if (!user || user.account_status !== 'active' || user.isLocked()) {
+    return null;
+  }
+
+  // Impersonation tokens are bound to their impersonation; every other token to a session
+  if (!decoded.act) {
+    if (!decoded.sid || decoded.token_version !== user.token_version ||
+        !(await isSessionValid(user.id, decoded.sid))) {
+      return null;
+    }
+  }
+
+  if (decoded.type === 'refresh' && !(await isCurrentToken(user.id, decoded.sid, decoded.jti))) {
+    return null;
+  }
+
+  if (decoded.act) {
+    const impersonation = await getImpersonation(decoded.jti);
+
+    if (!impersonation || impersonation.user_id !== decoded.user_id || impersonation.impersonator_id !== decoded.act.sub) {
+      return null;
+    }
+  }
+
+  if (decoded.client_id) {
+    const client = await OAuthClient.findOne({ where: { client_id: decoded.client_id, is_active: true } });
+
+    if (!client) {
+      return null;
+    }
+  }
+
+  return decoded;
+};
+
+/**
+ * Token introspection for resource servers (RFC 7662)
+ * Only confidential clients may introspect, so tokens cannot be probed with a public client_id.
+ * token_type_hint is accepted but not needed: the type is read from the token itself.
+ * @param {Object} params - { token, token_type_hint, client_id, client_secret }
+ * @returns {Promise<Object>} { active: false } or { active: true, ...claims }
+ */
+export const introspectToken = async (params) => {
+  try {
+    const client = await authenticateClient(params.client_id, params.client_secret);
+
+    if (!client.is_confidential) {
+      throw createOAuthError('UNAUTHORIZED_CLIENT', 'Only confidential clients can introspect tokens');
+    }
+
+    if (!params.token) {
+      throw createOAuthError('INVALID_REQUEST', 'token is required');
+    }
+
+    const decoded = await getActiveToken(params.token);
+
+    if (!decoded) {
+      return { active: false };
+    }
+
+    return {
+      active: true,
+      token_type: decoded.type === 'access' ? 'access_token' : 'refresh_token',
+      scope: decoded.scope,
+      client_id: decoded.client_id,
+      username: decoded.email,
+      sub: decoded.user_id,
+      role: decoded.role,
+      campus_id: decoded.campus_id,
+      sid: decoded.sid,
+      act: decoded.act,
+      jti: decoded.jti,
+      iat: decoded.iat,
+      exp: decoded.exp
+    };
+  } catch (error) {
+    console.error('Introspect token error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Token revocation (RFC 7009)
+ * Clients revoke tokens issued to them. Revoking a refresh token also ends its session and
+ * refresh token family. Invalid and expired tokens are ignored, as the RFC requires.
+ * @param {Object} params - { token, token_type_hint, client_id, client_secret }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} True if a token was revoked
+ */
+export const revokeToken = async (params, context = {}) => {
+  try {
+    const client = await authenticateClient(params.client_id, params.client_secret);
+
+    if (!params.token) {
+      throw createOAuthError('INVALID_REQUEST', 'token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(params.token);
+    } catch (error) {
+      return false;
+    }
+
+    if (decoded.type !== 'access' && decoded.type !== 'refresh') {
+      return false;
+    }
+
+    if (decoded.client_id !== client.client_id) {
+      throw createOAuthError('UNAUTHORIZED_CLIENT', 'Token was not issued to this client');
+    }
+
+    const expiresIn = calculateTokenExpiry(params.token);
+    if (expiresIn > 0) {
+      await blacklistToken(params.token, expiresIn, 'client_revocation');
+    }
+
+    if (decoded.type === 'refresh' && decoded.sid) {
+      await revokeTokenFamily(decoded.sid);
+      await revokeSession(decoded.sid, decoded.user_id);
+    }
+
+    await createAuditLog({
+      user_id: decoded.user_id,
+      action_type: 'oauth_token_revoked',
+      resource_type: 'user',
+      resource_id: decoded.user_id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: {
+        client_id: client.client_id,
+        token_type: decoded.type === 'access' ? 'access_token' : 'refresh_token',
+        session_id: decoded.sid
+      }
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Revoke token error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build the OpenID Provider discovery document
+ * @returns {Object} /.well-known/openid-configuration contents
+ */
+export const getDiscoveryDocument = () => {
+  const issuer = config.oidc.issuer;
+  const apiBase = `${issuer}/api/${config.apiVersion}/oauth`;
+
+  return {
+    issuer,
+    authorization_endpoint: config.oidc.authorizationEndpoint || `${apiBase}/authorize`,
+    token_endpoint: `${apiBase}/token`,
+    userinfo_endpoint: `${apiBase}/userinfo`,
+    introspection_endpoint: `${issuer}/api/${config.apiVersion}/auth/introspect`,
+    revocation_endpoint: `${issuer}/api/${config.apiVersion}/auth/revoke`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [config.jwt.algorithm],
+    scopes_supported: SUPPORTED_SCOPES,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'role', 'campus_id', 'name', 'picture', 'updated_at', 'email', 'phone_number', 'campus', 'nonce', 'auth_time', 'sid']
+  };
+};
+
+export default {
+  SUPPORTED_SCOPES,
+  registerClient,
+  listClients,
+  revokeClient,
+  getAuthorizationRequest,
+  approveAuthorization,
+  denyAuthorization,
+  exchangeAuthorizationCode,
+  refreshClientToken,
+  getUserInfo,
+  introspectToken,
+  revokeToken,
+  getDiscoveryDocument
+};
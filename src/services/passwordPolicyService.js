@@ -0,0 +1,515 @@
+import { Op } from 'sequelize';
+import User from '../models/User.js';
+import PasswordHistory from '../models/PasswordHistory.js';
+import PasswordPolicy from '../models/PasswordPolicy.js';
+import Campus from '../models/Campus.js';
+import config from '../config/env.js';
+import {
+  verifyPassword,
+  hashPassword,
+  needsRehash,
+  getPasswordHashInfo,
+  getPasswordHashTarget,
+  getDefaultPasswordRules
+} from './passwordService.js';
+import { createAuditLog } from './auditService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_FIELDS = [
+  'min_length',
+  'require_uppercase',
+  'require_lowercase',
+  'require_number',
+  'require_symbol',
+  'min_strength_score'
+];
+
+/**
+ * How specific a policy is for a campus and role; the most specific policy wins.
+ * A role-wide policy beats a campus-wide one so that rules such as "Super_Admins
+ * need 14 characters" cannot be weakened by a campus default.
+ * @param {Object} policy - PasswordPolicy instance
+ * @returns {number} 3 (campus and role), 2 (role), 1 (campus) or 0 (everyone)
+ */
+const getPolicyRank = (policy) => (policy.role ? 2 : 0) + (policy.campus_id ? 1 : 0);
+
+/**
+ * Shape a policy for API responses
+ * @param {Object} policy - PasswordPolicy instance
+ * @returns {Object} Policy fields
+ */
+const formatPolicy = (policy) => ({
+  id: policy.id,
+  campus_id: policy.campus_id,
+  role: policy.role,
+  ...Object.fromEntries(RULE_FIELDS.map(field => [field, policy[field]])),
+  created_by: policy.created_by,
+  updated_by: policy.updated_by,
+  created_at: policy.createdAt,
+  updated_at: policy.updatedAt
+});
+
+/**
+ * Build the error returned when a policy ID does not exist
+ * @returns {Error} Error with POLICY_NOT_FOUND code
+ */
+const createPolicyNotFoundError = () => {
+  const error = new Error('Password policy not found');
+  error.code = 'POLICY_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Password rules that apply to a campus and role. The most specific password policy
+ * wins (campus and role, then role, then campus, then everyone); the built-in rules
+ * apply when no policy matches.
+ * @param {Object} scope - { campus_id, role }; either may be omitted
+ * @returns {Promise<Object>} Rules with the matching policy's ID (null for the built-in rules)
+ */
+export const getPasswordRules = async ({ campus_id = null, role = null } = {}) => {
+  try {
+    const policies = await PasswordPolicy.findAll({
+      where: {
+        campus_id: campus_id ? { [Op.or]: [campus_id, null] } : null,
+        role: role ? { [Op.or]: [role, null] } : null
+      }
+    });
+
+    const [policy] = policies.sort((a, b) => getPolicyRank(b) - getPolicyRank(a));
+    const defaults = getDefaultPasswordRules();
+
+    if (!policy) {
+      return { policy_id: null, ...defaults };
+    }
+
+    return {
+      policy_id: policy.id,
+      ...Object.fromEntries(RULE_FIELDS.map(field => [field, policy[field] ?? defaults[field]]))
+    };
+  } catch (error) {
+    console.error('Get password rules error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List password policies
+ * @param {Object} filters - { campus_id, role }
+ * @returns {Promise<Array>} Policies, everyone-wide first
+ */
+export const listPasswordPolicies = async (filters = {}) => {
+  try {
+    const where = {};
+    if (filters.campus_id) {
+      where.campus_id = filters.campus_id;
+    }
+    if (filters.role) {
+      where.role = filters.role;
+    }
+
+    const policies = await PasswordPolicy.findAll({
+      where,
+      order: [['campus_id', 'ASC NULLS FIRST'], ['role', 'ASC NULLS FIRST']]
+    });
+
+    return policies.map(formatPolicy);
+  } catch (error) {
+    console.error('List password policies error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create a password policy for a campus, a role, both, or everyone
+ * @param {Object} data - { campus_id, role, min_length, require_uppercase, require_lowercase, require_number, require_symbol, min_strength_score }
+ * @param {string} adminId - Super_Admin creating the policy
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created policy
+ */
+export const createPasswordPolicy = async (data, adminId, context = {}) => {
+  try {
+    const campus_id = data.campus_id || null;
+    const role = data.role || null;
+
+    const existing = await PasswordPolicy.findOne({ where: { campus_id, role } });
+    if (existing) {
+      const error = new Error('A password policy for this campus and role already exists');
+      error.code = 'POLICY_EXISTS';
+      throw error;
+    }
+
+    if (campus_id && !(await Campus.findByPk(campus_id))) {
+      const error = new Error('Campus not found');
+      error.code = 'CAMPUS_NOT_FOUND';
+      throw error;
+    }
+
+    const rules = {};
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) {
+        rules[field] = data[field];
+      }
+    }
+
+    const policy = await PasswordPolicy.create({
+      campus_id,
+      role,
+      ...rules,
+      created_by: adminId,
+      updated_by: adminId
+    });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'password_policy_created',
+      resource_type: 'password_policy',
+      resource_id: policy.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: formatPolicy(policy)
+    });
+
+    return formatPolicy(policy);
+  } catch (error) {
+    console.error('Create password policy error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Change a password policy's rules (its campus and role cannot change).
+ * New rules apply the next time a password is set; existing passwords are not affected.
+ * @param {string} policyId - PasswordPolicy ID
+ * @param {Object} updates - Rule fields to change
+ * @param {string} adminId - Super_Admin making the change
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated policy
+ */
+export const updatePasswordPolicy = async (policyId, updates, adminId, context = {}) => {
+  try {
+    const policy = await PasswordPolicy.findByPk(policyId);
+
+    if (!policy) {
+      throw createPolicyNotFoundError();
+    }
+
+    const changes = {};
+    for (const field of RULE_FIELDS) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+
+    await policy.update({ ...changes, updated_by: adminId });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'password_policy_updated',
+      resource_type: 'password_policy',
+      resource_id: policy.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { campus_id: policy.campus_id, role: policy.role, changes }
+    });
+
+    return formatPolicy(policy);
+  } catch (error) {
+    console.error('Update password policy error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete a password policy; users it covered fall back to the next most specific policy
+ * @param {string} policyId - PasswordPolicy ID
+ * @param {string} adminId - Super_Admin deleting the policy
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const deletePasswordPolicy = async (policyId, adminId, context = {}) => {
+  try {
+    const policy = await PasswordPolicy.findByPk(policyId);
+
+    if (!policy) {
+      throw createPolicyNotFoundError();
+    }
+
+    const details = formatPolicy(policy);
+    await policy.destroy();
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'password_policy_deleted',
+      resource_type: 'password_policy',
+      resource_id: policyId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details
+    });
+  } catch (error) {
+    console.error('Delete password policy error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Password lifetime for a role
+ * @param {string} role - User role
+ * @returns {number|null} Days, or null when passwords of this role do not expire
+ */
+export const getPasswordExpiryDays = (role) => {
+  const days = JSON.parse(config.passwordPolicy.expiryDays)[role];
+  return days > 0 ? days : null;
+};
+
+/**
+ * When a user's current password expires
+ * @param {Object} user - User instance
+ * @returns {Date|null} Expiry time, or null when it never expires
+ */
+export const getPasswordExpiresAt = (user) => {
+  const days = getPasswordExpiryDays(user.role);
+  const changedAt = user.password_changed_at || user.created_at || user.createdAt;
+
+  if (!days || !changedAt) {
+    return null;
+  }
+
+  return new Date(new Date(changedAt).getTime() + days * DAY_MS);
+};
+
+/**
+ * Whether a user's current password has expired
+ * @param {Object} user - User instance
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user, now = new Date()) => {
+  const expiresAt = getPasswordExpiresAt(user);
+  return Boolean(expiresAt && now >= expiresAt);
+};
+
+/**
+ * Whether a new password matches the current password or one of the recent ones
+ * kept in the password history
+ * @param {Object} user - User instance (with password_hash)
+ * @param {string} newPassword - Plain text password
+ * @returns {Promise<boolean>} True when the password was used recently
+ */
+export const isRecentPassword = async (user, newPassword) => {
+  try {
+    if (await verifyPassword(newPassword, user.password_hash)) {
+      return true;
+    }
+
+    // The current password counts as one of the remembered passwords
+    const limit = config.passwordPolicy.historyCount - 1;
+    if (limit <= 0) {
+      return false;
+    }
+
+    const history = await PasswordHistory.findAll({
+      where: { user_id: user.id },
+      order: [['created_at', 'DESC']],
+      limit,
+      attributes: ['password_hash']
+    });
+
+    for (const entry of history) {
+      if (await verifyPassword(newPassword, entry.password_hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  } catch (error) {
+    console.error('Check password history error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build the error returned when a new password was used recently
+ * @returns {Error} Error with PASSWORD_REUSED code
+ */
+export const createPasswordReusedError = () => {
+  const count = config.passwordPolicy.historyCount;
+  const error = new Error(count > 1
+    ? `New password must be different from your last ${count} passwords`
+    : 'New password must be different from current password');
+  error.code = 'PASSWORD_REUSED';
+  return error;
+};
+
+/**
+ * Remember a replaced password hash and drop entries beyond the history size
+ * @param {string} userId - User ID
+ * @param {string} passwordHash - Hash of the password being replaced
+ * @returns {Promise<void>}
+ */
+export const recordPasswordHistory = async (userId, passwordHash) => {
+  try {
+    const keep = config.passwordPolicy.historyCount - 1;
+
+    if (keep > 0 && passwordHash) {
+      await PasswordHistory.create({ user_id: userId, password_hash: passwordHash });
+    }
+
+    const stale = await PasswordHistory.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']],
+      offset: Math.max(keep, 0),
+      attributes: ['id']
+    });
+
+    if (stale.length > 0) {
+      await PasswordHistory.destroy({ where: { id: stale.map(entry => entry.id) } });
+    }
+  } catch (error) {
+    console.error('Record password history error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Require a password change when the user's local password has expired.
+ * Called after a successful local password login, so the user can change it straight away.
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} True when the user must change their password
+ */
+export const enforcePasswordExpiry = async (user, context = {}) => {
+  if (user.must_change_password || !isPasswordExpired(user)) {
+    return Boolean(user.must_change_password);
+  }
+
+  const expiredAt = getPasswordExpiresAt(user);
+
+  await user.update({ must_change_password: true });
+
+  await createAuditLog({
+    user_id: user.id,
+    action_type: 'password_expired',
+    resource_type: 'user',
+    resource_id: user.id,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent,
+    details: {
+      expired_at: expiredAt,
+      expiry_days: getPasswordExpiryDays(user.role)
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Replace an outdated password hash after a successful local password login, while the
+ * plain text password is at hand. The password itself is unchanged, so the expiry clock
+ * and password history are left alone.
+ * @param {Object} user - User instance (with password_hash)
+ * @param {string} password - Plain text password that was just verified
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<boolean>} True when the hash was upgraded
+ */
+export const upgradePasswordHash = async (user, password, context = {}) => {
+  if (!needsRehash(user.password_hash)) {
+    return false;
+  }
+
+  try {
+    const from = getPasswordHashInfo(user.password_hash);
+
+    await user.update({ password_hash: await hashPassword(password) });
+
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'password_rehashed',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { from, to: getPasswordHashTarget() }
+    });
+
+    return true;
+  } catch (error) {
+    // The login already succeeded; the hash is upgraded at a later login instead
+    console.error('Upgrade password hash error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Count accounts by password hash algorithm and parameters
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<Object>} { target, total, outdated, groups: [{ algorithm, parameters, count, outdated }] }
+ */
+export const getPasswordHashReport = async ({ batchSize = 1000 } = {}) => {
+  try {
+    const groups = new Map();
+    let total = 0;
+    let outdated = 0;
+    let lastId = null;
+
+    // Page by primary key so large user tables are not loaded at once
+    for (;;) {
+      const users = await User.findAll({
+        where: {
+          password_hash: { [Op.ne]: null },
+          ...(lastId && { id: { [Op.gt]: lastId } })
+        },
+        attributes: ['id', 'password_hash'],
+        order: [['id', 'ASC']],
+        limit: batchSize,
+        raw: true
+      });
+
+      for (const { password_hash: hash } of users) {
+        const { algorithm = 'unknown', ...parameters } = getPasswordHashInfo(hash) || {};
+        const key = JSON.stringify([algorithm, parameters]);
+        const group = groups.get(key) || { algorithm, parameters, count: 0, outdated: needsRehash(hash) };
+
+        group.count++;
+        groups.set(key, group);
+        total++;
+        if (group.outdated) {
+          outdated++;
+        }
+      }
+
+      if (users.length < batchSize) {
+        break;
+      }
+      lastId = users[users.length - 1].id;
+    }
+
+    return {
+      target: getPasswordHashTarget(),
+      total,
+      outdated,
+      groups: [...groups.values()].sort((a, b) => b.count - a.count)
+    };
+  } catch (error) {
+    console.error('Password hash report error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  getPasswordRules,
+  listPasswordPolicies,
+  createPasswordPolicy,
+  updatePasswordPolicy,
+  deletePasswordPolicy,
+  getPasswordExpiryDays,
+  getPasswordExpiresAt,
+  isPasswordExpired,
+  isRecentPassword,
+  createPasswordReusedError,
+  recordPasswordHistory,
+  enforcePasswordExpiry,
+  upgradePasswordHash,
+  getPasswordHashReport
+};
@@ -1,10 +1,100 @@
+import argon2 from 'argon2';
 import bcrypt from 'bcrypt';
 import config from '../config/env.js';
+import { estimatePasswordStrength } from '../utils/passwordStrength.js';
+import { isBreachedPassword } from './breachedPasswordService.js';
 
-const SALT_ROUNDS = config.security.bcryptSaltRounds || 10;
+// $2b$10$<22-character salt><31-character hash>
+const BCRYPT_HASH_PATTERN = /^\$2[abxy]?\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+// $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash> (PHC string format; parameter order varies)
+const ARGON2_HASH_PATTERN = /^\$(argon2(?:id|i|d))\$v=(\d+)\$([a-z]=\d+(?:,[a-z]=\d+)*)\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/;
+const ARGON2_VERSION = 19;
 
 /**
- * Hash a plain text password using bcrypt
+ * Read the algorithm and parameters a password hash was made with
+ * @param {string} hash - Stored password hash
+ * @returns {Object|null} { algorithm: 'bcrypt', cost } or
+ *   { algorithm: 'argon2id'|'argon2i'|'argon2d', version, memoryCost, timeCost, parallelism };
+ *   null when the value is not a recognised hash
+ */
+export const getPasswordHashInfo = (hash) => {
+  const bcryptMatch = typeof hash === 'string' && hash.match(BCRYPT_HASH_PATTERN);
+  if (bcryptMatch) {
+    return { algorithm: 'bcrypt', cost: parseInt(bcryptMatch[1], 10) };
+  }
+
+  const argon2Match = typeof hash === 'string' && hash.match(ARGON2_HASH_PATTERN);
+  if (argon2Match) {
+    const parameters = Object.fromEntries(argon2Match[3].split(',').map((pair) => pair.split('=')));
+    return {
+      algorithm: argon2Match[1],
+      version: parseInt(argon2Match[2], 10),
+      memoryCost: parseInt(parameters.m, 10),
+      timeCost: parseInt(parameters.t, 10),
+      parallelism: parseInt(parameters.p, 10)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Whether a value is already a password hash (rather than a plain text password)
+ * @param {string} value - Stored or submitted value
+ * @returns {boolean}
+ */
+export const isPasswordHash = (value) => getPasswordHashInfo(value) !== null;
+
+/**
+ * Algorithm and parameters new password hashes are made with
+ * @returns {Object} Same shape as getPasswordHashInfo
+ */
+export const getPasswordHashTarget = () => {
+  const { passwordHashAlgorithm, bcryptSaltRounds, argon2MemoryCost, argon2TimeCost, argon2Parallelism } = config.security;
+
+  if (passwordHashAlgorithm === 'argon2id') {
+    return {
+      algorithm: 'argon2id',
+      version: ARGON2_VERSION,
+      memoryCost: argon2MemoryCost,
+      timeCost: argon2TimeCost,
+      parallelism: argon2Parallelism
+    };
+  }
+
+  return { algorithm: 'bcrypt', cost: bcryptSaltRounds || 10 };
+};
+
+/**
+ * Whether a hash should be replaced at the next successful login: it uses another
+ * algorithm than PASSWORD_HASH_ALGORITHM or weaker settings than configured.
+ * Lowering the settings does not rehash existing passwords.
+ * @param {string} hash - Stored password hash
+ * @returns {boolean}
+ */
+export const needsRehash = (hash) => {
+  const info = getPasswordHashInfo(hash);
+  const target = getPasswordHashTarget();
+
+  if (!info) {
+    return false;
+  }
+
+  if (info.algorithm !== target.algorithm) {
+    return true;
+  }
+
+  if (info.algorithm === 'bcrypt') {
+    return info.cost < target.cost;
+  }
+
+  return info.version < target.version ||
+    info.memoryCost < target.memoryCost ||
+    info.timeCost < target.timeCost;
+};
+
+/**
+ * Hash a plain text password with the configured algorithm (bcrypt or Argon2id)
  * @param {string} plainPassword - Plain text password to hash
  * @returns {Promise<string>} Hashed password
  */
@@ -14,7 +104,18 @@ export const hashPassword = async (plainPassword) => {
       throw new Error('Password is required');
     }
     
-    const hashedPassword = await bcrypt.hash(plainPassword, SALT_ROUNDS);
+    const target = getPasswordHashTarget();
+    
+    if (target.algorithm === 'argon2id') {
+      return await argon2.hash(plainPassword, {
+        type: argon2.argon2id,
+        memoryCost: target.memoryCost,
+        timeCost: target.timeCost,
+        parallelism: target.parallelism
+      });
+    }
+    
+    const hashedPassword = await bcrypt.hash(plainPassword, target.cost);
     return hashedPassword;
   } catch (error) {
     console.error('Password hashing error:', error.message);
@@ -23,7 +124,8 @@ export const hashPassword = async (plainPassword) => {
 };
 
 /**
- * Verify a plain text password against a hashed password
+ * Verify a plain text password against a hashed password. The algorithm and
+ * parameters are read from the hash, so older hashes keep working.
  * @param {string} plainPassword - Plain text password to verify
  * @param {string} hashedPassword - Hashed password to compare against
  * @returns {Promise<boolean>} True if password matches, false otherwise
@@ -34,6 +136,10 @@ export const verifyPassword = async (plainPassword, hashedPassword) => {
       return false;
     }
     
+    if (hashedPassword.startsWith('$argon2')) {
+      return await argon2.verify(hashedPassword, plainPassword);
+    }
+    
     const isMatch = await bcrypt.compare(plainPassword, hashedPassword);
     return isMatch;
   } catch (error) {
@@ -43,52 +149,124 @@ export const verifyPassword = async (plainPassword, hashedPassword) => {
 };
 
 /**
- * Validate password strength
- * Requirements:
- * - Minimum 8 characters
- * - At least one uppercase letter
- * - At least one lowercase letter
- * - At least one number
- * 
- * @param {string} password - Password to validate
- * @returns {Object} { valid: boolean, errors: string[] }
+ * Built-in password rules, used when no password policy matches a user
+ * @returns {Object} { min_length, require_uppercase, require_lowercase, require_number, require_symbol, min_strength_score }
+ */
+export const getDefaultPasswordRules = () => ({
+  min_length: 8,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_number: true,
+  require_symbol: false,
+  min_strength_score: config.passwordPolicy.minStrengthScore
+});
+
+/**
+ * Check a password against the length and character rules of a password policy
+ * @param {string} password - Password to check
+ * @param {Object} rules - Password rules (see getDefaultPasswordRules)
+ * @returns {string[]} Rule violations, empty when the password complies
  */
-export const validatePasswordStrength = (password) => {
+export const getPasswordRuleErrors = (password, rules = getDefaultPasswordRules()) => {
   const errors = [];
   
-  if (!password) {
-    errors.push('Password is required');
-    return { valid: false, errors };
-  }
-  
   // Check minimum length
-  if (password.length < 8) {
-    errors.push('Password must be at least 8 characters long');
+  if (password.length < rules.min_length) {
+    errors.push(`Password must be at least ${rules.min_length} characters long`);
   }
   
   // Check for uppercase letter
-  if (!/[A-Z]/.test(password)) {
+  if (rules.require_uppercase && !/[A-Z]/.test(password)) {
     errors.push('Password must contain at least one uppercase letter');
   }
   
   // Check for lowercase letter
-  if (!/[a-z]/.test(password)) {
+  if (rules.require_lowercase && !/[a-z]/.test(password)) {
     errors.push('Password must contain at least one lowercase letter');
   }
   
   // Check for number
-  if (!/[0-9]/.test(password)) {
+  if (rules.require_number && !/[0-9]/.test(password)) {
     errors.push('Password must contain at least one number');
   }
   
+  // Check for symbol
+  if (rules.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+  
+  return errors;
+};
+
+/**
+ * Validate password strength
+ * Requirements (from the password policy that applies to the user, or the built-in rules):
+ * - Minimum length (8 characters by default)
+ * - Uppercase letter, lowercase letter, number and symbol, when the policy requires them
+ * - Not in the local breached-password corpus (when a filter has been built)
+ * - Estimated strength of at least the policy's minimum score (PASSWORD_MIN_STRENGTH_SCORE by default)
+ * 
+ * @param {string} password - Password to validate
+ * @param {string[]} userInputs - Details of the user (name, email) that make a password easier to guess
+ * @param {Object} rules - Password rules, from passwordPolicyService.getPasswordRules
+ * @returns {Object} { valid: boolean, errors: string[], breached: boolean|null, strength: Object|null }
+ */
+export const validatePasswordStrength = (password, userInputs = [], rules = getDefaultPasswordRules()) => {
+  if (!password) {
+    return { valid: false, errors: ['Password is required'], breached: null, strength: null };
+  }
+  
+  const errors = getPasswordRuleErrors(password, rules);
+  
+  // Check against passwords leaked in other sites' breaches
+  const breached = isBreachedPassword(password);
+  if (breached) {
+    errors.push('Password has appeared in a data breach and must not be used');
+  }
+  
+  // Check how easy the password is to guess
+  const estimate = estimatePasswordStrength(password, userInputs);
+  const minScore = rules.min_strength_score ?? config.passwordPolicy.minStrengthScore;
+  if (estimate.score < minScore) {
+    errors.push(estimate.feedback.warning
+      ? `Password is too easy to guess: ${estimate.feedback.warning}`
+      : 'Password is too easy to guess');
+  }
+  
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    breached,
+    strength: {
+      score: estimate.score,
+      minScore,
+      guessesLog10: estimate.guessesLog10,
+      warning: estimate.feedback.warning,
+      suggestions: estimate.feedback.suggestions
+    }
   };
 };
 
+/**
+ * Build the VALIDATION_ERROR details for a rejected password
+ * @param {Object} validation - Result of validatePasswordStrength
+ * @returns {Object} { errors, breached, strength }
+ */
+export const getPasswordValidationDetails = (validation) => ({
+  errors: validation.errors,
+  breached: Boolean(validation.breached),
+  strength: validation.strength
+});
+
 export default {
+  getPasswordHashInfo,
+  isPasswordHash,
+  getPasswordHashTarget,
+  needsRehash,
   hashPassword,
   verifyPassword,
-  validatePasswordStrength
+  getDefaultPasswordRules,
+  getPasswordRuleErrors,
+  validatePasswordStrength,
+  getPasswordValidationDetails
 };
@@ -40,6 +40,17 @@ const PERMISSION_MATRIX = {
   },
 };
 
+/**
+ * Rank of each role for account management; staff can only manage roles ranked below their own
+ */
+const ROLE_RANK = {
+  Student: 1,
+  Parent: 1,
+  Teacher: 2,
+  Admin: 3,
+  Super_Admin: 4,
+};
+
 /**
  * Get permissions for a specific role
  * @param {string} role - User role (Student, Teacher, Parent, Admin, Super_Admin)
@@ -81,6 +92,21 @@ export const roleHasPermission = (role, resource, action) => {
   }
 };
 
+/**
+ * Check if a role may manage accounts of another role (e.g. reset their MFA).
+ * Roles may only manage roles ranked below them; Super_Admin, the top role, may manage every account.
+ * @param {string} role - Role of the user performing the action
+ * @param {string} targetRole - Role of the account being managed
+ * @returns {boolean} True if the account may be managed, false otherwise
+ */
+export const canManageRole = (role, targetRole) => {
+  if (!ROLE_RANK[role] || !ROLE_RANK[targetRole]) {
+    return false;
+  }
+
+  return role === 'Super_Admin' || ROLE_RANK[targetRole] < ROLE_RANK[role];
+};
+
 /**
  * Check if a user can access a specific campus
  * @param {string} userId - User ID to check
@@ -261,6 +287,7 @@ export const getUserRole = async (userId) => {
 export default {
   getPermissionsForRole,
   roleHasPermission,
+  canManageRole,
   canAccessCampus,
   canAccessResource,
   hasPermission,
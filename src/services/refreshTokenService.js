@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { redisHelpers } from '../config/redis.js';
+
+/**
+ * Generate a unique refresh token ID (jti)
+ * @returns {string} Token ID
+ */
+export const generateTokenId = () => {
+  return crypto.randomUUID();
+};
+
+/**
+ * Start a refresh token family for a new session
+ * @param {string} userId - User ID (UUID)
+ * @param {string} sessionId - Session ID the family belongs to
+ * @param {string} tokenId - jti of the first refresh token
+ * @param {number} expiresIn - Seconds until the refresh token expires
+ * @returns {Promise<boolean>} Success status
+ */
+export const createTokenFamily = async (userId, sessionId, tokenId, expiresIn) => {
+  try {
+    if (!userId || !sessionId || !tokenId) {
+      throw new Error('User ID, session ID and token ID are required');
+    }
+
+    const familyData = {
+      userId,
+      currentTokenId: tokenId,
+      rotations: 0,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null
+    };
+
+    const stored = await redisHelpers.set(`refresh:family:${sessionId}`, familyData, expiresIn);
+
+    if (!stored) {
+      throw new Error('Failed to store refresh token family in Redis');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Create token family error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Error for a rotation that could not be completed because Redis failed
+ * @returns {Error} SERVICE_UNAVAILABLE error
+ */
+const createUnavailableError = () => {
+  const error = new Error('Token refresh is temporarily unavailable. Please try again');
+  error.code = 'SERVICE_UNAVAILABLE';
+  return error;
+};
+
+/**
+ * Rotate a family to a new refresh token if the presented token is the current one.
+ * Each session has one family and only its latest refresh token may be exchanged;
+ * presenting an older one means the token was copied ('reused').
+ * @param {string} userId - User ID (UUID)
+ * @param {string} sessionId - Session ID from the refresh token
+ * @param {string} presentedTokenId - jti of the refresh token being exchanged
+ * @param {string} nextTokenId - jti of the replacement refresh token
+ * @param {number} expiresIn - Seconds until the replacement refresh token expires
+ * @returns {Promise<Object>} { status: 'rotated' | 'reused' | 'missing' }
+ * @throws {Error} SERVICE_UNAVAILABLE when Redis fails, so an outage is not mistaken for reuse
+ */
+export const rotateTokenFamily = async (userId, sessionId, presentedTokenId, nextTokenId, expiresIn) => {
+  try {
+    if (!userId || !sessionId || !presentedTokenId || !nextTokenId) {
+      throw new Error('User ID, session ID and token IDs are required');
+    }
+
+    const familyKey = `refresh:family:${sessionId}`;
+    const family = await redisHelpers.get(familyKey);
+
+    if (!family || family.userId !== userId) {
+      return { status: 'missing' };
+    }
+
+    // Claim the presented token atomically so two concurrent exchanges cannot both rotate
+    const usedKey = `refresh:used:${presentedTokenId}`;
+    const claimed = await redisHelpers.setIfNotExists(usedKey, sessionId, expiresIn);
+
+    if (claimed === null) {
+      throw createUnavailableError();
+    }
+
+    if (!claimed || family.currentTokenId !== presentedTokenId) {
+      return { status: 'reused' };
+    }
+
+    const rotated = await redisHelpers.set(familyKey, {
+      ...family,
+      currentTokenId: nextTokenId,
+      rotations: (family.rotations || 0) + 1,
+      rotatedAt: new Date().toISOString()
+    }, expiresIn);
+
+    if (!rotated) {
+      // Release the claim so retrying with the same token is not taken for reuse
+      await redisHelpers.del(usedKey);
+      throw createUnavailableError();
+    }
+
+    return { status: 'rotated' };
+  } catch (error) {
+    console.error('Rotate token family error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a refresh token is still the one its family will exchange, without rotating it
+ * @param {string} userId - User ID (UUID)
+ * @param {string} sessionId - Session ID from the refresh token
+ * @param {string} tokenId - jti of the refresh token
+ * @returns {Promise<boolean>} True if the token is the family's current token
+ */
+export const isCurrentToken = async (userId, sessionId, tokenId) => {
+  try {
+    if (!userId || !sessionId || !tokenId) {
+      return false;
+    }
+
+    const family = await redisHelpers.get(`refresh:family:${sessionId}`);
+
+    return Boolean(family && family.userId === userId && family.currentTokenId === tokenId);
+  } catch (error) {
+    console.error('Check current refresh token error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Revoke a refresh token family so none of its tokens can be exchanged
+ * @param {string} sessionId - Session ID the family belongs to
+ * @returns {Promise<boolean>} Success status
+ */
+export const revokeTokenFamily = async (sessionId) => {
+  try {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    return await redisHelpers.del(`refresh:family:${sessionId}`);
+  } catch (error) {
+    console.error('Revoke token family error:', error.message);
+    return false;
+  }
+};
+
+export default {
+  generateTokenId,
+  createTokenFamily,
+  rotateTokenFamily,
+  isCurrentToken,
+  revokeTokenFamily
+};
@@ -0,0 +1,386 @@
+import User from '../models/User.js';
+import Campus from '../models/Campus.js';
+import config from '../config/env.js';
+import { createUser } from './userService.js';
+import { validatePasswordStrength, getPasswordValidationDetails } from './passwordService.js';
+import { generateOTP, storeOTP, verifyOTP, deleteOTP } from './otpService.js';
+import { sendEmailVerificationEmail, sendWelcomeEmail } from './emailService.js';
+import { sendOTP as sendOTPSMS } from './smsService.js';
+import { createAuditLog } from './auditService.js';
+import { getPasswordRules } from './passwordPolicyService.js';
+
+// Roles a member of the public may register as; staff accounts are still created by admins
+export const SIGNUP_ROLES = ['Student', 'Parent'];
+export const VERIFICATION_CHANNELS = ['email', 'phone'];
+
+/**
+ * Build the otpService identifier for a signup verification code.
+ * Namespaced so signup codes never collide with OTP login codes for the same phone.
+ * @param {string} channel - 'email' or 'phone'
+ * @param {string} value - Email address or phone number
+ * @returns {string} OTP identifier
+ */
+const getOTPIdentifier = (channel, value) => `signup:${channel}:${value}`;
+
+/**
+ * Find a registration that is still waiting for contact verification
+ * @param {string} email - Email address used at signup
+ * @returns {Promise<Object>} User instance
+ */
+const findPendingVerification = async (email) => {
+  const user = await User.findOne({ where: { email, deleted_at: null } });
+
+  if (!user || user.account_status !== 'pending_verification') {
+    const error = new Error('No registration awaiting verification for this email');
+    error.code = 'REGISTRATION_NOT_FOUND';
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Find a registration awaiting approval that the admin is allowed to review
+ * @param {string} userId - Registered user ID
+ * @param {Object} admin - Reviewing admin { id, role, campus_id }
+ * @returns {Promise<Object>} User instance
+ */
+const findPendingApproval = async (userId, admin) => {
+  const user = await User.findOne({ where: { id: userId, deleted_at: null } });
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  // Campus Admins only review registrations for their own campus
+  if (admin.role !== 'Super_Admin' && user.campus_id !== admin.campus_id) {
+    const error = new Error('Access denied: You can only review registrations for your campus');
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+
+  if (user.account_status !== 'pending_approval') {
+    const error = new Error(`Registration is not awaiting approval (status: ${user.account_status})`);
+    error.code = 'INVALID_REGISTRATION_STATUS';
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Generate, store and deliver a signup verification code
+ * @param {Object} user - User instance
+ * @param {string} channel - 'email' or 'phone'
+ * @returns {Promise<Object>} { expiresAt }
+ */
+const deliverVerificationCode = async (user, channel) => {
+  const identifier = getOTPIdentifier(channel, channel === 'email' ? user.email : user.phone);
+  const code = generateOTP();
+  const { expiresAt } = await storeOTP(identifier, code);
+
+  if (config.nodeEnv === 'development') {
+    console.log(`[DEV] Signup verification code for ${user.email}: ${code} (via ${channel})`);
+  }
+
+  try {
+    if (channel === 'email') {
+      await sendEmailVerificationEmail(user.email, code, user.name);
+    } else {
+      await sendOTPSMS(user.phone, code);
+    }
+  } catch (deliveryError) {
+    // A code the user never received must not stay valid
+    await deleteOTP(identifier);
+    const error = new Error(`Failed to deliver verification code via ${channel}`);
+    error.code = 'VERIFICATION_DELIVERY_FAILED';
+    throw error;
+  }
+
+  return { expiresAt };
+};
+
+/**
+ * Register a student or parent account and send email and phone verification codes.
+ * The account cannot sign in until both are verified and a campus Admin approves it.
+ * @param {Object} userData - { email, password, name, phone, role, campus_id }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { user, verification: { email, phone } }
+ */
+export const registerUser = async (userData, context = {}) => {
+  try {
+    const { email, password, name, phone, role, campus_id } = userData;
+
+    if (!SIGNUP_ROLES.includes(role)) {
+      const error = new Error(`Self-service registration is only available for roles: ${SIGNUP_ROLES.join(', ')}`);
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    const passwordRules = await getPasswordRules({ campus_id, role });
+    const passwordValidation = validatePasswordStrength(password, [email, name], passwordRules);
+    if (!passwordValidation.valid) {
+      const error = new Error(passwordValidation.errors.join(', '));
+      error.code = 'WEAK_PASSWORD';
+      error.details = getPasswordValidationDetails(passwordValidation);
+      throw error;
+    }
+
+    const campus = await Campus.findByPk(campus_id);
+    if (!campus || !campus.is_active) {
+      const error = new Error('Campus not found');
+      error.code = 'CAMPUS_NOT_FOUND';
+      throw error;
+    }
+
+    const safeUser = await createUser(
+      { email, password, name, phone, role, campus_id, account_status: 'pending_verification' },
+      null
+    );
+
+    const user = await User.findByPk(safeUser.id);
+
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'signup_submitted',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { role, campus_id }
+    });
+
+    // The account already exists, so a failed delivery is reported rather than thrown;
+    // the user can request a new code from the resend endpoint
+    const verification = {};
+    for (const channel of VERIFICATION_CHANNELS) {
+      try {
+        const { expiresAt } = await deliverVerificationCode(user, channel);
+        verification[channel] = { sent: true, expiresAt };
+      } catch (error) {
+        console.error(`Signup ${channel} verification delivery error:`, error.message);
+        verification[channel] = { sent: false };
+      }
+    }
+
+    return {
+      user: safeUser,
+      verification
+    };
+  } catch (error) {
+    console.error('Register user error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify the email or phone code sent at signup.
+ * Once both are verified the registration moves to the approval queue.
+ * @param {string} email - Email address used at signup
+ * @param {string} channel - 'email' or 'phone'
+ * @param {string} code - Verification code
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { account_status, email_verified, phone_verified }
+ */
+export const verifyContact = async (email, channel, code, context = {}) => {
+  try {
+    const user = await findPendingVerification(email);
+    const verifiedField = `${channel}_verified_at`;
+
+    if (!user[verifiedField]) {
+      const identifier = getOTPIdentifier(channel, channel === 'email' ? user.email : user.phone);
+      const result = await verifyOTP(identifier, code);
+
+      if (!result.valid) {
+        const error = new Error('Invalid or expired verification code');
+        error.code = 'OTP_INVALID';
+        error.attemptsRemaining = result.attemptsRemaining;
+        throw error;
+      }
+
+      user[verifiedField] = new Date();
+    }
+
+    const complete = Boolean(user.email_verified_at && user.phone_verified_at);
+
+    await user.update({
+      [verifiedField]: user[verifiedField],
+      ...(complete && { account_status: 'pending_approval' })
+    });
+
+    await createAuditLog({
+      user_id: user.id,
+      action_type: 'signup_contact_verified',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { channel, account_status: user.account_status }
+    });
+
+    return {
+      account_status: user.account_status,
+      email_verified: Boolean(user.email_verified_at),
+      phone_verified: Boolean(user.phone_verified_at)
+    };
+  } catch (error) {
+    console.error('Verify signup contact error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Send a new signup verification code
+ * @param {string} email - Email address used at signup
+ * @param {string} channel - 'email' or 'phone'
+ * @returns {Promise<Object>} { expiresAt }
+ */
+export const resendVerificationCode = async (email, channel) => {
+  try {
+    const user = await findPendingVerification(email);
+
+    if (user[`${channel}_verified_at`]) {
+      const error = new Error(`${channel === 'email' ? 'Email' : 'Phone number'} is already verified`);
+      error.code = 'ALREADY_VERIFIED';
+      throw error;
+    }
+
+    return await deliverVerificationCode(user, channel);
+  } catch (error) {
+    console.error('Resend signup code error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List registrations awaiting approval, oldest first.
+ * Admins see their own campus; Super_Admin sees every campus.
+ * @param {Object} requestingUser - { role, campus_id }
+ * @param {Object} options - { page, limit, campus_id }
+ * @returns {Promise<Object>} { registrations, pagination }
+ */
+export const listPendingRegistrations = async (requestingUser, options = {}) => {
+  try {
+    const validatedPage = Math.max(1, parseInt(options.page || 1));
+    const validatedLimit = Math.min(100, Math.max(1, parseInt(options.limit || 20)));
+
+    const whereClause = {
+      account_status: 'pending_approval',
+      deleted_at: null
+    };
+
+    if (requestingUser.role !== 'Super_Admin') {
+      whereClause.campus_id = requestingUser.campus_id;
+    } else if (options.campus_id) {
+      whereClause.campus_id = options.campus_id;
+    }
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Campus,
+        as: 'campus',
+        attributes: ['id', 'name', 'code']
+      }],
+      limit: validatedLimit,
+      offset: (validatedPage - 1) * validatedLimit,
+      order: [['created_at', 'ASC']]
+    });
+
+    return {
+      registrations: users.map(user => user.toSafeObject()),
+      pagination: {
+        page: validatedPage,
+        limit: validatedLimit,
+        total: count,
+        totalPages: Math.ceil(count / validatedLimit)
+      }
+    };
+  } catch (error) {
+    console.error('List pending registrations error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Approve a verified registration, activate the account and send the welcome email
+ * @param {string} userId - Registered user ID
+ * @param {Object} admin - Reviewing admin { id, role, campus_id }
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Activated user (excluding password_hash)
+ */
+export const approveRegistration = async (userId, admin, context = {}) => {
+  try {
+    const user = await findPendingApproval(userId, admin);
+
+    await user.update({ account_status: 'active' });
+
+    await createAuditLog({
+      user_id: user.id,
+      admin_id: admin.id,
+      action_type: 'signup_approved',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { role: user.role, campus_id: user.campus_id }
+    });
+
+    // The account is active either way; a failed email must not undo the approval
+    try {
+      await sendWelcomeEmail(user.email, user.name, user.role);
+    } catch (emailError) {
+      console.error('Welcome email error:', emailError.message);
+    }
+
+    return user.toSafeObject();
+  } catch (error) {
+    console.error('Approve registration error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Reject a registration awaiting approval
+ * @param {string} userId - Registered user ID
+ * @param {Object} admin - Reviewing admin { id, role, campus_id }
+ * @param {string} reason - Reason recorded in the audit log
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Rejected user (excluding password_hash)
+ */
+export const rejectRegistration = async (userId, admin, reason, context = {}) => {
+  try {
+    const user = await findPendingApproval(userId, admin);
+
+    await user.update({ account_status: 'rejected' });
+
+    await createAuditLog({
+      user_id: user.id,
+      admin_id: admin.id,
+      action_type: 'signup_rejected',
+      resource_type: 'user',
+      resource_id: user.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { reason: reason || null }
+    });
+
+    return user.toSafeObject();
+  } catch (error) {
+    console.error('Reject registration error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  SIGNUP_ROLES,
+  VERIFICATION_CHANNELS,
+  registerUser,
+  verifyContact,
+  resendVerificationCode,
+  listPendingRegistrations,
+  approveRegistration,
+  rejectRegistration
+};
@@ -0,0 +1,281 @@
+import SessionPolicy from '../models/SessionPolicy.js';
+import { getActiveSessions, evictSession } from './sessionService.js';
+import { revokeTokenFamily } from './refreshTokenService.js';
+import { createAuditLog } from './auditService.js';
+
+const POLICY_FIELDS = ['max_sessions', 'on_limit'];
+
+/**
+ * Shape a policy for API responses
+ * @param {Object} policy - SessionPolicy instance
+ * @returns {Object} Policy fields
+ */
+const formatPolicy = (policy) => ({
+  id: policy.id,
+  role: policy.role,
+  max_sessions: policy.max_sessions,
+  on_limit: policy.on_limit,
+  created_by: policy.created_by,
+  updated_by: policy.updated_by,
+  created_at: policy.createdAt,
+  updated_at: policy.updatedAt
+});
+
+/**
+ * Build the error returned when a policy ID does not exist
+ * @returns {Error} Error with POLICY_NOT_FOUND code
+ */
+const createPolicyNotFoundError = () => {
+  const error = new Error('Session policy not found');
+  error.code = 'POLICY_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Concurrent session limit for a role
+ * @param {string} role - User role
+ * @returns {Promise<Object|null>} { policy_id, max_sessions, on_limit }, or null when the role has no limit
+ */
+export const getSessionLimit = async (role) => {
+  try {
+    const policy = await SessionPolicy.findOne({ where: { role } });
+
+    if (!policy) {
+      return null;
+    }
+
+    return { policy_id: policy.id, max_sessions: policy.max_sessions, on_limit: policy.on_limit };
+  } catch (error) {
+    console.error('Get session limit error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Make room for a new session under the user's role limit. Called just before a login
+ * creates its session. Depending on the policy, the login is rejected, or the least recently
+ * active sessions are signed out; their devices are told why on their next request.
+ * Two logins racing each other can briefly leave one session over the limit; the next
+ * login evicts it.
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Array>} Session IDs that were evicted
+ */
+export const enforceSessionLimit = async (user, context = {}) => {
+  try {
+    const limit = await getSessionLimit(user.role);
+
+    if (!limit) {
+      return [];
+    }
+
+    // Most recently active first, so the sessions past the limit are the least recently active
+    const sessions = await getActiveSessions(user.id);
+
+    if (sessions.length < limit.max_sessions) {
+      return [];
+    }
+
+    if (limit.on_limit === 'reject') {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'login_session_limit_reached',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { role: user.role, max_sessions: limit.max_sessions, active_sessions: sessions.length }
+      });
+
+      const error = new Error(`You are already signed in on ${limit.max_sessions} device(s). Sign out on another device to continue`);
+      error.code = 'SESSION_LIMIT_REACHED';
+      error.maxSessions = limit.max_sessions;
+      throw error;
+    }
+
+    const evictedAt = new Date().toISOString();
+    const evicted = [];
+
+    for (const session of sessions.slice(limit.max_sessions - 1)) {
+      const wasActive = await evictSession(user.id, session.sessionId, {
+        reason: 'session_limit',
+        evicted_at: evictedAt,
+        device_name: context.deviceInfo?.device_name || null
+      });
+
+      // Its refresh token must not bring the session back
+      await revokeTokenFamily(session.sessionId);
+
+      if (!wasActive) {
+        continue;
+      }
+
+      evicted.push(session.sessionId);
+
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'session_evicted',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: {
+          session_id: session.sessionId,
+          reason: 'session_limit',
+          role: user.role,
+          max_sessions: limit.max_sessions,
+          device_type: session.device_type,
+          device_name: session.device_name,
+          ip_address: session.ip_address,
+          last_activity: session.last_activity
+        }
+      });
+    }
+
+    return evicted;
+  } catch (error) {
+    console.error('Enforce session limit error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List session policies
+ * @returns {Promise<Array>} Policies ordered by role
+ */
+export const listSessionPolicies = async () => {
+  try {
+    const policies = await SessionPolicy.findAll({ order: [['role', 'ASC']] });
+
+    return policies.map(formatPolicy);
+  } catch (error) {
+    console.error('List session policies error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create the session policy for a role
+ * @param {Object} data - { role, max_sessions, on_limit }
+ * @param {string} adminId - Super_Admin creating the policy
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Created policy
+ */
+export const createSessionPolicy = async (data, adminId, context = {}) => {
+  try {
+    const existing = await SessionPolicy.findOne({ where: { role: data.role } });
+    if (existing) {
+      const error = new Error('A session policy for this role already exists');
+      error.code = 'POLICY_EXISTS';
+      throw error;
+    }
+
+    const policy = await SessionPolicy.create({
+      role: data.role,
+      max_sessions: data.max_sessions,
+      ...(data.on_limit !== undefined && { on_limit: data.on_limit }),
+      created_by: adminId,
+      updated_by: adminId
+    });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'session_policy_created',
+      resource_type: 'session_policy',
+      resource_id: policy.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: formatPolicy(policy)
+    });
+
+    return formatPolicy(policy);
+  } catch (error) {
+    console.error('Create session policy error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Change a session policy's limit (its role cannot change).
+ * A lower limit applies from the next login; sessions that are already active are not signed out.
+ * @param {string} policyId - SessionPolicy ID
+ * @param {Object} updates - { max_sessions, on_limit }
+ * @param {string} adminId - Super_Admin making the change
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated policy
+ */
+export const updateSessionPolicy = async (policyId, updates, adminId, context = {}) => {
+  try {
+    const policy = await SessionPolicy.findByPk(policyId);
+
+    if (!policy) {
+      throw createPolicyNotFoundError();
+    }
+
+    const changes = {};
+    for (const field of POLICY_FIELDS) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+
+    await policy.update({ ...changes, updated_by: adminId });
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'session_policy_updated',
+      resource_type: 'session_policy',
+      resource_id: policy.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { role: policy.role, changes }
+    });
+
+    return formatPolicy(policy);
+  } catch (error) {
+    console.error('Update session policy error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete a session policy; users of its role can then sign in on any number of devices
+ * @param {string} policyId - SessionPolicy ID
+ * @param {string} adminId - Super_Admin deleting the policy
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const deleteSessionPolicy = async (policyId, adminId, context = {}) => {
+  try {
+    const policy = await SessionPolicy.findByPk(policyId);
+
+    if (!policy) {
+      throw createPolicyNotFoundError();
+    }
+
+    const details = formatPolicy(policy);
+    await policy.destroy();
+
+    await createAuditLog({
+      admin_id: adminId,
+      action_type: 'session_policy_deleted',
+      resource_type: 'session_policy',
+      resource_id: policyId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details
+    });
+  } catch (error) {
+    console.error('Delete session policy error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  getSessionLimit,
+  enforceSessionLimit,
+  listSessionPolicies,
+  createSessionPolicy,
+  updateSessionPolicy,
+  deleteSessionPolicy
+};
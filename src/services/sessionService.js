@@ -1,12 +1,35 @@
 import crypto from 'crypto';
 import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
 
-const SESSION_EXPIRY_SECONDS = 7 * 24 * 60 * 60; // 7 days in seconds
+// Sessions are stored at session:<userId>:<sessionId>. Each user also has a sorted set at
+// sessions:<userId> of their session IDs scored by last activity (ms), so listing, counting and
+// revoking a user's sessions never scans the keyspace. Index members can outlive their session
+// key (Redis expires the key, not the member); reads drop such orphans.
+const getSessionKey = (userId, sessionId) => `session:${userId}:${sessionId}`;
+const getIndexKey = (userId) => `sessions:${userId}`;
+
+// Sessions signed out by the concurrent session limit leave a marker, so the evicted device
+// can be told why it was signed out; it is kept as long as the session could have lived
+const getEvictionKey = (userId, sessionId) => `session_evicted:${userId}:${sessionId}`;
+
+/**
+ * Seconds a session has left: until its idle timeout, capped by its absolute timeout.
+ * Used as the Redis TTL so timed-out sessions expire on their own.
+ * @param {Object} sessionData - Session data with created_at
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} TTL in seconds
+ */
+const getSessionTtl = (sessionData, now) => {
+  const age = (now - new Date(sessionData.created_at).getTime()) / 1000;
+
+  return Math.ceil(Math.min(config.session.idleTimeout, config.session.absoluteTimeout - age));
+};
 
 /**
  * Create a new session for a user
  * @param {string} userId - User ID (UUID)
- * @param {Object} deviceInfo - Device information { device_type, device_name, user_agent }
+ * @param {Object} deviceInfo - Device information { device_type, device_name, user_agent, browser, os, device_id }
  * @param {string} ipAddress - IP address of the client
  * @returns {Promise<string>} Session ID
  */
@@ -28,6 +51,7 @@ export const createSession = async (userId, deviceInfo, ipAddress) => {
     const sessionId = crypto.randomBytes(32).toString('hex');
 
     // Prepare session data
+    const now = Date.now();
     const sessionData = {
       userId,
       sessionId,
@@ -35,13 +59,20 @@ export const createSession = async (userId, deviceInfo, ipAddress) => {
       device_name: deviceInfo.device_name || 'Unknown Device',
       ip_address: ipAddress,
       user_agent: deviceInfo.user_agent || '',
-      created_at: new Date().toISOString(),
-      last_activity: new Date().toISOString()
+      browser: deviceInfo.browser || null,
+      os: deviceInfo.os || null,
+      device_id: deviceInfo.device_id || null,
+      created_at: new Date(now).toISOString(),
+      last_activity: new Date(now).toISOString()
     };
 
-    // Store session in Redis with key pattern session:${userId}:${sessionId}
-    const sessionKey = `session:${userId}:${sessionId}`;
-    const stored = await redisHelpers.set(sessionKey, sessionData, SESSION_EXPIRY_SECONDS);
+    // Store the session and index it in one transaction; the index lives as long as any session can
+    const indexKey = getIndexKey(userId);
+    const stored = await redisHelpers.multi([
+      ['set', getSessionKey(userId, sessionId), sessionData, getSessionTtl(sessionData, now)],
+      ['zAdd', indexKey, now, sessionId],
+      ['expire', indexKey, config.session.absoluteTimeout]
+    ]);
 
     if (!stored) {
       throw new Error('Failed to create session in Redis');
@@ -54,10 +85,27 @@ export const createSession = async (userId, deviceInfo, ipAddress) => {
   }
 };
 
+/**
+ * Drop index members whose session key is gone (expired or deleted without the index)
+ * @param {string} userId - User ID (UUID)
+ * @param {Array<string>} sessionIds - Indexed session IDs
+ * @param {Array<Object|null>} sessions - Session data for each ID (null if missing)
+ * @returns {Promise<number>} Number of members removed
+ */
+const removeOrphans = async (userId, sessionIds, sessions) => {
+  const orphans = sessionIds.filter((sessionId, index) => !sessions[index]);
+
+  if (orphans.length === 0) {
+    return 0;
+  }
+
+  return await redisHelpers.zRem(getIndexKey(userId), orphans);
+};
+
 /**
  * Get all active sessions for a user
  * @param {string} userId - User ID (UUID)
- * @returns {Promise<Array>} Array of session objects
+ * @returns {Promise<Array>} Array of session objects, most recently active first
  */
 export const getActiveSessions = async (userId) => {
   try {
@@ -65,32 +113,28 @@ export const getActiveSessions = async (userId) => {
       throw new Error('User ID is required');
     }
 
-    // Get all session keys for this user
-    const pattern = `session:${userId}:*`;
-    const sessionKeys = await redisHelpers.keys(pattern);
+    // The index is ordered by last activity
+    const sessionIds = await redisHelpers.zRevRange(getIndexKey(userId));
 
-    if (!sessionKeys || sessionKeys.length === 0) {
+    if (sessionIds.length === 0) {
       return [];
     }
 
-    // Fetch all session data
-    const sessions = [];
-    for (const key of sessionKeys) {
-      const sessionData = await redisHelpers.get(key);
+    const sessionKeys = sessionIds.map((sessionId) => getSessionKey(userId, sessionId));
+    const sessions = await redisHelpers.mGet(sessionKeys);
+
+    await removeOrphans(userId, sessionIds, sessions);
+
+    // Add TTL information
+    const activeSessions = [];
+    for (const [index, sessionData] of sessions.entries()) {
       if (sessionData) {
-        // Add TTL information
-        const ttl = await redisHelpers.ttl(key);
-        sessionData.expiresIn = ttl;
-        sessions.push(sessionData);
+        sessionData.expiresIn = await redisHelpers.ttl(sessionKeys[index]);
+        activeSessions.push(sessionData);
       }
     }
 
-    // Sort by last_activity (most recent first)
-    sessions.sort((a, b) => {
-      return new Date(b.last_activity) - new Date(a.last_activity);
-    });
-
-    return sessions;
+    return activeSessions;
   } catch (error) {
     console.error('Get active sessions error:', error.message);
     throw error;
@@ -109,7 +153,7 @@ export const getSession = async (userId, sessionId) => {
       throw new Error('User ID and session ID are required');
     }
 
-    const sessionKey = `session:${userId}:${sessionId}`;
+    const sessionKey = getSessionKey(userId, sessionId);
     const sessionData = await redisHelpers.get(sessionKey);
 
     if (sessionData) {
@@ -128,8 +172,8 @@ export const getSession = async (userId, sessionId) => {
 /**
  * Revoke a specific session
  * @param {string} sessionId - Session ID to revoke
- * @param {string} userId - User ID (UUID) - optional but recommended for security
- * @returns {Promise<boolean>} Success status
+ * @param {string} userId - User ID (UUID) - optional but recommended; without it the keyspace is scanned
+ * @returns {Promise<boolean>} True if a session was revoked
  */
 export const revokeSession = async (sessionId, userId = null) => {
   try {
@@ -138,35 +182,82 @@ export const revokeSession = async (sessionId, userId = null) => {
     }
 
     if (userId) {
-      // If userId is provided, use specific key
-      const sessionKey = `session:${userId}:${sessionId}`;
-      return await redisHelpers.del(sessionKey);
-    } else {
-      // If userId is not provided, search for the session
-      const pattern = `session:*:${sessionId}`;
-      const sessionKeys = await redisHelpers.keys(pattern);
-      
-      if (sessionKeys.length === 0) {
-        return false;
-      }
+      const replies = await redisHelpers.multi([
+        ['del', getSessionKey(userId, sessionId)],
+        ['zRem', getIndexKey(userId), [sessionId]]
+      ]);
 
-      // Delete all matching sessions (should be only one)
-      let deleted = false;
-      for (const key of sessionKeys) {
-        const result = await redisHelpers.del(key);
-        if (result) deleted = true;
-      }
+      return Boolean(replies && replies[0] > 0);
+    }
 
-      return deleted;
+    // Without a user ID, find the session's key by scanning
+    let revoked = false;
+    for await (const sessionKeys of redisHelpers.scan(`session:*:${sessionId}`)) {
+      for (const sessionKey of sessionKeys) {
+        const [, ownerId] = sessionKey.split(':');
+        revoked = (await revokeSession(sessionId, ownerId)) || revoked;
+      }
     }
+
+    return revoked;
   } catch (error) {
     console.error('Revoke session error:', error.message);
     return false;
   }
 };
 
+/**
+ * Sign out a session to make room for a new one, and remember why it ended
+ * @param {string} userId - User ID (UUID)
+ * @param {string} sessionId - Session ID to evict
+ * @param {Object} details - Eviction details kept for the evicted device (e.g. { reason, evicted_at })
+ * @returns {Promise<boolean>} True if the session was still active
+ */
+export const evictSession = async (userId, sessionId, details = {}) => {
+  try {
+    if (!userId || !sessionId) {
+      throw new Error('User ID and session ID are required');
+    }
+
+    const replies = await redisHelpers.multi([
+      ['del', getSessionKey(userId, sessionId)],
+      ['zRem', getIndexKey(userId), [sessionId]],
+      ['set', getEvictionKey(userId, sessionId), details, config.session.absoluteTimeout]
+    ]);
+
+    if (!replies) {
+      throw new Error('Failed to evict session in Redis');
+    }
+
+    return replies[0] > 0;
+  } catch (error) {
+    console.error('Evict session error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Why a session was evicted, if it was
+ * @param {string} userId - User ID (UUID)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Eviction details, or null if the session was not evicted
+ */
+export const getSessionEviction = async (userId, sessionId) => {
+  try {
+    if (!userId || !sessionId) {
+      return null;
+    }
+
+    return await redisHelpers.get(getEvictionKey(userId, sessionId));
+  } catch (error) {
+    console.error('Get session eviction error:', error.message);
+    return null;
+  }
+};
+
 /**
  * Revoke all sessions for a user (logout from all devices)
+ * All of the user's session keys and their index entries are removed in one transaction.
  * @param {string} userId - User ID (UUID)
  * @returns {Promise<number>} Number of sessions revoked
  */
@@ -176,22 +267,23 @@ export const revokeAllSessions = async (userId) => {
       throw new Error('User ID is required');
     }
 
-    // Get all session keys for this user
-    const pattern = `session:${userId}:*`;
-    const sessionKeys = await redisHelpers.keys(pattern);
+    const sessionIds = await redisHelpers.zRevRange(getIndexKey(userId));
 
-    if (!sessionKeys || sessionKeys.length === 0) {
+    if (sessionIds.length === 0) {
       return 0;
     }
 
-    // Delete all sessions
-    let revokedCount = 0;
-    for (const key of sessionKeys) {
-      const deleted = await redisHelpers.del(key);
-      if (deleted) revokedCount++;
+    // Only the members read above are removed, so a session created meanwhile stays indexed
+    const replies = await redisHelpers.multi([
+      ...sessionIds.map((sessionId) => ['del', getSessionKey(userId, sessionId)]),
+      ['zRem', getIndexKey(userId), sessionIds]
+    ]);
+
+    if (!replies) {
+      throw new Error('Failed to revoke sessions in Redis');
     }
 
-    return revokedCount;
+    return replies.slice(0, sessionIds.length).filter((deleted) => deleted > 0).length;
   } catch (error) {
     console.error('Revoke all sessions error:', error.message);
     throw error;
@@ -199,10 +291,47 @@ export const revokeAllSessions = async (userId) => {
 };
 
 /**
- * Update last activity timestamp for a session (refreshes TTL)
+ * Revoke every session of a user except the current one (e.g. after a password change)
+ * @param {string} userId - User ID (UUID)
+ * @param {string|null} currentSessionId - Session to keep signed in
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const sessionIds = (await redisHelpers.zRevRange(getIndexKey(userId)))
+      .filter((sessionId) => sessionId !== currentSessionId);
+
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const replies = await redisHelpers.multi([
+      ...sessionIds.map((sessionId) => ['del', getSessionKey(userId, sessionId)]),
+      ['zRem', getIndexKey(userId), sessionIds]
+    ]);
+
+    if (!replies) {
+      throw new Error('Failed to revoke sessions in Redis');
+    }
+
+    return sessionIds;
+  } catch (error) {
+    console.error('Revoke other sessions error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Record activity on a session and enforce its idle and absolute timeouts.
+ * A session past either timeout is removed. last_activity (and the TTL) is only written
+ * once every SESSION_ACTIVITY_UPDATE_INTERVAL seconds, not on every request.
  * @param {string} userId - User ID (UUID)
  * @param {string} sessionId - Session ID
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} True if the session is still active
  */
 export const updateLastActivity = async (userId, sessionId) => {
   try {
@@ -210,20 +339,41 @@ export const updateLastActivity = async (userId, sessionId) => {
       throw new Error('User ID and session ID are required');
     }
 
-    const sessionKey = `session:${userId}:${sessionId}`;
+    const sessionKey = getSessionKey(userId, sessionId);
+    const indexKey = getIndexKey(userId);
     const sessionData = await redisHelpers.get(sessionKey);
 
     if (!sessionData) {
       return false;
     }
 
+    const now = Date.now();
+    const idleSeconds = (now - new Date(sessionData.last_activity).getTime()) / 1000;
+    const ageSeconds = (now - new Date(sessionData.created_at).getTime()) / 1000;
+
+    if (idleSeconds >= config.session.idleTimeout || ageSeconds >= config.session.absoluteTimeout) {
+      await redisHelpers.multi([
+        ['del', sessionKey],
+        ['zRem', indexKey, [sessionId]]
+      ]);
+      return false;
+    }
+
+    if (idleSeconds < config.session.activityUpdateInterval) {
+      return true;
+    }
+
     // Update last activity timestamp
-    sessionData.last_activity = new Date().toISOString();
+    sessionData.last_activity = new Date(now).toISOString();
 
-    // Store back with refreshed TTL
-    const updated = await redisHelpers.set(sessionKey, sessionData, SESSION_EXPIRY_SECONDS);
+    // Store back with refreshed TTL, unless the session was revoked since it was read
+    const replies = await redisHelpers.multi([
+      ['setIfExists', sessionKey, sessionData, getSessionTtl(sessionData, now)],
+      ['zAdd', indexKey, now, sessionId],
+      ['expire', indexKey, config.session.absoluteTimeout]
+    ]);
 
-    return updated;
+    return Boolean(replies && replies[0] === 'OK');
   } catch (error) {
     console.error('Update last activity error:', error.message);
     return false;
@@ -242,8 +392,7 @@ export const isSessionValid = async (userId, sessionId) => {
       return false;
     }
 
-    const sessionKey = `session:${userId}:${sessionId}`;
-    return await redisHelpers.exists(sessionKey);
+    return await redisHelpers.exists(getSessionKey(userId, sessionId));
   } catch (error) {
     console.error('Check session validity error:', error.message);
     return false;
@@ -261,10 +410,9 @@ export const getSessionCount = async (userId) => {
       throw new Error('User ID is required');
     }
 
-    const pattern = `session:${userId}:*`;
-    const sessionKeys = await redisHelpers.keys(pattern);
+    await cleanupExpiredSessions(userId);
 
-    return sessionKeys ? sessionKeys.length : 0;
+    return await redisHelpers.zCard(getIndexKey(userId));
   } catch (error) {
     console.error('Get session count error:', error.message);
     return 0;
@@ -272,10 +420,9 @@ export const getSessionCount = async (userId) => {
 };
 
 /**
- * Clean up expired sessions (optional maintenance function)
- * Redis automatically removes expired keys, but this can be used for manual cleanup
+ * Remove a user's index entries for sessions that no longer exist
  * @param {string} userId - User ID (UUID)
- * @returns {Promise<number>} Number of sessions cleaned up
+ * @returns {Promise<number>} Number of index entries removed
  */
 export const cleanupExpiredSessions = async (userId) => {
   try {
@@ -283,38 +430,95 @@ export const cleanupExpiredSessions = async (userId) => {
       throw new Error('User ID is required');
     }
 
-    const pattern = `session:${userId}:*`;
-    const sessionKeys = await redisHelpers.keys(pattern);
+    const indexKey = getIndexKey(userId);
 
-    if (!sessionKeys || sessionKeys.length === 0) {
-      return 0;
-    }
+    // Sessions idle for longer than the idle timeout have expired for certain
+    const idleCutoff = Date.now() - config.session.idleTimeout * 1000;
+    const removedIdle = await redisHelpers.zRemRangeByScore(indexKey, '-inf', idleCutoff);
 
-    let cleanedCount = 0;
-    for (const key of sessionKeys) {
-      const ttl = await redisHelpers.ttl(key);
-      // If TTL is -2, key doesn't exist (already expired)
-      // If TTL is -1, key exists but has no expiry (shouldn't happen)
-      if (ttl === -2) {
-        cleanedCount++;
-      }
+    // The rest may have been deleted or hit the absolute timeout
+    const sessionIds = await redisHelpers.zRevRange(indexKey);
+
+    if (sessionIds.length === 0) {
+      return removedIdle;
     }
 
-    return cleanedCount;
+    const sessions = await redisHelpers.mGet(sessionIds.map((sessionId) => getSessionKey(userId, sessionId)));
+
+    return removedIdle + await removeOrphans(userId, sessionIds, sessions);
   } catch (error) {
     console.error('Cleanup expired sessions error:', error.message);
     return 0;
   }
 };
 
+/**
+ * Remove orphaned entries from every user's session index (maintenance).
+ * Walks the index keys with SCAN, so it can run against a live Redis.
+ * @returns {Promise<Object>} { indexes, removed }
+ */
+export const cleanupSessionIndexes = async () => {
+  let indexes = 0;
+  let removed = 0;
+
+  for await (const indexKeys of redisHelpers.scan('sessions:*')) {
+    for (const indexKey of indexKeys) {
+      indexes++;
+      removed += await cleanupExpiredSessions(indexKey.substring('sessions:'.length));
+    }
+  }
+
+  return { indexes, removed };
+};
+
+/**
+ * Index sessions stored before the per-user index existed (migration).
+ * Walks the session keys with SCAN; running it again is harmless.
+ * @returns {Promise<Object>} { sessions, users }
+ */
+export const migrateSessionIndex = async () => {
+  const users = new Set();
+  let sessions = 0;
+
+  for await (const sessionKeys of redisHelpers.scan('session:*:*')) {
+    const sessionData = await redisHelpers.mGet(sessionKeys);
+    const commands = [];
+
+    sessionKeys.forEach((sessionKey, index) => {
+      if (!sessionData[index]) {
+        return;
+      }
+
+      const [, userId, sessionId] = sessionKey.split(':');
+      const lastActivity = new Date(sessionData[index].last_activity).getTime() || Date.now();
+
+      commands.push(['zAdd', getIndexKey(userId), lastActivity, sessionId]);
+      commands.push(['expire', getIndexKey(userId), config.session.absoluteTimeout]);
+      users.add(userId);
+      sessions++;
+    });
+
+    if (commands.length > 0 && !(await redisHelpers.multi(commands))) {
+      throw new Error('Failed to write session index in Redis');
+    }
+  }
+
+  return { sessions, users: users.size };
+};
+
 export default {
   createSession,
   getActiveSessions,
   getSession,
   revokeSession,
   revokeAllSessions,
+  revokeOtherSessions,
+  evictSession,
+  getSessionEviction,
   updateLastActivity,
   isSessionValid,
   getSessionCount,
-  cleanupExpiredSessions
+  cleanupExpiredSessions,
+  cleanupSessionIndexes,
+  migrateSessionIndex
 };
@@ -192,9 +192,36 @@ export const sendPasswordResetSMS = async (phone) => {
   return await sendSMS(phone, message);
 };
 
+/**
+ * Notify the current phone number that a phone number change was requested
+ * @param {string} phone - Current phone number
+ * @param {string} revokeToken - Token for the "this wasn't me" link
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendContactChangeNoticeSMS = async (phone, revokeToken) => {
+  const revokeLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/revoke-contact-change?token=${revokeToken}`;
+  const message = `A change of the phone number on your MSSU-Connect account was requested. If this wasn't you, cancel it: ${revokeLink}`;
+  return await sendSMS(phone, message);
+};
+
+/**
+ * Alert a user about a sign-in from a new device, network or time of day
+ * @param {string} phone - Recipient phone number
+ * @param {Object} alert - { blocked, revokeToken }
+ * @returns {Promise<Object>} Delivery status
+ */
+export const sendSignInAlertSMS = async (phone, alert) => {
+  const message = alert.blocked
+    ? 'An unusual sign-in to your MSSU-Connect account with your correct password was blocked. If this wasn\'t you, reset your password now.'
+    : `New sign-in to your MSSU-Connect account. If this wasn't you, sign out every device: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/revoke-sign-in?token=${alert.revokeToken}`;
+  return await sendSMS(phone, message);
+};
+
 export default {
   sendSMS,
   sendOTP,
   sendAccountLockedSMS,
   sendPasswordResetSMS,
+  sendContactChangeNoticeSMS,
+  sendSignInAlertSMS,
 };
@@ -1,14 +1,35 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../config/env.js';
+import { getSigningKey, getVerificationKey } from './keyService.js';
 
-const JWT_SECRET = config.jwt.secret;
-const JWT_ALGORITHM = config.jwt.algorithm || 'HS256';
 const ACCESS_TOKEN_EXPIRY = config.jwt.accessExpiry || '1h';
 const REFRESH_TOKEN_EXPIRY = config.jwt.refreshExpiry || '7d';
+const MFA_PENDING_TOKEN_EXPIRY = '5m';
+const ID_TOKEN_EXPIRY = config.oidc.idTokenExpiry || '1h';
+
+/**
+ * Sign a payload with the current signing key
+ * RS256/ES256 tokens carry the key ID in the "kid" header so verifiers can pick the right public key
+ * @param {Object} payload - Token payload
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, jwtid)
+ * @returns {string} Signed JWT
+ */
+const signToken = (payload, options) => {
+  const { key, kid, alg } = getSigningKey();
+
+  return jwt.sign(payload, key, {
+    ...options,
+    algorithm: alg,
+    ...(kid && { keyid: kid })
+  });
+};
 
 /**
  * Generate an access token (short-lived, 1 hour)
- * @param {Object} payload - Token payload containing user_id, email, role, campus_id
+ * @param {Object} payload - Token payload containing user_id, email, role, campus_id, token_version,
+ *   session_id (checked on every request so revoking the session ends the token),
+ *   and optionally client_id and scope (tokens issued to OAuth clients)
  * @returns {string} JWT access token
  */
 export const generateAccessToken = (payload) => {
@@ -22,11 +43,21 @@ export const generateAccessToken = (payload) => {
       email: payload.email,
       role: payload.role,
       campus_id: payload.campus_id,
+      token_version: payload.token_version || 0,
       type: 'access'
     };
     
-    const token = jwt.sign(tokenPayload, JWT_SECRET, {
-      algorithm: JWT_ALGORITHM,
+    if (payload.session_id) {
+      tokenPayload.sid = payload.session_id;
+    }
+    
+    // Tokens issued to OAuth clients are limited to the granted scopes
+    if (payload.client_id) {
+      tokenPayload.client_id = payload.client_id;
+      tokenPayload.scope = payload.scope;
+    }
+    
+    const token = signToken(tokenPayload, {
       expiresIn: ACCESS_TOKEN_EXPIRY
     });
     
@@ -39,7 +70,8 @@ export const generateAccessToken = (payload) => {
 
 /**
  * Generate a refresh token (long-lived, 7 days)
- * @param {Object} payload - Token payload containing user_id, email, role, campus_id, token_version
+ * @param {Object} payload - Token payload containing user_id, email, role, campus_id, token_version,
+ *   and optionally session_id and jti (refresh token family tracking), client_id and scope
  * @returns {string} JWT refresh token
  */
 export const generateRefreshToken = (payload) => {
@@ -57,9 +89,18 @@ export const generateRefreshToken = (payload) => {
       type: 'refresh'
     };
     
-    const token = jwt.sign(tokenPayload, JWT_SECRET, {
-      algorithm: JWT_ALGORITHM,
-      expiresIn: REFRESH_TOKEN_EXPIRY
+    if (payload.session_id) {
+      tokenPayload.sid = payload.session_id;
+    }
+    
+    if (payload.client_id) {
+      tokenPayload.client_id = payload.client_id;
+      tokenPayload.scope = payload.scope;
+    }
+    
+    const token = signToken(tokenPayload, {
+      expiresIn: REFRESH_TOKEN_EXPIRY,
+      jwtid: payload.jti || crypto.randomUUID()
     });
     
     return token;
@@ -81,8 +122,15 @@ export const verifyToken = (token) => {
       throw new Error('Token is required');
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET, {
-      algorithms: [JWT_ALGORITHM]
+    const complete = jwt.decode(token, { complete: true });
+    const verificationKey = complete ? getVerificationKey(complete.header.kid) : null;
+
+    if (!verificationKey) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+    
+    const decoded = jwt.verify(token, verificationKey.key, {
+      algorithms: [verificationKey.alg]
     });
     
     return decoded;
@@ -122,6 +170,108 @@ export const generateTokens = (payload) => {
   }
 };
 
+/**
+ * Generate an MFA pending token (short-lived, 5 minutes)
+ * Issued after the first factor succeeds; only exchangeable at the MFA verify endpoint
+ * @param {Object} payload - Token payload containing user_id and login method
+ * @returns {string} JWT MFA pending token
+ */
+export const generateMFAPendingToken = (payload) => {
+  try {
+    if (!payload || !payload.user_id) {
+      throw new Error('Invalid payload: user_id is required');
+    }
+    
+    const tokenPayload = {
+      user_id: payload.user_id,
+      login_method: payload.login_method,
+      type: 'mfa_pending'
+    };
+
+    // Login audit details gathered before the second factor (e.g. which password provider was used)
+    if (payload.login_details && Object.keys(payload.login_details).length > 0) {
+      tokenPayload.login_details = payload.login_details;
+    }
+    
+    const token = signToken(tokenPayload, {
+      expiresIn: MFA_PENDING_TOKEN_EXPIRY,
+      jwtid: crypto.randomUUID()
+    });
+    
+    return token;
+  } catch (error) {
+    console.error('MFA pending token generation error:', error.message);
+    throw new Error('Failed to generate MFA pending token');
+  }
+};
+
+/**
+ * Generate an impersonation access token ("view as user", short-lived, no refresh token)
+ * The token authenticates as the target user and names the impersonator in the RFC 8693
+ * "act" claim, so every request made with it can be attributed to the impersonator
+ * @param {Object} payload - Target user_id, email, role, campus_id, plus impersonator_id,
+ *   impersonation_id and expiresIn (seconds)
+ * @returns {string} JWT access token
+ */
+export const generateImpersonationToken = (payload) => {
+  try {
+    if (!payload || !payload.user_id || !payload.impersonator_id || !payload.impersonation_id) {
+      throw new Error('Invalid payload: user_id, impersonator_id and impersonation_id are required');
+    }
+    
+    const tokenPayload = {
+      user_id: payload.user_id,
+      email: payload.email,
+      role: payload.role,
+      campus_id: payload.campus_id,
+      act: { sub: payload.impersonator_id },
+      type: 'access'
+    };
+    
+    const token = signToken(tokenPayload, {
+      expiresIn: payload.expiresIn,
+      jwtid: payload.impersonation_id
+    });
+    
+    return token;
+  } catch (error) {
+    console.error('Impersonation token generation error:', error.message);
+    throw new Error('Failed to generate impersonation token');
+  }
+};
+
+/**
+ * Generate an OpenID Connect ID token for a client
+ * @param {Object} claims - Identity claims (sub, role, campus_id, and any scope-dependent claims)
+ * @param {Object} options - { audience: client_id, nonce, authTime: seconds since epoch, sessionId }
+ * @returns {string} JWT ID token
+ */
+export const generateIDToken = (claims, options = {}) => {
+  try {
+    if (!claims || !claims.sub || !options.audience) {
+      throw new Error('Invalid ID token: sub and audience are required');
+    }
+    
+    const tokenPayload = {
+      ...claims,
+      auth_time: options.authTime,
+      ...(options.nonce && { nonce: options.nonce }),
+      ...(options.sessionId && { sid: options.sessionId })
+    };
+    
+    const token = signToken(tokenPayload, {
+      expiresIn: ID_TOKEN_EXPIRY,
+      issuer: config.oidc.issuer,
+      audience: options.audience
+    });
+    
+    return token;
+  } catch (error) {
+    console.error('ID token generation error:', error.message);
+    throw new Error('Failed to generate ID token');
+  }
+};
+
 /**
  * Decode a token without verification (useful for extracting payload from expired tokens)
  * @param {string} token - JWT token to decode
@@ -146,5 +296,8 @@ export default {
   generateRefreshToken,
   verifyToken,
   generateTokens,
+  generateMFAPendingToken,
+  generateImpersonationToken,
+  generateIDToken,
   decodeToken
 };
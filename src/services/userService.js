@@ -3,8 +3,13 @@ import Campus from '../models/Campus.js';
 import { hashPassword } from './passwordService.js';
 import { uploadProfilePicture as uploadToS3, deleteProfilePicture as deleteFromS3 } from './storageService.js';
 import { createAuditLog } from './auditService.js';
+import { clearAccountThrottle } from './loginThrottleService.js';
+import { getPhoneIndex } from '../utils/encryption.js';
 import { Op } from 'sequelize';
 
+// A search that looks like a whole phone number is also matched against the phone index
+const PHONE_SEARCH_PATTERN = /^\+?[\d\s\-().]{10,20}$/;
+
 /**
  * Create a new user
  * @param {Object} userData - User data to create
@@ -13,7 +18,7 @@ import { Op } from 'sequelize';
  */
 export const createUser = async (userData, createdBy) => {
   try {
-    const { email, phone, password, name, role, campus_id, profile_picture_url, address } = userData;
+    const { email, phone, password, name, role, campus_id, profile_picture_url, address, account_status, must_change_password } = userData;
 
     // Validate required fields
     if (!email || !phone || !password || !name || !role || !campus_id) {
@@ -29,8 +34,8 @@ export const createUser = async (userData, createdBy) => {
       throw error;
     }
 
-    // Validate phone uniqueness (need to check encrypted values)
-    const existingUserByPhone = await User.findOne({ where: { phone } });
+    // Validate phone uniqueness (phone is encrypted, so compare blind indexes)
+    const existingUserByPhone = await User.findOne({ where: { phone_bidx: getPhoneIndex(phone) } });
     if (existingUserByPhone) {
       const error = new Error('Phone number already exists');
       error.code = 'PHONE_EXISTS';
@@ -60,8 +65,11 @@ export const createUser = async (userData, createdBy) => {
       campus_id,
       profile_picture_url: profile_picture_url || null,
       address: address || null, // Will be encrypted by model setter if provided
-      account_status: 'active',
+      account_status: account_status || 'active',
       failed_login_attempts: 0,
+      // Set for temporary passwords handed out by an administrator
+      must_change_password: Boolean(must_change_password),
+      password_changed_at: new Date(),
     });
 
     // Create audit log entry
@@ -75,6 +83,7 @@ export const createUser = async (userData, createdBy) => {
         email: user.email,
         role: user.role,
         campus_id: user.campus_id,
+        must_change_password: user.must_change_password,
       },
     });
 
@@ -184,10 +193,10 @@ export const getUserByPhone = async (phone) => {
       throw new Error('Phone number is required');
     }
 
-    // Since phone is encrypted, we need to find all users and check decrypted values
-    // This is not optimal for large datasets, but necessary with field-level encryption
-    const users = await User.findAll({
+    // Phone is encrypted with a random IV, so look it up by its blind index
+    const user = await User.findOne({
       where: {
+        phone_bidx: getPhoneIndex(phone),
         deleted_at: null,
       },
       include: [{
@@ -197,9 +206,6 @@ export const getUserByPhone = async (phone) => {
       }],
     });
 
-    // Find user with matching phone (decrypted by model getter)
-    const user = users.find(u => u.phone === phone);
-
     if (!user) {
       const error = new Error('User not found');
       error.code = 'USER_NOT_FOUND';
@@ -217,7 +223,7 @@ export const getUserByPhone = async (phone) => {
 
 /**
  * List users with filtering, pagination, and sorting
- * @param {Object} filters - Filter criteria { role, campus_id, account_status, search }
+ * @param {Object} filters - Filter criteria { role, campus_id, account_status, search (name, email or phone number) }
  * @param {Object} pagination - Pagination options { page, limit, sortBy, sortOrder }
  * @param {Object} requestingUser - User making the request
  * @returns {Promise<Object>} { users, pagination: { page, limit, total, totalPages } }
@@ -265,11 +271,12 @@ export const listUsers = async (filters = {}, pagination = {}, requestingUser) =
       whereClause.account_status = account_status;
     }
 
-    // Apply search filter (name or email)
+    // Apply search filter (name or email, or an exact phone number)
     if (search) {
       whereClause[Op.or] = [
         { name: { [Op.iLike]: `%${search}%` } },
         { email: { [Op.iLike]: `%${search}%` } },
+        ...(PHONE_SEARCH_PATTERN.test(search) ? [{ phone_bidx: getPhoneIndex(search) }] : []),
       ];
     }
 
@@ -355,7 +362,7 @@ export const updateUser = async (userId, updates, updatedBy) => {
     if (updates.phone && updates.phone !== user.phone) {
       const existingUserByPhone = await User.findOne({
         where: {
-          phone: updates.phone,
+          phone_bidx: getPhoneIndex(updates.phone),
           id: { [Op.ne]: userId },
           deleted_at: null,
         },
@@ -371,7 +378,7 @@ export const updateUser = async (userId, updates, updatedBy) => {
 
     // Prepare update data (phone and address will be encrypted by model setters)
     const updateData = {};
-    const allowedFields = ['name', 'phone', 'address', 'profile_picture_url', 'role', 'campus_id', 'account_status'];
+    const allowedFields = ['name', 'phone', 'address', 'profile_picture_url', 'role', 'campus_id', 'account_status', 'must_change_password'];
     
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
@@ -438,27 +445,10 @@ export const updateProfile = async (userId, profileData) => {
       throw error;
     }
 
-    // Validate phone uniqueness if being updated
-    if (profileData.phone && profileData.phone !== user.phone) {
-      const existingUserByPhone = await User.findOne({
-        where: {
-          phone: profileData.phone,
-          id: { [Op.ne]: userId },
-          deleted_at: null,
-        },
-      });
-
-      if (existingUserByPhone) {
-        const error = new Error('Phone number already exists');
-        error.code = 'PHONE_EXISTS';
-        error.statusCode = 409;
-        throw error;
-      }
-    }
-
-    // Prepare update data (only allow specific fields for self-service)
+    // Prepare update data (only allow specific fields for self-service).
+    // Email and phone changes go through contactChangeService so the new address is verified first.
     const updateData = {};
-    const allowedFields = ['name', 'phone', 'address', 'profile_picture_url'];
+    const allowedFields = ['name', 'address', 'profile_picture_url'];
     
     for (const field of allowedFields) {
       if (profileData[field] !== undefined) {
@@ -521,6 +511,7 @@ export const activateUser = async (userId, adminId) => {
       locked_until: null,
       failed_login_attempts: 0,
     });
+    await clearAccountThrottle(userId);
 
     // Create audit log entry
     await createAuditLog({
@@ -833,6 +824,71 @@ export const uploadProfilePicture = async (userId, file) => {
   }
 };
 
+/**
+ * Fill in the phone blind index of every user whose index is missing or was made with
+ * another BLIND_INDEX_KEY. Runs in batches by id so it can run while the API is serving requests.
+ * A number held by more than one account keeps its index on the first account only; the others
+ * are reported and cannot sign in with an OTP until the duplicate is resolved.
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<Object>} { total, updated, unchanged, duplicates: [{ userId, existingUserId }], failed: [{ userId, reason }] }
+ */
+export const backfillPhoneIndex = async ({ batchSize = 500 } = {}) => {
+  try {
+    const result = { total: 0, updated: 0, unchanged: 0, duplicates: [], failed: [] };
+    let lastId = null;
+
+    for (;;) {
+      const users = await User.findAll({
+        attributes: ['id', 'phone', 'phone_bidx'],
+        where: lastId ? { id: { [Op.gt]: lastId } } : {},
+        order: [['id', 'ASC']],
+        limit: batchSize,
+      });
+
+      if (users.length === 0) {
+        break;
+      }
+
+      for (const user of users) {
+        result.total++;
+
+        let index;
+        try {
+          index = getPhoneIndex(user.phone);
+        } catch (error) {
+          result.failed.push({ userId: user.id, reason: error.message });
+          continue;
+        }
+
+        if (user.getDataValue('phone_bidx') === index) {
+          result.unchanged++;
+          continue;
+        }
+
+        const existingUser = await User.findOne({
+          attributes: ['id'],
+          where: { phone_bidx: index, id: { [Op.ne]: user.id } },
+        });
+
+        if (existingUser) {
+          result.duplicates.push({ userId: user.id, existingUserId: existingUser.id });
+          continue;
+        }
+
+        await user.update({ phone_bidx: index }, { hooks: false });
+        result.updated++;
+      }
+
+      lastId = users[users.length - 1].id;
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error backfilling phone index:', error.message);
+    throw error;
+  }
+};
+
 export default {
   createUser,
   getUserById,
@@ -846,4 +902,5 @@ export default {
   lockUser,
   deleteUser,
   uploadProfilePicture,
+  backfillPhoneIndex,
 };
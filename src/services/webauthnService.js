@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import { isoBase64URL } from '@simplewebauthn/server/helpers';
+import { redisHelpers } from '../config/redis.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import WebAuthnCredential from '../models/WebAuthnCredential.js';
+import { createAuditLog } from './auditService.js';
+import { finalizeLogin } from './authService.js';
+
+const CHALLENGE_EXPIRY_SECONDS = config.webauthn.challengeExpiry || 300;
+const MAX_PASSKEYS_PER_USER = 10;
+
+/**
+ * Generate passkey registration options for an authenticated user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON for navigator.credentials.create()
+ */
+export const generatePasskeyRegistrationOptions = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const existing = await WebAuthnCredential.findAll({ where: { user_id: userId } });
+
+    if (existing.length >= MAX_PASSKEYS_PER_USER) {
+      const error = new Error(`A maximum of ${MAX_PASSKEYS_PER_USER} passkeys can be registered`);
+      error.code = 'PASSKEY_LIMIT_REACHED';
+      throw error;
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName: config.webauthn.rpName,
+      rpID: config.webauthn.rpID,
+      userID: new TextEncoder().encode(user.id),
+      userName: user.email,
+      userDisplayName: user.name,
+      attestationType: 'none',
+      // Prevent registering the same authenticator twice
+      excludeCredentials: existing.map(credential => ({
+        id: credential.credential_id,
+        transports: credential.transports || undefined
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    });
+
+    await redisHelpers.set(`webauthn:reg:${userId}`, { challenge: options.challenge }, CHALLENGE_EXPIRY_SECONDS);
+
+    return options;
+  } catch (error) {
+    console.error('Generate passkey registration options error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a passkey registration response and store the credential
+ * @param {string} userId - User ID
+ * @param {Object} response - RegistrationResponseJSON from navigator.credentials.create()
+ * @param {string} name - Friendly name for the passkey
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Stored passkey (safe representation)
+ */
+export const verifyPasskeyRegistration = async (userId, response, name = null, context = {}) => {
+  try {
+    if (!userId || !response) {
+      const error = new Error('User ID and registration response are required');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    // Challenges are single use
+    const challengeKey = `webauthn:reg:${userId}`;
+    const stored = await redisHelpers.get(challengeKey);
+    await redisHelpers.del(challengeKey);
+
+    if (!stored) {
+      const error = new Error('Registration challenge has expired. Please try again');
+      error.code = 'WEBAUTHN_CHALLENGE_EXPIRED';
+      throw error;
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: stored.challenge,
+        expectedOrigin: config.webauthn.origins,
+        expectedRPID: config.webauthn.rpID,
+        requireUserVerification: false
+      });
+    } catch (verifyError) {
+      const error = new Error(`Passkey registration failed: ${verifyError.message}`);
+      error.code = 'WEBAUTHN_VERIFICATION_FAILED';
+      throw error;
+    }
+
+    if (!verification.verified) {
+      const error = new Error('Passkey registration could not be verified');
+      error.code = 'WEBAUTHN_VERIFICATION_FAILED';
+      throw error;
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    const existing = await WebAuthnCredential.findOne({ where: { credential_id: credential.id } });
+
+    if (existing) {
+      const error = new Error('This passkey is already registered');
+      error.code = 'PASSKEY_EXISTS';
+      throw error;
+    }
+
+    const passkey = await WebAuthnCredential.create({
+      user_id: userId,
+      credential_id: credential.id,
+      public_key: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || null,
+      device_type: credentialDeviceType,
+      backed_up: credentialBackedUp,
+      name: name || (credentialDeviceType === 'multiDevice' ? 'Synced passkey' : 'Security key')
+    });
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'passkey_registered',
+      resource_type: 'passkey',
+      resource_id: passkey.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: {
+        name: passkey.name,
+        device_type: credentialDeviceType,
+        backed_up: credentialBackedUp
+      }
+    });
+
+    return passkey.toSafeObject();
+  } catch (error) {
+    console.error('Verify passkey registration error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Generate passkey login options
+ * When an email is given, the user's registered passkeys are listed; otherwise
+ * discoverable credentials (passkey autofill) are used.
+ * @param {string|null} email - Optional user email
+ * @returns {Promise<Object>} { challengeId, options }
+ */
+export const generatePasskeyLoginOptions = async (email = null) => {
+  try {
+    let allowCredentials = [];
+
+    if (email) {
+      const user = await User.findOne({ where: { email } });
+
+      // Unknown emails get empty options so account existence is not revealed
+      if (user) {
+        const credentials = await WebAuthnCredential.findAll({ where: { user_id: user.id } });
+        allowCredentials = credentials.map(credential => ({
+          id: credential.credential_id,
+          transports: credential.transports || undefined
+        }));
+      }
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: config.webauthn.rpID,
+      allowCredentials,
+      userVerification: 'preferred'
+    });
+
+    const challengeId = crypto.randomUUID();
+    await redisHelpers.set(`webauthn:auth:${challengeId}`, { challenge: options.challenge }, CHALLENGE_EXPIRY_SECONDS);
+
+    return {
+      challengeId,
+      options
+    };
+  } catch (error) {
+    console.error('Generate passkey login options error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verify a passkey assertion and log the user in
+ * @param {string} challengeId - Challenge ID from generatePasskeyLoginOptions
+ * @param {Object} response - AuthenticationResponseJSON from navigator.credentials.get()
+ * @param {Object} context - Request context { ipAddress, userAgent, deviceInfo }
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, sessionId } or an MFA challenge
+ */
+export const verifyPasskeyLogin = async (challengeId, response, context = {}) => {
+  try {
+    if (!challengeId || !response) {
+      const error = new Error('Challenge ID and authentication response are required');
+      error.code = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    // Challenges are single use
+    const challengeKey = `webauthn:auth:${challengeId}`;
+    const stored = await redisHelpers.get(challengeKey);
+    await redisHelpers.del(challengeKey);
+
+    if (!stored) {
+      const error = new Error('Login challenge has expired. Please try again');
+      error.code = 'WEBAUTHN_CHALLENGE_EXPIRED';
+      throw error;
+    }
+
+    const passkey = await WebAuthnCredential.findOne({ where: { credential_id: response.id } });
+
+    if (!passkey) {
+      await createAuditLog({
+        action_type: 'failed_login',
+        resource_type: 'user',
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { method: 'passkey', reason: 'unknown_credential' }
+      });
+
+      const error = new Error('Passkey not recognised');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const user = await User.findByPk(passkey.user_id);
+
+    if (!user || user.deleted_at) {
+      const error = new Error('Passkey not recognised');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    // Check if account is locked
+    if (user.isLocked()) {
+      const lockedUntil = user.locked_until;
+      const minutesRemaining = Math.ceil((lockedUntil - new Date()) / 60000);
+
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'failed_login',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { method: 'passkey', reason: 'account_locked', locked_until: lockedUntil }
+      });
+
+      const error = new Error(`Account temporarily locked. Try again in ${minutesRemaining} minutes`);
+      error.code = 'ACCOUNT_LOCKED';
+      error.lockedUntil = lockedUntil;
+      throw error;
+    }
+
+    // Check if account is active
+    if (user.account_status !== 'active') {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'failed_login',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { method: 'passkey', reason: 'account_inactive', status: user.account_status }
+      });
+
+      const error = new Error(`Account is ${user.account_status}. Contact administrator`);
+      error.code = user.account_status === 'inactive' ? 'ACCOUNT_INACTIVE' : 'ACCOUNT_LOCKED';
+      throw error;
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: stored.challenge,
+        expectedOrigin: config.webauthn.origins,
+        expectedRPID: config.webauthn.rpID,
+        credential: {
+          id: passkey.credential_id,
+          publicKey: isoBase64URL.toBuffer(passkey.public_key),
+          counter: passkey.counter,
+          transports: passkey.transports || undefined
+        },
+        requireUserVerification: false
+      });
+    } catch (verifyError) {
+      verification = { verified: false, reason: verifyError.message };
+    }
+
+    if (!verification.verified) {
+      await createAuditLog({
+        user_id: user.id,
+        action_type: 'failed_login',
+        resource_type: 'user',
+        resource_id: user.id,
+        ip_address: context.ipAddress,
+        user_agent: context.userAgent,
+        details: { method: 'passkey', reason: 'assertion_invalid', passkey_id: passkey.id }
+      });
+
+      const error = new Error('Passkey verification failed');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const { newCounter, userVerified, credentialBackedUp } = verification.authenticationInfo;
+
+    await passkey.update({
+      counter: newCounter,
+      backed_up: credentialBackedUp,
+      last_used_at: new Date()
+    });
+
+    await user.update({
+      failed_login_attempts: 0,
+      locked_until: null
+    });
+
+    // A user-verified passkey (biometric/PIN) is itself multi-factor
+    return await finalizeLogin(user, 'passkey', context, { multiFactor: userVerified });
+  } catch (error) {
+    console.error('Verify passkey login error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * List a user's registered passkeys
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Passkeys (safe representation)
+ */
+export const listPasskeys = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const passkeys = await WebAuthnCredential.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'ASC']]
+    });
+
+    return passkeys.map(passkey => passkey.toSafeObject());
+  } catch (error) {
+    console.error('List passkeys error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find a passkey owned by the user
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @returns {Promise<Object>} WebAuthnCredential instance
+ */
+const findOwnedPasskey = async (userId, passkeyId) => {
+  const passkey = await WebAuthnCredential.findOne({
+    where: { id: passkeyId, user_id: userId }
+  });
+
+  if (!passkey) {
+    const error = new Error('Passkey not found');
+    error.code = 'PASSKEY_NOT_FOUND';
+    throw error;
+  }
+
+  return passkey;
+};
+
+/**
+ * Rename a passkey
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} name - New name
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} Updated passkey (safe representation)
+ */
+export const renamePasskey = async (userId, passkeyId, name, context = {}) => {
+  try {
+    const passkey = await findOwnedPasskey(userId, passkeyId);
+    const previousName = passkey.name;
+
+    await passkey.update({ name });
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'passkey_renamed',
+      resource_type: 'passkey',
+      resource_id: passkey.id,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { old_name: previousName, new_name: name }
+    });
+
+    return passkey.toSafeObject();
+  } catch (error) {
+    console.error('Rename passkey error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke (delete) a passkey
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @param {Object} context - Request context { ipAddress, userAgent }
+ * @returns {Promise<Object>} { success: boolean }
+ */
+export const revokePasskey = async (userId, passkeyId, context = {}) => {
+  try {
+    const passkey = await findOwnedPasskey(userId, passkeyId);
+
+    await passkey.destroy();
+
+    await createAuditLog({
+      user_id: userId,
+      action_type: 'passkey_revoked',
+      resource_type: 'passkey',
+      resource_id: passkeyId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      details: { name: passkey.name }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Revoke passkey error:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  generatePasskeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  generatePasskeyLoginOptions,
+  verifyPasskeyLogin,
+  listPasskeys,
+  renamePasskey,
+  revokePasskey
+};
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+const MAGIC = Buffer.from('MSSUBLM1');
+const HEADER_BYTES = 32; // magic (8) + hash count (4) + reserved (4) + bit count (8) + item count (8)
+
+/**
+ * Hash a password the way breach corpora publish them (upper-case SHA-1 hex, as used by
+ * Have I Been Pwned), so plain-text and pre-hashed corpora fill the same filter
+ * @param {string} password - Plain text password
+ * @returns {string} 40-character upper-case hex digest
+ */
+export const sha1Hex = (password) => crypto.createHash('sha1').update(String(password), 'utf8').digest('hex').toUpperCase();
+
+/**
+ * Create an empty Bloom filter sized for a number of items and a false-positive rate
+ * @param {Object} options - { itemCount, falsePositiveRate }
+ * @returns {Object} { bitCount, hashCount, itemCount, bits }
+ */
+export const createBloomFilter = ({ itemCount, falsePositiveRate = 0.001 }) => {
+  const items = Math.max(itemCount, 1);
+  const bitCount = Math.ceil(-items * Math.log(falsePositiveRate) / (Math.LN2 ** 2));
+  const hashCount = Math.max(1, Math.round((bitCount / items) * Math.LN2));
+
+  return {
+    bitCount,
+    hashCount,
+    itemCount: 0,
+    bits: Buffer.alloc(Math.ceil(bitCount / 8))
+  };
+};
+
+/**
+ * Bit positions for a SHA-1 digest (double hashing; the digest is already uniform,
+ * so two 48-bit slices of it serve as the base hashes)
+ * @param {Object} filter - Bloom filter
+ * @param {string} hash - SHA-1 hex digest
+ * @returns {number[]} Bit positions
+ */
+const getPositions = (filter, hash) => {
+  const digest = Buffer.from(hash, 'hex');
+  const h1 = digest.readUIntBE(0, 6) % filter.bitCount;
+  const h2 = (digest.readUIntBE(6, 6) % filter.bitCount) || 1;
+  const positions = [];
+
+  for (let i = 0; i < filter.hashCount; i++) {
+    positions.push((h1 + i * h2) % filter.bitCount);
+  }
+
+  return positions;
+};
+
+/**
+ * Add a SHA-1 digest to a Bloom filter
+ * @param {Object} filter - Bloom filter
+ * @param {string} hash - SHA-1 hex digest
+ */
+export const addToBloomFilter = (filter, hash) => {
+  for (const position of getPositions(filter, hash)) {
+    filter.bits[position >>> 3] |= 1 << (position & 7);
+  }
+  filter.itemCount++;
+};
+
+/**
+ * Check whether a SHA-1 digest may be in a Bloom filter
+ * @param {Object} filter - Bloom filter
+ * @param {string} hash - SHA-1 hex digest
+ * @returns {boolean} False when definitely absent; true when present or a false positive
+ */
+export const bloomFilterHas = (filter, hash) => {
+  return getPositions(filter, hash).every(position => (filter.bits[position >>> 3] & (1 << (position & 7))) !== 0);
+};
+
+/**
+ * Serialize a Bloom filter for storage
+ * @param {Object} filter - Bloom filter
+ * @returns {Buffer} Header followed by the bit array
+ */
+export const serializeBloomFilter = (filter) => {
+  const header = Buffer.alloc(HEADER_BYTES);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(filter.hashCount, 8);
+  header.writeBigUInt64BE(BigInt(filter.bitCount), 16);
+  header.writeBigUInt64BE(BigInt(filter.itemCount), 24);
+
+  return Buffer.concat([header, filter.bits]);
+};
+
+/**
+ * Read a Bloom filter written by serializeBloomFilter
+ * @param {Buffer} buffer - Serialized filter
+ * @returns {Object} Bloom filter
+ */
+export const parseBloomFilter = (buffer) => {
+  if (buffer.length < HEADER_BYTES || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not a breached-password Bloom filter file');
+  }
+
+  const filter = {
+    hashCount: buffer.readUInt32BE(8),
+    bitCount: Number(buffer.readBigUInt64BE(16)),
+    itemCount: Number(buffer.readBigUInt64BE(24)),
+    bits: buffer.subarray(HEADER_BYTES)
+  };
+
+  if (filter.bits.length !== Math.ceil(filter.bitCount / 8)) {
+    throw new Error('Bloom filter file is truncated');
+  }
+
+  return filter;
+};
+
+export default {
+  sha1Hex,
+  createBloomFilter,
+  addToBloomFilter,
+  bloomFilterHas,
+  serializeBloomFilter,
+  parseBloomFilter
+};
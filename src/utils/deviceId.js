@@ -0,0 +1,63 @@
+import config from '../config/env.js';
+
+export const DEVICE_ID_HEADER = 'x-device-id';
+export const DEVICE_ID_COOKIE = 'device_id';
+const DEVICE_ID_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read the device identifier a client sent: the X-Device-Id header (apps),
+ * or the device_id cookie (browsers)
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Device identifier as sent; validated by the device service
+ */
+export const getDeviceId = (req) => {
+  const header = req.get?.(DEVICE_ID_HEADER);
+  if (header) {
+    return header.trim();
+  }
+
+  const cookies = req.headers?.cookie;
+  if (!cookies) {
+    return undefined;
+  }
+
+  for (const pair of cookies.split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name === DEVICE_ID_COOKIE) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch {
+        // A malformed cookie is treated like no identifier, so the login gets a new one
+        return undefined;
+      }
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Hand the device identifier back to the client so it is sent with later logins
+ * @param {Object} res - Express response
+ * @param {string} deviceId - Device identifier from the login result
+ */
+export const sendDeviceId = (res, deviceId) => {
+  if (!deviceId) {
+    return;
+  }
+
+  res.cookie(DEVICE_ID_COOKIE, deviceId, {
+    httpOnly: true,
+    secure: config.nodeEnv === 'production',
+    sameSite: 'lax',
+    maxAge: DEVICE_ID_COOKIE_MAX_AGE_MS,
+    path: '/api/v1'
+  });
+};
+
+export default {
+  DEVICE_ID_HEADER,
+  DEVICE_ID_COOKIE,
+  getDeviceId,
+  sendDeviceId
+};
@@ -56,4 +56,27 @@ export const decrypt = (cipherText) => {
   }
 };
 
-export default { encrypt, decrypt };
+/**
+ * Keyed HMAC of a value, so an encrypted field can be looked up by equality
+ * without storing anything that can be reversed or matched without the key
+ * @param {string} value - Normalised plain text
+ * @returns {string|null} HMAC-SHA256 hex digest
+ */
+export const blindIndex = (value) => {
+  if (!value) return null;
+
+  return crypto.createHmac('sha256', config.encryption.blindIndexKey).update(value).digest('hex');
+};
+
+/**
+ * Blind index of a phone number; spaces, dashes, dots and parentheses are ignored
+ * @param {string} phone - Phone number
+ * @returns {string|null} Value for User.phone_bidx
+ */
+export const getPhoneIndex = (phone) => {
+  if (!phone) return null;
+
+  return blindIndex(String(phone).replace(/[\s\-().]/g, ''));
+};
+
+export default { encrypt, decrypt, blindIndex, getPhoneIndex };
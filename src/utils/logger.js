@@ -183,6 +183,9 @@ export const logRequest = (req, res, duration) => {
     duration: `${duration}ms`,
     requestId: req.id,
     userId: req.user?.id,
+    impersonatorId: req.impersonation?.impersonator_id,
+    impersonationId: req.impersonation?.id,
+    serviceAccountId: req.serviceAccount?.id,
     ipAddress: req.ip || req.connection?.remoteAddress,
     userAgent: req.get('user-agent')
   };
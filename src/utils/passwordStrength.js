@@ -0,0 +1,630 @@
+/**
+ * Password strength estimation in the style of zxcvbn (Wheeler, USENIX Security 2016).
+ *
+ * The password is split into the cheapest sequence of guessable patterns (common passwords
+ * and words, keyboard rows, sequences, repeats, years and dates), each costed as the number
+ * of guesses an attacker trying that pattern would need. Characters no pattern explains are
+ * brute-forced. The total guess count maps to a score from 0 (trivial) to 4 (very strong).
+ */
+
+// Ranked by how common they are in leaked password lists (rank 1 is the most common)
+const COMMON_PASSWORDS = `
+password 123456 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon 123123 baseball abc123
+football monkey letmein shadow master 666666 qwertyuiop 123321 1234567890 superman 654321 1qaz2wsx
+7777777 qazwsx iloveyou 000000 admin admin123 welcome welcome123 password1 qwerty123 abcd1234
+changeme 123qwe zxcvbnm asdfghjkl sunshine princess trustno1 starwars hello freedom whatever
+michael jordan jennifer hunter harley ranger buster thomas tigger robert soccer batman test pass
+killer hockey george charlie andrew michelle love jessica pepper daniel access joshua maggie silver
+william ashley amanda orange computer thunder nicole ginger heather hammer summer taylor merlin
+matthew cheese martin chelsea patrick richard diamond yellow secret asdfgh sparky cowboy anthony
+matrix falcon iloveu bailey guitar jackson purple scooter phoenix morgan tigers mickey maverick
+cookie peanut justin money samantha joseph snoopy boomer smokey dakota eagles chicken black please
+andrea ferrari knight melissa coffee johnny bulldog james player wizard charles junior internet
+banana monster spider miller rabbit mercedes brandon steven tiger marine chicago gandalf winter
+edward london midnight blue hannah rachel oliver mother victoria jasper angel david winner crystal
+golden viking jack prince cameron madison wilson carlos startrek captain jasmine butter angela
+rocket tiffany dennis flower forever green jackie muffin turtle sophie danielle toyota jason sierra
+mountain united cooper driver tucker helpme lucky maxwell happy gemini lover canada nathan victor
+florida nicholas doctor trouble success warrior peaches magic buddy rainbow freddy alexis cocacola
+dolphin testing member samson apollo tester walter voyager peter apple scorpio jonathan sydney
+scott power gordon travis legend india krishna ganesh sairam omsairam jaihind bharat cricket mumbai
+delhi sachin mssu student teacher college campus university school parent connect login
+`.trim().split(/\s+/);
+
+// Common English words and names that show up as password building blocks
+const COMMON_WORDS = `
+the and you that was for are with his they this have from one had word but not what all were when
+your can said there use each which she how their will other about out many then them these some her
+would make like him into time has look two more write see number way could people than first water
+been call who now find long down day did get come made may part over new sound take only little
+work know place year live back give most very after thing our just name good sentence man think say
+great where help through much before line right too mean old any same tell boy follow came want show
+also around form three small set put end does another well large must big even such because turn here
+why ask went men read need land different home move try kind hand picture again change off play spell
+air away animal house point page letter mother answer found study still learn should world high every
+near add food between own below country plant last keep tree never start city earth eye light thought
+head under story saw left few while along might close something seem next hard open example begin life
+always those both paper together got group often run important until children side feet car mile night
+walk white sea began grow took river four carry state once book hear stop without second later miss idea
+enough eat face watch far indian really almost let above girl sometimes mountain cut young talk soon list
+song being leave family body music color stand sun question fish area mark dog horse birds problem
+complete room knew since ever piece told usually friends easy heard order red door sure become top ship
+across today during short better best however low hours black products happened whole measure remember
+early waves reached listen wind rock space covered fast several hold himself toward five step morning
+passed vowel true hundred against pattern table north slowly money map farm pulled draw voice seen cold
+cried plan notice south sing war ground fall king town unit figure certain field travel wood fire upon
+strong secure super happy summer winter spring autumn january february march april june july august
+september october november december monday tuesday wednesday thursday friday saturday sunday
+`.trim().split(/\s+/);
+
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./', '~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'];
+const KEYBOARD_STARTING_POSITIONS = 94;
+const KEYBOARD_AVERAGE_DEGREE = 4.6;
+
+const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['+', '7'],
+  x: ['%'],
+  z: ['2']
+};
+const MAX_L33T_SUBSTITUTIONS = 64;
+
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MIN_YEAR_SPACE = 20;
+const REFERENCE_YEAR = new Date().getFullYear();
+
+// Longer passwords are scored on their first characters; the rest only adds strength
+const MAX_ANALYSED_LENGTH = 100;
+
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+const SCORE_DELTA = 5;
+
+const buildRankedDictionary = (words) => new Map(words.map((word, index) => [word.toLowerCase(), index + 1]));
+
+const DICTIONARIES = {
+  passwords: buildRankedDictionary(COMMON_PASSWORDS),
+  words: buildRankedDictionary(COMMON_WORDS)
+};
+
+const binomial = (n, k) => {
+  if (k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+};
+
+const factorial = (n) => {
+  let result = 1;
+  for (let i = 2; i <= n; i++) {
+    result *= i;
+  }
+  return result;
+};
+
+/**
+ * Extra guesses for capitalisation: "Password" and "PASSWORD" cost little more than "password"
+ */
+const uppercaseVariations = (token) => {
+  if (/^[^A-Z]+$/.test(token) || token.toLowerCase() === token) return 1;
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+  const upper = token.split('').filter(char => /[A-Z]/.test(char)).length;
+  const lower = token.split('').filter(char => /[a-z]/.test(char)).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) {
+    variations += binomial(upper + lower, i);
+  }
+  return variations;
+};
+
+/**
+ * Extra guesses for l33t substitutions such as "p@ssw0rd"
+ */
+const l33tVariations = (match) => {
+  if (!match.l33t) return 1;
+
+  let variations = 1;
+  for (const [substitute, letter] of Object.entries(match.substitutions)) {
+    const chars = match.token.toLowerCase().split('');
+    const substituted = chars.filter(char => char === substitute).length;
+    const unsubstituted = chars.filter(char => char === letter).length;
+
+    if (substituted === 0 || unsubstituted === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(substituted, unsubstituted); i++) {
+        possibilities += binomial(substituted + unsubstituted, i);
+      }
+      variations *= possibilities;
+    }
+  }
+  return variations;
+};
+
+/**
+ * Find common passwords, words and user inputs, including reversed spellings
+ */
+const dictionaryMatches = (password, dictionaries) => {
+  const matches = [];
+  const lower = password.toLowerCase();
+
+  for (const [dictionaryName, dictionary] of Object.entries(dictionaries)) {
+    for (let i = 0; i < password.length; i++) {
+      for (let j = i + 2; j < password.length; j++) {
+        const word = lower.slice(i, j + 1);
+        const rank = dictionary.get(word);
+
+        if (rank) {
+          matches.push({ pattern: 'dictionary', i, j, token: password.slice(i, j + 1), matchedWord: word, rank, dictionaryName, reversed: false, l33t: false });
+        }
+      }
+    }
+  }
+
+  return matches;
+};
+
+const reversedDictionaryMatches = (password, dictionaries) => {
+  const reversed = password.split('').reverse().join('');
+
+  return dictionaryMatches(reversed, dictionaries)
+    .map(match => ({
+      ...match,
+      token: match.token.split('').reverse().join(''),
+      reversed: true,
+      i: password.length - 1 - match.j,
+      j: password.length - 1 - match.i
+    }))
+    // Palindromes are already found forwards
+    .filter(match => match.token.toLowerCase() !== match.matchedWord);
+};
+
+/**
+ * Every way of reading the l33t characters in a password back as letters
+ */
+const l33tSubstitutions = (password) => {
+  const candidates = {};
+  for (const [letter, substitutes] of Object.entries(L33T_TABLE)) {
+    for (const substitute of substitutes) {
+      if (password.includes(substitute)) {
+        (candidates[substitute] ||= []).push(letter);
+      }
+    }
+  }
+
+  let substitutions = [{}];
+  for (const [substitute, letters] of Object.entries(candidates)) {
+    substitutions = substitutions
+      .flatMap(existing => letters.map(letter => ({ ...existing, [substitute]: letter })))
+      .slice(0, MAX_L33T_SUBSTITUTIONS);
+  }
+
+  return Object.keys(candidates).length > 0 ? substitutions : [];
+};
+
+const l33tMatches = (password, dictionaries) => {
+  const matches = [];
+  const seen = new Set();
+
+  for (const substitution of l33tSubstitutions(password)) {
+    const translated = password.split('').map(char => substitution[char] || char).join('');
+
+    for (const match of dictionaryMatches(translated, dictionaries)) {
+      const token = password.slice(match.i, match.j + 1);
+      const used = Object.fromEntries(Object.entries(substitution).filter(([substitute]) => token.includes(substitute)));
+      const key = `${match.i}:${match.j}:${match.matchedWord}`;
+
+      // Only keep matches that actually use a substitution
+      if (Object.keys(used).length === 0 || token.toLowerCase() === match.matchedWord || seen.has(key)) {
+        continue;
+      }
+
+      seen.add(key);
+      matches.push({ ...match, token, l33t: true, substitutions: used });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Straight runs along a keyboard row, such as "qwerty" or "asdf"
+ */
+const keyboardMatches = (password) => {
+  const matches = [];
+
+  for (const row of KEYBOARD_ROWS) {
+    for (const direction of [1, -1]) {
+      let i = 0;
+      while (i < password.length - 1) {
+        let j = i;
+        while (j + 1 < password.length) {
+          const position = row.indexOf(password[j]);
+          if (position === -1 || row[position + direction] !== password[j + 1]) break;
+          j++;
+        }
+
+        if (j - i >= 2) {
+          matches.push({ pattern: 'keyboard', i, j, token: password.slice(i, j + 1) });
+        }
+        i = Math.max(j, i + 1);
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Runs of characters with a constant step, such as "abcd", "9753" or "zyx"
+ */
+const sequenceMatches = (password) => {
+  const matches = [];
+  const classOf = (char) => (/[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /[0-9]/.test(char) ? 'digit' : null);
+  let i = 0;
+
+  while (i < password.length - 1) {
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+
+    if (delta !== 0 && Math.abs(delta) <= 5 && classOf(password[i]) && classOf(password[i]) === classOf(password[j])) {
+      while (j + 1 < password.length &&
+             password.charCodeAt(j + 1) - password.charCodeAt(j) === delta &&
+             classOf(password[j + 1]) === classOf(password[i])) {
+        j++;
+      }
+
+      if (j - i >= 2) {
+        matches.push({ pattern: 'sequence', i, j, token: password.slice(i, j + 1), ascending: delta > 0 });
+        i = j;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return matches;
+};
+
+/**
+ * Repeated characters or blocks, such as "aaaa" or "abcabcabc"
+ */
+const repeatMatches = (password, userInputs) => {
+  const matches = [];
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  const lazyAnchored = /^(.+?)\1+$/;
+  let lastIndex = 0;
+
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+
+    if (!greedyMatch) break;
+
+    const match = greedyMatch[0].length > lazyMatch[0].length ? greedyMatch : lazyMatch;
+    const baseToken = match === greedyMatch ? lazyAnchored.exec(match[0])[1] : match[1];
+    const i = match.index;
+    const j = i + match[0].length - 1;
+
+    matches.push({
+      pattern: 'repeat',
+      i,
+      j,
+      token: match[0],
+      baseToken,
+      baseGuesses: estimateGuesses(baseToken, userInputs).guesses,
+      repeatCount: match[0].length / baseToken.length
+    });
+
+    lastIndex = j + 1;
+  }
+
+  return matches;
+};
+
+/**
+ * Years from 1900 to 2099 and numeric dates such as 150898, 15081998 or 1998-08-15
+ */
+const dateMatches = (password) => {
+  const matches = [];
+  const validYear = (year) => year >= 1900 && year <= 2099;
+  const fullYear = (year) => (year < 100 ? (year > REFERENCE_YEAR % 100 ? 1900 + year : 2000 + year) : year);
+  const isDate = (day, month, year) => month >= 1 && month <= 12 && day >= 1 && day <= 31 && validYear(fullYear(year));
+
+  for (const match of password.matchAll(/(?:19|20)\d\d/g)) {
+    matches.push({ pattern: 'year', i: match.index, j: match.index + 3, token: match[0], year: parseInt(match[0], 10) });
+  }
+
+  for (let i = 0; i < password.length; i++) {
+    for (const length of [6, 8, 10]) {
+      const token = password.slice(i, i + length);
+      if (token.length !== length) continue;
+
+      let parts = null;
+      const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+      if (separated) {
+        parts = [[+separated[1], +separated[3], +separated[4]]];
+      } else if (/^\d+$/.test(token) && length !== 10) {
+        const n = (start, size) => parseInt(token.slice(start, start + size), 10);
+        parts = length === 6
+          ? [[n(0, 2), n(2, 2), n(4, 2)], [n(4, 2), n(2, 2), n(0, 2)]]
+          : [[n(0, 2), n(2, 2), n(4, 4)], [n(4, 4), n(2, 2), n(6, 2)]];
+      }
+
+      const date = (parts || []).map(([a, b, c]) => (
+        isDate(a, b, c) ? { day: a, month: b, year: fullYear(c) } :
+        isDate(b, a, c) ? { day: b, month: a, year: fullYear(c) } :
+        isDate(c, b, a) ? { day: c, month: b, year: fullYear(a) } :
+        null
+      )).find(Boolean);
+
+      if (date) {
+        matches.push({ pattern: 'date', i, j: i + length - 1, token, year: date.year, separator: Boolean(separated) });
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Guesses needed to find one match
+ */
+const matchGuesses = (match, passwordLength) => {
+  const tokenLength = match.token.length;
+  const minGuesses = tokenLength === passwordLength ? 1 :
+                     tokenLength === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR :
+                     MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+  let guesses;
+
+  switch (match.pattern) {
+    case 'dictionary':
+      guesses = match.rank * uppercaseVariations(match.token) * l33tVariations(match) * (match.reversed ? 2 : 1);
+      break;
+    case 'keyboard':
+      guesses = KEYBOARD_STARTING_POSITIONS * KEYBOARD_AVERAGE_DEGREE * (tokenLength - 1);
+      break;
+    case 'sequence': {
+      const base = 'aAzZ019'.includes(match.token[0]) ? 4 : /\d/.test(match.token[0]) ? 10 : 26;
+      guesses = base * (match.ascending ? 1 : 2) * tokenLength;
+      break;
+    }
+    case 'repeat':
+      guesses = match.baseGuesses * match.repeatCount;
+      break;
+    case 'year':
+      guesses = Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+      break;
+    case 'date':
+      guesses = 365 * Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE) * (match.separator ? 4 : 1);
+      break;
+    default: {
+      guesses = BRUTEFORCE_CARDINALITY ** tokenLength;
+      const minBruteforce = tokenLength === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR + 1 : MIN_SUBMATCH_GUESSES_MULTI_CHAR + 1;
+      guesses = Math.max(guesses, minBruteforce);
+    }
+  }
+
+  return Math.max(guesses, minGuesses);
+};
+
+/**
+ * Find the sequence of matches covering the password that needs the fewest guesses.
+ * A sequence of l matches costs l! * (product of match guesses) + D^(l - 1), which stops
+ * a password being explained as many tiny, cheap pieces.
+ */
+const mostGuessableSequence = (password, matches) => {
+  const n = password.length;
+  const optimal = Array.from({ length: n }, () => new Map()); // end index -> Map(length -> { match, pi, g })
+  const matchesByEnd = Array.from({ length: n }, () => []);
+  matches.forEach(match => matchesByEnd[match.j].push(match));
+
+  const update = (match, length) => {
+    const k = match.j;
+    let pi = matchGuesses(match, n);
+    if (length > 1) {
+      pi *= optimal[match.i - 1].get(length - 1).pi;
+    }
+    const g = factorial(length) * pi + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (length - 1);
+
+    for (const [competingLength, competing] of optimal[k]) {
+      if (competingLength <= length && competing.g <= g) {
+        return;
+      }
+    }
+
+    optimal[k].set(length, { match, pi, g });
+  };
+
+  const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
+
+  for (let k = 0; k < n; k++) {
+    for (const match of matchesByEnd[k]) {
+      if (match.i > 0) {
+        for (const length of [...optimal[match.i - 1].keys()]) {
+          update(match, length + 1);
+        }
+      } else {
+        update(match, 1);
+      }
+    }
+
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i++) {
+      for (const [length, { match }] of [...optimal[i - 1].entries()]) {
+        // Adjacent brute-force runs are always better as one run
+        if (match.pattern !== 'bruteforce') {
+          update(bruteforce(i, k), length + 1);
+        }
+      }
+    }
+  }
+
+  if (n === 0) {
+    return { guesses: 1, sequence: [] };
+  }
+
+  let bestLength = null;
+  let bestGuesses = Infinity;
+  for (const [length, { g }] of optimal[n - 1]) {
+    if (g < bestGuesses) {
+      bestLength = length;
+      bestGuesses = g;
+    }
+  }
+
+  const sequence = [];
+  let k = n - 1;
+  let length = bestLength;
+  while (k >= 0) {
+    const { match } = optimal[k].get(length);
+    sequence.unshift({ ...match, guesses: matchGuesses(match, n) });
+    k = match.i - 1;
+    length--;
+  }
+
+  return { guesses: bestGuesses, sequence };
+};
+
+/**
+ * Guess count for a password, without feedback
+ */
+const estimateGuesses = (password, userInputs = []) => {
+  const dictionaries = {
+    ...DICTIONARIES,
+    userInputs: buildRankedDictionary(userInputs
+      .flatMap(input => String(input || '').toLowerCase().split(/[^a-z0-9]+/))
+      .filter(input => input.length >= 3))
+  };
+
+  const matches = [
+    ...dictionaryMatches(password, dictionaries),
+    ...reversedDictionaryMatches(password, dictionaries),
+    ...l33tMatches(password, dictionaries),
+    ...keyboardMatches(password),
+    ...sequenceMatches(password),
+    ...repeatMatches(password, userInputs),
+    ...dateMatches(password)
+  ];
+
+  return mostGuessableSequence(password, matches);
+};
+
+const scoreFromGuesses = (guesses) => {
+  const index = SCORE_THRESHOLDS.findIndex(threshold => guesses < threshold + SCORE_DELTA);
+  return index === -1 ? 4 : index;
+};
+
+/**
+ * Explain what makes a password easy to guess
+ */
+const getFeedback = (score, sequence) => {
+  const defaultSuggestion = 'Add another word or two. Uncommon words are better';
+
+  if (sequence.length === 0) {
+    return { warning: null, suggestions: ['Use a few words, avoid common phrases', 'No need for symbols, digits, or uppercase letters'] };
+  }
+  if (score > 2) {
+    return { warning: null, suggestions: [] };
+  }
+
+  const longest = sequence.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+  const suggestions = [defaultSuggestion];
+  let warning = null;
+
+  switch (longest.pattern) {
+    case 'dictionary': {
+      const isSoleMatch = sequence.length === 1;
+      if (longest.dictionaryName === 'passwords') {
+        warning = isSoleMatch && !longest.l33t && !longest.reversed
+          ? (longest.rank <= 10 ? 'This is a top-10 common password' : longest.rank <= 100 ? 'This is a top-100 common password' : 'This is a very common password')
+          : 'This is similar to a commonly used password';
+      } else if (longest.dictionaryName === 'userInputs') {
+        warning = 'Passwords based on your name or email address are easy to guess';
+      } else if (isSoleMatch) {
+        warning = 'A word by itself is easy to guess';
+      }
+
+      if (/^[A-Z][^A-Z]+$/.test(longest.token)) {
+        suggestions.push('Capitalization doesn\'t help very much');
+      } else if (/^[^a-z]+$/.test(longest.token) && longest.token.toLowerCase() !== longest.token) {
+        suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+      }
+      if (longest.reversed && longest.token.length >= 4) {
+        suggestions.push('Reversed words aren\'t much harder to guess');
+      }
+      if (longest.l33t) {
+        suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+      }
+      break;
+    }
+    case 'keyboard':
+      warning = 'Straight rows of keys are easy to guess';
+      suggestions.push('Avoid keyboard patterns');
+      break;
+    case 'repeat':
+      warning = longest.baseToken.length === 1
+        ? 'Repeats like "aaa" are easy to guess'
+        : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"';
+      suggestions.push('Avoid repeated words and characters');
+      break;
+    case 'sequence':
+      warning = 'Sequences like abc or 6543 are easy to guess';
+      suggestions.push('Avoid sequences');
+      break;
+    case 'year':
+      warning = 'Recent years are easy to guess';
+      suggestions.push('Avoid recent years', 'Avoid years that are associated with you');
+      break;
+    case 'date':
+      warning = 'Dates are often easy to guess';
+      suggestions.push('Avoid dates and years that are associated with you');
+      break;
+    default:
+      break;
+  }
+
+  return { warning, suggestions };
+};
+
+/**
+ * Estimate how hard a password is to guess
+ * @param {string} password - Plain text password
+ * @param {string[]} userInputs - Words an attacker would try first for this user (name, email)
+ * @returns {Object} { score: 0-4, guesses, guessesLog10, patterns, feedback: { warning, suggestions } }
+ */
+export const estimatePasswordStrength = (password, userInputs = []) => {
+  const analysed = String(password || '').slice(0, MAX_ANALYSED_LENGTH);
+  const { guesses, sequence } = estimateGuesses(analysed, userInputs);
+  const score = scoreFromGuesses(guesses);
+
+  return {
+    score,
+    guesses,
+    guessesLog10: Math.round(Math.log10(guesses) * 100) / 100,
+    patterns: sequence.map(match => match.pattern),
+    feedback: getFeedback(score, sequence)
+  };
+};
+
+export default {
+  estimatePasswordStrength
+};
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_ALGORITHM = 'sha1';
+export const TOTP_SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and whitespace are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32-encoded TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateTOTPSecret = () => {
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+};
+
+/**
+ * Calculate the time step counter for a timestamp
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Generate an HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} Zero-padded one-time code
+ */
+export const generateHOTP = (secret, counter, options = {}) => {
+  const digits = options.digits || TOTP_DIGITS;
+  const algorithm = options.algorithm || TOTP_ALGORITHM;
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | ((hmac[offset + 1] & 0xff) << 16)
+    | ((hmac[offset + 2] & 0xff) << 8)
+    | (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Generate a TOTP value (RFC 6238) for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} Zero-padded one-time code
+ */
+export const generateTOTP = (secret, timestamp = Date.now(), options = {}) => {
+  return generateHOTP(secret, getTimeStep(timestamp), options);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock skew between server and authenticator
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps of skew allowed either side (default 1), timestamp }
+ * @returns {Object} { valid: boolean, timeStep: number|null, drift: number|null }
+ */
+export const verifyTOTP = (secret, code, options = {}) => {
+  const window = options.window !== undefined ? options.window : 1;
+  const currentStep = getTimeStep(options.timestamp || Date.now());
+  const candidate = String(code || '');
+
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) {
+    return { valid: false, timeStep: null, drift: null };
+  }
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateHOTP(secret, currentStep + drift);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return { valid: true, timeStep: currentStep + drift, drift };
+    }
+  }
+
+  return { valid: false, timeStep: null, drift: null };
+};
+
+/**
+ * Build an otpauth:// key URI understood by authenticator apps
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthURI = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTOTPSecret,
+  getTimeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthURI
+};
@@ -0,0 +1,290 @@
+// Local mock identity provider (OIDC + SAML) for federated login tests and manual runs.
+// Run standalone with: node tests/mocks/mockIdentityProvider.js [port]
+import http from 'http';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+import { SignedXml } from 'xml-crypto';
+
+const EXC_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+
+const DEFAULT_USER = {
+  sub: 'mock-user-1',
+  email: 'teacher@nm.mssu.ac.in',
+  email_verified: true,
+  name: 'Mock Teacher',
+  phone_number: '+919812345678'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+});
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Sign the element with the given local name, placing the signature after its Issuer
+ * @param {string} xml - Document
+ * @param {string} elementName - Response or Assertion
+ * @param {string} privateKey - PEM private key
+ * @returns {string} Signed document
+ */
+const signElement = (xml, elementName, privateKey) => {
+  const signer = new SignedXml({
+    privateKey,
+    canonicalizationAlgorithm: EXC_C14N,
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256'
+  });
+
+  signer.addReference({
+    xpath: `//*[local-name(.)='${elementName}']`,
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    transforms: [ENVELOPED_SIGNATURE, EXC_C14N]
+  });
+
+  signer.computeSignature(xml, {
+    location: { reference: `//*[local-name(.)='${elementName}']/*[local-name(.)='Issuer']`, action: 'after' }
+  });
+
+  return signer.getSignedXml();
+};
+
+/**
+ * Start a mock identity provider on an ephemeral port.
+ * OIDC: discovery, /authorize (signs in the current user without a login page), /token (PKCE,
+ * client_secret_basic), /jwks, /userinfo.
+ * SAML: /saml/sso answers an HTTP-Redirect AuthnRequest with a signed response.
+ * @param {Object} options - { port, clientId, clientSecret, user }
+ * @returns {Promise<Object>} Provider handle
+ */
+export const startMockIdentityProvider = async (options = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const clientId = options.clientId || 'mssu-connect';
+  const clientSecret = options.clientSecret || 'mock-client-secret';
+  const codes = new Map();
+  const accessTokens = new Map();
+  let currentUser = { ...DEFAULT_USER, ...options.user };
+  let issuer;
+
+  const issueCode = (params) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      user: { ...currentUser }
+    });
+    return code;
+  };
+
+  const handleToken = async (req, res) => {
+    const body = await readBody(req);
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString('utf8')
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return sendJSON(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(body.get('code'));
+    codes.delete(body.get('code'));
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+
+    if (!grant || grant.redirectUri !== body.get('redirect_uri') || grant.codeChallenge !== challenge) {
+      return sendJSON(res, 400, { error: 'invalid_grant' });
+    }
+
+    // Like many providers, the phone number is only available from userinfo
+    const { phone_number: phoneNumber, ...idTokenClaims } = grant.user;
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign({ ...idTokenClaims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    return sendJSON(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJSON(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJSON(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      if (url.searchParams.get('client_id') !== clientId) {
+        return sendJSON(res, 400, { error: 'invalid_client' });
+      }
+
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('code', issueCode(url.searchParams));
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return handleToken(req, res);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+      return user ? sendJSON(res, 200, user) : sendJSON(res, 401, { error: 'invalid_token' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/saml/sso') {
+      // Auto-submitting form, as a real IdP would return after its login page
+      const { acsUrl, SAMLResponse, RelayState } = provider.respondToAuthnRequest(url.toString());
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(
+        `<form method="post" action="${escapeXml(acsUrl)}">` +
+        `<input type="hidden" name="SAMLResponse" value="${SAMLResponse}">` +
+        `<input type="hidden" name="RelayState" value="${escapeXml(RelayState)}">` +
+        '</form><script>document.forms[0].submit()</script>'
+      );
+    }
+
+    return sendJSON(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(options.port || 0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const provider = {
+    issuer,
+    clientId,
+    clientSecret,
+    samlEntryPoint: `${issuer}/saml/sso`,
+    // node-saml accepts a PEM public key in place of the IdP certificate
+    samlCert: publicKey.export({ type: 'spki', format: 'pem' }),
+
+    /**
+     * Change the user the provider signs in next
+     * @param {Object} user - Claims (sub, email, email_verified, name, phone_number)
+     */
+    setUser: (user) => {
+      currentUser = { ...DEFAULT_USER, ...user };
+    },
+
+    /**
+     * Follow an authorization URL like a browser that is already signed in at the provider
+     * @param {string} authorizationUrl - URL returned by the service provider
+     * @returns {Promise<Object>} Callback query parameters
+     */
+    authorize: async (authorizationUrl) => {
+      const response = await fetch(authorizationUrl, { redirect: 'manual' });
+      const location = new URL(response.headers.get('location'));
+      return Object.fromEntries(location.searchParams);
+    },
+
+    /**
+     * Build the signed SAML response an IdP would post back for an HTTP-Redirect AuthnRequest
+     * @param {string} authorizationUrl - URL returned by the service provider
+     * @param {Object} overrides - { audience, signAssertion }
+     * @returns {Object} { acsUrl, SAMLResponse, RelayState }
+     */
+    respondToAuthnRequest: (authorizationUrl, overrides = {}) => {
+      const url = new URL(authorizationUrl);
+      const request = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString('utf8');
+      const requestId = request.match(/\sID="([^"]+)"/)[1];
+      const acsUrl = request.match(/AssertionConsumerServiceURL="([^"]+)"/)[1];
+      const audience = overrides.audience || request.match(/<saml:Issuer[^>]*>([^<]+)<\/saml:Issuer>/)[1];
+
+      const now = new Date();
+      const later = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+      const user = currentUser;
+      const attribute = (name, value) => (value === undefined ? '' :
+        `<saml:Attribute Name="${name}"><saml:AttributeValue>${escapeXml(value)}</saml:AttributeValue></saml:Attribute>`);
+
+      const assertion =
+        `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_${crypto.randomUUID()}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+        `<saml:Issuer>${issuer}</saml:Issuer>` +
+        '<saml:Subject>' +
+        `<saml:NameID Format="urn:oasis:names:tc:SAML:2.0:nameid-format:persistent">${escapeXml(user.sub)}</saml:NameID>` +
+        '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+        `<saml:SubjectConfirmationData InResponseTo="${requestId}" NotOnOrAfter="${later}" Recipient="${escapeXml(acsUrl)}"/>` +
+        '</saml:SubjectConfirmation>' +
+        '</saml:Subject>' +
+        `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${later}">` +
+        `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>` +
+        '</saml:Conditions>' +
+        `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="_${crypto.randomUUID()}">` +
+        '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+        '</saml:AuthnStatement>' +
+        '<saml:AttributeStatement>' +
+        attribute('email', user.email) +
+        attribute('displayName', user.name) +
+        attribute('mobile', user.phone_number) +
+        '</saml:AttributeStatement>' +
+        '</saml:Assertion>';
+
+      const response =
+        `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" ID="_${crypto.randomUUID()}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeXml(acsUrl)}" InResponseTo="${requestId}">` +
+        `<saml:Issuer xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion">${issuer}</saml:Issuer>` +
+        '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+        (overrides.signAssertion === false ? assertion : signElement(assertion, 'Assertion', privateKeyPem)) +
+        '</samlp:Response>';
+
+      return {
+        acsUrl,
+        SAMLResponse: Buffer.from(signElement(response, 'Response', privateKeyPem)).toString('base64'),
+        RelayState: url.searchParams.get('RelayState')
+      };
+    },
+
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+
+  return provider;
+};
+
+// Standalone: print the settings to configure the provider in MSSU Connect
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const provider = await startMockIdentityProvider({ port: parseInt(process.argv[2] || '4010', 10) });
+  console.log(JSON.stringify({
+    oidc: { issuer: provider.issuer, client_id: provider.clientId, client_secret: provider.clientSecret },
+    saml: { entry_point: provider.samlEntryPoint, idp_cert: provider.samlCert }
+  }, null, 2));
+}
+
+export default startMockIdentityProvider;
@@ -0,0 +1,147 @@
+// In-process LDAP directory for directory login and sync tests, and manual runs.
+// Run standalone with: node tests/mocks/mockLdapServer.js [port]
+import { fileURLToPath } from 'url';
+import ldap from 'ldapjs';
+
+const BASE_DN = 'dc=mssu,dc=test';
+const SERVICE_DN = `cn=svc-connect,${BASE_DN}`;
+const SERVICE_PASSWORD = 'service-secret';
+
+const DEFAULT_USERS = [
+  {
+    uid: 'asha.patil',
+    password: 'Directory#Pass1',
+    mail: 'asha.patil@nm.mssu.ac.in',
+    displayName: 'Asha Patil',
+    mobile: '+91 98200 11111',
+    physicalDeliveryOfficeName: 'NM',
+    memberOf: [`cn=faculty,ou=groups,${BASE_DN}`]
+  },
+  {
+    uid: 'rohan.desai',
+    password: 'Directory#Pass2',
+    mail: 'rohan.desai@nm.mssu.ac.in',
+    displayName: 'Rohan Desai',
+    mobile: '+91 98200 22222',
+    physicalDeliveryOfficeName: 'NM',
+    memberOf: [`cn=students,ou=groups,${BASE_DN}`]
+  }
+];
+
+/**
+ * Build the ldapjs attribute map for a user; ldapjs matches filters and
+ * returns requested attributes by lower-case name
+ * @param {Object} user - Directory user
+ * @returns {Object} Attributes
+ */
+const toAttributes = (user) => {
+  const attributes = { objectclass: ['top', 'person', 'inetOrgPerson'] };
+  Object.entries(user).forEach(([key, value]) => {
+    if (key !== 'password' && value !== undefined && value !== null) {
+      attributes[key.toLowerCase()] = value;
+    }
+  });
+  return attributes;
+};
+
+/**
+ * Return the requested attributes under the names the client asked for.
+ * Attribute names are case-insensitive in LDAP.
+ * @param {Object} attributes - Stored attributes (lower-case names)
+ * @param {string[]} requested - Requested attribute names
+ * @returns {Object} Attributes
+ */
+const selectAttributes = (attributes, requested = []) => {
+  const names = requested.map(String).filter(name => name !== '*' && name !== '1.1');
+  if (names.length === 0) {
+    return attributes;
+  }
+
+  return Object.fromEntries(names
+    .filter(name => attributes[name.toLowerCase()] !== undefined)
+    .map(name => [name, attributes[name.toLowerCase()]]));
+};
+
+/**
+ * Start a local LDAP server with a service account and a few people entries.
+ * Users bind with their own DN and password; the service account may search.
+ * @param {Object} options - { port, users }
+ * @returns {Promise<Object>} { url, baseDN, bindDN, bindPassword, addUser, removeUser, binds, close }
+ */
+export const startMockLdapServer = async ({ port = 0, users = DEFAULT_USERS } = {}) => {
+  const server = ldap.createServer();
+  const entries = new Map();
+  const binds = [];
+
+  const addUser = (user) => {
+    const dn = `uid=${user.uid},ou=people,${BASE_DN}`;
+    entries.set(dn, { password: user.password, attributes: toAttributes(user) });
+    return dn;
+  };
+  const removeUser = (uid) => entries.delete(`uid=${uid},ou=people,${BASE_DN}`);
+
+  users.forEach(addUser);
+
+  server.bind(BASE_DN, (req, res, next) => {
+    const dn = req.dn.toString().replace(/\s/g, '');
+    const password = req.credentials;
+    binds.push(dn);
+
+    if (dn === SERVICE_DN && password === SERVICE_PASSWORD) {
+      res.end();
+      return next();
+    }
+
+    const entry = entries.get(dn);
+    if (entry && entry.password === password) {
+      res.end();
+      return next();
+    }
+
+    return next(new ldap.InvalidCredentialsError());
+  });
+
+  server.search(BASE_DN, (req, res, next) => {
+    if (req.connection.ldap.bindDN.toString().replace(/\s/g, '') !== SERVICE_DN) {
+      return next(new ldap.InsufficientAccessRightsError());
+    }
+
+    // ldapjs drops attributes whose lower-case name is not in this list
+    const requested = res.attributes.slice();
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+
+    for (const [dn, entry] of entries) {
+      if (req.filter.matches(entry.attributes)) {
+        res.send({ dn, attributes: selectAttributes(entry.attributes, requested) });
+      }
+    }
+
+    res.end();
+    return next();
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `ldap://127.0.0.1:${server.address().port}`,
+    baseDN: BASE_DN,
+    bindDN: SERVICE_DN,
+    bindPassword: SERVICE_PASSWORD,
+    addUser,
+    removeUser,
+    binds,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const directory = await startMockLdapServer({ port: parseInt(process.argv[2] || '3890', 10) });
+  console.log('Mock LDAP server running. Configure MSSU Connect with:');
+  console.log(`  LDAP_URL=${directory.url}`);
+  console.log(`  LDAP_BASE_DN=${directory.baseDN}`);
+  console.log(`  LDAP_BIND_DN=${directory.bindDN}`);
+  console.log(`  LDAP_BIND_PASSWORD=${directory.bindPassword}`);
+  console.log('  LDAP_EMAIL_DOMAINS=nm.mssu.ac.in');
+  console.log('Users:');
+  DEFAULT_USERS.forEach(user => console.log(`  ${user.mail} / ${user.password}`));
+}
@@ -28,6 +28,22 @@ class MockRedisClient {
     return true;
   }
 
+  async setIfNotExists(key, value, expirySeconds) {
+    if (await this.get(key) !== null) {
+      return false;
+    }
+    return this.set(key, value, expirySeconds);
+  }
+
+  // No await between the read and the delete, so it is atomic like GETDEL
+  async getDel(key) {
+    const data = this.store.get(key);
+    const ttl = this.ttls.get(key);
+    this.store.delete(key);
+    this.ttls.delete(key);
+    return data && !(ttl && ttl < Date.now()) ? data : null;
+  }
+
   async del(key) {
     const existed = this.store.has(key);
     this.store.delete(key);
@@ -50,6 +66,74 @@ class MockRedisClient {
     return false;
   }
 
+  async keys(pattern) {
+    const regex = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+    const keys = [];
+    for (const key of this.store.keys()) {
+      if (regex.test(key) && await this.get(key) !== null) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async setIfExists(key, value, expirySeconds) {
+    if (await this.get(key) === null) {
+      return false;
+    }
+    return this.set(key, value, expirySeconds);
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map((key) => this.get(key)));
+  }
+
+  // Sorted sets are stored as Maps of member => score
+  async zAdd(key, score, member) {
+    const members = (await this.get(key)) || new Map();
+    const added = !members.has(member);
+    members.set(member, score);
+    this.store.set(key, members);
+    return added ? 1 : 0;
+  }
+
+  async zRem(key, members) {
+    const set = await this.get(key);
+    if (!set) return 0;
+
+    let removed = 0;
+    for (const member of [].concat(members)) {
+      if (set.delete(member)) removed++;
+    }
+    if (set.size === 0) {
+      await this.del(key);
+    }
+    return removed;
+  }
+
+  async zRevRange(key, start = 0, stop = -1) {
+    const set = await this.get(key);
+    if (!set) return [];
+
+    const members = [...set.entries()].sort((a, b) => b[1] - a[1]).map(([member]) => member);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async zCard(key) {
+    const set = await this.get(key);
+    return set ? set.size : 0;
+  }
+
+  async zRemRangeByScore(key, min, max) {
+    const set = await this.get(key);
+    if (!set) return 0;
+
+    const low = min === '-inf' ? -Infinity : Number(min);
+    const high = max === '+inf' ? Infinity : Number(max);
+    const members = [...set.entries()].filter(([, score]) => score >= low && score <= high).map(([member]) => member);
+    return this.zRem(key, members);
+  }
+
   async ttl(key) {
     const expiry = this.ttls.get(key);
     if (!expiry) return -1;
@@ -81,6 +165,14 @@ export const mockRedisHelpers = {
     return this.client.set(key, value, expirySeconds);
   },
   
+  async setIfNotExists(key, value, expirySeconds) {
+    return this.client.setIfNotExists(key, value, expirySeconds);
+  },
+  
+  async getDel(key) {
+    return this.client.getDel(key);
+  },
+
   async del(key) {
     return this.client.del(key);
   },
@@ -97,6 +189,68 @@ export const mockRedisHelpers = {
     return this.client.ttl(key);
   },
   
+  async exists(key) {
+    return await this.client.get(key) !== null;
+  },
+  
+  async keys(pattern) {
+    return this.client.keys(pattern);
+  },
+
+  async setIfExists(key, value, expirySeconds) {
+    return this.client.setIfExists(key, value, expirySeconds);
+  },
+
+  async mGet(keys) {
+    return this.client.mGet(keys);
+  },
+
+  async zAdd(key, score, member) {
+    return (await this.client.zAdd(key, score, member)) >= 0;
+  },
+
+  async zRem(key, members) {
+    return this.client.zRem(key, members);
+  },
+
+  async zRevRange(key, start, stop) {
+    return this.client.zRevRange(key, start, stop);
+  },
+
+  async zCard(key) {
+    return this.client.zCard(key);
+  },
+
+  async zRemRangeByScore(key, min, max) {
+    return this.client.zRemRangeByScore(key, min, max);
+  },
+
+  // Commands run one after another, with replies shaped like Redis replies
+  async multi(commands) {
+    const replies = [];
+    for (const [command, key, ...args] of commands) {
+      if (command === 'set') {
+        replies.push(await this.client.set(key, ...args) ? 'OK' : null);
+      } else if (command === 'setIfExists') {
+        replies.push(await this.client.setIfExists(key, ...args) ? 'OK' : null);
+      } else if (command === 'del') {
+        replies.push(await this.client.del(key) ? 1 : 0);
+      } else if (command === 'expire') {
+        replies.push(await this.client.expire(key, ...args) ? 1 : 0);
+      } else {
+        replies.push(await this.client[command](key, ...args));
+      }
+    }
+    return replies;
+  },
+
+  async *scan(pattern) {
+    const keys = await this.client.keys(pattern);
+    if (keys.length > 0) {
+      yield keys;
+    }
+  },
+  
   clear() {
     this.client.clear();
   }
@@ -0,0 +1,185 @@
+/**
+ * Session Storage Benchmark
+ *
+ * Compares the KEYS-based session lookups used before the per-user session index with the
+ * sorted-set index in sessionService, on a keyspace of 100k users.
+ *
+ * Needs a running Redis. It uses its own database (BENCHMARK_REDIS_DB, default 15),
+ * refuses to run if that database is not empty, and empties it again when done.
+ *
+ * To run: npm run benchmark:sessions
+ * Options (environment): BENCHMARK_USERS (100000), BENCHMARK_SESSIONS_PER_USER (3),
+ *   BENCHMARK_SAMPLES (200 users per operation)
+ */
+
+import crypto from 'crypto';
+
+process.env.REDIS_DB = process.env.BENCHMARK_REDIS_DB || '15';
+
+const USERS = parseInt(process.env.BENCHMARK_USERS || '100000', 10);
+const SESSIONS_PER_USER = parseInt(process.env.BENCHMARK_SESSIONS_PER_USER || '3', 10);
+const SAMPLES = parseInt(process.env.BENCHMARK_SAMPLES || '200', 10);
+const BATCH_SIZE = 1000;
+
+// Import after selecting the benchmark database
+const { default: config } = await import('../../src/config/env.js');
+const { redisClient, connectRedis, disconnectRedis, redisHelpers } = await import('../../src/config/redis.js');
+const sessionService = await import('../../src/services/sessionService.js');
+
+const userIdFor = (index) => `bench-user-${String(index).padStart(6, '0')}`;
+
+// The session operations as they were before the index
+const legacy = {
+  async getActiveSessions(userId) {
+    const sessionKeys = await redisHelpers.keys(`session:${userId}:*`);
+    const sessions = [];
+    for (const key of sessionKeys) {
+      const sessionData = await redisHelpers.get(key);
+      if (sessionData) {
+        sessionData.expiresIn = await redisHelpers.ttl(key);
+        sessions.push(sessionData);
+      }
+    }
+    return sessions.sort((a, b) => new Date(b.last_activity) - new Date(a.last_activity));
+  },
+
+  async getSessionCount(userId) {
+    return (await redisHelpers.keys(`session:${userId}:*`)).length;
+  },
+
+  async revokeAllSessions(userId) {
+    const sessionKeys = await redisHelpers.keys(`session:${userId}:*`);
+    let revokedCount = 0;
+    for (const key of sessionKeys) {
+      if (await redisHelpers.del(key)) revokedCount++;
+    }
+    return revokedCount;
+  }
+};
+
+// Measure an operation over a set of users
+async function measure(name, userIds, operation) {
+  const durations = [];
+
+  for (const userId of userIds) {
+    const start = performance.now();
+    await operation(userId);
+    durations.push(performance.now() - start);
+  }
+
+  const sorted = durations.sort((a, b) => a - b);
+  return {
+    name,
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    p95: sorted[Math.floor(sorted.length * 0.95)],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Store USERS x SESSIONS_PER_USER sessions, indexed, in pipelined batches
+async function populate() {
+  const now = Date.now();
+
+  for (let first = 0; first < USERS; first += BATCH_SIZE) {
+    const pipeline = redisClient.multi();
+
+    for (let index = first; index < Math.min(first + BATCH_SIZE, USERS); index++) {
+      const userId = userIdFor(index);
+
+      for (let session = 0; session < SESSIONS_PER_USER; session++) {
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        const lastActivity = now - session * 60000;
+
+        pipeline.setEx(`session:${userId}:${sessionId}`, config.session.idleTimeout, JSON.stringify({
+          userId,
+          sessionId,
+          device_type: 'web',
+          device_name: 'Benchmark',
+          ip_address: '203.0.113.10',
+          user_agent: 'benchmark',
+          created_at: new Date(lastActivity).toISOString(),
+          last_activity: new Date(lastActivity).toISOString()
+        }));
+        pipeline.zAdd(`sessions:${userId}`, { score: lastActivity, value: sessionId });
+      }
+      pipeline.expire(`sessions:${userId}`, config.session.absoluteTimeout);
+    }
+
+    await pipeline.execAsPipeline();
+  }
+}
+
+// Pick distinct random users for each measured operation
+function sampleUsers(count, used) {
+  const userIds = [];
+  while (userIds.length < count) {
+    const userId = userIdFor(crypto.randomInt(USERS));
+    if (!used.has(userId)) {
+      used.add(userId);
+      userIds.push(userId);
+    }
+  }
+  return userIds;
+}
+
+async function runBenchmark() {
+  console.log('=================================================');
+  console.log('Session Storage Benchmark: KEYS scans vs per-user index');
+  console.log('=================================================');
+
+  // The client keeps retrying an unreachable server, so give up after a few seconds
+  const connected = await Promise.race([
+    connectRedis(),
+    new Promise((resolve) => setTimeout(() => resolve(false), 5000))
+  ]);
+  if (!connected) {
+    throw new Error('Redis is not reachable');
+  }
+
+  const existingKeys = await redisClient.dbSize();
+  if (existingKeys > 0) {
+    throw new Error(`Redis database ${process.env.REDIS_DB} has ${existingKeys} keys; set BENCHMARK_REDIS_DB to an empty database`);
+  }
+
+  try {
+    console.log(`\nStoring ${USERS * SESSIONS_PER_USER} sessions for ${USERS} users in database ${process.env.REDIS_DB}...`);
+    const populateStart = performance.now();
+    await populate();
+    console.log(`Done in ${((performance.now() - populateStart) / 1000).toFixed(1)}s (${await redisClient.dbSize()} keys)`);
+
+    const used = new Set();
+    const results = [];
+
+    console.log(`\nMeasuring each operation for ${SAMPLES} users...`);
+    const listUsers = sampleUsers(SAMPLES, used);
+    results.push(['List sessions', await measure('KEYS', listUsers, legacy.getActiveSessions),
+      await measure('Index', listUsers, sessionService.getActiveSessions)]);
+
+    const countUsers = sampleUsers(SAMPLES, used);
+    results.push(['Count sessions', await measure('KEYS', countUsers, legacy.getSessionCount),
+      await measure('Index', countUsers, sessionService.getSessionCount)]);
+
+    results.push(['Revoke all sessions', await measure('KEYS', sampleUsers(SAMPLES, used), legacy.revokeAllSessions),
+      await measure('Index', sampleUsers(SAMPLES, used), sessionService.revokeAllSessions)]);
+
+    console.log('\n| Operation | KEYS mean | KEYS p95 | Index mean | Index p95 | Speed-up (mean) |');
+    console.log('|-----------|-----------|----------|------------|-----------|-----------------|');
+    for (const [operation, keysResult, indexResult] of results) {
+      console.log(`| ${operation} | ${keysResult.mean.toFixed(2)}ms | ${keysResult.p95.toFixed(2)}ms | ` +
+        `${indexResult.mean.toFixed(2)}ms | ${indexResult.p95.toFixed(2)}ms | ${(keysResult.mean / indexResult.mean).toFixed(1)}x |`);
+    }
+
+    console.log('\nKEYS walks every key in the database and blocks other clients meanwhile,');
+    console.log('so its cost grows with the total number of sessions, not with the user\'s own.');
+  } finally {
+    await redisClient.flushDb();
+    await disconnectRedis();
+  }
+}
+
+runBenchmark()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n✗ Benchmark failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,243 @@
+import { describe, test, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const adminId = '123e4567-e89b-12d3-a456-426614174000';
+const campusId = '223e4567-e89b-12d3-a456-426614174000';
+const otherCampusId = '323e4567-e89b-12d3-a456-426614174000';
+
+let mockAccounts = [];
+let mockKeys = [];
+
+// Instances carry update and toSafeObject like Sequelize models
+const withInstanceMethods = (record) => Object.assign(record, {
+  update: jest.fn(async (changes) => Object.assign(record, changes)),
+  toSafeObject: () => {
+    const { key_hash: _hash, update: _update, toSafeObject: _safe, serviceAccount: _account, ...safe } = record;
+    return safe;
+  }
+});
+
+const mockServiceAccountModel = {
+  findByPk: jest.fn(async (id) => mockAccounts.find((account) => account.id === id) || null),
+  findOne: jest.fn(async ({ where }) => mockAccounts.find((account) => account.name === where.name) || null),
+  create: jest.fn(async (values) => {
+    const account = withInstanceMethods({ id: `account-${mockAccounts.length + 1}`, is_active: true, ...values });
+    mockAccounts.push(account);
+    return account;
+  })
+};
+const mockApiKeyModel = {
+  findOne: jest.fn(async ({ where }) => {
+    const apiKey = mockKeys.find((key) => Object.entries(where).every(([field, value]) => key[field] === value));
+    return apiKey ? Object.assign(apiKey, { serviceAccount: mockAccounts.find((account) => account.id === apiKey.service_account_id) }) : null;
+  }),
+  update: jest.fn(async (changes, { where }) => {
+    const matching = mockKeys.filter((key) => key.service_account_id === where.service_account_id && key.revoked_at === where.revoked_at);
+    matching.forEach((key) => Object.assign(key, changes));
+    return [matching.length];
+  }),
+  create: jest.fn(async (values) => {
+    const apiKey = withInstanceMethods({ id: `key-${mockKeys.length + 1}`, revoked_at: null, last_used_at: null, ...values });
+    mockKeys.push(apiKey);
+    return apiKey;
+  })
+};
+const mockCampusModel = { findByPk: jest.fn(async (id) => ([campusId, otherCampusId].includes(id) ? { id } : null)) };
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/ServiceAccount.js', () => ({ default: mockServiceAccountModel }));
+jest.unstable_mockModule('../../../src/models/ApiKey.js', () => ({ default: mockApiKeyModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: { findOne: jest.fn(async () => null) } }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticate, requireRole, requirePermission } = await import('../../../src/middleware/auth.js');
+const {
+  createServiceAccount,
+  createApiKey,
+  revokeApiKey,
+  deactivateServiceAccount
+} = await import('../../../src/services/apiKeyService.js');
+
+describe('ApiKeyService', () => {
+  const originalApiKeys = { ...config.apiKeys };
+  const context = { ipAddress: '203.0.113.10', userAgent: 'erp-sync/2.1' };
+  let account;
+
+  const auditEntries = (action) => mockCreateAuditLog.mock.calls.map(([entry]) => entry).filter((entry) => entry.action_type === action);
+
+  /**
+   * Run a middleware and capture the response
+   */
+  const runMiddleware = async (middleware, req) => {
+    const finishHandlers = [];
+    const res = {
+      statusCode: 200,
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; }),
+      on: jest.fn((event, handler) => { if (event === 'finish') finishHandlers.push(handler); })
+    };
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+    finishHandlers.forEach((handler) => handler());
+
+    return { res, next };
+  };
+
+  /**
+   * Build a request made with an API key
+   */
+  const keyRequest = (key, { method = 'GET', body = {} } = {}) => ({
+    method,
+    originalUrl: '/api/v1/users',
+    ip: context.ipAddress,
+    headers: { authorization: `ApiKey ${key}` },
+    params: {},
+    query: {},
+    body,
+    get: () => context.userAgent
+  });
+
+  afterAll(() => {
+    Object.assign(config.apiKeys, originalApiKeys);
+  });
+
+  beforeEach(async () => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    Object.assign(config.apiKeys, { prefix: 'mssu', defaultRateLimit: 600, maxLifetimeDays: 365, lastUsedInterval: 60 });
+    mockAccounts = [];
+    mockKeys = [];
+
+    account = await createServiceAccount({ name: 'ERP' }, adminId, context);
+  });
+
+  describe('keys', () => {
+    test('should return the key once and store only its hash', async () => {
+      const { apiKey, key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:read'], campus_id: campusId }, adminId, context);
+
+      expect(key).toMatch(/^mssu_[0-9a-f]{12}_[\w-]{43}$/);
+      expect(key.startsWith(apiKey.prefix)).toBe(true);
+      expect(apiKey.key_hash).toBeUndefined();
+      expect(mockKeys[0].key_hash).not.toContain(key);
+      expect(auditEntries('api_key_created')[0]).toMatchObject({
+        admin_id: adminId,
+        details: { service_account_id: account.id, prefix: apiKey.prefix, scopes: ['user:read'], campus_id: campusId }
+      });
+    });
+
+    test('should only grant scopes from the RBAC matrix for the key\'s reach', async () => {
+      await expect(createApiKey(account.id, { name: 'Bad', scopes: ['user:fly'] }, adminId, context))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(createApiKey(account.id, { name: 'Campus', scopes: ['user:change_role'], campus_id: campusId }, adminId, context))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: expect.stringContaining('user:change_role') });
+      await expect(createApiKey(account.id, { name: 'Global', scopes: ['user:change_role'] }, adminId, context))
+        .resolves.toBeDefined();
+      await expect(createApiKey(account.id, { name: 'Forever', scopes: ['user:read'], expires_in_days: 400 }, adminId, context))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('authentication', () => {
+    test('should authenticate a key on routes that accept keys, scoped to its campus', async () => {
+      const { key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:read'], campus_id: campusId }, adminId, context);
+      const req = keyRequest(key);
+
+      const { next } = await runMiddleware(authenticate({ allowApiKeys: true }), req);
+      const denied = await runMiddleware(authenticate(), keyRequest(key));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toMatchObject({ id: null, role: 'Admin', campus_id: campusId, service_account_id: account.id });
+      expect(req.apiKey.scopes).toEqual(['user:read']);
+      expect(mockKeys[0].last_used_at).toBeInstanceOf(Date);
+      expect(denied.res.statusCode).toBe(403);
+      expect(denied.res.body.error.code).toBe('INSUFFICIENT_SCOPE');
+    });
+
+    test('should reject unknown, revoked and expired keys', async () => {
+      const { apiKey, key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:read'] }, adminId, context);
+      const expired = await createApiKey(account.id, { name: 'Old', scopes: ['user:read'] }, adminId, context);
+      mockKeys[1].expires_at = new Date(Date.now() - 1000);
+
+      const wrongSecret = await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(`${apiKey.prefix}_wrong`));
+      const expiredResult = await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(expired.key));
+      await revokeApiKey(account.id, apiKey.id, adminId, context);
+      const revoked = await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+
+      expect(wrongSecret.res.body.error.code).toBe('API_KEY_INVALID');
+      expect(expiredResult.res.body.error.code).toBe('API_KEY_EXPIRED');
+      expect(revoked.res.statusCode).toBe(401);
+      expect(revoked.res.body.error.code).toBe('API_KEY_REVOKED');
+      expect(auditEntries('api_key_revoked')[0]).toMatchObject({ admin_id: adminId, resource_id: apiKey.id });
+    });
+
+    test('should reject every key of a deactivated service account', async () => {
+      const { key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:read'] }, adminId, context);
+
+      await deactivateServiceAccount(account.id, adminId, context);
+      const { res } = await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+
+      expect(res.body.error.code).toBe('API_KEY_REVOKED');
+      expect(auditEntries('service_account_deactivated')[0].details).toMatchObject({ revoked_keys: 1 });
+    });
+
+    test('should enforce the key\'s rate limit', async () => {
+      const { key } = await createApiKey(account.id, { name: 'Fees', scopes: ['user:read'], rate_limit_per_minute: 2 }, adminId, context);
+
+      await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+      await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+      const { res, next } = await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(429);
+      expect(mockKeys[0].update).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('authorization', () => {
+    test('should check the key\'s scopes and campus', async () => {
+      const { key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:read', 'user:create'], campus_id: campusId }, adminId, context);
+      const sameCampus = keyRequest(key, { method: 'POST', body: { campus_id: campusId } });
+      const otherCampus = keyRequest(key, { method: 'POST', body: { campus_id: otherCampusId } });
+      const readOnly = keyRequest(key);
+
+      for (const req of [sameCampus, otherCampus, readOnly]) {
+        await runMiddleware(authenticate({ allowApiKeys: true }), req);
+      }
+
+      expect((await runMiddleware(requirePermission('user', 'create'), sameCampus)).next).toHaveBeenCalled();
+      expect((await runMiddleware(requirePermission('user', 'create'), otherCampus)).res.body.error.code).toBe('FORBIDDEN');
+      expect((await runMiddleware(requirePermission('user', 'delete'), readOnly)).res.body.error.code).toBe('INSUFFICIENT_SCOPE');
+      expect((await runMiddleware(requireRole('Admin', 'Super_Admin'), readOnly)).res.statusCode).toBe(403);
+    });
+
+    test('should check the RBAC matrix for users', async () => {
+      const admin = await runMiddleware(requirePermission('user', 'read'), { user: { id: adminId, role: 'Admin' } });
+      const teacher = await runMiddleware(requirePermission('user', 'read'), { user: { id: adminId, role: 'Teacher' } });
+
+      expect(admin.next).toHaveBeenCalled();
+      expect(teacher.res.statusCode).toBe(403);
+    });
+
+    test('should audit changes made with a key', async () => {
+      const { apiKey, key } = await createApiKey(account.id, { name: 'Admissions', scopes: ['user:create'] }, adminId, context);
+
+      await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key, { method: 'POST' }));
+      await runMiddleware(authenticate({ allowApiKeys: true }), keyRequest(key));
+
+      expect(auditEntries('service_account_request')).toHaveLength(1);
+      expect(auditEntries('service_account_request')[0]).toMatchObject({
+        resource_id: account.id,
+        details: { api_key_id: apiKey.id, method: 'POST', path: '/api/v1/users', status_code: 200 }
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { default: config } = await import('../../../src/config/env.js');
+const { loadBreachFilter, isBreachedPassword, buildBreachFilter } = await import('../../../src/services/breachedPasswordService.js');
+const { validatePasswordStrength, getPasswordValidationDetails } = await import('../../../src/services/passwordService.js');
+
+describe('BreachedPasswordService', () => {
+  const originalPolicy = { ...config.passwordPolicy };
+  const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex').toUpperCase();
+  let directory;
+
+  const writeCorpus = (name, lines) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, `${lines.join('\n')}\n`);
+    return file;
+  };
+
+  const useFilter = (file) => {
+    config.passwordPolicy.breachFilterFile = file;
+    loadBreachFilter(true);
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-filter-'));
+  });
+
+  afterAll(() => {
+    Object.assign(config.passwordPolicy, originalPolicy);
+    loadBreachFilter(true);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('buildBreachFilter', () => {
+    test('should build a filter from plain-text passwords', async () => {
+      const input = writeCorpus('plain.txt', ['Summer2024!', 'Mumbai@123', 'Krishna#108']);
+      const output = path.join(directory, 'plain.bloom');
+
+      const result = await buildBreachFilter({ input, output });
+      useFilter(output);
+
+      expect(result).toMatchObject({ output, items: 3 });
+      expect(isBreachedPassword('Mumbai@123')).toBe(true);
+      expect(isBreachedPassword('Unrelated#Pass981')).toBe(false);
+    });
+
+    test('should build a filter from SHA-1 counts, skipping rare entries', async () => {
+      const input = writeCorpus('pwned.txt', [
+        `${sha1('Summer2024!')}:5120`,
+        `${sha1('Rarely#Leaked77')}:1`
+      ]);
+      const output = path.join(directory, 'pwned.bloom');
+
+      const result = await buildBreachFilter({ input, output, minCount: 10 });
+      useFilter(output);
+
+      expect(result.items).toBe(1);
+      expect(isBreachedPassword('Summer2024!')).toBe(true);
+      expect(isBreachedPassword('Rarely#Leaked77')).toBe(false);
+    });
+
+    test('should reject missing corpus files', async () => {
+      await expect(buildBreachFilter({ input: path.join(directory, 'missing.txt') }))
+        .rejects.toThrow('Corpus file not found');
+    });
+  });
+
+  describe('isBreachedPassword', () => {
+    test('should report null when no filter has been built', () => {
+      useFilter(path.join(directory, 'none.bloom'));
+
+      expect(isBreachedPassword('Summer2024!')).toBeNull();
+      expect(validatePasswordStrength('Summer2024!').valid).toBe(true);
+    });
+  });
+
+  describe('validatePasswordStrength', () => {
+    test('should reject breached passwords and explain why', async () => {
+      const input = writeCorpus('breached.txt', ['Summer2024!']);
+      const output = path.join(directory, 'breached.bloom');
+      await buildBreachFilter({ input, output });
+      useFilter(output);
+
+      const result = validatePasswordStrength('Summer2024!');
+
+      expect(result.valid).toBe(false);
+      expect(result.breached).toBe(true);
+      expect(result.errors).toContain('Password has appeared in a data breach and must not be used');
+    });
+
+    test('should reject easily guessed passwords with feedback', () => {
+      config.passwordPolicy.minStrengthScore = 2;
+
+      const result = validatePasswordStrength('Sharma1234', ['Rahul Sharma', 'rahul.sharma@nm.mssu.ac.in']);
+      const details = getPasswordValidationDetails(result);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Password is too easy to guess: Passwords based on your name or email address are easy to guess');
+      expect(details).toMatchObject({
+        breached: false,
+        strength: { minScore: 2, warning: 'Passwords based on your name or email address are easy to guess' }
+      });
+      expect(details.strength.score).toBeLessThan(2);
+      expect(details.strength.suggestions.length).toBeGreaterThan(0);
+
+      config.passwordPolicy.minStrengthScore = originalPolicy.minStrengthScore;
+    });
+  });
+});
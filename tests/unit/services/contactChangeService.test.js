@@ -0,0 +1,212 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+const createMockUser = (overrides = {}) => {
+  const user = {
+    id: userId,
+    email: 'student@example.com',
+    name: 'Test Student',
+    phone: '+919876543210',
+    token_version: 0,
+    email_verified_at: null,
+    phone_verified_at: null,
+    ...overrides
+  };
+  user.update = jest.fn(async (values) => Object.assign(user, values));
+  user.toSafeObject = jest.fn(() => ({ id: user.id, email: user.email, phone: user.phone }));
+  return user;
+};
+
+let mockUser;
+let mockExistingUser;
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (where.id === userId ? mockUser : mockExistingUser))
+};
+const mockSendConfirmationEmail = jest.fn(async () => ({ success: true }));
+const mockSendNoticeEmail = jest.fn(async () => ({ success: true }));
+const mockSendOTP = jest.fn(async () => ({ success: true }));
+const mockSendNoticeSMS = jest.fn(async () => ({ success: true }));
+const mockRevokeAllSessions = jest.fn(async () => 0);
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/services/emailService.js', () => ({
+  sendContactChangeConfirmationEmail: mockSendConfirmationEmail,
+  sendContactChangeNoticeEmail: mockSendNoticeEmail
+}));
+jest.unstable_mockModule('../../../src/services/smsService.js', () => ({
+  sendOTP: mockSendOTP,
+  sendContactChangeNoticeSMS: mockSendNoticeSMS
+}));
+jest.unstable_mockModule('../../../src/services/sessionService.js', () => ({
+  revokeAllSessions: mockRevokeAllSessions
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const {
+  requestContactChange,
+  confirmEmailChange,
+  confirmPhoneChange,
+  revokeContactChange,
+  getPendingChange
+} = await import('../../../src/services/contactChangeService.js');
+
+describe('ContactChangeService', () => {
+  const newEmail = 'new.address@example.com';
+  const newPhone = '+919812345678';
+
+  const lastArg = (mockFn, index) => mockFn.mock.calls[mockFn.mock.calls.length - 1][index];
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockUser = createMockUser();
+    mockExistingUser = null;
+    mockSendConfirmationEmail.mockImplementation(async () => ({ success: true }));
+    mockSendNoticeEmail.mockImplementation(async () => ({ success: true }));
+  });
+
+  describe('requestContactChange', () => {
+    test('should send a link to the new email and a revoke link to the old one without changing anything', async () => {
+      const result = await requestContactChange(userId, 'email', newEmail);
+
+      expect(result.value).toBe(newEmail);
+      expect(mockSendConfirmationEmail).toHaveBeenCalledWith(newEmail, expect.stringMatching(/^[a-f0-9]{64}$/), mockUser.name);
+      expect(mockSendNoticeEmail).toHaveBeenCalledWith(
+        'student@example.com',
+        expect.objectContaining({ type: 'email', newValue: newEmail, revokeToken: expect.stringMatching(/^[a-f0-9]{64}$/) }),
+        mockUser.name
+      );
+      expect(mockUser.update).not.toHaveBeenCalled();
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'contact_change_requested' }));
+    });
+
+    test('should send an SMS code to the new phone and notify the old phone', async () => {
+      await requestContactChange(userId, 'phone', newPhone);
+
+      expect(mockSendOTP).toHaveBeenCalledWith(newPhone, expect.stringMatching(/^\d{6}$/));
+      expect(mockSendNoticeSMS).toHaveBeenCalledWith('+919876543210', expect.any(String));
+    });
+
+    test('should reject an address already used by another account', async () => {
+      mockExistingUser = createMockUser({ id: 'other-user' });
+
+      await expect(requestContactChange(userId, 'email', newEmail)).rejects.toMatchObject({ code: 'EMAIL_EXISTS' });
+      expect(mockSendConfirmationEmail).not.toHaveBeenCalled();
+    });
+
+    test('should not keep a pending change when the confirmation cannot be delivered', async () => {
+      mockSendConfirmationEmail.mockImplementation(async () => { throw new Error('SES down'); });
+
+      await expect(requestContactChange(userId, 'email', newEmail)).rejects.toMatchObject({ code: 'CONTACT_CHANGE_DELIVERY_FAILED' });
+      expect(await getPendingChange(userId)).toBeNull();
+    });
+
+    test('should still start the change when the old address cannot be notified', async () => {
+      mockSendNoticeEmail.mockImplementation(async () => { throw new Error('Mailbox gone'); });
+
+      await requestContactChange(userId, 'email', newEmail);
+
+      expect(await getPendingChange(userId)).toMatchObject({ type: 'email', newValue: newEmail });
+    });
+  });
+
+  describe('confirmEmailChange', () => {
+    test('should apply the change, bump token_version and sign out every session', async () => {
+      await requestContactChange(userId, 'email', newEmail);
+      const token = lastArg(mockSendConfirmationEmail, 1);
+
+      await confirmEmailChange(token);
+
+      expect(mockUser.email).toBe(newEmail);
+      expect(mockUser.email_verified_at).toBeInstanceOf(Date);
+      expect(mockUser.token_version).toBe(1);
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(userId);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'contact_change_confirmed' }));
+      expect(await getPendingChange(userId)).toBeNull();
+    });
+
+    test('should only accept a link once', async () => {
+      await requestContactChange(userId, 'email', newEmail);
+      const token = lastArg(mockSendConfirmationEmail, 1);
+      await confirmEmailChange(token);
+
+      await expect(confirmEmailChange(token)).rejects.toMatchObject({ code: 'CONTACT_CHANGE_TOKEN_INVALID' });
+    });
+
+    test('should not accept the link of a request that was replaced', async () => {
+      await requestContactChange(userId, 'email', newEmail);
+      const firstToken = lastArg(mockSendConfirmationEmail, 1);
+      await requestContactChange(userId, 'email', 'another@example.com');
+
+      await expect(confirmEmailChange(firstToken)).rejects.toMatchObject({ code: 'CONTACT_CHANGE_TOKEN_INVALID' });
+      expect(mockUser.email).toBe('student@example.com');
+    });
+  });
+
+  describe('confirmPhoneChange', () => {
+    test('should apply the change with the code sent to the new number', async () => {
+      await requestContactChange(userId, 'phone', newPhone);
+      const code = lastArg(mockSendOTP, 1);
+
+      await confirmPhoneChange(userId, code);
+
+      expect(mockUser.phone).toBe(newPhone);
+      expect(mockUser.phone_verified_at).toBeInstanceOf(Date);
+      expect(mockUser.token_version).toBe(1);
+    });
+
+    test('should reject a wrong code', async () => {
+      await requestContactChange(userId, 'phone', newPhone);
+      const code = lastArg(mockSendOTP, 1);
+      const wrongCode = code === '000000' ? '111111' : '000000';
+
+      await expect(confirmPhoneChange(userId, wrongCode)).rejects.toMatchObject({ code: 'OTP_INVALID' });
+      expect(mockUser.phone).toBe('+919876543210');
+    });
+  });
+
+  describe('revokeContactChange', () => {
+    test('should cancel a pending change and sign out every session', async () => {
+      await requestContactChange(userId, 'email', newEmail);
+      const confirmToken = lastArg(mockSendConfirmationEmail, 1);
+      const { revokeToken } = lastArg(mockSendNoticeEmail, 1);
+
+      const result = await revokeContactChange(revokeToken);
+
+      expect(result).toEqual({ type: 'email', reverted: false });
+      expect(mockUser.token_version).toBe(1);
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(userId);
+      await expect(confirmEmailChange(confirmToken)).rejects.toMatchObject({ code: 'CONTACT_CHANGE_TOKEN_INVALID' });
+    });
+
+    test('should put the old address back when the change was already confirmed', async () => {
+      await requestContactChange(userId, 'email', newEmail);
+      const confirmToken = lastArg(mockSendConfirmationEmail, 1);
+      const { revokeToken } = lastArg(mockSendNoticeEmail, 1);
+      await confirmEmailChange(confirmToken);
+
+      const result = await revokeContactChange(revokeToken);
+
+      expect(result.reverted).toBe(true);
+      expect(mockUser.email).toBe('student@example.com');
+      expect(mockUser.token_version).toBe(2);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'contact_change_revoked',
+        details: { type: 'email', reverted: true }
+      }));
+    });
+
+    test('should reject an unknown link', async () => {
+      await expect(revokeContactChange('a'.repeat(64))).rejects.toMatchObject({ code: 'CONTACT_CHANGE_TOKEN_INVALID' });
+    });
+  });
+});
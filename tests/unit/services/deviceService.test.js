@@ -0,0 +1,223 @@
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+const password = 'Correct#Pass123';
+
+let mockUser;
+let mockDevices = [];
+
+/**
+ * In-memory stand-in for a UserDevice row
+ */
+const createMockDevice = (values) => {
+  const device = { id: crypto.randomUUID(), trusted_until: null, createdAt: new Date(), ...values };
+  device.update = jest.fn(async (changes) => Object.assign(device, changes));
+  device.destroy = jest.fn(async () => { mockDevices = mockDevices.filter((entry) => entry !== device); });
+  device.toSafeObject = () => ({ id: device.id, name: device.name, browser: device.browser, os: device.os, trusted: Boolean(device.trusted_until && device.trusted_until > new Date()) });
+  return device;
+};
+const matches = (device, where) => Object.entries(where).every(([key, value]) => device[key] === value);
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (where.email === mockUser.email ? mockUser : null)),
+  findByPk: jest.fn(async (id) => (id === mockUser.id ? mockUser : null))
+};
+const mockUserDeviceModel = {
+  findOrCreate: jest.fn(async ({ where, defaults }) => {
+    const existing = mockDevices.find((device) => matches(device, where));
+    if (existing) {
+      return [existing, false];
+    }
+    const device = createMockDevice({ ...where, ...defaults });
+    mockDevices.push(device);
+    return [device, true];
+  }),
+  findOne: jest.fn(async ({ where }) => mockDevices.find((device) => matches(device, where)) || null),
+  findAll: jest.fn(async ({ where }) => mockDevices.filter((device) => matches(device, where))),
+  update: jest.fn(async (changes, { where }) => {
+    const updated = mockDevices.filter((device) => device.user_id === where.user_id && device.trusted_until);
+    updated.forEach((device) => Object.assign(device, changes));
+    return [updated.length];
+  })
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({
+  default: { create: jest.fn(), findAll: jest.fn(async () => []), destroy: jest.fn() }
+}));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({
+  default: { findAll: jest.fn(async () => []) }
+}));
+jest.unstable_mockModule('../../../src/models/SessionPolicy.js', () => ({
+  default: { findOne: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../../../src/models/UserDevice.js', () => ({ default: mockUserDeviceModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { authenticateWithPassword } = await import('../../../src/services/authService.js');
+const { getActiveSessions } = await import('../../../src/services/sessionService.js');
+const {
+  parseUserAgent,
+  getDeviceName,
+  describeDevice,
+  listDevices,
+  renameDevice,
+  setDeviceTrust,
+  revokeDeviceTrust,
+  revokeDevice
+} = await import('../../../src/services/deviceService.js');
+
+describe('DeviceService', () => {
+  let passwordHash;
+
+  const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+  const safariOnIphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+  const login = (userAgent, deviceId) => ({ ipAddress: '203.0.113.10', userAgent, deviceId });
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(password, 4);
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockDevices = [];
+
+    mockUser = {
+      id: userId,
+      email: 'teacher@nm.mssu.ac.in',
+      password_hash: passwordHash,
+      role: 'Teacher',
+      account_status: 'active',
+      mfa_enabled: false,
+      failed_login_attempts: 0,
+      locked_until: null,
+      token_version: 0,
+      isLocked: () => false
+    };
+    mockUser.update = jest.fn(async (changes) => Object.assign(mockUser, changes));
+    mockUser.toSafeObject = () => ({ id: mockUser.id, email: mockUser.email });
+  });
+
+  describe('user agent parsing', () => {
+    test('should name devices after browser and operating system or model', () => {
+      const desktop = parseUserAgent(chromeOnWindows);
+      expect(desktop).toMatchObject({ browser: 'Chrome', browser_version: '124', os: 'Windows', device_type: 'desktop' });
+      expect(getDeviceName(desktop)).toBe('Chrome on Windows');
+
+      const phone = parseUserAgent(safariOnIphone);
+      expect(phone).toMatchObject({ browser: 'Mobile Safari', os: 'iOS', device_type: 'mobile', device_vendor: 'Apple', device_model: 'iPhone' });
+      expect(getDeviceName(phone)).toBe('Mobile Safari on Apple iPhone');
+
+      expect(getDeviceName(parseUserAgent(''))).toBeNull();
+    });
+
+    test('should keep a device name sent by the client', () => {
+      expect(describeDevice({ userAgent: chromeOnWindows, deviceInfo: { device_type: 'web', device_name: 'Exam hall PC' } }))
+        .toMatchObject({ device_name: 'Exam hall PC', browser: 'Chrome', os: 'Windows' });
+      expect(describeDevice({ userAgent: chromeOnWindows }).device_name).toBe('Chrome on Windows');
+      expect(describeDevice({ userAgent: 'curl/8.5.0' }).device_name).toBe('Unknown Device');
+    });
+  });
+
+  describe('device recognition', () => {
+    test('should issue a device identifier and recognise the device by it', async () => {
+      const first = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows));
+
+      expect(first.deviceId).toMatch(/^[a-f0-9]{64}$/);
+      expect(mockDevices).toHaveLength(1);
+      expect(mockDevices[0]).toMatchObject({ name: 'Chrome on Windows', browser: 'Chrome', os: 'Windows' });
+      // Only a hash of the identifier is stored
+      expect(mockDevices[0].device_hash).not.toBe(first.deviceId);
+
+      const second = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows, first.deviceId));
+
+      expect(second.deviceId).toBe(first.deviceId);
+      expect(mockDevices).toHaveLength(1);
+
+      const sessions = await getActiveSessions(userId);
+      expect(sessions.map((session) => session.device_id)).toEqual([mockDevices[0].id, mockDevices[0].id]);
+      expect(sessions[0]).toMatchObject({ device_name: 'Chrome on Windows', browser: 'Chrome', os: 'Windows' });
+
+      const [device] = await listDevices(userId, second.sessionId);
+      expect(device).toMatchObject({ name: 'Chrome on Windows', active_sessions: 2, is_current: true });
+    });
+
+    test('should treat a malformed identifier as a new device', async () => {
+      const result = await authenticateWithPassword(mockUser.email, password, login(safariOnIphone, 'not-a-device-id'));
+
+      expect(result.deviceId).toMatch(/^[a-f0-9]{64}$/);
+      expect(mockDevices[0].name).toBe('Mobile Safari on Apple iPhone');
+    });
+  });
+
+  describe('device management', () => {
+    test('should rename a device and refuse devices of other users', async () => {
+      await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows));
+      const deviceId = mockDevices[0].id;
+
+      expect(await renameDevice(userId, deviceId, 'Staff room PC')).toMatchObject({ name: 'Staff room PC' });
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'device_renamed',
+        details: { old_name: 'Chrome on Windows', new_name: 'Staff room PC' }
+      }));
+
+      await expect(renameDevice('223e4567-e89b-12d3-a456-426614174000', deviceId, 'Mine now'))
+        .rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    });
+
+    test('should skip MFA on a trusted device until its trust is revoked', async () => {
+      const { deviceId } = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows));
+      mockUser.mfa_enabled = true;
+
+      const untrusted = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows, deviceId));
+      expect(untrusted.mfaRequired).toBe(true);
+
+      const device = await setDeviceTrust(userId, mockDevices[0].id, true);
+      expect(device.trusted).toBe(true);
+
+      const trusted = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows, deviceId));
+      expect(trusted.mfaRequired).toBeUndefined();
+      expect(trusted.accessToken).toBeDefined();
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'login',
+        details: expect.objectContaining({ trusted_device: true })
+      }));
+
+      // Another device still needs MFA
+      const other = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows));
+      expect(other.mfaRequired).toBe(true);
+
+      expect(await revokeDeviceTrust(userId)).toBe(1);
+      const revoked = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows, deviceId));
+      expect(revoked.mfaRequired).toBe(true);
+    });
+
+    test('should revoke a device together with its sessions only', async () => {
+      const laptop = await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows));
+      await authenticateWithPassword(mockUser.email, password, login(chromeOnWindows, laptop.deviceId));
+      const phone = await authenticateWithPassword(mockUser.email, password, login(safariOnIphone));
+      const laptopDevice = mockDevices.find((device) => device.browser === 'Chrome');
+
+      expect(await revokeDevice(userId, laptopDevice.id)).toEqual({ sessionsRevoked: 2 });
+
+      expect((await getActiveSessions(userId)).map((session) => session.sessionId)).toEqual([phone.sessionId]);
+      expect(mockDevices.map((device) => device.browser)).toEqual(['Mobile Safari']);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'device_revoked',
+        resource_id: laptopDevice.id,
+        details: { name: 'Chrome on Windows', sessions_revoked: 2 }
+      }));
+    });
+  });
+});
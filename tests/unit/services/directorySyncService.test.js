@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import { startMockLdapServer } from '../../mocks/mockLdapServer.js';
+
+const nmCampus = { id: '223e4567-e89b-12d3-a456-426614174000', code: 'NM' };
+const thCampus = { id: '323e4567-e89b-12d3-a456-426614174000', code: 'TH' };
+
+let users;
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => users.find((user) => user.email === where.email) || null)
+};
+const mockCampusModel = {
+  findAll: jest.fn(async () => [nmCampus, thCampus])
+};
+const mockCreateUser = jest.fn(async (userData) => ({ id: 'new-user', email: userData.email }));
+const mockUpdateUser = jest.fn(async (userId, updates) => ({ id: userId, ...updates }));
+
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/services/userService.js', () => ({
+  createUser: mockCreateUser,
+  updateUser: mockUpdateUser
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { syncDirectoryUsers } = await import('../../../src/services/directorySyncService.js');
+
+describe('DirectorySyncService', () => {
+  let directory;
+  const originalLdapConfig = { ...config.ldap };
+
+  beforeAll(async () => {
+    directory = await startMockLdapServer();
+  });
+
+  afterAll(async () => {
+    Object.assign(config.ldap, originalLdapConfig);
+    await directory.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    users = [];
+
+    Object.assign(config.ldap, originalLdapConfig, {
+      url: directory.url,
+      baseDN: directory.baseDN,
+      bindDN: directory.bindDN,
+      bindPassword: directory.bindPassword,
+      campusCodes: ['NM'],
+      emailDomains: [],
+      timeout: 2000,
+      roleMapping: JSON.stringify({ faculty: 'Teacher', students: 'Student', 'domain admins': 'Super_Admin' })
+    });
+  });
+
+  test('should create directory users on their campus with the mapped role', async () => {
+    const summary = await syncDirectoryUsers();
+
+    expect(summary).toMatchObject({ total: 2, created: 2, updated: 0, unchanged: 0, skipped: [] });
+    expect(mockCreateUser).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'asha.patil@nm.mssu.ac.in',
+      name: 'Asha Patil',
+      phone: '+919820011111',
+      role: 'Teacher',
+      campus_id: nmCampus.id,
+      account_status: 'active'
+    }), null);
+    expect(mockCreateUser.mock.calls[1][0].role).toBe('Student');
+  });
+
+  test('should update the name, role and campus of existing users', async () => {
+    users.push(
+      { id: 'u1', email: 'asha.patil@nm.mssu.ac.in', name: 'Asha Patil', role: 'Student', campus_id: nmCampus.id },
+      { id: 'u2', email: 'rohan.desai@nm.mssu.ac.in', name: 'Rohan Desai', role: 'Student', campus_id: nmCampus.id }
+    );
+
+    const summary = await syncDirectoryUsers();
+
+    expect(summary).toMatchObject({ created: 0, updated: 1, unchanged: 1 });
+    expect(mockUpdateUser).toHaveBeenCalledWith('u1', { role: 'Teacher' }, null);
+  });
+
+  test('should not write anything in a dry run', async () => {
+    users.push({ id: 'u1', email: 'asha.patil@nm.mssu.ac.in', name: 'Asha', role: 'Teacher', campus_id: nmCampus.id });
+
+    const summary = await syncDirectoryUsers({ dryRun: true });
+
+    expect(summary).toMatchObject({ created: 1, updated: 1, dryRun: true });
+    expect(mockCreateUser).not.toHaveBeenCalled();
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+  });
+
+  test('should skip entries that cannot be imported', async () => {
+    directory.addUser({ uid: 'th.user', password: 'x', mail: 'th.user@th.mssu.ac.in', displayName: 'Thane User', mobile: '+919820033333', physicalDeliveryOfficeName: 'TH' });
+    directory.addUser({ uid: 'no.campus', password: 'x', mail: 'no.campus@nm.mssu.ac.in', displayName: 'No Campus', mobile: '+919820044444', physicalDeliveryOfficeName: 'XX' });
+    directory.addUser({ uid: 'no.phone', password: 'x', mail: 'no.phone@nm.mssu.ac.in', displayName: 'No Phone', physicalDeliveryOfficeName: 'NM' });
+    directory.addUser({ uid: 'it.admin', password: 'x', mail: 'it.admin@nm.mssu.ac.in', displayName: 'IT Admin', mobile: '+919820055555', physicalDeliveryOfficeName: 'NM', memberOf: ['cn=Domain Admins,ou=groups,dc=mssu,dc=test'] });
+    users.push({ id: 'u1', email: 'rohan.desai@nm.mssu.ac.in', name: 'Rohan Desai', role: 'Super_Admin', campus_id: nmCampus.id });
+
+    try {
+      const summary = await syncDirectoryUsers();
+
+      expect(summary.created).toBe(1);
+      expect(Object.fromEntries(summary.skipped.map(({ email, reason }) => [email, reason]))).toEqual({
+        'rohan.desai@nm.mssu.ac.in': 'protected_account',
+        'th.user@th.mssu.ac.in': 'not_directory_managed',
+        'no.campus@nm.mssu.ac.in': 'unknown_campus',
+        'no.phone@nm.mssu.ac.in': 'missing_phone',
+        'it.admin@nm.mssu.ac.in': 'invalid_role'
+      });
+    } finally {
+      ['th.user', 'no.campus', 'no.phone', 'it.admin'].forEach(directory.removeUser);
+    }
+  });
+
+  test('should report an unreachable directory', async () => {
+    config.ldap.url = 'ldap://127.0.0.1:1';
+
+    await expect(syncDirectoryUsers()).rejects.toMatchObject({ code: 'DIRECTORY_UNAVAILABLE' });
+    expect(mockCreateUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,338 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+import { startMockIdentityProvider } from '../../mocks/mockIdentityProvider.js';
+
+const campusId = '223e4567-e89b-12d3-a456-426614174000';
+const otherCampusId = '323e4567-e89b-12d3-a456-426614174000';
+const adminId = '423e4567-e89b-12d3-a456-426614174000';
+
+// Minimal in-memory stand-ins for the Sequelize models
+const createRecord = (store, values) => {
+  const record = { id: crypto.randomUUID(), ...values };
+  record.update = jest.fn(async (changes) => Object.assign(record, changes));
+  record.destroy = jest.fn(async () => store.splice(store.indexOf(record), 1));
+  record.toJSON = () => ({ ...record });
+  record.toSafeObject = () => {
+    const safe = { ...record, config: { ...record.config } };
+    delete safe.config.client_secret;
+    return safe;
+  };
+  store.push(record);
+  return record;
+};
+const matches = (record, where) => Object.entries(where).every(([key, value]) => record[key] === value);
+
+let providers;
+let identities;
+let users;
+const mockIdentityProviderModel = {
+  create: jest.fn(async (values) => createRecord(providers, { is_active: true, ...values })),
+  findOne: jest.fn(async ({ where }) => providers.find((record) => matches(record, where)) || null),
+  findByPk: jest.fn(async (id) => providers.find((record) => record.id === id) || null),
+  findAll: jest.fn(async ({ where }) => providers.filter((record) => matches(record, where)))
+};
+const mockFederatedIdentityModel = {
+  create: jest.fn(async (values) => createRecord(identities, values)),
+  findOne: jest.fn(async ({ where }) => identities.find((record) => matches(record, where)) || null),
+  findAll: jest.fn(async ({ where }) => identities.filter((record) => matches(record, where)))
+};
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => users.find((user) => user.email === where.email) || null),
+  update: jest.fn(async () => [1])
+};
+const mockCampusModel = { findByPk: jest.fn(async (id) => ({ id, is_active: true })) };
+const mockCreateUser = jest.fn(async (userData) => ({ id: crypto.randomUUID(), email: userData.email }));
+const mockLoginWithFederatedIdentity = jest.fn(async (userId) => ({ user: { id: userId }, accessToken: 'access', refreshToken: 'refresh' }));
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/models/IdentityProvider.js', () => ({ default: mockIdentityProviderModel }));
+jest.unstable_mockModule('../../../src/models/FederatedIdentity.js', () => ({ default: mockFederatedIdentityModel }));
+jest.unstable_mockModule('../../../src/services/userService.js', () => ({
+  createUser: mockCreateUser
+}));
+jest.unstable_mockModule('../../../src/services/authService.js', () => ({
+  loginWithFederatedIdentity: mockLoginWithFederatedIdentity
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const {
+  createProvider,
+  startFederatedLogin,
+  handleFederatedCallback,
+  exchangeLoginCode,
+  listLinkedIdentities,
+  unlinkIdentity
+} = await import('../../../src/services/federationService.js');
+
+describe('FederationService', () => {
+  let idp;
+  const teacher = { id: '123e4567-e89b-12d3-a456-426614174000', email: 'teacher@nm.mssu.ac.in', campus_id: campusId };
+
+  const callbackParams = (redirectUrl) => Object.fromEntries(new URL(redirectUrl).searchParams);
+  const auditActions = () => mockCreateAuditLog.mock.calls.map(([entry]) => entry.action_type);
+
+  const createOIDCProvider = (overrides = {}) => createProvider({
+    slug: 'nm-idp',
+    name: 'Navi Mumbai IdP',
+    protocol: 'oidc',
+    campus_id: campusId,
+    config: { issuer: idp.issuer, client_id: idp.clientId, client_secret: idp.clientSecret },
+    ...overrides
+  }, adminId);
+
+  const createSAMLProvider = (overrides = {}) => createProvider({
+    slug: 'nm-saml',
+    name: 'Navi Mumbai SAML',
+    protocol: 'saml',
+    campus_id: campusId,
+    config: { entry_point: idp.samlEntryPoint, idp_cert: idp.samlCert },
+    ...overrides
+  }, adminId);
+
+  // Browser round trip: start at MSSU Connect, sign in at the mock IdP, come back to the callback
+  const signInWithOIDC = async (slug, options) => {
+    const { url } = await startFederatedLogin(slug, options);
+    const params = await idp.authorize(url);
+    return handleFederatedCallback(slug, params);
+  };
+
+  beforeAll(async () => {
+    idp = await startMockIdentityProvider();
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    providers = [];
+    identities = [];
+    users = [teacher];
+    idp.setUser({});
+  });
+
+  describe('createProvider', () => {
+    test('should read OIDC endpoints from discovery and encrypt the client secret', async () => {
+      const provider = await createOIDCProvider();
+
+      expect(provider.config.token_endpoint).toBe(`${idp.issuer}/token`);
+      expect(provider.config.jwks_uri).toBe(`${idp.issuer}/jwks`);
+      expect(provider.config.client_secret).toBeUndefined();
+      expect(providers[0].config.client_secret).not.toBe(idp.clientSecret);
+      expect(provider.callbackUrl).toMatch(/\/api\/v1\/federation\/nm-idp\/callback$/);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'identity_provider_created' }));
+    });
+
+    test('should reject unknown protocols and reserved slugs', async () => {
+      await expect(createOIDCProvider({ protocol: 'cas' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(createOIDCProvider({ slug: 'providers' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('OIDC login', () => {
+    test('should link an existing account on the provider campus by email and issue a one-time code', async () => {
+      await createOIDCProvider();
+
+      const { redirectUrl } = await signInWithOIDC('nm-idp');
+      const { code } = callbackParams(redirectUrl);
+
+      expect(identities).toHaveLength(1);
+      expect(identities[0]).toMatchObject({ user_id: teacher.id, subject: 'mock-user-1', email: teacher.email });
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'federated_identity_linked',
+        user_id: teacher.id,
+        details: expect.objectContaining({ provider: 'nm-idp', method: 'email_match' })
+      }));
+
+      await exchangeLoginCode(code);
+      expect(mockLoginWithFederatedIdentity).toHaveBeenCalledWith(teacher.id, 'nm-idp', {});
+      await expect(exchangeLoginCode(code)).rejects.toMatchObject({ code: 'FEDERATION_CODE_INVALID' });
+    });
+
+    test('should redeem a login code only once when two exchanges race', async () => {
+      await createOIDCProvider();
+      const { redirectUrl } = await signInWithOIDC('nm-idp');
+      const { code } = callbackParams(redirectUrl);
+
+      const results = await Promise.allSettled([exchangeLoginCode(code), exchangeLoginCode(code)]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason.code).toBe('FEDERATION_CODE_INVALID');
+      expect(mockLoginWithFederatedIdentity).toHaveBeenCalledTimes(1);
+    });
+
+    test('should sign in through the stored link even when the provider email changes', async () => {
+      await createOIDCProvider();
+      await signInWithOIDC('nm-idp');
+
+      idp.setUser({ email: 'renamed@nm.mssu.ac.in' });
+      const { redirectUrl } = await signInWithOIDC('nm-idp');
+      await exchangeLoginCode(callbackParams(redirectUrl).code);
+
+      expect(identities).toHaveLength(1);
+      expect(identities[0].email).toBe('renamed@nm.mssu.ac.in');
+      expect(mockLoginWithFederatedIdentity).toHaveBeenCalledWith(teacher.id, 'nm-idp', {});
+    });
+
+    test('should not sign in accounts from another campus', async () => {
+      users = [{ ...teacher, campus_id: otherCampusId }];
+      await createOIDCProvider();
+
+      await expect(signInWithOIDC('nm-idp')).rejects.toMatchObject({ code: 'FEDERATION_CAMPUS_MISMATCH' });
+      expect(identities).toHaveLength(0);
+      expect(auditActions()).toContain('federated_login_failed');
+    });
+
+    test('should reject unverified or disallowed email addresses', async () => {
+      await createOIDCProvider({ allowed_domains: ['nm.mssu.ac.in'] });
+
+      idp.setUser({ email_verified: false });
+      await expect(signInWithOIDC('nm-idp')).rejects.toMatchObject({ code: 'FEDERATION_EMAIL_MISSING' });
+
+      idp.setUser({ sub: 'mock-user-2', email: 'someone@gmail.com' });
+      await expect(signInWithOIDC('nm-idp')).rejects.toMatchObject({ code: 'FEDERATION_DOMAIN_NOT_ALLOWED' });
+    });
+
+    test('should create an account with the default role when JIT is enabled', async () => {
+      users = [];
+      await createOIDCProvider({ jit_enabled: true, default_role: 'Teacher' });
+
+      await signInWithOIDC('nm-idp');
+
+      // The phone number only comes from userinfo
+      expect(mockCreateUser).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'teacher@nm.mssu.ac.in',
+        phone: '+919812345678',
+        name: 'Mock Teacher',
+        role: 'Teacher',
+        campus_id: campusId
+      }), null);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'federated_identity_linked',
+        details: expect.objectContaining({ method: 'jit' })
+      }));
+    });
+
+    test('should refuse unknown users when JIT is disabled', async () => {
+      users = [];
+      await createOIDCProvider();
+
+      await expect(signInWithOIDC('nm-idp')).rejects.toMatchObject({ code: 'FEDERATION_NO_ACCOUNT' });
+      expect(mockCreateUser).not.toHaveBeenCalled();
+    });
+
+    test('should only accept a state once', async () => {
+      await createOIDCProvider();
+      const { url } = await startFederatedLogin('nm-idp');
+      const params = await idp.authorize(url);
+      await handleFederatedCallback('nm-idp', params);
+
+      await expect(handleFederatedCallback('nm-idp', params)).rejects.toMatchObject({ code: 'FEDERATION_STATE_INVALID' });
+    });
+
+    test('should complete a replayed callback only once when both arrive together', async () => {
+      await createOIDCProvider();
+      const { url } = await startFederatedLogin('nm-idp');
+      const params = await idp.authorize(url);
+
+      const results = await Promise.allSettled([
+        handleFederatedCallback('nm-idp', params),
+        handleFederatedCallback('nm-idp', params)
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason.code).toBe('FEDERATION_STATE_INVALID');
+    });
+
+    test('should pass on an error returned by the provider', async () => {
+      await createOIDCProvider();
+      const { url } = await startFederatedLogin('nm-idp');
+      const { state } = Object.fromEntries(new URL(url).searchParams);
+
+      await expect(handleFederatedCallback('nm-idp', { state, error: 'access_denied' }))
+        .rejects.toMatchObject({ code: 'FEDERATION_DENIED' });
+    });
+  });
+
+  describe('linking', () => {
+    test('should link the identity to the signed-in user and unlink it again', async () => {
+      users = [];
+      await createOIDCProvider();
+
+      const { redirectUrl } = await signInWithOIDC('nm-idp', { intent: 'link', userId: teacher.id });
+
+      expect(callbackParams(redirectUrl)).toEqual({ linked: 'nm-idp' });
+      expect(await listLinkedIdentities(teacher.id)).toHaveLength(1);
+
+      await unlinkIdentity(teacher.id, identities[0].id);
+
+      expect(identities).toHaveLength(0);
+      expect(auditActions()).toEqual(expect.arrayContaining(['federated_identity_linked', 'federated_identity_unlinked']));
+    });
+
+    test('should not link an identity that belongs to another account', async () => {
+      await createOIDCProvider();
+      await signInWithOIDC('nm-idp');
+
+      await expect(signInWithOIDC('nm-idp', { intent: 'link', userId: 'another-user' }))
+        .rejects.toMatchObject({ code: 'FEDERATION_IDENTITY_IN_USE' });
+    });
+
+    test('should only let users unlink their own identities', async () => {
+      await createOIDCProvider();
+      await signInWithOIDC('nm-idp');
+
+      await expect(unlinkIdentity('another-user', identities[0].id)).rejects.toMatchObject({ code: 'IDENTITY_NOT_FOUND' });
+    });
+  });
+
+  describe('SAML login', () => {
+    test('should accept a signed response for a request it sent and map the attributes', async () => {
+      await createSAMLProvider();
+      const { url } = await startFederatedLogin('nm-saml');
+
+      const { SAMLResponse, RelayState } = idp.respondToAuthnRequest(url);
+      const { redirectUrl } = await handleFederatedCallback('nm-saml', { SAMLResponse, RelayState });
+
+      expect(callbackParams(redirectUrl).code).toMatch(/^[a-f0-9]{64}$/);
+      expect(identities[0]).toMatchObject({ user_id: teacher.id, subject: 'mock-user-1' });
+    });
+
+    test('should not accept the same response twice', async () => {
+      await createSAMLProvider();
+      const { url } = await startFederatedLogin('nm-saml');
+      const { SAMLResponse, RelayState } = idp.respondToAuthnRequest(url);
+      await handleFederatedCallback('nm-saml', { SAMLResponse, RelayState });
+
+      // A second login started by the attacker cannot reuse the captured response
+      const second = await startFederatedLogin('nm-saml');
+      const { RelayState: newState } = Object.fromEntries(new URL(second.url).searchParams);
+
+      await expect(handleFederatedCallback('nm-saml', { SAMLResponse, RelayState: newState }))
+        .rejects.toMatchObject({ code: 'FEDERATION_RESPONSE_INVALID' });
+    });
+
+    test('should reject responses for another audience or with an unsigned assertion', async () => {
+      await createSAMLProvider();
+
+      const first = await startFederatedLogin('nm-saml');
+      await expect(handleFederatedCallback('nm-saml', idp.respondToAuthnRequest(first.url, { audience: 'https://other-sp.example.com' })))
+        .rejects.toMatchObject({ code: 'FEDERATION_RESPONSE_INVALID' });
+
+      const second = await startFederatedLogin('nm-saml');
+      await expect(handleFederatedCallback('nm-saml', idp.respondToAuthnRequest(second.url, { signAssertion: false })))
+        .rejects.toMatchObject({ code: 'FEDERATION_RESPONSE_INVALID' });
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, test, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const campusId = '223e4567-e89b-12d3-a456-426614174000';
+const otherCampusId = '323e4567-e89b-12d3-a456-426614174000';
+
+let mockUsers = [];
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => mockUsers.find((user) => user.id === where.id && !user.deleted_at) || null),
+  findByPk: jest.fn(async (id) => mockUsers.find((user) => user.id === id) || null)
+};
+const mockCampusModel = {
+  findByPk: jest.fn(async (id) => (id === campusId ? { id, code: 'NM' } : id === otherCampusId ? { id, code: 'TH' } : null))
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticate } = await import('../../../src/middleware/auth.js');
+const { verifyToken } = await import('../../../src/services/tokenService.js');
+const {
+  startImpersonation,
+  endImpersonation,
+  getImpersonation
+} = await import('../../../src/services/impersonationService.js');
+
+describe('ImpersonationService', () => {
+  const originalImpersonation = { ...config.impersonation };
+  const context = { ipAddress: '203.0.113.10', userAgent: 'Mozilla/5.0' };
+
+  const createUser = (id, role, overrides = {}) => {
+    const user = {
+      id,
+      email: `${id}@nm.mssu.ac.in`,
+      role,
+      campus_id: campusId,
+      account_status: 'active',
+      must_change_password: false,
+      deleted_at: null,
+      isLocked: () => false,
+      ...overrides
+    };
+    user.toSafeObject = () => {
+      const { toSafeObject: _safe, isLocked: _locked, ...safe } = user;
+      return safe;
+    };
+    return user;
+  };
+
+  const superAdmin = createUser('super-admin', 'Super_Admin', { campus_id: null });
+  const admin = createUser('admin', 'Admin');
+  const student = createUser('student', 'Student');
+  const teacher = createUser('teacher', 'Teacher');
+  const otherStudent = createUser('other-student', 'Student', { campus_id: otherCampusId });
+
+  const auditEntries = (action) => mockCreateAuditLog.mock.calls.map(([entry]) => entry).filter((entry) => entry.action_type === action);
+
+  /**
+   * Run the authenticate middleware for a request and capture the response
+   */
+  const runAuthenticate = async (accessToken, { method = 'GET', path = '/api/v1/profile', options } = {}) => {
+    const finishHandlers = [];
+    const req = {
+      method,
+      originalUrl: path,
+      ip: context.ipAddress,
+      headers: { authorization: `Bearer ${accessToken}` },
+      get: () => context.userAgent
+    };
+    const res = {
+      statusCode: 200,
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; }),
+      on: jest.fn((event, handler) => { if (event === 'finish') finishHandlers.push(handler); })
+    };
+    const next = jest.fn();
+
+    await authenticate(options)(req, res, next);
+    finishHandlers.forEach((handler) => handler());
+
+    return { req, res, next };
+  };
+
+  afterAll(() => {
+    Object.assign(config.impersonation, originalImpersonation);
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    Object.assign(config.impersonation, { tokenExpiry: 900, targetRoles: ['Student', 'Parent'], adminCampuses: [] });
+    mockUsers = [superAdmin, admin, student, teacher, otherStudent];
+  });
+
+  describe('starting', () => {
+    test('should issue a short-lived token naming the impersonator', async () => {
+      const result = await startImpersonation(superAdmin, student.id, 'Support ticket 4821', context);
+      const decoded = verifyToken(result.accessToken);
+
+      expect(decoded).toMatchObject({ user_id: student.id, role: 'Student', act: { sub: superAdmin.id }, jti: result.impersonation.id });
+      expect(decoded.exp - decoded.iat).toBe(900);
+      expect(result.refreshToken).toBeUndefined();
+      expect(await getImpersonation(result.impersonation.id)).toMatchObject({ impersonator_id: superAdmin.id, user_id: student.id });
+      expect(auditEntries('impersonation_started')[0]).toMatchObject({
+        user_id: student.id,
+        admin_id: superAdmin.id,
+        details: { impersonation_id: result.impersonation.id, reason: 'Support ticket 4821' }
+      });
+    });
+
+    test('should only allow target roles and other users', async () => {
+      await expect(startImpersonation(superAdmin, teacher.id, 'Check', context))
+        .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+      await expect(startImpersonation(superAdmin, superAdmin.id, 'Check', context))
+        .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+      await expect(startImpersonation(superAdmin, 'missing', 'Check', context))
+        .rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+    });
+
+    test('should let Admins impersonate only on their own allowed campus', async () => {
+      await expect(startImpersonation(admin, student.id, 'Check', context))
+        .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+
+      config.impersonation.adminCampuses = ['NM'];
+
+      await expect(startImpersonation(admin, student.id, 'Check', context)).resolves.toBeDefined();
+      await expect(startImpersonation(admin, otherStudent.id, 'Check', context))
+        .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+    });
+  });
+
+  describe('requests', () => {
+    test('should allow reads and audit them under the impersonator', async () => {
+      const { accessToken, impersonation } = await startImpersonation(superAdmin, student.id, 'Check', context);
+
+      const { req, next } = await runAuthenticate(accessToken, { path: '/api/v1/profile' });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(student.id);
+      expect(req.impersonation).toMatchObject({ id: impersonation.id, impersonator_id: superAdmin.id });
+      expect(auditEntries('impersonated_request')[0]).toMatchObject({
+        user_id: student.id,
+        admin_id: superAdmin.id,
+        details: { impersonation_id: impersonation.id, method: 'GET', path: '/api/v1/profile', status_code: 200 }
+      });
+    });
+
+    test('should block changes and routes that opt out', async () => {
+      const { accessToken } = await startImpersonation(superAdmin, student.id, 'Check', context);
+
+      const write = await runAuthenticate(accessToken, { method: 'PUT', path: '/api/v1/profile/password' });
+      const authorize = await runAuthenticate(accessToken, { path: '/api/v1/oauth/authorize', options: { allowImpersonation: false } });
+
+      expect(write.next).not.toHaveBeenCalled();
+      expect(write.res.statusCode).toBe(403);
+      expect(write.res.body.error.code).toBe('IMPERSONATION_RESTRICTED');
+      expect(authorize.res.body.error.code).toBe('IMPERSONATION_RESTRICTED');
+      expect(auditEntries('impersonated_request')[0].details).toMatchObject({ method: 'PUT', status_code: 403 });
+    });
+
+    test('should reject the token once the impersonation ends', async () => {
+      const { accessToken, impersonation } = await startImpersonation(superAdmin, student.id, 'Check', context);
+
+      const end = await runAuthenticate(accessToken, { method: 'POST', path: '/api/v1/impersonation/end', options: { allowImpersonation: true } });
+      await endImpersonation(end.req.impersonation, context);
+
+      const { res, next } = await runAuthenticate(accessToken);
+
+      expect(end.next).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error.code).toBe('IMPERSONATION_ENDED');
+      expect(auditEntries('impersonation_ended')[0]).toMatchObject({
+        admin_id: superAdmin.id,
+        details: { impersonation_id: impersonation.id }
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, test, expect, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+// Sign with ES256 from a throwaway key set
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+process.env.JWT_ALGORITHM = 'ES256';
+process.env.JWT_KEYS_FILE = path.join(keysDir, 'jwt-keys.json');
+
+// Import after configuring the environment
+const { default: config } = await import('../../../src/config/env.js');
+const { rotateSigningKey, getSigningKey, getVerificationKey, getJWKS, loadKeySet } = await import('../../../src/services/keyService.js');
+const { generateAccessToken, verifyToken } = await import('../../../src/services/tokenService.js');
+
+describe('KeyService', () => {
+  const mockPayload = {
+    user_id: '123e4567-e89b-12d3-a456-426614174000',
+    email: 'test@example.com',
+    role: 'Student',
+    campus_id: '123e4567-e89b-12d3-a456-426614174001'
+  };
+
+  afterAll(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  test('should refuse to sign before a key has been created', () => {
+    expect(() => getSigningKey()).toThrow('No active ES256 signing key');
+  });
+
+  test('should create the first signing key', () => {
+    const result = rotateSigningKey();
+
+    expect(result.alg).toBe('ES256');
+    expect(result.retiredKid).toBeNull();
+    expect(getSigningKey().kid).toBe(result.kid);
+  });
+
+  test('should sign tokens with a kid header that verify against the JWKS', () => {
+    const token = generateAccessToken(mockPayload);
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header.alg).toBe('ES256');
+    expect(header.kid).toBe(getSigningKey().kid);
+    expect(verifyToken(token).user_id).toBe(mockPayload.user_id);
+
+    const jwk = getJWKS().keys.find(key => key.kid === header.kid);
+    expect(jwk).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+    expect(jwk.d).toBeUndefined(); // No private key material
+  });
+
+  test('should keep verifying tokens signed by a retired key', () => {
+    const oldToken = generateAccessToken(mockPayload);
+    const oldKid = getSigningKey().kid;
+
+    const result = rotateSigningKey();
+
+    expect(result.retiredKid).toBe(oldKid);
+    expect(getSigningKey().kid).not.toBe(oldKid);
+    expect(verifyToken(oldToken).user_id).toBe(mockPayload.user_id);
+    expect(getJWKS().keys.map(key => key.kid)).toEqual(expect.arrayContaining([oldKid, result.kid]));
+  });
+
+  test('should stage a key for another algorithm until JWT_ALGORITHM is switched', () => {
+    const oldToken = generateAccessToken(mockPayload);
+    const oldKid = getSigningKey().kid;
+
+    const result = rotateSigningKey('RS256');
+
+    // Published for verification, but tokens are still signed with the ES256 key
+    expect(result).toMatchObject({ alg: 'RS256', staged: true, retiredKid: null });
+    expect(getSigningKey().kid).toBe(oldKid);
+    expect(getJWKS().keys.find(key => key.kid === result.kid)).toMatchObject({ kty: 'RSA', alg: 'RS256' });
+
+    config.jwt.algorithm = 'RS256';
+    try {
+      const token = generateAccessToken(mockPayload);
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header).toMatchObject({ alg: 'RS256', kid: result.kid });
+      expect(verifyToken(token).user_id).toBe(mockPayload.user_id);
+      // Tokens signed before the switch keep verifying with their key's algorithm
+      expect(verifyToken(oldToken).user_id).toBe(mockPayload.user_id);
+
+      // A token cannot pick another algorithm than its key's
+      const forged = jwt.sign(mockPayload, process.env.JWT_SECRET, { algorithm: 'HS256', keyid: result.kid });
+      expect(() => verifyToken(forged)).toThrow(expect.objectContaining({ code: 'TOKEN_INVALID' }));
+    } finally {
+      config.jwt.algorithm = 'ES256';
+    }
+  });
+
+  test('should reject tokens with an unknown or missing kid', () => {
+    const { privateKey } = loadKeySet().keys.find(key => key.alg === 'ES256');
+    const unknown = jwt.sign({ user_id: mockPayload.user_id }, privateKey, { algorithm: 'ES256', keyid: 'unknown' });
+    const missing = jwt.sign({ user_id: mockPayload.user_id }, privateKey, { algorithm: 'ES256' });
+
+    expect(getVerificationKey('unknown')).toBeNull();
+    expect(() => verifyToken(unknown)).toThrow(expect.objectContaining({ code: 'TOKEN_INVALID' }));
+    expect(() => verifyToken(missing)).toThrow(expect.objectContaining({ code: 'TOKEN_INVALID' }));
+  });
+
+  test('should not re-read the key set for every unknown kid', () => {
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+    try {
+      for (let i = 0; i < 20; i++) {
+        expect(getVerificationKey(`forged-${i}`)).toBeNull();
+      }
+
+      expect(readFileSync.mock.calls.length).toBeLessThanOrEqual(1);
+      // Known keys are still served from the cached set
+      expect(getVerificationKey(getSigningKey().kid)).toMatchObject({ alg: 'ES256' });
+    } finally {
+      readFileSync.mockRestore();
+    }
+  });
+
+  test('should reject HS256 tokens signed with the shared secret', () => {
+    const token = jwt.sign({ user_id: mockPayload.user_id }, process.env.JWT_SECRET, {
+      algorithm: 'HS256',
+      keyid: getSigningKey().kid
+    });
+
+    expect(() => verifyToken(token)).toThrow(expect.objectContaining({ code: 'TOKEN_INVALID' }));
+  });
+});
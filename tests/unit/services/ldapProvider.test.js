@@ -0,0 +1,247 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+import { startMockLdapServer } from '../../mocks/mockLdapServer.js';
+
+const nmCampusId = '223e4567-e89b-12d3-a456-426614174000';
+const thCampusId = '323e4567-e89b-12d3-a456-426614174000';
+const campusCodes = { [nmCampusId]: 'NM', [thCampusId]: 'TH' };
+
+let users;
+const makeUser = (overrides) => {
+  const user = {
+    id: `${users.length + 1}23e4567-e89b-12d3-a456-426614174000`,
+    role: 'Teacher',
+    campus_id: nmCampusId,
+    account_status: 'active',
+    mfa_enabled: false,
+    failed_login_attempts: 0,
+    token_version: 0,
+    isLocked: () => false,
+    ...overrides
+  };
+  user.update = jest.fn(async (changes) => Object.assign(user, changes));
+  user.toSafeObject = () => ({ id: user.id, email: user.email });
+  users.push(user);
+  return user;
+};
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => users.find((user) => user.email === where.email) || null),
+  findByPk: jest.fn(async (id) => users.find((user) => user.id === id) || null)
+};
+const mockCampusModel = {
+  findByPk: jest.fn(async (id) => (campusCodes[id] ? { id, code: campusCodes[id] } : null))
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({
+  default: { create: jest.fn(), findAll: jest.fn(async () => []), destroy: jest.fn() }
+}));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({
+  default: { findAll: jest.fn(async () => []) }
+}));
+jest.unstable_mockModule('../../../src/models/SessionPolicy.js', () => ({
+  default: { findOne: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../../../src/models/UserDevice.js', () => ({
+  default: {
+    findOrCreate: jest.fn(async ({ where }) => [{ id: 'device-1', user_id: where.user_id, update: jest.fn() }, true]),
+    findOne: jest.fn(async () => null),
+    update: jest.fn(async () => [0])
+  }
+}));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticateWithPassword } = await import('../../../src/services/authService.js');
+const { decodeToken } = await import('../../../src/services/tokenService.js');
+const { mapRole } = await import('../../../src/services/authProviders/ldapProvider.js');
+
+describe('LDAP authentication provider', () => {
+  let directory;
+  let localHash;
+  const originalLdapConfig = { ...config.ldap };
+
+  const auditEntry = (action) => mockCreateAuditLog.mock.calls.map(([entry]) => entry).find((entry) => entry.action_type === action);
+
+  beforeAll(async () => {
+    directory = await startMockLdapServer();
+    localHash = await bcrypt.hash('Local#Pass123', 4);
+  });
+
+  afterAll(async () => {
+    await directory.close();
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    directory.binds.length = 0;
+    users = [];
+
+    Object.assign(config.ldap, originalLdapConfig, {
+      url: directory.url,
+      baseDN: directory.baseDN,
+      bindDN: directory.bindDN,
+      bindPassword: directory.bindPassword,
+      emailDomains: ['nm.mssu.ac.in'],
+      campusCodes: [],
+      timeout: 2000,
+      fallbackOnError: false
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.ldap, originalLdapConfig);
+  });
+
+  describe('directory-managed users', () => {
+    test('should sign in with the directory password and record the provider decision', async () => {
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      const result = await authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Directory#Pass1');
+
+      expect(result.accessToken).toBeDefined();
+      expect(directory.binds).toContain(`uid=asha.patil,ou=people,${directory.baseDN}`);
+      expect(auditEntry('login').details).toMatchObject({
+        method: 'password',
+        auth_provider: { provider: 'ldap', matched_by: 'email_domain' }
+      });
+    });
+
+    test('should reject the local password hash for a directory-managed user', async () => {
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      await expect(authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Local#Pass123'))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+      expect(auditEntry('failed_login').details).toMatchObject({
+        reason: 'invalid_password',
+        failed_attempts: 1,
+        auth_provider: { provider: 'ldap', matched_by: 'email_domain', result: 'invalid_credentials' }
+      });
+    });
+
+    test('should use the directory for configured campus codes', async () => {
+      config.ldap.emailDomains = [];
+      config.ldap.campusCodes = ['NM'];
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      await authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Directory#Pass1');
+
+      expect(auditEntry('login').details.auth_provider).toEqual({ provider: 'ldap', matched_by: 'campus' });
+    });
+
+    test('should fail when the user has no directory entry', async () => {
+      makeUser({ email: 'nobody@nm.mssu.ac.in', password_hash: localHash });
+
+      await expect(authenticateWithPassword('nobody@nm.mssu.ac.in', 'Local#Pass123'))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+      expect(auditEntry('failed_login').details.auth_provider.result).toBe('entry_not_found');
+    });
+
+    test('should escape filter characters in the email', async () => {
+      makeUser({ email: '*@nm.mssu.ac.in', password_hash: localHash });
+
+      await expect(authenticateWithPassword('*@nm.mssu.ac.in', 'Directory#Pass1'))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+
+      expect(auditEntry('failed_login').details.auth_provider.result).toBe('entry_not_found');
+    });
+
+    test('should carry the provider decision through the MFA step', async () => {
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash, mfa_enabled: true, mfa_method: 'totp' });
+
+      const result = await authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Directory#Pass1');
+
+      expect(result.mfaRequired).toBe(true);
+      expect(auditEntry('mfa_required').details.auth_provider).toEqual({ provider: 'ldap', matched_by: 'email_domain' });
+      expect(decodeToken(result.mfaToken).login_details.auth_provider.provider).toBe('ldap');
+    });
+  });
+
+  describe('local users', () => {
+    test('should check the bcrypt hash without contacting the directory', async () => {
+      makeUser({ email: 'teacher@th.mssu.ac.in', campus_id: thCampusId, password_hash: localHash });
+
+      const result = await authenticateWithPassword('teacher@th.mssu.ac.in', 'Local#Pass123');
+
+      expect(result.accessToken).toBeDefined();
+      expect(directory.binds).toHaveLength(0);
+      expect(auditEntry('login').details.auth_provider).toEqual({ provider: 'local', matched_by: 'default' });
+    });
+
+    test('should use local passwords for everyone when no directory is configured', async () => {
+      config.ldap.url = null;
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      await authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Local#Pass123');
+
+      expect(auditEntry('login').details.auth_provider).toEqual({ provider: 'local', matched_by: 'default' });
+    });
+  });
+
+  describe('directory unavailable', () => {
+    beforeEach(() => {
+      config.ldap.url = 'ldap://127.0.0.1:1';
+    });
+
+    test('should refuse the login without counting a failed attempt', async () => {
+      const user = makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      await expect(authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Local#Pass123'))
+        .rejects.toMatchObject({ code: 'DIRECTORY_UNAVAILABLE' });
+
+      expect(user.failed_login_attempts).toBe(0);
+      expect(auditEntry('failed_login').details).toEqual({
+        reason: 'directory_unavailable',
+        auth_provider: { provider: 'ldap', matched_by: 'email_domain' }
+      });
+    });
+
+    test('should fall back to the local hash when configured', async () => {
+      config.ldap.fallbackOnError = true;
+      makeUser({ email: 'asha.patil@nm.mssu.ac.in', password_hash: localHash });
+
+      await authenticateWithPassword('asha.patil@nm.mssu.ac.in', 'Local#Pass123');
+
+      expect(auditEntry('login').details.auth_provider).toEqual({
+        provider: 'local',
+        matched_by: 'email_domain',
+        fallback_from: 'ldap',
+        fallback_reason: 'directory_unavailable'
+      });
+    });
+  });
+
+  describe('mapRole', () => {
+    beforeEach(() => {
+      config.ldap.roleMapping = JSON.stringify({
+        [`cn=faculty,ou=groups,${directory.baseDN}`]: 'Teacher',
+        admins: 'Admin'
+      });
+    });
+
+    test('should map a group DN case-insensitively', () => {
+      expect(mapRole([`CN=Faculty,OU=Groups,${directory.baseDN.toUpperCase()}`])).toBe('Teacher');
+    });
+
+    test('should map a group CN', () => {
+      expect(mapRole(['cn=admins,ou=staff,dc=mssu,dc=test'])).toBe('Admin');
+    });
+
+    test('should use the default role when no group matches', () => {
+      expect(mapRole(['cn=library,ou=groups,dc=mssu,dc=test'])).toBe('Student');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+let mockUser;
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (mockUser && where.id === mockUser.id ? mockUser : null))
+};
+const mockSendSignInAlertEmail = jest.fn(async () => ({ success: true }));
+const mockSendSignInAlertSMS = jest.fn(async () => ({ success: true }));
+const mockRevokeAllSessions = jest.fn(async () => 2);
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/services/emailService.js', () => ({
+  sendSignInAlertEmail: mockSendSignInAlertEmail
+}));
+jest.unstable_mockModule('../../../src/services/smsService.js', () => ({
+  sendSignInAlertSMS: mockSendSignInAlertSMS
+}));
+jest.unstable_mockModule('../../../src/services/sessionService.js', () => ({
+  revokeAllSessions: mockRevokeAllSessions
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const {
+  getDeviceFingerprint,
+  getNetwork,
+  assessLoginRisk,
+  recordLogin,
+  sendSignInAlert,
+  revokeSuspiciousLogin
+} = await import('../../../src/services/loginRiskService.js');
+
+describe('LoginRiskService', () => {
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.109 Safari/537.36';
+  const firefox = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+  const home = { ipAddress: '203.0.113.10', userAgent: chrome };
+
+  // 10:00 in Asia/Kolkata
+  const morning = new Date('2026-03-02T04:30:00Z');
+  const later = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  const user = { id: userId };
+
+  /**
+   * Record a number of logins from the same device and network, a day apart
+   */
+  const seedHistory = async (context, count, start = morning) => {
+    for (let i = 0; i < count; i++) {
+      const at = later(start, i * 24 * 60);
+      await recordLogin(userId, await assessLoginRisk(user, context, at), at);
+    }
+  };
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockUser = {
+      id: userId,
+      email: 'student@example.com',
+      phone: '+919876543210',
+      name: 'Test Student',
+      token_version: 0
+    };
+    mockUser.update = jest.fn(async (values) => Object.assign(mockUser, values));
+  });
+
+  describe('getNetwork', () => {
+    test('should reduce IPv4 addresses to their /24', () => {
+      expect(getNetwork('203.0.113.10')).toBe('203.0.113.0/24');
+      expect(getNetwork('::ffff:203.0.113.99')).toBe('203.0.113.0/24');
+    });
+
+    test('should reduce IPv6 addresses to their /48', () => {
+      expect(getNetwork('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(getNetwork('2001:db8::1')).toBe('2001:db8:0::/48');
+    });
+
+    test('should return unknown for missing addresses', () => {
+      expect(getNetwork(undefined)).toBe('unknown');
+    });
+  });
+
+  describe('getDeviceFingerprint', () => {
+    test('should ignore browser version updates', () => {
+      const updated = chrome.replace('120.0.6099.109', '121.0.6167.85');
+
+      expect(getDeviceFingerprint({ userAgent: updated })).toBe(getDeviceFingerprint({ userAgent: chrome }));
+    });
+
+    test('should distinguish browsers and device types', () => {
+      expect(getDeviceFingerprint({ userAgent: firefox })).not.toBe(getDeviceFingerprint({ userAgent: chrome }));
+      expect(getDeviceFingerprint({ userAgent: chrome, deviceInfo: { device_type: 'android' } }))
+        .not.toBe(getDeviceFingerprint({ userAgent: chrome }));
+    });
+  });
+
+  describe('assessLoginRisk', () => {
+    test('should allow the first login', async () => {
+      const risk = await assessLoginRisk(user, home, morning);
+
+      expect(risk).toMatchObject({ score: 0, action: 'allow', signals: ['first_login'], network: '203.0.113.0/24' });
+    });
+
+    test('should allow a known device on a known network', async () => {
+      await seedHistory(home, 2);
+
+      const risk = await assessLoginRisk(user, home, later(morning, 3 * 24 * 60));
+
+      expect(risk).toMatchObject({ score: 0, action: 'allow', signals: [] });
+    });
+
+    test('should alert on a new device', async () => {
+      await seedHistory(home, 2);
+
+      const risk = await assessLoginRisk(user, { ...home, userAgent: firefox }, later(morning, 3 * 24 * 60));
+
+      expect(risk).toMatchObject({ score: 30, action: 'alert', signals: ['new_device'] });
+    });
+
+    test('should require MFA for a new device on a new network', async () => {
+      await seedHistory(home, 2);
+
+      const risk = await assessLoginRisk(user, { ipAddress: '198.51.100.7', userAgent: firefox }, later(morning, 3 * 24 * 60));
+
+      expect(risk).toMatchObject({ score: 50, action: 'mfa', signals: ['new_device', 'new_network'] });
+    });
+
+    test('should block a new device on another network minutes after the last login', async () => {
+      await seedHistory(home, 2);
+      const lastLogin = later(morning, 24 * 60);
+
+      const risk = await assessLoginRisk(user, { ipAddress: '198.51.100.7', userAgent: firefox }, later(lastLogin, 5));
+
+      expect(risk).toMatchObject({
+        score: 90,
+        action: 'block',
+        signals: ['new_device', 'new_network', 'rapid_ip_change']
+      });
+    });
+
+    test('should flag unusual hours only once enough logins are known', async () => {
+      // 03:00 in Asia/Kolkata
+      const night = new Date('2026-03-30T21:30:00Z');
+
+      await seedHistory(home, 9);
+      expect((await assessLoginRisk(user, home, night)).signals).toEqual([]);
+
+      await seedHistory(home, 1, later(morning, 9 * 24 * 60));
+      expect((await assessLoginRisk(user, home, night)).signals).toEqual(['unusual_hour']);
+      expect((await assessLoginRisk(user, home, later(morning, 30 * 24 * 60 + 60))).signals).toEqual([]);
+    });
+  });
+
+  describe('recordLogin', () => {
+    test('should remember the device, network and hour', async () => {
+      const risk = await assessLoginRisk(user, home, morning);
+      await recordLogin(userId, risk, morning);
+
+      const history = await mockRedisHelpers.get(`login_risk:history:${userId}`);
+
+      expect(history.logins).toBe(1);
+      expect(history.devices[risk.device]).toMatchObject({ count: 1 });
+      expect(history.networks['203.0.113.0/24']).toMatchObject({ count: 1 });
+      expect(history.hours[10]).toBe(1);
+      expect(history.last).toEqual({ network: '203.0.113.0/24', at: morning.toISOString() });
+    });
+  });
+
+  describe('sendSignInAlert', () => {
+    test('should send email and SMS with a revoke link', async () => {
+      const risk = { signals: ['new_device'], device: 'abc', network: '203.0.113.0/24' };
+
+      const { revokeToken } = await sendSignInAlert(mockUser, risk, home);
+
+      expect(revokeToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(mockSendSignInAlertEmail).toHaveBeenCalledWith(
+        mockUser.email,
+        expect.objectContaining({ blocked: false, ipAddress: home.ipAddress, revokeToken }),
+        mockUser.name
+      );
+      expect(mockSendSignInAlertSMS).toHaveBeenCalledWith(mockUser.phone, expect.objectContaining({ revokeToken }));
+    });
+
+    test('should not issue a revoke link for a blocked sign-in', async () => {
+      const { revokeToken } = await sendSignInAlert(mockUser, { signals: [] }, home, { blocked: true });
+
+      expect(revokeToken).toBeNull();
+      expect(mockSendSignInAlertEmail.mock.calls[0][1]).toMatchObject({ blocked: true, revokeToken: null });
+    });
+
+    test('should not fail when a delivery fails', async () => {
+      mockSendSignInAlertSMS.mockRejectedValueOnce(new Error('SMS provider down'));
+
+      await expect(sendSignInAlert(mockUser, { signals: [] }, home)).resolves.toHaveProperty('revokeToken');
+    });
+  });
+
+  describe('revokeSuspiciousLogin', () => {
+    test('should sign out everywhere and forget the reported device', async () => {
+      await seedHistory(home, 2);
+      const strange = { ipAddress: '198.51.100.7', userAgent: firefox };
+      const at = later(morning, 3 * 24 * 60);
+      const risk = await assessLoginRisk(user, strange, at);
+      await recordLogin(userId, risk, at);
+      const { revokeToken } = await sendSignInAlert(mockUser, risk, strange);
+
+      await revokeSuspiciousLogin(revokeToken, home);
+
+      expect(mockUser.token_version).toBe(1);
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(userId);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'suspicious_login_revoked',
+        details: { signals: ['new_device', 'new_network'] }
+      }));
+      expect((await assessLoginRisk(user, strange, later(at, 24 * 60))).signals).toEqual(['new_device', 'new_network']);
+    });
+
+    test('should reject unknown or used tokens', async () => {
+      const { revokeToken } = await sendSignInAlert(mockUser, { signals: [] }, home);
+      await revokeSuspiciousLogin(revokeToken, home);
+
+      await expect(revokeSuspiciousLogin(revokeToken, home))
+        .rejects.toMatchObject({ code: 'SIGN_IN_REVOKE_TOKEN_INVALID' });
+      await expect(revokeSuspiciousLogin('ab'.repeat(32), home))
+        .rejects.toMatchObject({ code: 'SIGN_IN_REVOKE_TOKEN_INVALID' });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll, jest } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+const password = 'Correct#Pass123';
+
+let mockUser;
+let mockDevices = [];
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (where.email === mockUser.email ? mockUser : null)),
+  findByPk: jest.fn(async (id) => (id === mockUser.id ? mockUser : null))
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({
+  default: { create: jest.fn(), findAll: jest.fn(async () => []), destroy: jest.fn() }
+}));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({
+  default: { findAll: jest.fn(async () => []) }
+}));
+jest.unstable_mockModule('../../../src/models/SessionPolicy.js', () => ({
+  default: { findOne: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../../../src/models/UserDevice.js', () => ({
+  default: {
+    findOrCreate: jest.fn(async ({ where }) => {
+      const existing = mockDevices.find((entry) => entry.device_hash === where.device_hash);
+      if (existing) {
+        return [existing, false];
+      }
+      const device = { id: crypto.randomUUID(), ...where, update: jest.fn() };
+      mockDevices.push(device);
+      return [device, true];
+    }),
+    findOne: jest.fn(async ({ where }) => mockDevices.find((entry) => entry.user_id === where.user_id && entry.device_hash === where.device_hash) || null),
+    update: jest.fn(async () => [0])
+  }
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticateWithPassword, unlockAccount } = await import('../../../src/services/authService.js');
+const {
+  isDefenceActive,
+  getLimits,
+  checkAccountThrottle,
+  registerLoginFailure
+} = await import('../../../src/services/loginThrottleService.js');
+
+describe('LoginThrottleService', () => {
+  let passwordHash;
+  const originalThrottleConfig = { ...config.loginThrottle };
+  const originalLdapUrl = config.ldap.url;
+
+  const device = (userAgent, ipAddress) => ({
+    ipAddress,
+    userAgent,
+    deviceInfo: { device_type: 'web', device_name: 'Unknown Device', user_agent: userAgent }
+  });
+  const laptop = device('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36', '203.0.113.10');
+  const attacker = device('python-requests/2.31.0', '198.51.100.7');
+
+  const auditEntries = (action) => mockCreateAuditLog.mock.calls.map(([entry]) => entry).filter((entry) => entry.action_type === action);
+  const failLogins = async (count, context) => {
+    for (let i = 0; i < count; i++) {
+      await expect(authenticateWithPassword(mockUser.email, 'Wrong#Pass123', context))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    }
+  };
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(password, 4);
+  });
+
+  afterAll(() => {
+    Object.assign(config.loginThrottle, originalThrottleConfig);
+    config.ldap.url = originalLdapUrl;
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockDevices = [];
+    Object.assign(config.loginThrottle, originalThrottleConfig);
+    config.ldap.url = null;
+
+    mockUser = {
+      id: userId,
+      email: 'student@nm.mssu.ac.in',
+      password_hash: passwordHash,
+      role: 'Student',
+      account_status: 'active',
+      mfa_enabled: false,
+      failed_login_attempts: 0,
+      locked_until: null,
+      token_version: 0,
+      isLocked: () => false
+    };
+    mockUser.update = jest.fn(async (changes) => Object.assign(mockUser, changes));
+    mockUser.toSafeObject = () => ({ id: mockUser.id, email: mockUser.email });
+  });
+
+  describe('account locks', () => {
+    test('should lock unknown devices while known devices can still sign in', async () => {
+      const { deviceId } = await authenticateWithPassword(mockUser.email, password, laptop);
+
+      await failLogins(5, attacker);
+
+      expect(auditEntries('account_locked')[0].details).toMatchObject({
+        reason: 'max_failed_attempts',
+        failed_attempts: 5,
+        lock_scope: 'unknown_devices'
+      });
+      await expect(authenticateWithPassword(mockUser.email, password, attacker))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED', message: expect.stringContaining('temporarily locked') });
+
+      const result = await authenticateWithPassword(mockUser.email, password, { ...laptop, deviceId });
+
+      expect(result.accessToken).toBeDefined();
+      expect(mockUser.account_status).toBe('active');
+      // A login on a known device does not lift the lock on unknown devices
+      expect((await checkAccountThrottle(userId, attacker)).locked).toBe(true);
+    });
+
+    test('should lock a known device on its own', async () => {
+      const { deviceId } = await authenticateWithPassword(mockUser.email, password, laptop);
+      const knownLaptop = { ...laptop, deviceId };
+
+      await failLogins(5, knownLaptop);
+
+      expect(auditEntries('account_locked')[0].details.lock_scope).toBe('device');
+      await expect(authenticateWithPassword(mockUser.email, password, knownLaptop))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+      expect((await checkAccountThrottle(userId, attacker)).locked).toBe(false);
+    });
+
+    test('should not take a copied user agent or a made-up device identifier for a known device', async () => {
+      const { deviceId } = await authenticateWithPassword(mockUser.email, password, laptop);
+
+      // Same user agent and device type as the student's laptop, but without its identifier
+      await failLogins(5, laptop);
+
+      expect(auditEntries('account_locked')[0].details.lock_scope).toBe('unknown_devices');
+      const forged = { ...laptop, deviceId: crypto.randomBytes(32).toString('hex') };
+      expect((await checkAccountThrottle(userId, forged))).toMatchObject({ locked: true, knownDevice: false });
+      await expect(authenticateWithPassword(mockUser.email, password, { ...laptop, deviceId }))
+        .resolves.toHaveProperty('accessToken');
+    });
+
+    test('should double the lock with each further failure up to the maximum', async () => {
+      const locks = [];
+      for (let i = 0; i < 8; i++) {
+        locks.push((await registerLoginFailure(attacker, userId)).account.lockedFor);
+      }
+
+      expect(locks).toEqual([0, 0, 0, 0, 1800, 3600, 7200, 14400]);
+
+      config.security.maxAccountLockDuration = 10000 * 1000;
+      try {
+        expect((await registerLoginFailure(attacker, userId)).account.lockedFor).toBe(10000);
+      } finally {
+        config.security.maxAccountLockDuration = 86400000;
+      }
+    });
+
+    test('should reset the count after a correct password from the same device class', async () => {
+      await failLogins(4, attacker);
+      await authenticateWithPassword(mockUser.email, password, attacker);
+
+      await failLogins(4, attacker);
+
+      expect(auditEntries('account_locked')).toHaveLength(0);
+    });
+
+    test('should clear locks when an administrator unlocks the account', async () => {
+      await failLogins(5, attacker);
+
+      await unlockAccount(userId, 'admin-id');
+
+      expect((await checkAccountThrottle(userId, attacker)).locked).toBe(false);
+      await expect(authenticateWithPassword(mockUser.email, password, attacker)).resolves.toHaveProperty('accessToken');
+    });
+  });
+
+  describe('IP backoff', () => {
+    test('should back off an IP that fails across accounts', async () => {
+      config.loginThrottle.ipMaxFailedAttempts = 3;
+
+      for (let i = 0; i < 3; i++) {
+        await expect(authenticateWithPassword(`user${i}@nm.mssu.ac.in`, 'Wrong#Pass123', attacker))
+          .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+      }
+
+      const error = await authenticateWithPassword(mockUser.email, password, attacker).catch((e) => e);
+      expect(error.code).toBe('LOGIN_THROTTLED');
+      expect(error.retryAfter).toBeGreaterThan(55);
+      expect(error.retryAfter).toBeLessThanOrEqual(60);
+      await expect(authenticateWithPassword(mockUser.email, password, laptop)).resolves.toHaveProperty('accessToken');
+    });
+
+    test('should double the backoff with each further failure', async () => {
+      config.loginThrottle.ipMaxFailedAttempts = 2;
+
+      const backoffs = [];
+      for (let i = 0; i < 4; i++) {
+        backoffs.push((await registerLoginFailure(attacker)).ip.blockedFor);
+      }
+
+      expect(backoffs).toEqual([0, 60, 120, 240]);
+    });
+  });
+
+  describe('defence mode', () => {
+    test('should switch on stricter limits when failed logins spike across the system', async () => {
+      config.loginThrottle.velocityThreshold = 3;
+
+      await registerLoginFailure(device('bot', '192.0.2.1'));
+      await registerLoginFailure(device('bot', '192.0.2.2'));
+      expect(await isDefenceActive()).toBe(false);
+
+      await registerLoginFailure(device('bot', '192.0.2.3'));
+      await registerLoginFailure(device('bot', '192.0.2.4'));
+
+      expect(await isDefenceActive()).toBe(true);
+      expect(auditEntries('login_defence_activated')).toHaveLength(1);
+      expect(auditEntries('login_defence_activated')[0].details).toMatchObject({ failed_logins: 3 });
+      expect(await getLimits()).toEqual({
+        defence: true,
+        accountMaxFailedAttempts: 3,
+        ipMaxFailedAttempts: 5,
+        authMaxRequests: 3
+      });
+    });
+
+    test('should lock accounts sooner in defence mode', async () => {
+      config.loginThrottle.velocityThreshold = 1;
+
+      await failLogins(3, attacker);
+
+      expect(auditEntries('account_locked')[0].details).toMatchObject({ failed_attempts: 3, defence_mode: true });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+
+// Import after mocking
+const {
+  generateMagicLinkToken,
+  consumeMagicLinkToken
+} = await import('../../../src/services/magicLinkService.js');
+
+describe('MagicLinkService', () => {
+  const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+  });
+
+  test('should generate a link token and a separate device token', async () => {
+    const result = await generateMagicLinkToken(userId);
+
+    expect(result.token).toMatch(/^[a-f0-9]{64}$/);
+    expect(result.deviceToken).toMatch(/^[a-f0-9]{64}$/);
+    expect(result.deviceToken).not.toBe(result.token);
+    expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should not store the device token itself', async () => {
+    const { token, deviceToken } = await generateMagicLinkToken(userId);
+
+    const stored = await mockRedisHelpers.get(`magic:${token}`);
+    expect(stored.userId).toBe(userId);
+    expect(JSON.stringify(stored)).not.toContain(deviceToken);
+  });
+
+  test('should return the user ID for the requesting browser and only once', async () => {
+    const { token, deviceToken } = await generateMagicLinkToken(userId);
+
+    await expect(consumeMagicLinkToken(token, deviceToken)).resolves.toBe(userId);
+    await expect(consumeMagicLinkToken(token, deviceToken)).rejects.toMatchObject({ code: 'MAGIC_LINK_INVALID' });
+  });
+
+  test('should log in only once when the link is opened twice at the same time', async () => {
+    const { token, deviceToken } = await generateMagicLinkToken(userId);
+
+    const results = await Promise.allSettled([
+      consumeMagicLinkToken(token, deviceToken),
+      consumeMagicLinkToken(token, deviceToken)
+    ]);
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find((result) => result.status === 'rejected').reason.code).toBe('MAGIC_LINK_INVALID');
+  });
+
+  test('should reject another browser without consuming the link', async () => {
+    const { token, deviceToken } = await generateMagicLinkToken(userId);
+    const otherDevice = 'a'.repeat(64);
+
+    await expect(consumeMagicLinkToken(token, otherDevice)).rejects.toMatchObject({
+      code: 'MAGIC_LINK_DEVICE_MISMATCH',
+      userId
+    });
+    await expect(consumeMagicLinkToken(token, deviceToken)).resolves.toBe(userId);
+  });
+
+  test('should invalidate the previous link when a new one is requested', async () => {
+    const first = await generateMagicLinkToken(userId);
+    const second = await generateMagicLinkToken(userId);
+
+    await expect(consumeMagicLinkToken(first.token, first.deviceToken)).rejects.toMatchObject({ code: 'MAGIC_LINK_INVALID' });
+    await expect(consumeMagicLinkToken(second.token, second.deviceToken)).resolves.toBe(userId);
+  });
+
+  test('should reject unknown tokens', async () => {
+    await expect(consumeMagicLinkToken('b'.repeat(64), 'c'.repeat(64))).rejects.toMatchObject({ code: 'MAGIC_LINK_INVALID' });
+  });
+});
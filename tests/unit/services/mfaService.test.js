@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+import { generateTOTPSecret, generateTOTP } from '../../../src/utils/totp.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+let mockUser;
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({
+  default: {
+    findOne: jest.fn(async () => null),
+    findByPk: jest.fn(async (id) => (id === mockUser.id ? mockUser : null))
+  }
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: jest.fn(async () => {})
+}));
+
+// Import after mocking
+const { markMFAVerified, hasRecentMFA, verifySecondFactor } = await import('../../../src/services/mfaService.js');
+const { requireMFA } = await import('../../../src/middleware/auth.js');
+
+describe('MFAService', () => {
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    mockUser = { id: userId, mfa_enabled: true, mfa_totp_secret: generateTOTPSecret() };
+  });
+
+  describe('verifySecondFactor', () => {
+    let appCode;
+    let emailedCode;
+
+    beforeEach(async () => {
+      appCode = generateTOTP(mockUser.mfa_totp_secret);
+      emailedCode = appCode === '111111' ? '222222' : '111111';
+
+      // The user asked for a fallback code by email
+      await mockRedisHelpers.set(`mfa:${userId}`, { code: emailedCode, method: 'email', attempts: 0 }, 300);
+    });
+
+    test('should accept an authenticator code while an emailed code is pending', async () => {
+      expect(await verifySecondFactor(userId, appCode)).toMatchObject({ valid: true, method: 'totp' });
+
+      expect(await mockRedisHelpers.get(`mfa:${userId}`)).toBeNull();
+      expect(await mockRedisHelpers.get(`mfa:totp:attempts:${userId}`)).toBeNull();
+    });
+
+    test('should accept the emailed code of a user with an authenticator app', async () => {
+      expect(await verifySecondFactor(userId, emailedCode)).toMatchObject({ valid: true, method: 'email' });
+    });
+
+    test('should count a code that matches neither once against each', async () => {
+      const wrongCode = ['333333', '444444'].find((code) => code !== appCode);
+
+      expect(await verifySecondFactor(userId, wrongCode)).toMatchObject({ valid: false, attemptsRemaining: 4 });
+
+      expect((await mockRedisHelpers.get(`mfa:${userId}`)).attempts).toBe(1);
+      expect(Number(await mockRedisHelpers.get(`mfa:totp:attempts:${userId}`))).toBe(1);
+    });
+  });
+
+  describe('step-up freshness', () => {
+    const runRequireMFA = async (sessionId) => {
+      const req = { user: { id: userId }, sessionId, body: {} };
+      const res = {
+        status: jest.fn(function (code) { this.statusCode = code; return this; }),
+        json: jest.fn(function (body) { this.body = body; return this; })
+      };
+      const next = jest.fn();
+
+      await requireMFA()(req, res, next);
+
+      return { res, next };
+    };
+
+    test('should only count a verification for the session it was made in', async () => {
+      const verifiedUntil = await markMFAVerified(userId, 'session-a');
+
+      expect(verifiedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(await hasRecentMFA(userId, 'session-a')).toBe(true);
+      expect(await hasRecentMFA(userId, 'session-b')).toBe(false);
+
+      const current = await runRequireMFA('session-a');
+      expect(current.next).toHaveBeenCalled();
+
+      // Another session of the same user, e.g. a stolen token, still has to pass MFA
+      const other = await runRequireMFA('session-b');
+      expect(other.next).not.toHaveBeenCalled();
+      expect(other.res.statusCode).toBe(401);
+      expect(other.res.body.error.code).toBe('MFA_REQUIRED');
+    });
+
+    test('should not record a verification without a session', async () => {
+      expect(await markMFAVerified(userId, null)).toBeNull();
+      expect(await hasRecentMFA(userId, null)).toBe(false);
+
+      const { next } = await runRequireMFA(null);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
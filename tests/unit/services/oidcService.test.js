@@ -0,0 +1,386 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const mockUser = {
+  id: '123e4567-e89b-12d3-a456-426614174000',
+  email: 'student@example.com',
+  name: 'Test Student',
+  phone: '+919876543210',
+  role: 'Student',
+  campus_id: '223e4567-e89b-12d3-a456-426614174000',
+  campus: { id: '223e4567-e89b-12d3-a456-426614174000', name: 'Navi Mumbai', code: 'NM' },
+  account_status: 'active',
+  token_version: 0,
+  isLocked: () => false,
+  last_login_at: new Date('2024-01-15T10:00:00Z'),
+  updated_at: new Date('2024-01-10T10:00:00Z')
+};
+
+const clientSecret = 'lms-client-secret';
+const mockClient = {
+  id: '323e4567-e89b-12d3-a456-426614174000',
+  client_id: 'lms-client',
+  client_secret_hash: crypto.createHash('sha256').update(clientSecret).digest('hex'),
+  name: 'MSSU LMS',
+  redirect_uris: ['https://lms.mssu.ac.in/callback'],
+  allowed_scopes: ['openid', 'profile', 'email', 'campus'],
+  is_confidential: true,
+  is_active: true
+};
+
+const mockUserModel = { findOne: jest.fn(async () => mockUser) };
+const mockClientModel = {
+  findOne: jest.fn(async () => mockClient),
+  findByPk: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn()
+};
+const mockConsentModel = {
+  findOne: jest.fn(async () => null),
+  create: jest.fn(async () => ({}))
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+const mockIsSessionValid = jest.fn(async () => true);
+const mockRevokeSession = jest.fn(async () => true);
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../src/models/OAuthClient.js', () => ({ default: mockClientModel }));
+jest.unstable_mockModule('../../../src/models/OAuthConsent.js', () => ({ default: mockConsentModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+jest.unstable_mockModule('../../../src/services/sessionService.js', () => ({
+  createSession: jest.fn(async () => 'session-123'),
+  isSessionValid: mockIsSessionValid,
+  revokeSession: mockRevokeSession
+}));
+jest.unstable_mockModule('../../../src/services/authService.js', () => ({
+  refreshAccessToken: jest.fn()
+}));
+jest.unstable_mockModule('../../../src/services/sessionPolicyService.js', () => ({
+  enforceSessionLimit: jest.fn(async () => [])
+}));
+
+// Import after mocking
+const {
+  registerClient,
+  getAuthorizationRequest,
+  approveAuthorization,
+  exchangeAuthorizationCode,
+  getUserInfo,
+  introspectToken,
+  revokeToken
+} = await import('../../../src/services/oidcService.js');
+const { decodeToken, generateTokens } = await import('../../../src/services/tokenService.js');
+
+describe('OIDCService', () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const authorizationParams = {
+    response_type: 'code',
+    client_id: mockClient.client_id,
+    redirect_uri: mockClient.redirect_uris[0],
+    scope: 'openid email campus',
+    state: 'xyz',
+    nonce: 'n-0S6_WzA2Mj',
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  };
+
+  const approveAndGetCode = async () => {
+    const { redirectUrl } = await approveAuthorization(mockUser.id, authorizationParams);
+    return new URL(redirectUrl).searchParams.get('code');
+  };
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockClientModel.findOne.mockImplementation(async () => mockClient);
+    mockConsentModel.findOne.mockImplementation(async () => null);
+    mockUserModel.findOne.mockImplementation(async () => mockUser);
+    mockIsSessionValid.mockImplementation(async () => true);
+  });
+
+  describe('registerClient', () => {
+    test('should return the secret once and store only its hash', async () => {
+      mockClientModel.create.mockImplementation(async (values) => ({ ...values, toSafeObject: () => values }));
+
+      const result = await registerClient({
+        name: 'MSSU LMS',
+        redirect_uris: ['https://lms.mssu.ac.in/callback']
+      }, 'admin-id');
+
+      const stored = mockClientModel.create.mock.calls[0][0];
+      expect(result.clientSecret).toBeDefined();
+      expect(stored.client_secret_hash).toBe(crypto.createHash('sha256').update(result.clientSecret).digest('hex'));
+      expect(stored.allowed_scopes).toEqual(['openid', 'profile', 'email']);
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'oauth_client_registered' }));
+    });
+
+    test('should reject plain HTTP redirect URIs outside localhost', async () => {
+      await expect(registerClient({ name: 'App', redirect_uris: ['http://lms.mssu.ac.in/callback'] }, 'admin-id'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('getAuthorizationRequest', () => {
+    test('should return consent screen data', async () => {
+      const result = await getAuthorizationRequest(mockUser.id, authorizationParams);
+
+      expect(result.client).toEqual({ client_id: 'lms-client', name: 'MSSU LMS' });
+      expect(result.scopes.map(scope => scope.name)).toEqual(['openid', 'email', 'campus']);
+      expect(result.consentRequired).toBe(true);
+    });
+
+    test('should skip consent when the scopes were already approved', async () => {
+      mockConsentModel.findOne.mockImplementation(async () => ({ scopes: ['openid', 'email', 'campus', 'profile'] }));
+
+      const result = await getAuthorizationRequest(mockUser.id, authorizationParams);
+
+      expect(result.consentRequired).toBe(false);
+    });
+
+    test('should not redirect to an unregistered redirect URI', async () => {
+      const error = await getAuthorizationRequest(mockUser.id, {
+        ...authorizationParams,
+        redirect_uri: 'https://evil.example.com/callback'
+      }).catch(err => err);
+
+      expect(error.code).toBe('INVALID_REDIRECT_URI');
+      expect(error.redirectUrl).toBeUndefined();
+    });
+
+    test('should require PKCE with S256', async () => {
+      const error = await getAuthorizationRequest(mockUser.id, {
+        ...authorizationParams,
+        code_challenge_method: 'plain'
+      }).catch(err => err);
+
+      expect(error.code).toBe('INVALID_REQUEST');
+      expect(error.redirectUrl).toBe('https://lms.mssu.ac.in/callback?error=invalid_request&state=xyz');
+    });
+
+    test('should reject scopes the client is not allowed', async () => {
+      await expect(getAuthorizationRequest(mockUser.id, { ...authorizationParams, scope: 'openid phone' }))
+        .rejects.toMatchObject({ code: 'INVALID_SCOPE' });
+    });
+  });
+
+  describe('approveAuthorization', () => {
+    test('should redirect with a code and state, remember consent and audit the grant', async () => {
+      const { redirectUrl } = await approveAuthorization(mockUser.id, authorizationParams);
+      const url = new URL(redirectUrl);
+
+      expect(url.origin + url.pathname).toBe('https://lms.mssu.ac.in/callback');
+      expect(url.searchParams.get('code')).toBeTruthy();
+      expect(url.searchParams.get('state')).toBe('xyz');
+      expect(mockConsentModel.create).toHaveBeenCalledWith({
+        user_id: mockUser.id,
+        client_id: mockClient.id,
+        scopes: ['openid', 'email', 'campus']
+      });
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: mockUser.id,
+        action_type: 'oauth_authorization_granted'
+      }));
+    });
+  });
+
+  describe('exchangeAuthorizationCode', () => {
+    test('should issue tokens and an ID token with role and campus claims', async () => {
+      const code = await approveAndGetCode();
+
+      const result = await exchangeAuthorizationCode({
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        client_id: mockClient.client_id,
+        client_secret: clientSecret,
+        code_verifier: codeVerifier
+      });
+
+      expect(result.token_type).toBe('Bearer');
+      expect(result.scope).toBe('openid email campus');
+
+      const idToken = decodeToken(result.id_token);
+      expect(idToken).toMatchObject({
+        sub: mockUser.id,
+        aud: mockClient.client_id,
+        nonce: 'n-0S6_WzA2Mj',
+        role: 'Student',
+        campus_id: mockUser.campus_id,
+        email: mockUser.email,
+        sid: 'session-123'
+      });
+      expect(idToken.name).toBeUndefined(); // profile scope not granted
+
+      const accessToken = decodeToken(result.access_token);
+      expect(accessToken.client_id).toBe(mockClient.client_id);
+      expect(accessToken.scope).toBe('openid email campus');
+    });
+
+    test('should only accept a code once', async () => {
+      const code = await approveAndGetCode();
+      const params = {
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        client_id: mockClient.client_id,
+        client_secret: clientSecret,
+        code_verifier: codeVerifier
+      };
+
+      await exchangeAuthorizationCode(params);
+
+      await expect(exchangeAuthorizationCode(params)).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+    });
+
+    test('should redeem a code only once when two exchanges race', async () => {
+      const code = await approveAndGetCode();
+      const params = {
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        client_id: mockClient.client_id,
+        client_secret: clientSecret,
+        code_verifier: codeVerifier
+      };
+
+      const results = await Promise.allSettled([
+        exchangeAuthorizationCode(params),
+        exchangeAuthorizationCode(params)
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({ code: 'INVALID_GRANT' });
+    });
+
+    test('should reject a wrong code verifier', async () => {
+      const code = await approveAndGetCode();
+
+      await expect(exchangeAuthorizationCode({
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        client_id: mockClient.client_id,
+        client_secret: clientSecret,
+        code_verifier: 'wrong-verifier'
+      })).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+    });
+
+    test('should reject a wrong client secret', async () => {
+      const code = await approveAndGetCode();
+
+      await expect(exchangeAuthorizationCode({
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        client_id: mockClient.client_id,
+        client_secret: 'wrong-secret',
+        code_verifier: codeVerifier
+      })).rejects.toMatchObject({ code: 'INVALID_CLIENT' });
+    });
+  });
+
+  describe('getUserInfo', () => {
+    test('should release only the claims for the granted scopes', async () => {
+      const claims = await getUserInfo(mockUser.id, 'openid campus');
+
+      expect(claims).toEqual({
+        sub: mockUser.id,
+        role: 'Student',
+        campus_id: mockUser.campus_id,
+        campus: { id: mockUser.campus.id, name: 'Navi Mumbai', code: 'NM' }
+      });
+    });
+  });
+
+  describe('token introspection and revocation', () => {
+    const clientCredentials = { client_id: mockClient.client_id, client_secret: clientSecret };
+
+    const issueClientTokens = async () => {
+      const code = await approveAndGetCode();
+
+      return exchangeAuthorizationCode({
+        code,
+        redirect_uri: authorizationParams.redirect_uri,
+        ...clientCredentials,
+        code_verifier: codeVerifier
+      });
+    };
+
+    test('should describe an active token', async () => {
+      const tokens = await issueClientTokens();
+
+      const result = await introspectToken({ token: tokens.access_token, ...clientCredentials });
+      const refresh = await introspectToken({ token: tokens.refresh_token, ...clientCredentials });
+
+      expect(result).toMatchObject({
+        active: true,
+        token_type: 'access_token',
+        scope: 'openid email campus',
+        client_id: mockClient.client_id,
+        sub: mockUser.id,
+        role: 'Student',
+        campus_id: mockUser.campus_id
+      });
+      expect(result.exp).toBe(decodeToken(tokens.access_token).exp);
+      expect(refresh).toMatchObject({ active: true, token_type: 'refresh_token', sid: 'session-123' });
+    });
+
+    test('should report first-party tokens of inactive users and revoked sessions as inactive', async () => {
+      const { accessToken, refreshToken } = generateTokens({
+        user_id: mockUser.id,
+        role: mockUser.role,
+        campus_id: mockUser.campus_id,
+        session_id: 'session-456',
+        jti: 'jti-1'
+      });
+      await mockRedisHelpers.set('refresh:family:session-456', { userId: mockUser.id, currentTokenId: 'jti-1' }, 3600);
+
+      expect((await introspectToken({ token: refreshToken, ...clientCredentials })).active).toBe(true);
+
+      mockIsSessionValid.mockImplementation(async () => false);
+      expect(await introspectToken({ token: refreshToken, ...clientCredentials })).toEqual({ active: false });
+
+      mockUserModel.findOne.mockImplementation(async () => ({ ...mockUser, account_status: 'inactive' }));
+      expect(await introspectToken({ token: accessToken, ...clientCredentials })).toEqual({ active: false });
+      expect(await introspectToken({ token: 'not-a-token', ...clientCredentials })).toEqual({ active: false });
+    });
+
+    test('should only let authenticated confidential clients introspect', async () => {
+      const tokens = await issueClientTokens();
+
+      await expect(introspectToken({ token: tokens.access_token, client_id: mockClient.client_id, client_secret: 'wrong-secret' }))
+        .rejects.toMatchObject({ code: 'INVALID_CLIENT' });
+
+      mockClientModel.findOne.mockImplementation(async () => ({ ...mockClient, is_confidential: false }));
+      await expect(introspectToken({ token: tokens.access_token, client_id: mockClient.client_id }))
+        .rejects.toMatchObject({ code: 'UNAUTHORIZED_CLIENT' });
+    });
+
+    test('should revoke a refresh token with its session and report it inactive', async () => {
+      const tokens = await issueClientTokens();
+
+      const revoked = await revokeToken({ token: tokens.refresh_token, ...clientCredentials });
+
+      expect(revoked).toBe(true);
+      expect(mockRevokeSession).toHaveBeenCalledWith('session-123', mockUser.id);
+      expect(await mockRedisHelpers.get('refresh:family:session-123')).toBeNull();
+      expect(await introspectToken({ token: tokens.refresh_token, ...clientCredentials })).toEqual({ active: false });
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: mockUser.id,
+        action_type: 'oauth_token_revoked',
+        details: { client_id: mockClient.client_id, token_type: 'refresh_token', session_id: 'session-123' }
+      }));
+    });
+
+    test('should ignore invalid tokens and refuse tokens issued to others', async () => {
+      const { accessToken } = generateTokens({ user_id: mockUser.id, role: mockUser.role, session_id: 'session-456' });
+
+      expect(await revokeToken({ token: 'not-a-token', ...clientCredentials })).toBe(false);
+      await expect(revokeToken({ token: accessToken, ...clientCredentials }))
+        .rejects.toMatchObject({ code: 'UNAUTHORIZED_CLIENT' });
+      expect(await introspectToken({ token: accessToken, ...clientCredentials })).toMatchObject({ active: true });
+    });
+  });
+});
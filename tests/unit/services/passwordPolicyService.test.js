@@ -0,0 +1,357 @@
+import { describe, test, expect, beforeAll, beforeEach, afterAll, jest } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import { Op } from 'sequelize';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+const campusId = '223e4567-e89b-12d3-a456-426614174000';
+const password = 'Correct#Pass123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mockUser;
+let mockHistory = [];
+let nextHistoryId = 1;
+let mockPolicies = [];
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (
+    (where.email && where.email === mockUser.email) || (where.id && where.id === mockUser.id) ? mockUser : null
+  )),
+  findByPk: jest.fn(async (id) => (id === mockUser.id ? mockUser : null))
+};
+const mockPasswordHistoryModel = {
+  create: jest.fn(async (values) => {
+    // Strictly increasing timestamps keep the order stable within one millisecond
+    const entry = { id: nextHistoryId++, created_at: new Date(Date.now() + nextHistoryId), ...values };
+    mockHistory.push(entry);
+    return entry;
+  }),
+  findAll: jest.fn(async ({ where, limit, offset = 0 }) => mockHistory
+    .filter((entry) => entry.user_id === where.user_id)
+    .sort((a, b) => b.created_at - a.created_at)
+    .slice(offset, limit === undefined ? undefined : offset + limit)),
+  destroy: jest.fn(async ({ where }) => {
+    mockHistory = mockHistory.filter((entry) => !where.id.includes(entry.id));
+  })
+};
+// Supports the plain and { [Op.or]: [value, null] } conditions the service uses
+const matchesWhere = (row, where) => Object.entries(where).every(([field, condition]) => (
+  condition && condition[Op.or] ? condition[Op.or].includes(row[field]) : row[field] === condition
+));
+const mockPasswordPolicyModel = {
+  findAll: jest.fn(async ({ where }) => mockPolicies.filter((policy) => matchesWhere(policy, where))),
+  findOne: jest.fn(async ({ where }) => mockPolicies.find((policy) => matchesWhere(policy, where)) || null),
+  create: jest.fn(async (values) => {
+    const policy = { id: `policy-${mockPolicies.length + 1}`, ...values };
+    mockPolicies.push(policy);
+    return policy;
+  })
+};
+const mockCampusModel = { findByPk: jest.fn(async (id) => (id === campusId ? { id } : null)) };
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({ default: mockPasswordHistoryModel }));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({ default: mockPasswordPolicyModel }));
+jest.unstable_mockModule('../../../src/models/SessionPolicy.js', () => ({
+  default: { findOne: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../../../src/models/UserDevice.js', () => ({
+  default: {
+    findOrCreate: jest.fn(async ({ where }) => [{ id: 'device-1', user_id: where.user_id, update: jest.fn() }, true]),
+    findOne: jest.fn(async () => null),
+    update: jest.fn(async () => [0])
+  }
+}));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticateWithPassword, changePassword } = await import('../../../src/services/authService.js');
+const { authenticate } = await import('../../../src/middleware/auth.js');
+const {
+  getPasswordRules,
+  createPasswordPolicy,
+  getPasswordExpiryDays,
+  getPasswordHashReport,
+  isPasswordExpired,
+  isRecentPassword,
+  recordPasswordHistory
+} = await import('../../../src/services/passwordPolicyService.js');
+
+describe('PasswordPolicyService', () => {
+  let passwordHash;
+  const originalPolicy = { ...config.passwordPolicy };
+  const originalSecurity = { ...config.security };
+  const originalLdapUrl = config.ldap.url;
+  const context = {
+    ipAddress: '203.0.113.10',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36',
+    deviceInfo: { device_type: 'web', device_name: 'Unknown Device' }
+  };
+
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+  const auditEntries = (action) => mockCreateAuditLog.mock.calls.map(([entry]) => entry).filter((entry) => entry.action_type === action);
+
+  /**
+   * Run the authenticate middleware and capture the response
+   */
+  const runAuthenticate = async (accessToken, options) => {
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+    const res = {
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; })
+    };
+    const next = jest.fn();
+
+    await authenticate(options)(req, res, next);
+
+    return { res, next };
+  };
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(password, 4);
+  });
+
+  afterAll(() => {
+    Object.assign(config.passwordPolicy, originalPolicy);
+    Object.assign(config.security, originalSecurity);
+    config.ldap.url = originalLdapUrl;
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    Object.assign(config.passwordPolicy, { historyCount: 3, expiryDays: '{"Admin":90,"Super_Admin":30}' });
+    Object.assign(config.security, { passwordHashAlgorithm: 'bcrypt', bcryptSaltRounds: 4 });
+    config.ldap.url = null;
+    mockHistory = [];
+    mockPolicies = [];
+
+    mockUser = {
+      id: userId,
+      email: 'admin@nm.mssu.ac.in',
+      password_hash: passwordHash,
+      role: 'Admin',
+      campus_id: campusId,
+      account_status: 'active',
+      mfa_enabled: false,
+      must_change_password: false,
+      password_changed_at: daysAgo(10),
+      token_version: 0,
+      deleted_at: null,
+      isLocked: () => false
+    };
+    mockUser.update = jest.fn(async (changes) => Object.assign(mockUser, changes));
+    mockUser.toSafeObject = () => {
+      const { password_hash: _hash, update: _update, toSafeObject: _safe, ...safe } = mockUser;
+      return safe;
+    };
+  });
+
+  describe('expiry', () => {
+    test('should use the lifetime configured for the role', () => {
+      expect(getPasswordExpiryDays('Admin')).toBe(90);
+      expect(getPasswordExpiryDays('Super_Admin')).toBe(30);
+      expect(getPasswordExpiryDays('Student')).toBeNull();
+    });
+
+    test('should expire passwords older than the role lifetime', () => {
+      expect(isPasswordExpired({ role: 'Admin', password_changed_at: daysAgo(89) })).toBe(false);
+      expect(isPasswordExpired({ role: 'Admin', password_changed_at: daysAgo(91) })).toBe(true);
+      expect(isPasswordExpired({ role: 'Student', password_changed_at: daysAgo(1000) })).toBe(false);
+    });
+
+    test('should require a password change after logging in with an expired password', async () => {
+      mockUser.password_changed_at = daysAgo(120);
+
+      const result = await authenticateWithPassword(mockUser.email, password, context);
+
+      expect(result.accessToken).toBeDefined();
+      expect(result.user.must_change_password).toBe(true);
+      expect(auditEntries('password_expired')[0].details).toMatchObject({ expiry_days: 90 });
+    });
+
+    test('should not touch passwords that have not expired', async () => {
+      const result = await authenticateWithPassword(mockUser.email, password, context);
+
+      expect(result.user.must_change_password).toBe(false);
+      expect(auditEntries('password_expired')).toHaveLength(0);
+    });
+  });
+
+  describe('history', () => {
+    test('should reject the current and recent passwords', async () => {
+      await changePassword(userId, password, 'Second#Pass123', context);
+      await changePassword(userId, 'Second#Pass123', 'Third#Pass123', context);
+
+      await expect(changePassword(userId, 'Third#Pass123', 'Third#Pass123', context))
+        .rejects.toMatchObject({ code: 'PASSWORD_REUSED', message: expect.stringContaining('last 3 passwords') });
+      await expect(changePassword(userId, 'Third#Pass123', password, context))
+        .rejects.toMatchObject({ code: 'PASSWORD_REUSED' });
+    });
+
+    test('should allow a password again once it drops out of the history', async () => {
+      await changePassword(userId, password, 'Second#Pass123', context);
+      await changePassword(userId, 'Second#Pass123', 'Third#Pass123', context);
+      await changePassword(userId, 'Third#Pass123', 'Fourth#Pass123', context);
+
+      expect(await isRecentPassword(mockUser, 'Second#Pass123')).toBe(true);
+      expect(await isRecentPassword(mockUser, password)).toBe(false);
+    });
+
+    test('should keep only the previous passwords that count', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordPasswordHistory(userId, `hash-${i}`);
+      }
+
+      expect(mockHistory.map((entry) => entry.password_hash)).toEqual(['hash-2', 'hash-3']);
+    });
+  });
+
+  describe('policies', () => {
+    const rules = (overrides) => ({
+      min_length: 8,
+      require_uppercase: true,
+      require_lowercase: true,
+      require_number: true,
+      require_symbol: false,
+      min_strength_score: null,
+      ...overrides
+    });
+
+    test('should apply the most specific policy for a campus and role', async () => {
+      mockPolicies = [
+        { id: 'everyone-admins', campus_id: null, role: 'Super_Admin', ...rules({ min_length: 14, min_strength_score: 3 }) },
+        { id: 'campus', campus_id: campusId, role: null, ...rules({ min_length: 10, require_symbol: true }) },
+        { id: 'campus-parents', campus_id: campusId, role: 'Parent', ...rules({ min_length: 6, require_uppercase: false }) }
+      ];
+
+      expect(await getPasswordRules({ campus_id: campusId, role: 'Parent' }))
+        .toMatchObject({ policy_id: 'campus-parents', min_length: 6, require_uppercase: false });
+      expect(await getPasswordRules({ campus_id: campusId, role: 'Super_Admin' }))
+        .toMatchObject({ policy_id: 'everyone-admins', min_length: 14, min_strength_score: 3 });
+      expect(await getPasswordRules({ campus_id: campusId, role: 'Teacher' }))
+        .toMatchObject({ policy_id: 'campus', min_length: 10, require_symbol: true });
+      expect(await getPasswordRules({ campus_id: null, role: 'Teacher' }))
+        .toEqual({ policy_id: null, ...rules({ min_strength_score: config.passwordPolicy.minStrengthScore }) });
+    });
+
+    test('should validate a changed password against the user\'s policy', async () => {
+      mockPolicies = [{ id: 'admins', campus_id: null, role: 'Admin', ...rules({ min_length: 16 }) }];
+
+      await expect(changePassword(userId, password, 'Second#Pass123', context)).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { errors: ['Password must be at least 16 characters long'] }
+      });
+      await expect(changePassword(userId, password, 'Longer#Second#Pass123', context)).resolves.toBeDefined();
+    });
+
+    test('should allow one policy per campus and role', async () => {
+      const created = await createPasswordPolicy({ campus_id: campusId, role: 'Parent', min_length: 6 }, userId, context);
+
+      expect(created).toMatchObject({ campus_id: campusId, role: 'Parent', min_length: 6, created_by: userId });
+      expect(auditEntries('password_policy_created')).toHaveLength(1);
+      await expect(createPasswordPolicy({ campus_id: campusId, role: 'Parent' }, userId, context))
+        .rejects.toMatchObject({ code: 'POLICY_EXISTS' });
+      await expect(createPasswordPolicy({ campus_id: '323e4567-e89b-12d3-a456-426614174000' }, userId, context))
+        .rejects.toMatchObject({ code: 'CAMPUS_NOT_FOUND' });
+    });
+  });
+
+  describe('hash upgrades', () => {
+    test('should rehash an outdated hash at login without changing the password', async () => {
+      Object.assign(config.security, { passwordHashAlgorithm: 'argon2id', argon2MemoryCost: 4096, argon2TimeCost: 2, argon2Parallelism: 1 });
+      const changedAt = mockUser.password_changed_at;
+
+      await authenticateWithPassword(mockUser.email, password, context);
+
+      expect(mockUser.password_hash).toMatch(/^\$argon2id\$/);
+      expect(mockUser.password_changed_at).toBe(changedAt);
+      expect(mockHistory).toHaveLength(0);
+      expect(auditEntries('password_rehashed')[0].details).toMatchObject({
+        from: { algorithm: 'bcrypt', cost: 4 },
+        to: { algorithm: 'argon2id', memoryCost: 4096 }
+      });
+
+      // The upgraded hash still verifies and is not rehashed again
+      await authenticateWithPassword(mockUser.email, password, context);
+      expect(auditEntries('password_rehashed')).toHaveLength(1);
+    });
+
+    test('should leave current hashes alone', async () => {
+      await authenticateWithPassword(mockUser.email, password, context);
+
+      expect(mockUser.password_hash).toBe(passwordHash);
+      expect(auditEntries('password_rehashed')).toHaveLength(0);
+    });
+
+    test('should count accounts by hash parameters', async () => {
+      const users = [passwordHash, passwordHash, await bcrypt.hash(password, 5), 'legacy-md5'].map((hash, i) => ({
+        id: `user-${i}`,
+        password_hash: hash
+      }));
+      mockUserModel.findAll = jest.fn(async ({ limit }) => users.splice(0, limit));
+      config.security.bcryptSaltRounds = 5;
+
+      const report = await getPasswordHashReport({ batchSize: 2 });
+
+      expect(report).toMatchObject({ target: { algorithm: 'bcrypt', cost: 5 }, total: 4, outdated: 2 });
+      expect(report.groups).toEqual([
+        { algorithm: 'bcrypt', parameters: { cost: 4 }, count: 2, outdated: true },
+        { algorithm: 'bcrypt', parameters: { cost: 5 }, count: 1, outdated: false },
+        { algorithm: 'unknown', parameters: {}, count: 1, outdated: false }
+      ]);
+      expect(mockUserModel.findAll).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('forced password change', () => {
+    test('should only let the user reach the change-password route', async () => {
+      mockUser.must_change_password = true;
+      const { accessToken } = await authenticateWithPassword(mockUser.email, password, context);
+
+      const blocked = await runAuthenticate(accessToken);
+      expect(blocked.next).not.toHaveBeenCalled();
+      expect(blocked.res.statusCode).toBe(403);
+      expect(blocked.res.body.error.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+      const allowed = await runAuthenticate(accessToken, { allowPasswordChangeRequired: true });
+      expect(allowed.next).toHaveBeenCalled();
+    });
+
+    test('should clear the requirement when the password is changed', async () => {
+      mockUser.must_change_password = true;
+      mockUser.password_changed_at = daysAgo(120);
+
+      await changePassword(userId, password, 'Second#Pass123', context);
+
+      expect(mockUser.must_change_password).toBe(false);
+      expect(isPasswordExpired(mockUser)).toBe(false);
+      expect(auditEntries('password_changed')[0].details).toEqual({ method: 'authenticated_change', required: true, sessions_revoked: 0 });
+
+      const { accessToken } = await authenticateWithPassword(mockUser.email, 'Second#Pass123', context);
+      expect((await runAuthenticate(accessToken)).next).toHaveBeenCalled();
+    });
+
+    test('should sign out every other session but keep the current one', async () => {
+      const current = await authenticateWithPassword(mockUser.email, password, context);
+      const other = await authenticateWithPassword(mockUser.email, password, context);
+
+      await changePassword(userId, password, 'Second#Pass123', { ...context, sessionId: current.sessionId });
+
+      expect((await runAuthenticate(current.accessToken)).next).toHaveBeenCalled();
+
+      const stolen = await runAuthenticate(other.accessToken);
+      expect(stolen.next).not.toHaveBeenCalled();
+      expect(stolen.res.statusCode).toBe(401);
+      expect(auditEntries('password_changed')[0].details.sessions_revoked).toBe(1);
+    });
+  });
+});
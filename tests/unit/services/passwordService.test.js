@@ -1,5 +1,14 @@
-import { describe, test, expect, beforeAll } from '@jest/globals';
-import { hashPassword, verifyPassword, validatePasswordStrength } from '../../../src/services/passwordService.js';
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import config from '../../../src/config/env.js';
+import {
+  hashPassword,
+  verifyPassword,
+  validatePasswordStrength,
+  getDefaultPasswordRules,
+  getPasswordHashInfo,
+  needsRehash
+} from '../../../src/services/passwordService.js';
 
 describe('PasswordService', () => {
   describe('hashPassword', () => {
@@ -129,5 +138,74 @@ describe('PasswordService', () => {
       expect(result.valid).toBe(true);
       expect(result.errors).toHaveLength(0);
     });
+
+    test('should apply the rules of a password policy', () => {
+      const strict = { ...getDefaultPasswordRules(), min_length: 14, require_symbol: true };
+      const simple = { ...getDefaultPasswordRules(), min_length: 6, require_uppercase: false, min_strength_score: 0 };
+
+      expect(validatePasswordStrength('StrongPass123', [], strict).errors).toEqual([
+        'Password must be at least 14 characters long',
+        'Password must contain at least one symbol'
+      ]);
+      expect(validatePasswordStrength('garden42', [], simple).valid).toBe(true);
+      expect(validatePasswordStrength('garden42').valid).toBe(false);
+    });
+  });
+
+  describe('hash versions', () => {
+    const originalSecurity = { ...config.security };
+    const useArgon2id = () => Object.assign(config.security, {
+      passwordHashAlgorithm: 'argon2id',
+      argon2MemoryCost: 4096,
+      argon2TimeCost: 2,
+      argon2Parallelism: 1
+    });
+
+    afterEach(() => {
+      Object.assign(config.security, originalSecurity);
+    });
+
+    test('should read the algorithm and parameters from a hash', async () => {
+      expect(getPasswordHashInfo(await bcrypt.hash('TestPassword123', 4))).toEqual({ algorithm: 'bcrypt', cost: 4 });
+      expect(getPasswordHashInfo('$argon2id$v=19$m=19456,t=2,p=1$c2FsdHNhbHRzYWx0$aGFzaGhhc2hoYXNoaGFzaA')).toEqual({
+        algorithm: 'argon2id',
+        version: 19,
+        memoryCost: 19456,
+        timeCost: 2,
+        parallelism: 1
+      });
+      expect(getPasswordHashInfo('TestPassword123')).toBeNull();
+      expect(getPasswordHashInfo(null)).toBeNull();
+    });
+
+    test('should hash with Argon2id and keep verifying bcrypt hashes', async () => {
+      const bcryptHash = await bcrypt.hash('TestPassword123', 4);
+      useArgon2id();
+
+      const argon2Hash = await hashPassword('TestPassword123');
+
+      expect(getPasswordHashInfo(argon2Hash)).toMatchObject({ algorithm: 'argon2id', memoryCost: 4096, timeCost: 2 });
+      expect(await verifyPassword('TestPassword123', argon2Hash)).toBe(true);
+      expect(await verifyPassword('WrongPassword123', argon2Hash)).toBe(false);
+      expect(await verifyPassword('TestPassword123', bcryptHash)).toBe(true);
+    });
+
+    test('should flag hashes made with another algorithm or weaker settings', async () => {
+      config.security.bcryptSaltRounds = 6;
+      const weakBcrypt = await bcrypt.hash('TestPassword123', 4);
+      const currentBcrypt = await hashPassword('TestPassword123');
+
+      expect(needsRehash(weakBcrypt)).toBe(true);
+      expect(needsRehash(currentBcrypt)).toBe(false);
+
+      useArgon2id();
+      const argon2Hash = await hashPassword('TestPassword123');
+
+      expect(needsRehash(currentBcrypt)).toBe(true);
+      expect(needsRehash(argon2Hash)).toBe(false);
+
+      config.security.argon2MemoryCost = 8192;
+      expect(needsRehash(argon2Hash)).toBe(true);
+    });
   });
 });
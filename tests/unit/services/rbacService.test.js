@@ -1,5 +1,5 @@
 import { describe, test, expect } from '@jest/globals';
-import { getPermissionsForRole, roleHasPermission } from '../../../src/services/rbacService.js';
+import { getPermissionsForRole, roleHasPermission, canManageRole } from '../../../src/services/rbacService.js';
 
 describe('RBACService', () => {
   describe('getPermissionsForRole', () => {
@@ -143,4 +143,24 @@ describe('RBACService', () => {
       expect(roleHasPermission('Admin', 'audit', 'read_all')).toBe(false);
     });
   });
+
+  describe('canManageRole', () => {
+    test('should only let Admins manage roles below their own', () => {
+      expect(canManageRole('Admin', 'Teacher')).toBe(true);
+      expect(canManageRole('Admin', 'Student')).toBe(true);
+      expect(canManageRole('Admin', 'Admin')).toBe(false);
+      expect(canManageRole('Admin', 'Super_Admin')).toBe(false);
+    });
+
+    test('should let Super_Admins manage every role', () => {
+      expect(canManageRole('Super_Admin', 'Admin')).toBe(true);
+      expect(canManageRole('Super_Admin', 'Super_Admin')).toBe(true);
+    });
+
+    test('should not let roles manage their peers or unknown roles', () => {
+      expect(canManageRole('Teacher', 'Student')).toBe(true);
+      expect(canManageRole('Student', 'Parent')).toBe(false);
+      expect(canManageRole('Admin', 'Unknown')).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+
+// Import after mocking
+const {
+  generateTokenId,
+  createTokenFamily,
+  rotateTokenFamily,
+  isCurrentToken,
+  revokeTokenFamily
+} = await import('../../../src/services/refreshTokenService.js');
+
+describe('RefreshTokenService', () => {
+  const userId = '123e4567-e89b-12d3-a456-426614174000';
+  const sessionId = 'session-123';
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+  });
+
+  describe('generateTokenId', () => {
+    test('should generate unique token IDs', () => {
+      expect(generateTokenId()).not.toBe(generateTokenId());
+    });
+  });
+
+  describe('createTokenFamily', () => {
+    test('should store the family with the first token as current', async () => {
+      await createTokenFamily(userId, sessionId, 'jti-1', 3600);
+
+      const family = await mockRedisHelpers.get(`refresh:family:${sessionId}`);
+      expect(family).toMatchObject({ userId, currentTokenId: 'jti-1', rotations: 0 });
+    });
+
+    test('should require a token ID', async () => {
+      await expect(createTokenFamily(userId, sessionId, null, 3600)).rejects.toThrow();
+    });
+  });
+
+  describe('rotateTokenFamily', () => {
+    beforeEach(async () => {
+      await createTokenFamily(userId, sessionId, 'jti-1', 3600);
+    });
+
+    test('should rotate to the next token', async () => {
+      const result = await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600);
+
+      expect(result.status).toBe('rotated');
+      const family = await mockRedisHelpers.get(`refresh:family:${sessionId}`);
+      expect(family).toMatchObject({ currentTokenId: 'jti-2', rotations: 1 });
+    });
+
+    test('should detect reuse of an already rotated token', async () => {
+      await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600);
+
+      const result = await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-3', 3600);
+
+      expect(result.status).toBe('reused');
+    });
+
+    test('should detect a token that is not the current one', async () => {
+      const result = await rotateTokenFamily(userId, sessionId, 'jti-old', 'jti-2', 3600);
+
+      expect(result.status).toBe('reused');
+    });
+
+    test('should not mistake a Redis failure for reuse', async () => {
+      const claim = jest.spyOn(mockRedisHelpers, 'setIfNotExists').mockResolvedValueOnce(null);
+
+      await expect(rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600))
+        .rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+      claim.mockRestore();
+
+      // The token was never claimed, so it can still be exchanged once Redis is back
+      expect((await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600)).status).toBe('rotated');
+    });
+
+    test('should release the claim when the family cannot be updated', async () => {
+      const update = jest.spyOn(mockRedisHelpers, 'set').mockResolvedValueOnce(false);
+
+      await expect(rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600))
+        .rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+      update.mockRestore();
+
+      expect((await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600)).status).toBe('rotated');
+    });
+
+    test('should report a missing family for another user', async () => {
+      const result = await rotateTokenFamily('other-user', sessionId, 'jti-1', 'jti-2', 3600);
+
+      expect(result.status).toBe('missing');
+    });
+
+    test('should report a missing family after revocation', async () => {
+      await revokeTokenFamily(sessionId);
+
+      const result = await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600);
+
+      expect(result.status).toBe('missing');
+    });
+  });
+
+  describe('isCurrentToken', () => {
+    test('should only accept the family\'s current token without rotating it', async () => {
+      await createTokenFamily(userId, sessionId, 'jti-1', 3600);
+
+      expect(await isCurrentToken(userId, sessionId, 'jti-1')).toBe(true);
+      expect(await isCurrentToken(userId, sessionId, 'jti-1')).toBe(true);
+      expect(await isCurrentToken('other-user', sessionId, 'jti-1')).toBe(false);
+
+      await rotateTokenFamily(userId, sessionId, 'jti-1', 'jti-2', 3600);
+
+      expect(await isCurrentToken(userId, sessionId, 'jti-1')).toBe(false);
+      expect(await isCurrentToken(userId, sessionId, 'jti-2')).toBe(true);
+    });
+  });
+});
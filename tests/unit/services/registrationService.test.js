@@ -0,0 +1,228 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const campusId = '223e4567-e89b-12d3-a456-426614174000';
+
+const createMockUser = (overrides = {}) => {
+  const user = {
+    id: '123e4567-e89b-12d3-a456-426614174000',
+    email: 'student@example.com',
+    name: 'Test Student',
+    phone: '+919876543210',
+    role: 'Student',
+    campus_id: campusId,
+    account_status: 'pending_verification',
+    email_verified_at: null,
+    phone_verified_at: null,
+    ...overrides
+  };
+  user.update = jest.fn(async (values) => Object.assign(user, values));
+  user.toSafeObject = jest.fn(() => ({ id: user.id, email: user.email, account_status: user.account_status }));
+  return user;
+};
+
+let mockUser;
+const mockUserModel = {
+  findOne: jest.fn(async () => mockUser),
+  findByPk: jest.fn(async () => mockUser),
+  findAndCountAll: jest.fn()
+};
+const mockCampusModel = { findByPk: jest.fn(async () => ({ id: campusId, is_active: true })) };
+const mockCreateUser = jest.fn(async (userData) => ({ id: mockUser.id, email: userData.email, account_status: userData.account_status }));
+const mockSendEmailVerificationEmail = jest.fn(async () => ({ success: true }));
+const mockSendWelcomeEmail = jest.fn(async () => ({ success: true }));
+const mockSendOTP = jest.fn(async () => ({ success: true }));
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: mockCampusModel }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({
+  default: { create: jest.fn(), findAll: jest.fn(async () => []), destroy: jest.fn() }
+}));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({
+  default: { findAll: jest.fn(async () => []) }
+}));
+jest.unstable_mockModule('../../../src/services/userService.js', () => ({
+  createUser: mockCreateUser
+}));
+jest.unstable_mockModule('../../../src/services/emailService.js', () => ({
+  sendEmailVerificationEmail: mockSendEmailVerificationEmail,
+  sendWelcomeEmail: mockSendWelcomeEmail
+}));
+jest.unstable_mockModule('../../../src/services/smsService.js', () => ({
+  sendOTP: mockSendOTP
+}));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const {
+  registerUser,
+  verifyContact,
+  resendVerificationCode,
+  listPendingRegistrations,
+  approveRegistration,
+  rejectRegistration
+} = await import('../../../src/services/registrationService.js');
+
+describe('RegistrationService', () => {
+  const signupData = {
+    email: 'student@example.com',
+    password: 'SecurePass123',
+    name: 'Test Student',
+    phone: '+919876543210',
+    role: 'Student',
+    campus_id: campusId
+  };
+  const admin = { id: 'admin-id', role: 'Admin', campus_id: campusId };
+
+  const sentCode = (mockFn) => mockFn.mock.calls[mockFn.mock.calls.length - 1][1];
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockUser = createMockUser();
+    mockCampusModel.findByPk.mockImplementation(async () => ({ id: campusId, is_active: true }));
+    mockSendEmailVerificationEmail.mockImplementation(async () => ({ success: true }));
+  });
+
+  describe('registerUser', () => {
+    test('should create a pending account and send email and phone codes', async () => {
+      const result = await registerUser(signupData);
+
+      expect(mockCreateUser).toHaveBeenCalledWith(
+        expect.objectContaining({ email: signupData.email, account_status: 'pending_verification' }),
+        null
+      );
+      expect(mockSendEmailVerificationEmail).toHaveBeenCalledWith(signupData.email, expect.stringMatching(/^\d{6}$/), signupData.name);
+      expect(mockSendOTP).toHaveBeenCalledWith(signupData.phone, expect.stringMatching(/^\d{6}$/));
+      expect(result.verification.email.sent).toBe(true);
+      expect(result.verification.phone.sent).toBe(true);
+    });
+
+    test('should only allow students and parents', async () => {
+      await expect(registerUser({ ...signupData, role: 'Admin' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(mockCreateUser).not.toHaveBeenCalled();
+    });
+
+    test('should reject inactive campuses', async () => {
+      mockCampusModel.findByPk.mockImplementation(async () => ({ id: campusId, is_active: false }));
+
+      await expect(registerUser(signupData)).rejects.toMatchObject({ code: 'CAMPUS_NOT_FOUND' });
+    });
+
+    test('should report a failed delivery instead of failing the signup', async () => {
+      mockSendEmailVerificationEmail.mockImplementation(async () => { throw new Error('SES down'); });
+
+      const result = await registerUser(signupData);
+
+      expect(result.verification.email).toEqual({ sent: false });
+      expect(result.verification.phone.sent).toBe(true);
+    });
+  });
+
+  describe('verifyContact', () => {
+    test('should move to pending_approval once email and phone are verified', async () => {
+      await registerUser(signupData);
+      const emailCode = sentCode(mockSendEmailVerificationEmail);
+      const phoneCode = sentCode(mockSendOTP);
+
+      const afterEmail = await verifyContact(signupData.email, 'email', emailCode);
+      expect(afterEmail).toEqual({ account_status: 'pending_verification', email_verified: true, phone_verified: false });
+
+      const afterPhone = await verifyContact(signupData.email, 'phone', phoneCode);
+      expect(afterPhone).toEqual({ account_status: 'pending_approval', email_verified: true, phone_verified: true });
+      expect(mockUser.account_status).toBe('pending_approval');
+    });
+
+    test('should reject a wrong code', async () => {
+      await registerUser(signupData);
+      const emailCode = sentCode(mockSendEmailVerificationEmail);
+      const wrongCode = emailCode === '000000' ? '111111' : '000000';
+
+      await expect(verifyContact(signupData.email, 'email', wrongCode)).rejects.toMatchObject({ code: 'OTP_INVALID' });
+      expect(mockUser.email_verified_at).toBeNull();
+    });
+
+    test('should not accept the email code for the phone', async () => {
+      await registerUser(signupData);
+      const emailCode = sentCode(mockSendEmailVerificationEmail);
+
+      await expect(verifyContact(signupData.email, 'phone', emailCode)).rejects.toMatchObject({ code: 'OTP_INVALID' });
+    });
+
+    test('should reject accounts that are not awaiting verification', async () => {
+      mockUser = createMockUser({ account_status: 'active' });
+
+      await expect(verifyContact(signupData.email, 'email', '123456')).rejects.toMatchObject({ code: 'REGISTRATION_NOT_FOUND' });
+    });
+  });
+
+  describe('resendVerificationCode', () => {
+    test('should refuse to resend for a verified channel', async () => {
+      mockUser = createMockUser({ email_verified_at: new Date() });
+
+      await expect(resendVerificationCode(signupData.email, 'email')).rejects.toMatchObject({ code: 'ALREADY_VERIFIED' });
+    });
+  });
+
+  describe('listPendingRegistrations', () => {
+    test('should limit Admins to their own campus', async () => {
+      mockUserModel.findAndCountAll.mockImplementation(async () => ({ count: 1, rows: [createMockUser({ account_status: 'pending_approval' })] }));
+
+      const result = await listPendingRegistrations(admin, { campus_id: 'other-campus' });
+
+      expect(mockUserModel.findAndCountAll.mock.calls[0][0].where).toEqual({
+        account_status: 'pending_approval',
+        deleted_at: null,
+        campus_id: campusId
+      });
+      expect(result.registrations).toHaveLength(1);
+    });
+  });
+
+  describe('approveRegistration', () => {
+    test('should activate the account and send the welcome email', async () => {
+      mockUser = createMockUser({ account_status: 'pending_approval' });
+
+      await approveRegistration(mockUser.id, admin);
+
+      expect(mockUser.account_status).toBe('active');
+      expect(mockSendWelcomeEmail).toHaveBeenCalledWith(mockUser.email, mockUser.name, 'Student');
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        admin_id: admin.id,
+        action_type: 'signup_approved'
+      }));
+    });
+
+    test('should not approve registrations that are still unverified', async () => {
+      await expect(approveRegistration(mockUser.id, admin)).rejects.toMatchObject({ code: 'INVALID_REGISTRATION_STATUS' });
+      expect(mockSendWelcomeEmail).not.toHaveBeenCalled();
+    });
+
+    test('should not let Admins approve registrations for another campus', async () => {
+      mockUser = createMockUser({ account_status: 'pending_approval', campus_id: 'other-campus' });
+
+      await expect(approveRegistration(mockUser.id, admin)).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    });
+  });
+
+  describe('rejectRegistration', () => {
+    test('should mark the account rejected and record the reason', async () => {
+      mockUser = createMockUser({ account_status: 'pending_approval' });
+
+      await rejectRegistration(mockUser.id, admin, 'Not enrolled');
+
+      expect(mockUser.account_status).toBe('rejected');
+      expect(mockSendWelcomeEmail).not.toHaveBeenCalled();
+      expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action_type: 'signup_rejected',
+        details: { reason: 'Not enrolled' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+let mockUser;
+let mockPolicies = [];
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => (where.id === mockUser.id ? mockUser : null)),
+  findByPk: jest.fn(async (id) => (id === mockUser.id ? mockUser : null))
+};
+const mockSessionPolicyModel = {
+  findOne: jest.fn(async ({ where }) => mockPolicies.find((policy) => policy.role === where.role) || null)
+};
+const mockCreateAuditLog = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../src/models/PasswordHistory.js', () => ({
+  default: { create: jest.fn(), findAll: jest.fn(async () => []), destroy: jest.fn() }
+}));
+jest.unstable_mockModule('../../../src/models/PasswordPolicy.js', () => ({
+  default: { findAll: jest.fn(async () => []) }
+}));
+jest.unstable_mockModule('../../../src/models/SessionPolicy.js', () => ({ default: mockSessionPolicyModel }));
+jest.unstable_mockModule('../../../src/models/UserDevice.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: mockCreateAuditLog
+}));
+
+// Import after mocking
+const { authenticate } = await import('../../../src/middleware/auth.js');
+const { refreshAccessToken } = await import('../../../src/services/authService.js');
+const { generateTokens } = await import('../../../src/services/tokenService.js');
+const { createTokenFamily, generateTokenId } = await import('../../../src/services/refreshTokenService.js');
+const { calculateTokenExpiry } = await import('../../../src/services/blacklistService.js');
+const { createSession, getActiveSessions } = await import('../../../src/services/sessionService.js');
+const { enforceSessionLimit } = await import('../../../src/services/sessionPolicyService.js');
+
+describe('SessionPolicyService', () => {
+  const context = { ipAddress: '203.0.113.20', userAgent: 'Mozilla/5.0', deviceInfo: { device_type: 'web', device_name: 'Exam laptop' } };
+
+  /**
+   * Create a session whose last activity lies the given number of seconds in the past,
+   * with the tokens a login would issue for it
+   */
+  const signIn = async (idleSecondsAgo) => {
+    const sessionId = await createSession(userId, { device_type: 'web', device_name: `Device ${idleSecondsAgo}` }, '203.0.113.10');
+    const lastActivity = Date.now() - idleSecondsAgo * 1000;
+
+    const session = await mockRedisHelpers.get(`session:${userId}:${sessionId}`);
+    session.last_activity = new Date(lastActivity).toISOString();
+    await mockRedisHelpers.zAdd(`sessions:${userId}`, lastActivity, sessionId);
+
+    const jti = generateTokenId();
+    const tokens = generateTokens({ user_id: userId, role: mockUser.role, token_version: 0, session_id: sessionId, jti });
+    await createTokenFamily(userId, sessionId, jti, calculateTokenExpiry(tokens.refreshToken));
+
+    return { sessionId, ...tokens };
+  };
+
+  /**
+   * Run the authenticate middleware for an access token and capture the response
+   */
+  const runAuthenticate = async (accessToken) => {
+    const req = { method: 'GET', headers: { authorization: `Bearer ${accessToken}` }, get: () => 'Mozilla/5.0' };
+    const res = {
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; })
+    };
+    const next = jest.fn();
+
+    await authenticate()(req, res, next);
+
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+
+    mockUser = {
+      id: userId,
+      role: 'Student',
+      account_status: 'active',
+      token_version: 0,
+      must_change_password: false,
+      isLocked: () => false,
+      toSafeObject: () => ({ id: userId, role: 'Student' })
+    };
+    mockPolicies = [{ id: 'policy-student', role: 'Student', max_sessions: 2, on_limit: 'evict_oldest' }];
+  });
+
+  test('should leave sessions alone below the limit or without a policy', async () => {
+    await signIn(60);
+
+    expect(await enforceSessionLimit(mockUser, context)).toEqual([]);
+
+    await signIn(30);
+    mockUser.role = 'Parent';
+
+    expect(await enforceSessionLimit(mockUser, context)).toEqual([]);
+    expect(await getActiveSessions(userId)).toHaveLength(2);
+  });
+
+  test('should evict the least recently active session and audit it', async () => {
+    const oldest = await signIn(600);
+    const recent = await signIn(30);
+
+    expect(await enforceSessionLimit(mockUser, context)).toEqual([oldest.sessionId]);
+
+    expect((await getActiveSessions(userId)).map((session) => session.sessionId)).toEqual([recent.sessionId]);
+    expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: userId,
+      action_type: 'session_evicted',
+      details: expect.objectContaining({ session_id: oldest.sessionId, reason: 'session_limit', max_sessions: 2, device_name: 'Device 600' })
+    }));
+  });
+
+  test('should tell the evicted device why it was signed out', async () => {
+    const evicted = await signIn(600);
+    await signIn(30);
+
+    await enforceSessionLimit(mockUser, context);
+
+    const { res, next } = await runAuthenticate(evicted.accessToken);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_EVICTED');
+
+    await expect(refreshAccessToken(evicted.refreshToken, context)).rejects.toMatchObject({ code: 'SESSION_EVICTED' });
+  });
+
+  test('should reject the login when the policy says so', async () => {
+    mockPolicies[0].on_limit = 'reject';
+    await signIn(600);
+    await signIn(30);
+
+    await expect(enforceSessionLimit(mockUser, context)).rejects.toMatchObject({ code: 'SESSION_LIMIT_REACHED', maxSessions: 2 });
+
+    expect(await getActiveSessions(userId)).toHaveLength(2);
+    expect(mockCreateAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'login_session_limit_reached' }));
+  });
+});
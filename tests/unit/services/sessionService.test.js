@@ -0,0 +1,232 @@
+import { describe, test, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+let mockUsers = [];
+
+const mockUserModel = {
+  findOne: jest.fn(async ({ where }) => mockUsers.find((user) => user.id === where.id) || null)
+};
+
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/Campus.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: jest.fn(async () => {})
+}));
+
+// Import after mocking
+const { default: config } = await import('../../../src/config/env.js');
+const { authenticate } = await import('../../../src/middleware/auth.js');
+const { generateTokens } = await import('../../../src/services/tokenService.js');
+const {
+  createSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  updateLastActivity,
+  getSessionCount,
+  cleanupSessionIndexes,
+  migrateSessionIndex
+} = await import('../../../src/services/sessionService.js');
+
+describe('SessionService', () => {
+  const originalSession = { ...config.session };
+  const userId = '123e4567-e89b-12d3-a456-426614174000';
+  const deviceInfo = { device_type: 'web', device_name: 'Chrome on Windows', user_agent: 'Mozilla/5.0' };
+  let user;
+
+  /**
+   * Move a stored session's timestamps into the past
+   */
+  const ageSession = async (sessionId, { createdSecondsAgo = 0, idleSecondsAgo = 0 }) => {
+    const session = await mockRedisHelpers.get(`session:${userId}:${sessionId}`);
+    session.created_at = new Date(Date.now() - createdSecondsAgo * 1000).toISOString();
+    session.last_activity = new Date(Date.now() - idleSecondsAgo * 1000).toISOString();
+  };
+
+  /**
+   * Create a session and an access token bound to it
+   */
+  const signIn = async () => {
+    const sessionId = await createSession(userId, deviceInfo, '203.0.113.10');
+    const { accessToken } = generateTokens({ user_id: userId, role: 'Student', token_version: user.token_version, session_id: sessionId });
+
+    return { sessionId, accessToken };
+  };
+
+  /**
+   * Run the authenticate middleware for a request and capture the response
+   */
+  const runAuthenticate = async (accessToken) => {
+    const req = { method: 'GET', headers: { authorization: `Bearer ${accessToken}` }, get: () => 'Mozilla/5.0' };
+    const res = {
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn(function (body) { this.body = body; return this; })
+    };
+    const next = jest.fn();
+
+    await authenticate()(req, res, next);
+
+    return { req, res, next };
+  };
+
+  afterAll(() => {
+    Object.assign(config.session, originalSession);
+  });
+
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    Object.assign(config.session, { idleTimeout: 1800, absoluteTimeout: 43200, activityUpdateInterval: 60 });
+
+    user = {
+      id: userId,
+      role: 'Student',
+      account_status: 'active',
+      token_version: 0,
+      must_change_password: false,
+      isLocked: () => false,
+      toSafeObject: () => ({ id: userId, role: 'Student' })
+    };
+    mockUsers = [user];
+  });
+
+  describe('updateLastActivity', () => {
+    test('should expire the session after the idle timeout', async () => {
+      const sessionId = await createSession(userId, deviceInfo, '203.0.113.10');
+
+      expect(await mockRedisHelpers.ttl(`session:${userId}:${sessionId}`)).toBeLessThanOrEqual(1800);
+
+      await ageSession(sessionId, { createdSecondsAgo: 1900, idleSecondsAgo: 1800 });
+
+      expect(await updateLastActivity(userId, sessionId)).toBe(false);
+      expect(await mockRedisHelpers.get(`session:${userId}:${sessionId}`)).toBeNull();
+    });
+
+    test('should end an active session at the absolute timeout', async () => {
+      const sessionId = await createSession(userId, deviceInfo, '203.0.113.10');
+
+      await ageSession(sessionId, { createdSecondsAgo: 43200, idleSecondsAgo: 120 });
+
+      expect(await updateLastActivity(userId, sessionId)).toBe(false);
+    });
+
+    test('should only write last_activity once per interval and cap the TTL at the absolute timeout', async () => {
+      const sessionId = await createSession(userId, deviceInfo, '203.0.113.10');
+      const key = `session:${userId}:${sessionId}`;
+
+      await ageSession(sessionId, { createdSecondsAgo: 42000, idleSecondsAgo: 30 });
+      const recent = (await mockRedisHelpers.get(key)).last_activity;
+      expect(await updateLastActivity(userId, sessionId)).toBe(true);
+      expect((await mockRedisHelpers.get(key)).last_activity).toBe(recent);
+
+      await ageSession(sessionId, { createdSecondsAgo: 42000, idleSecondsAgo: 120 });
+      expect(await updateLastActivity(userId, sessionId)).toBe(true);
+      expect((await mockRedisHelpers.get(key)).last_activity).not.toBe(recent);
+      expect(await mockRedisHelpers.ttl(key)).toBeLessThanOrEqual(1200);
+    });
+  });
+
+  describe('session index', () => {
+    test('should list sessions from the index, most recently active first, without scanning keys', async () => {
+      const keysSpy = jest.spyOn(mockRedisHelpers, 'keys');
+      const first = await createSession(userId, deviceInfo, '203.0.113.10');
+      const second = await createSession(userId, { ...deviceInfo, device_type: 'mobile' }, '203.0.113.11');
+
+      await mockRedisHelpers.zAdd(`sessions:${userId}`, Date.now() - 5000, second);
+      const sessions = await getActiveSessions(userId);
+
+      expect(sessions.map((session) => session.sessionId)).toEqual([first, second]);
+      expect(sessions[0].expiresIn).toBeGreaterThan(0);
+      expect(await getSessionCount(userId)).toBe(2);
+      expect(keysSpy).not.toHaveBeenCalled();
+      keysSpy.mockRestore();
+    });
+
+    test('should drop index entries whose session expired', async () => {
+      const expired = await createSession(userId, deviceInfo, '203.0.113.10');
+      const active = await createSession(userId, deviceInfo, '203.0.113.10');
+
+      await mockRedisHelpers.del(`session:${userId}:${expired}`);
+
+      expect(await getSessionCount(userId)).toBe(1);
+      expect(await mockRedisHelpers.zRevRange(`sessions:${userId}`)).toEqual([active]);
+    });
+
+    test('should revoke one or all sessions together with their index entries', async () => {
+      const sessionIds = [];
+      for (let i = 0; i < 3; i++) {
+        sessionIds.push(await createSession(userId, deviceInfo, '203.0.113.10'));
+      }
+
+      expect(await revokeSession(sessionIds[0], userId)).toBe(true);
+      expect(await revokeSession(sessionIds[0], userId)).toBe(false);
+      expect(await revokeAllSessions(userId)).toBe(2);
+      expect(await mockRedisHelpers.get(`session:${userId}:${sessionIds[1]}`)).toBeNull();
+      expect(await mockRedisHelpers.zCard(`sessions:${userId}`)).toBe(0);
+    });
+
+    test('should index sessions stored before the index existed, and clean up orphans', async () => {
+      const otherUserId = '223e4567-e89b-12d3-a456-426614174000';
+      const legacy = (id, lastActivity) => ({
+        userId: id,
+        sessionId: `legacy-${lastActivity}`,
+        created_at: new Date(Date.now() - 60000).toISOString(),
+        last_activity: new Date(Date.now() - lastActivity).toISOString()
+      });
+      await mockRedisHelpers.set(`session:${userId}:legacy-1000`, legacy(userId, 1000), 3600);
+      await mockRedisHelpers.set(`session:${userId}:legacy-2000`, legacy(userId, 2000), 3600);
+      await mockRedisHelpers.set(`session:${otherUserId}:legacy-3000`, legacy(otherUserId, 3000), 3600);
+
+      expect(await migrateSessionIndex()).toEqual({ sessions: 3, users: 2 });
+      expect(await migrateSessionIndex()).toEqual({ sessions: 3, users: 2 });
+      expect((await getActiveSessions(userId)).map((session) => session.sessionId)).toEqual(['legacy-1000', 'legacy-2000']);
+
+      await mockRedisHelpers.del(`session:${otherUserId}:legacy-3000`);
+
+      expect(await cleanupSessionIndexes()).toEqual({ indexes: 2, removed: 1 });
+    });
+  });
+
+  describe('access tokens bound to sessions', () => {
+    test('should accept a token while its session is active', async () => {
+      const { sessionId, accessToken } = await signIn();
+
+      const { next, req } = await runAuthenticate(accessToken);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(userId);
+      expect(req.sessionId).toBe(sessionId);
+    });
+
+    test('should reject a token as soon as its session is revoked or times out', async () => {
+      const revoked = await signIn();
+      const idle = await signIn();
+
+      await revokeSession(revoked.sessionId, userId);
+      await ageSession(idle.sessionId, { createdSecondsAgo: 2000, idleSecondsAgo: 1800 });
+
+      for (const { accessToken } of [revoked, idle]) {
+        const { res, next } = await runAuthenticate(accessToken);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error.code).toBe('SESSION_EXPIRED');
+      }
+    });
+
+    test('should reject tokens with a stale token_version or no session', async () => {
+      const { accessToken } = await signIn();
+      const { accessToken: unbound } = generateTokens({ user_id: userId, role: 'Student' });
+
+      user.token_version = 1; // logout-all or password change
+      const stale = await runAuthenticate(accessToken);
+      user.token_version = 0;
+      const withoutSession = await runAuthenticate(unbound);
+
+      expect(stale.res.body.error.code).toBe('TOKEN_REVOKED');
+      expect(withoutSession.res.body.error.code).toBe('TOKEN_REVOKED');
+    });
+  });
+});
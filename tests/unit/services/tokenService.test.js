@@ -4,6 +4,7 @@ import {
   generateRefreshToken, 
   verifyToken, 
   generateTokens,
+  generateMFAPendingToken,
   decodeToken 
 } from '../../../src/services/tokenService.js';
 
@@ -36,6 +37,14 @@ describe('TokenService', () => {
       expect(decoded.type).toBe('access');
     });
 
+    test('should bind the token to its session and token_version', () => {
+      const token = generateAccessToken({ ...mockPayload, token_version: 3, session_id: 'session-123' });
+      const decoded = decodeToken(token);
+
+      expect(decoded.sid).toBe('session-123');
+      expect(decoded.token_version).toBe(3);
+    });
+
     test('should include expiration time', () => {
       const token = generateAccessToken(mockPayload);
       const decoded = decodeToken(token);
@@ -164,6 +173,37 @@ describe('TokenService', () => {
     });
   });
 
+  describe('generateMFAPendingToken', () => {
+    test('should generate a short-lived mfa_pending token', () => {
+      const token = generateMFAPendingToken({ user_id: mockPayload.user_id, login_method: 'password' });
+      const decoded = verifyToken(token);
+      
+      expect(decoded.user_id).toBe(mockPayload.user_id);
+      expect(decoded.login_method).toBe('password');
+      expect(decoded.type).toBe('mfa_pending');
+      expect(decoded.exp - decoded.iat).toBe(300); // 5 minutes
+    });
+
+    test('should not include role or campus claims', () => {
+      const token = generateMFAPendingToken({ ...mockPayload, login_method: 'password' });
+      const decoded = verifyToken(token);
+      
+      expect(decoded.role).toBeUndefined();
+      expect(decoded.campus_id).toBeUndefined();
+    });
+
+    test('should generate unique tokens for the same user', () => {
+      const token1 = generateMFAPendingToken({ user_id: mockPayload.user_id });
+      const token2 = generateMFAPendingToken({ user_id: mockPayload.user_id });
+      
+      expect(token1).not.toBe(token2);
+    });
+
+    test('should throw error when user_id is missing', () => {
+      expect(() => generateMFAPendingToken({})).toThrow();
+    });
+  });
+
   describe('decodeToken', () => {
     test('should decode valid token without verification', () => {
       const token = generateAccessToken(mockPayload);
@@ -0,0 +1,244 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mockRedisHelpers } from '../../mocks/redis.mock.js';
+
+const mockUser = {
+  id: '123e4567-e89b-12d3-a456-426614174000',
+  email: 'student@example.com',
+  name: 'Test Student',
+  account_status: 'active',
+  deleted_at: null,
+  isLocked: jest.fn(() => false),
+  update: jest.fn(async () => {})
+};
+
+const mockSimpleWebAuthn = {
+  generateRegistrationOptions: jest.fn(async () => ({ challenge: 'reg-challenge' })),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(async () => ({ challenge: 'auth-challenge' })),
+  verifyAuthenticationResponse: jest.fn()
+};
+
+const mockCredentialModel = {
+  findAll: jest.fn(async () => []),
+  findOne: jest.fn(async () => null),
+  create: jest.fn()
+};
+
+const mockUserModel = {
+  findByPk: jest.fn(async () => mockUser),
+  findOne: jest.fn(async () => mockUser)
+};
+
+const mockFinalizeLogin = jest.fn(async () => ({ accessToken: 'access', refreshToken: 'refresh' }));
+
+jest.unstable_mockModule('@simplewebauthn/server', () => mockSimpleWebAuthn);
+jest.unstable_mockModule('../../../src/config/redis.js', () => ({
+  redisHelpers: mockRedisHelpers
+}));
+jest.unstable_mockModule('../../../src/models/User.js', () => ({ default: mockUserModel }));
+jest.unstable_mockModule('../../../src/models/WebAuthnCredential.js', () => ({ default: mockCredentialModel }));
+jest.unstable_mockModule('../../../src/services/auditService.js', () => ({
+  createAuditLog: jest.fn(async () => {})
+}));
+jest.unstable_mockModule('../../../src/services/authService.js', () => ({
+  finalizeLogin: mockFinalizeLogin
+}));
+
+// Import after mocking
+const {
+  generatePasskeyRegistrationOptions,
+  verifyPasskeyRegistration,
+  generatePasskeyLoginOptions,
+  verifyPasskeyLogin
+} = await import('../../../src/services/webauthnService.js');
+
+const makePasskey = (overrides = {}) => ({
+  id: '223e4567-e89b-12d3-a456-426614174000',
+  user_id: mockUser.id,
+  credential_id: 'cred-1',
+  public_key: 'AQID',
+  counter: 5,
+  transports: ['internal'],
+  name: 'My phone',
+  update: jest.fn(async () => {}),
+  toSafeObject() {
+    return { id: this.id, name: this.name };
+  },
+  ...overrides
+});
+
+describe('WebAuthnService', () => {
+  beforeEach(() => {
+    mockRedisHelpers.clear();
+    jest.clearAllMocks();
+    mockUserModel.findByPk.mockImplementation(async () => mockUser);
+    mockUserModel.findOne.mockImplementation(async () => mockUser);
+    mockCredentialModel.findAll.mockImplementation(async () => []);
+    mockCredentialModel.findOne.mockImplementation(async () => null);
+  });
+
+  describe('generatePasskeyRegistrationOptions', () => {
+    test('should store the registration challenge for the user', async () => {
+      const options = await generatePasskeyRegistrationOptions(mockUser.id);
+
+      expect(options.challenge).toBe('reg-challenge');
+      expect(await mockRedisHelpers.get(`webauthn:reg:${mockUser.id}`)).toEqual({ challenge: 'reg-challenge' });
+    });
+
+    test('should exclude already registered passkeys', async () => {
+      mockCredentialModel.findAll.mockImplementation(async () => [makePasskey()]);
+
+      await generatePasskeyRegistrationOptions(mockUser.id);
+
+      const args = mockSimpleWebAuthn.generateRegistrationOptions.mock.calls[0][0];
+      expect(args.excludeCredentials).toEqual([{ id: 'cred-1', transports: ['internal'] }]);
+      expect(args.userName).toBe(mockUser.email);
+    });
+
+    test('should throw USER_NOT_FOUND for unknown users', async () => {
+      mockUserModel.findByPk.mockImplementation(async () => null);
+
+      await expect(generatePasskeyRegistrationOptions(mockUser.id)).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+    });
+  });
+
+  describe('verifyPasskeyRegistration', () => {
+    test('should reject when no challenge is pending', async () => {
+      await expect(verifyPasskeyRegistration(mockUser.id, { id: 'cred-1' }))
+        .rejects.toMatchObject({ code: 'WEBAUTHN_CHALLENGE_EXPIRED' });
+    });
+
+    test('should store a verified credential and consume the challenge', async () => {
+      await mockRedisHelpers.set(`webauthn:reg:${mockUser.id}`, { challenge: 'reg-challenge' }, 300);
+      mockSimpleWebAuthn.verifyRegistrationResponse.mockImplementation(async () => ({
+        verified: true,
+        registrationInfo: {
+          credential: { id: 'cred-1', publicKey: new Uint8Array([1, 2, 3]), counter: 0, transports: ['internal'] },
+          credentialDeviceType: 'multiDevice',
+          credentialBackedUp: true
+        }
+      }));
+      mockCredentialModel.create.mockImplementation(async (values) => makePasskey(values));
+
+      const passkey = await verifyPasskeyRegistration(mockUser.id, { id: 'cred-1' }, 'Laptop');
+
+      expect(passkey.name).toBe('Laptop');
+      expect(mockCredentialModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: mockUser.id,
+        credential_id: 'cred-1',
+        public_key: 'AQID',
+        device_type: 'multiDevice',
+        backed_up: true
+      }));
+      expect(await mockRedisHelpers.get(`webauthn:reg:${mockUser.id}`)).toBeNull();
+    });
+
+    test('should reject a credential that is already registered', async () => {
+      await mockRedisHelpers.set(`webauthn:reg:${mockUser.id}`, { challenge: 'reg-challenge' }, 300);
+      mockSimpleWebAuthn.verifyRegistrationResponse.mockImplementation(async () => ({
+        verified: true,
+        registrationInfo: {
+          credential: { id: 'cred-1', publicKey: new Uint8Array([1]), counter: 0 },
+          credentialDeviceType: 'singleDevice',
+          credentialBackedUp: false
+        }
+      }));
+      mockCredentialModel.findOne.mockImplementation(async () => makePasskey());
+
+      await expect(verifyPasskeyRegistration(mockUser.id, { id: 'cred-1' }))
+        .rejects.toMatchObject({ code: 'PASSKEY_EXISTS' });
+    });
+
+    test('should surface verification failures', async () => {
+      await mockRedisHelpers.set(`webauthn:reg:${mockUser.id}`, { challenge: 'reg-challenge' }, 300);
+      mockSimpleWebAuthn.verifyRegistrationResponse.mockImplementation(async () => {
+        throw new Error('Unexpected registration response origin');
+      });
+
+      await expect(verifyPasskeyRegistration(mockUser.id, { id: 'cred-1' }))
+        .rejects.toMatchObject({ code: 'WEBAUTHN_VERIFICATION_FAILED' });
+    });
+  });
+
+  describe('generatePasskeyLoginOptions', () => {
+    test('should return a challenge ID bound to the stored challenge', async () => {
+      const { challengeId, options } = await generatePasskeyLoginOptions();
+
+      expect(options.challenge).toBe('auth-challenge');
+      expect(await mockRedisHelpers.get(`webauthn:auth:${challengeId}`)).toEqual({ challenge: 'auth-challenge' });
+    });
+
+    test('should not reveal whether an email is registered', async () => {
+      mockUserModel.findOne.mockImplementation(async () => null);
+
+      const { options } = await generatePasskeyLoginOptions('unknown@example.com');
+
+      expect(options.challenge).toBe('auth-challenge');
+      expect(mockSimpleWebAuthn.generateAuthenticationOptions.mock.calls[0][0].allowCredentials).toEqual([]);
+    });
+  });
+
+  describe('verifyPasskeyLogin', () => {
+    const challengeId = '323e4567-e89b-12d3-a456-426614174000';
+
+    beforeEach(async () => {
+      await mockRedisHelpers.set(`webauthn:auth:${challengeId}`, { challenge: 'auth-challenge' }, 300);
+    });
+
+    test('should log in and update the signature counter', async () => {
+      const passkey = makePasskey();
+      mockCredentialModel.findOne.mockImplementation(async () => passkey);
+      mockSimpleWebAuthn.verifyAuthenticationResponse.mockImplementation(async () => ({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified: true, credentialBackedUp: true }
+      }));
+
+      const result = await verifyPasskeyLogin(challengeId, { id: 'cred-1' });
+
+      expect(result.accessToken).toBe('access');
+      expect(passkey.update).toHaveBeenCalledWith(expect.objectContaining({ counter: 6 }));
+      expect(mockFinalizeLogin).toHaveBeenCalledWith(mockUser, 'passkey', {}, { multiFactor: true });
+    });
+
+    test('should not treat a passkey without user verification as multi-factor', async () => {
+      mockCredentialModel.findOne.mockImplementation(async () => makePasskey());
+      mockSimpleWebAuthn.verifyAuthenticationResponse.mockImplementation(async () => ({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified: false, credentialBackedUp: false }
+      }));
+
+      await verifyPasskeyLogin(challengeId, { id: 'cred-1' });
+
+      expect(mockFinalizeLogin).toHaveBeenCalledWith(mockUser, 'passkey', {}, { multiFactor: false });
+    });
+
+    test('should reject unknown credentials', async () => {
+      await expect(verifyPasskeyLogin(challengeId, { id: 'unknown' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    });
+
+    test('should reject a failed assertion', async () => {
+      mockCredentialModel.findOne.mockImplementation(async () => makePasskey());
+      mockSimpleWebAuthn.verifyAuthenticationResponse.mockImplementation(async () => {
+        throw new Error('Response counter value was lower than expected');
+      });
+
+      await expect(verifyPasskeyLogin(challengeId, { id: 'cred-1' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+      expect(mockFinalizeLogin).not.toHaveBeenCalled();
+    });
+
+    test('should only accept a challenge once', async () => {
+      mockCredentialModel.findOne.mockImplementation(async () => makePasskey());
+      mockSimpleWebAuthn.verifyAuthenticationResponse.mockImplementation(async () => ({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified: true, credentialBackedUp: false }
+      }));
+
+      await verifyPasskeyLogin(challengeId, { id: 'cred-1' });
+
+      await expect(verifyPasskeyLogin(challengeId, { id: 'cred-1' }))
+        .rejects.toMatchObject({ code: 'WEBAUTHN_CHALLENGE_EXPIRED' });
+    });
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, test, expect } from '@jest/globals';
+import { getDeviceId } from '../../../src/utils/deviceId.js';
+
+describe('Device ID utils', () => {
+  const deviceId = 'a'.repeat(64);
+  const request = (headers) => ({
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+  });
+
+  test('should prefer the header over the cookie', () => {
+    expect(getDeviceId(request({ 'x-device-id': ` ${deviceId} `, cookie: 'device_id=other' }))).toBe(deviceId);
+    expect(getDeviceId(request({ cookie: `theme=dark; device_id=${deviceId}` }))).toBe(deviceId);
+    expect(getDeviceId(request({ cookie: 'theme=dark' }))).toBeUndefined();
+  });
+
+  test('should ignore a cookie that cannot be decoded', () => {
+    expect(getDeviceId(request({ cookie: 'device_id=%E0' }))).toBeUndefined();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import config from '../../../src/config/env.js';
+import { encrypt, decrypt, blindIndex, getPhoneIndex } from '../../../src/utils/encryption.js';
+
+describe('Encryption utils', () => {
+  const originalBlindIndexKey = config.encryption.blindIndexKey;
+
+  afterEach(() => {
+    config.encryption.blindIndexKey = originalBlindIndexKey;
+  });
+
+  test('should encrypt equal values to different cipher texts', () => {
+    const first = encrypt('+919876543210');
+    const second = encrypt('+919876543210');
+
+    expect(first).not.toBe(second);
+    expect(decrypt(first)).toBe('+919876543210');
+    expect(decrypt(second)).toBe('+919876543210');
+  });
+
+  describe('blind index', () => {
+    test('should give equal phone numbers the same index whatever their formatting', () => {
+      const index = getPhoneIndex('+919876543210');
+
+      expect(index).toMatch(/^[a-f0-9]{64}$/);
+      expect(getPhoneIndex('+91 98765-43210')).toBe(index);
+      expect(getPhoneIndex('+91 (98765) 43.210')).toBe(index);
+      expect(getPhoneIndex('+919876543211')).not.toBe(index);
+      expect(getPhoneIndex(null)).toBeNull();
+    });
+
+    test('should depend on the key', () => {
+      const index = blindIndex('+919876543210');
+
+      config.encryption.blindIndexKey = 'another-blind-index-key';
+
+      expect(blindIndex('+919876543210')).not.toBe(index);
+    });
+  });
+});
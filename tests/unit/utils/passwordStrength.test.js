@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import { estimatePasswordStrength } from '../../../src/utils/passwordStrength.js';
+
+describe('Password strength utils', () => {
+  describe('estimatePasswordStrength', () => {
+    test('should score common passwords as trivial', () => {
+      const result = estimatePasswordStrength('Password1');
+
+      expect(result.score).toBe(0);
+      expect(result.patterns).toEqual(['dictionary']);
+      expect(result.feedback.warning).toBe('This is a top-100 common password');
+    });
+
+    test('should see through predictable substitutions', () => {
+      const result = estimatePasswordStrength('P@ssw0rd123');
+
+      expect(result.score).toBeLessThanOrEqual(1);
+      expect(result.feedback.warning).toBe('This is similar to a commonly used password');
+      expect(result.feedback.suggestions).toContain('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+    });
+
+    test('should recognise keyboard rows, sequences, repeats and dates', () => {
+      expect(estimatePasswordStrength('sdfghjkl').patterns).toEqual(['keyboard']);
+      expect(estimatePasswordStrength('abcdefgh').patterns).toEqual(['sequence']);
+      expect(estimatePasswordStrength('xyzxyzxyz').patterns).toEqual(['repeat']);
+      expect(estimatePasswordStrength('15081998').patterns).toEqual(['date']);
+      expect(estimatePasswordStrength('zzzzzzzz').feedback.warning).toBe('Repeats like "aaa" are easy to guess');
+    });
+
+    test('should treat the user\'s own details as guessable', () => {
+      const withoutInputs = estimatePasswordStrength('Sharma1234');
+      const withInputs = estimatePasswordStrength('Sharma1234', ['Rahul Sharma', 'rahul.sharma@nm.mssu.ac.in']);
+
+      expect(withInputs.guesses).toBeLessThan(withoutInputs.guesses);
+      expect(withInputs.feedback.warning).toBe('Passwords based on your name or email address are easy to guess');
+    });
+
+    test('should score long uncommon passphrases as very strong', () => {
+      const result = estimatePasswordStrength('correct horse battery staple');
+
+      expect(result.score).toBe(4);
+      expect(result.feedback.warning).toBeNull();
+    });
+
+    test('should handle empty and very long input', () => {
+      expect(estimatePasswordStrength('').score).toBe(0);
+      expect(estimatePasswordStrength('Ab1'.repeat(5000)).score).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
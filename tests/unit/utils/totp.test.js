@@ -0,0 +1,124 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateTOTPSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthURI
+} from '../../../src/utils/totp.js';
+
+// RFC 6238 Appendix B shared secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utils', () => {
+  describe('base32', () => {
+    test('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+      const encoded = base32Encode(bytes);
+
+      expect(encoded).toBe(RFC_SECRET);
+      expect(base32Decode(encoded).equals(bytes)).toBe(true);
+    });
+
+    test('should ignore padding, whitespace and case when decoding', () => {
+      expect(base32Decode('gezd gnbv=').toString()).toBe('12345');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTOTPSecret', () => {
+    test('should generate a 160-bit base32 secret', () => {
+      const secret = generateTOTPSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+
+    test('should generate unique secrets', () => {
+      expect(generateTOTPSecret()).not.toBe(generateTOTPSecret());
+    });
+  });
+
+  describe('generateHOTP', () => {
+    test('should match RFC 4226 test vectors', () => {
+      const expected = ['755224', '287082', '359152', '969429', '338314'];
+
+      expected.forEach((code, counter) => {
+        expect(generateHOTP(RFC_SECRET, counter)).toBe(code);
+      });
+    });
+  });
+
+  describe('generateTOTP', () => {
+    test('should match RFC 6238 SHA1 test vectors', () => {
+      expect(generateTOTP(RFC_SECRET, 59 * 1000, { digits: 8 })).toBe('94287082');
+      expect(generateTOTP(RFC_SECRET, 1111111109 * 1000, { digits: 8 })).toBe('07081804');
+      expect(generateTOTP(RFC_SECRET, 1234567890 * 1000, { digits: 8 })).toBe('89005924');
+      expect(generateTOTP(RFC_SECRET, 20000000000 * 1000, { digits: 8 })).toBe('65353130');
+    });
+
+    test('should default to 6 digits', () => {
+      expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const timestamp = 1234567890 * 1000;
+
+    test('should accept the current code', () => {
+      const code = generateTOTP(RFC_SECRET, timestamp);
+      const result = verifyTOTP(RFC_SECRET, code, { timestamp });
+
+      expect(result.valid).toBe(true);
+      expect(result.drift).toBe(0);
+    });
+
+    test('should accept codes within the skew window', () => {
+      const previous = generateTOTP(RFC_SECRET, timestamp - 30 * 1000);
+      const result = verifyTOTP(RFC_SECRET, previous, { timestamp });
+
+      expect(result.valid).toBe(true);
+      expect(result.drift).toBe(-1);
+    });
+
+    test('should reject codes outside the skew window', () => {
+      const stale = generateTOTP(RFC_SECRET, timestamp - 90 * 1000);
+
+      expect(verifyTOTP(RFC_SECRET, stale, { timestamp }).valid).toBe(false);
+      expect(verifyTOTP(RFC_SECRET, stale, { timestamp, window: 3 }).valid).toBe(true);
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTOTP(RFC_SECRET, '12345', { timestamp }).valid).toBe(false);
+      expect(verifyTOTP(RFC_SECRET, 'abcdef', { timestamp }).valid).toBe(false);
+      expect(verifyTOTP(RFC_SECRET, null, { timestamp }).valid).toBe(false);
+    });
+
+    test('should reject when no secret is provided', () => {
+      expect(verifyTOTP(null, '123456', { timestamp }).valid).toBe(false);
+    });
+  });
+
+  describe('buildOtpauthURI', () => {
+    test('should build a key URI with issuer label and parameters', () => {
+      const uri = buildOtpauthURI({
+        secret: RFC_SECRET,
+        accountName: 'user@mssu.ac.in',
+        issuer: 'MSSU Connect'
+      });
+
+      expect(uri.startsWith('otpauth://totp/MSSU%20Connect%3Auser%40mssu.ac.in?')).toBe(true);
+
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(RFC_SECRET);
+      expect(params.get('issuer')).toBe('MSSU Connect');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+  });
+});